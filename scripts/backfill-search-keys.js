@@ -0,0 +1,29 @@
+const { firestore } = require('../src/config/firebase');
+const UserService = require('../src/services/userService');
+
+const userService = new UserService();
+
+// Player search needs users.searchKeys; users created before search existed don't have them
+async function backfillSearchKeys() {
+  console.log('🚀 Starting search key backfill...');
+
+  try {
+    const snapshot = await firestore.collection('users').get();
+    console.log(`📊 Found ${snapshot.size} users to process`);
+
+    let updated = 0;
+    for (const doc of snapshot.docs) {
+      const searchKeys = userService.buildSearchKeys(doc.data());
+      await doc.ref.update({ searchKeys });
+      updated++;
+    }
+
+    console.log(`\n✅ Search keys written for ${updated} users`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfillSearchKeys();
@@ -0,0 +1,30 @@
+const { ledgerService } = require('../src/services/ledgerService');
+
+async function reconcileLedger() {
+  console.log('🚀 Starting ledger reconciliation...');
+
+  try {
+    const report = await ledgerService.reconcile();
+
+    console.log('\n📊 Reconciliation Summary:');
+    console.log(`   Entries: ${report.entryCount}`);
+    console.log(`   Accounts checked: ${report.accountsChecked}`);
+    console.log(`   Net balance: ${report.netBalance}`);
+    console.log(`   Wallets not yet opened on the ledger: ${report.unopenedAccounts}`);
+
+    if (report.mismatches.length > 0) {
+      console.log('\n❌ Mismatched accounts:');
+      report.mismatches.forEach(m => {
+        console.log(`   ${m.accountId}: cached=${m.cachedBalance} ledger=${m.ledgerBalance} diff=${m.difference}`);
+      });
+    }
+
+    console.log(report.balanced ? '\n✅ Ledger is balanced' : '\n⚠️ Ledger is NOT balanced');
+    process.exit(report.balanced ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    process.exit(1);
+  }
+}
+
+reconcileLedger();
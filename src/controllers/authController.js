@@ -224,7 +224,11 @@ class AuthController {
 
       res.status(200).json({
         success: true,
-        data: userProfile
+        data: {
+          ...userProfile,
+          // Skill rating per game; games the user hasn't played yet aren't listed
+          ratings: userProfile.ratings || {}
+        }
       });
     } catch (error) {
       console.error('Get profile error:', error);
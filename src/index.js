@@ -21,6 +21,16 @@ const stripeRoutes = require('./routes/stripe');
 const userRoutes = require('./routes/users');
 const tournamentRoutes = require('./routes/tournaments');
 const tournamentTypesRoutes = require('./routes/tournament-types');
+const matchmakingRoutes = require('./routes/matchmaking');
+const leaderboardRoutes = require('./routes/leaderboards');
+const friendRoutes = require('./routes/friends');
+const chatRoutes = require('./routes/chat');
+const eventRoutes = require('./routes/events');
+const { idempotencyService } = require('./services/idempotencyService');
+const { schedulerService } = require('./services/schedulerService');
+const { timerService } = require('./services/timerService');
+const { challengeStateMachine } = require('./services/challengeStateMachine');
+const { challengeScheduleService } = require('./services/challengeScheduleService');
 
 // Load environment variables
 
@@ -64,7 +74,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 
@@ -115,6 +126,11 @@ app.use('/api/games', gameRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tournaments', tournamentRoutes);
 app.use('/api/tournament-types', tournamentTypesRoutes);
+app.use('/api/matchmaking', matchmakingRoutes);
+app.use('/api/leaderboards', leaderboardRoutes);
+app.use('/api/friends', friendRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/events', eventRoutes);
 
 // Debug: Log registered routes
 // console.log('🔗 Registered API routes:');
@@ -147,6 +163,19 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Purge expired idempotency keys hourly (backup for the Firestore TTL policy on expiresAt)
+setInterval(() => {
+  idempotencyService.purgeExpired().catch(error => console.error('❌ Failed to purge idempotency keys:', error));
+}, 60 * 60 * 1000).unref();
+
+// Background jobs: challenge/tournament timers fire on time whether or not a client is polling;
+// escrow settlements that failed after a status change are retried until they go through
+timerService.registerJobs();
+challengeStateMachine.registerJobs();
+challengeScheduleService.registerJobs();
+schedulerService.start();
+timerService.scheduleMissingTimers().catch(error => console.error('❌ Failed to schedule pending timers:', error));
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
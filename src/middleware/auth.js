@@ -1,4 +1,5 @@
 const { verifyToken } = require('../utils/jwt');
+const { streamTokenService } = require('../services/streamTokenService');
 const admin = require('firebase-admin');
 
 // Get Firestore instance
@@ -77,6 +78,39 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Check if user is admin using multiple conditions (matching frontend logic)
+const isAdminUser = (user) => Boolean(user?.isAdmin) ||
+  user?.username?.toLowerCase() === 'admin' ||
+  user?.role === 'admin' ||
+  user?.email?.toLowerCase() === 'admin@gc.com' ||
+  user?.email?.split('@')[0]?.toLowerCase() === 'admin';
+
+// Stream routes: EventSource can't set headers, so browsers pass a single-use ?streamToken=
+// from POST /api/events/token instead of the API token; other clients can still send the header
+const authenticateStream = async (req, res, next) => {
+  const streamToken = req.query.streamToken;
+  if (req.headers['authorization'] || typeof streamToken !== 'string' || !streamToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    req.user = await streamTokenService.consume(streamToken);
+    next();
+  } catch (error) {
+    if (error.code === 'INVALID_STREAM_TOKEN') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Stream authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during authentication'
+    });
+  }
+};
+
 const requireAdmin = (req, res, next) => {
   try {
     if (!req.user) {
@@ -86,14 +120,7 @@ const requireAdmin = (req, res, next) => {
       });
     }
 
-    // Check if user is admin using multiple conditions (matching frontend logic)
-    const isAdmin = Boolean(req.user.isAdmin) || 
-                   req.user.username?.toLowerCase() === 'admin' || 
-                   req.user.role === 'admin' ||
-                   req.user.email?.toLowerCase() === 'admin@gc.com' ||
-                   req.user.email?.split('@')[0]?.toLowerCase() === 'admin';
-
-    if (!isAdmin) {
+    if (!isAdminUser(req.user)) {
       console.log('❌ Admin access denied for user:', {
         uid: req.user.uid,
         username: req.user.username,
@@ -121,5 +148,7 @@ const requireAdmin = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireAdmin
+  authenticateStream,
+  requireAdmin,
+  isAdminUser
 };
@@ -0,0 +1,95 @@
+const { firestore } = require('../config/firebase');
+const { idempotencyService } = require('../services/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Middleware honoring the `Idempotency-Key` header on money-moving routes.
+ * Must run after authenticateToken. Requests without the header are processed normally.
+ * - first request with a key: processed and its response stored, errors included, because a 5xx
+ *   can come after money has moved; only 4xx rejections (sent before any side effect) free the key
+ * - the key stays claimed until the handler responds, even if the client disconnects; a request
+ *   that never responds holds it until its lock times out
+ * - retry with the same key and body: stored response replayed (`Idempotent-Replayed: true`)
+ * - same key with a different body: rejected with 422
+ * - same key while the first request is still running: rejected with 409
+ */
+const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  if (!firestore) {
+    console.warn('⚠️ Idempotency-Key ignored: Firestore not available');
+    return next();
+  }
+
+  const ownerId = req.user?.uid || 'anonymous';
+  const scope = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+  const fingerprint = idempotencyService.fingerprint({
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    body: req.body
+  });
+
+  idempotencyService.begin({ ownerId, scope, key, fingerprint })
+    .then(({ state, record, ref }) => {
+      if (state === 'mismatch') {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+
+      if (state === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      if (state === 'replay') {
+        console.log('🔁 Replaying stored response for idempotency key:', { scope, ownerId });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response.statusCode).json(record.response.body);
+      }
+
+      // Capture the response before it goes out so a retry can never slip in between.
+      // A dropped connection doesn't free the key: the handler may still be moving money.
+      const originalJson = res.json.bind(res);
+
+      res.json = (body) => {
+        // Validation errors and insufficient funds are rejected before anything changes, so a retry may run again
+        const rejected = res.statusCode >= 400 && res.statusCode < 500;
+        const stored = rejected
+          ? idempotencyService.release(ref)
+            .catch(error => console.error('❌ Failed to release idempotency key:', error))
+          : idempotencyService.complete(ref, res.statusCode, body)
+            .catch(error => console.error('❌ Failed to store idempotent response:', error));
+        stored.finally(() => originalJson(body));
+        return res;
+      };
+
+      next();
+    })
+    .catch(error => {
+      console.error('❌ Error in idempotency middleware:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process Idempotency-Key'
+      });
+    });
+};
+
+module.exports = {
+  idempotent
+};
@@ -1,13 +1,15 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { DisputeService } = require('../services/disputeService');
-const { WalletService } = require('../services/walletService');
+const { ledgerService } = require('../services/ledgerService');
+const { challengeStateMachine, CHALLENGE_STATUS, ACTORS } = require('../services/challengeStateMachine');
+const { winnerRepairService } = require('../services/winnerRepairService');
+const { proofIntegrityService } = require('../services/proofIntegrityService');
 const { firestore } = require('../config/firebase');
 const UserService = require('../services/userService');
 
 const router = express.Router();
 const disputeService = new DisputeService();
-const walletService = new WalletService();
 const userService = new UserService();
 
 // Middleware to check if user is admin
@@ -118,20 +120,26 @@ router.post('/disputes/:id/resolve', authenticateToken, requireAdmin, async (req
       });
     }
     
-    await disputeService.resolveDispute(id, resolution, req.user.username, adminNotes);
-    
-    // Get the dispute to process the resolution
+    // Settle the challenge first, so a resolution that can't be paid out leaves the dispute open
     const dispute = await disputeService.getDisputeById(id);
     if (dispute) {
       // Process the resolution based on the decision
-      await handlePrizeDistribution(dispute, resolution);
+      await handlePrizeDistribution(dispute, resolution, req.user);
     }
+
+    await disputeService.resolveDispute(id, resolution, req.user.username, adminNotes);
     
     res.json({
       success: true,
       message: 'Dispute resolved successfully'
     });
   } catch (error) {
+    if (error.code === 'OUTCOME_REQUIRED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not resolve the winning player for this resolution'
+      });
+    }
     console.error('Error resolving dispute:', error);
     res.status(500).json({
       success: false,
@@ -220,8 +228,241 @@ router.get('/transactions', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
+// Run a ledger reconciliation and store the report (admin only)
+router.post('/ledger/reconcile', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const report = await ledgerService.reconcile();
+    
+    res.json({
+      success: true,
+      message: report.balanced ? 'Ledger is balanced' : 'Ledger reconciliation found mismatches',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error reconciling ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile ledger',
+      error: error.message
+    });
+  }
+});
+
+// Get a ledger account's cached balance, entry-derived balance and recent entries (admin only)
+router.get('/ledger/accounts/:accountId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { limit = 50 } = req.query;
+    
+    const [cachedBalance, ledger, entries] = await Promise.all([
+      ledgerService.getAccountBalance(accountId),
+      ledgerService.computeLedgerBalance(accountId),
+      ledgerService.getAccountEntries(accountId, parseInt(limit))
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        accountId,
+        cachedBalance,
+        ledgerBalance: ledger.balance,
+        entryCount: ledger.entryCount,
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Error getting ledger account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ledger account',
+      error: error.message
+    });
+  }
+});
+
+// Map winner repair errors to client responses; returns false for unexpected errors
+const handleRepairError = (res, error) => {
+  const statusByCode = {
+    REPAIR_NOT_FOUND: 404,
+    CHALLENGE_NOT_FOUND: 404,
+    REPAIR_ALREADY_DECIDED: 409,
+    REPAIR_STALE: 409,
+    REPAIR_NOT_FIXABLE: 409,
+    INVALID_TRANSITION: 409
+  };
+  if (!statusByCode[error.code]) return false;
+  res.status(statusByCode[error.code]).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+  return true;
+};
+
+// Find challenges with an "Unknown" winner and propose fixes from their AI scores (admin only).
+// Dry run by default; pass dryRun: false to record the proposals for approval.
+router.post('/repairs/unknown-winners/scan', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { dryRun = true, limit = 100 } = req.body || {};
+
+    const result = await winnerRepairService.scan({
+      dryRun: dryRun !== false,
+      limit: parseInt(limit),
+      requestedBy: { uid: req.user.uid, username: req.user.username }
+    });
+
+    res.json({
+      success: true,
+      message: result.dryRun
+        ? `Dry run: ${result.fixable} of ${result.found} challenges can be repaired`
+        : `Recorded ${result.found} repair proposals (${result.fixable} fixable)`,
+      data: {
+        ...result,
+        proposals: await winnerRepairService.withEscrow(result.proposals)
+      }
+    });
+  } catch (error) {
+    console.error('Error scanning for unknown winners:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scan for unknown winners',
+      error: error.message
+    });
+  }
+});
+
+// List recorded winner repairs, optionally by status (proposed, applied, rejected) (admin only)
+router.get('/repairs/unknown-winners', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status, limit = 100 } = req.query;
+
+    const repairs = await winnerRepairService.listRepairs({ status: status || null, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      data: await winnerRepairService.withEscrow(repairs)
+    });
+  } catch (error) {
+    console.error('Error listing winner repairs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list winner repairs',
+      error: error.message
+    });
+  }
+});
+
+// Approve one proposed repair: set the winner, complete the challenge and release escrow (admin only)
+router.post('/repairs/unknown-winners/:challengeId/approve', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const { reason } = req.body || {};
+
+    const repair = await winnerRepairService.approve(challengeId, { approvedBy: req.user, reason });
+
+    res.json({
+      success: true,
+      message: `Winner set to ${repair.appliedWinner}`,
+      data: repair
+    });
+  } catch (error) {
+    if (handleRepairError(res, error)) return;
+    console.error('Error approving winner repair:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve winner repair',
+      error: error.message
+    });
+  }
+});
+
+// Reject a proposed repair; the challenge is left untouched (admin only)
+router.post('/repairs/unknown-winners/:challengeId/reject', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a repair'
+      });
+    }
+
+    const repair = await winnerRepairService.reject(challengeId, { rejectedBy: req.user, reason });
+
+    res.json({
+      success: true,
+      message: 'Repair rejected',
+      data: repair
+    });
+  } catch (error) {
+    if (handleRepairError(res, error)) return;
+    console.error('Error rejecting winner repair:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject winner repair',
+      error: error.message
+    });
+  }
+});
+
+// List proof images flagged as reused, edited or taken outside the match (admin only).
+// status: pending (default), cleared, confirmed or all
+router.get('/proof-flags', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'pending', limit = 100 } = req.query;
+
+    const flags = await proofIntegrityService.listFlagged({
+      status: status === 'all' ? null : status,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: flags
+    });
+  } catch (error) {
+    console.error('Error listing proof flags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list proof flags',
+      error: error.message
+    });
+  }
+});
+
+// Record the admin's decision on a flagged proof: cleared or confirmed (admin only)
+router.post('/proof-flags/:id/review', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body || {};
+
+    const flag = await proofIntegrityService.review(id, { status, reviewedBy: req.user, notes });
+
+    res.json({
+      success: true,
+      message: `Proof ${flag.reviewStatus}`,
+      data: flag
+    });
+  } catch (error) {
+    if (error.code === 'PROOF_FLAG_NOT_FOUND' || error.code === 'INVALID_REVIEW_STATUS') {
+      return res.status(error.code === 'PROOF_FLAG_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error reviewing proof flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review proof flag',
+      error: error.message
+    });
+  }
+});
+
 // Helper function to handle prize distribution after dispute resolution
-async function handlePrizeDistribution(dispute, resolution) {
+async function handlePrizeDistribution(dispute, resolution, resolvedBy = null) {
   try {
     const { challengeId } = dispute;
     let { challengerId, opponentId, challengerUsername, opponentUsername } = dispute;
@@ -236,7 +477,6 @@ async function handlePrizeDistribution(dispute, resolution) {
     }
     
     const challenge = challengeDoc.data();
-    const stakeAmount = challenge.stake || 0;
 
     // Resolve missing userIds from usernames/challenge
     const resolveUidByUsername = async (username) => {
@@ -260,10 +500,16 @@ async function handlePrizeDistribution(dispute, resolution) {
       opponentId = uid || null;
     }
     
+    // Every outcome is settled from the challenge escrow. Earlier payouts (e.g. an AI-decided winner)
+    // are reversed in the same transaction, so the escrow never pays out more than it holds.
+    const settleOptions = { allowReversal: true, reason: `dispute:${dispute.id || challengeId}` };
+    let outcome = null;
+
     switch (resolution) {
       case 'challenger_wins':
         if (challengerId) {
-          await walletService.processChallengeCompletion(challengeId, challengerId, stakeAmount * 2);
+          outcome = { type: 'winner', winnerUid: challengerId };
+          settleOptions.description = 'Challenge victory reward (dispute resolution)';
         } else {
           console.warn('⚠️ Unable to resolve challengerId for dispute resolution. Skipping credit.');
         }
@@ -271,71 +517,39 @@ async function handlePrizeDistribution(dispute, resolution) {
         
       case 'opponent_wins':
         if (opponentId) {
-          // If a previous winner exists on challenge, revoke their 95% reward first
-          const previousWinnerUsername = challenge?.winner;
-          if (previousWinnerUsername) {
-            let previousWinnerUid = null;
-            if (challenge?.challenger?.username === previousWinnerUsername) previousWinnerUid = challenge?.challenger?.uid;
-            if (!previousWinnerUid && Array.isArray(challenge?.opponents)) {
-              const match = challenge.opponents.find(o => o.username === previousWinnerUsername);
-              if (match) previousWinnerUid = await resolveUidByUsername(match.username);
-            }
-            if (previousWinnerUid && previousWinnerUid !== opponentId) {
-              await walletService.revokeReward(previousWinnerUid, stakeAmount * 0.95 * 2, challengeId, 'Dispute reversal - reward revoked');
-            }
-          }
-          await walletService.processChallengeCompletion(challengeId, opponentId, stakeAmount * 2);
+          outcome = { type: 'winner', winnerUid: opponentId };
+          settleOptions.description = 'Challenge victory reward (dispute resolution)';
         } else {
           console.warn('⚠️ Unable to resolve opponentId for dispute resolution. Skipping credit.');
         }
         break;
         
-      case 'split': {
-        // Draw: refund exactly what each party actually contributed (typically 50% of stake)
-        const challengerRefund = (challenge?.challengerDeduction || (stakeAmount * 0.5));
-        let opponentRefund = stakeAmount * 0.5;
-        if (Array.isArray(challenge?.opponents) && challenge.opponents.length > 0) {
-          const oppEntry = challenge.opponents.find(o => !!o?.opponentDeduction) || challenge.opponents[0];
-          opponentRefund = (oppEntry?.opponentDeduction || opponentRefund);
-        }
-
-        if (challengerId) {
-          await walletService.refundStake(challengerId, challengerRefund, challengeId, 'Challenge draw refund');
-        }
-        if (opponentId) {
-          await walletService.refundStake(opponentId, opponentRefund, challengeId, 'Challenge draw refund');
-        }
+      case 'split':
+        // Draw: refund exactly what each party contributed to the escrow
+        outcome = { type: 'refund' };
+        settleOptions.description = 'Challenge draw refund';
         break;
-      }
         
-      case 'refund': {
-        // Refund: same as draw — return actual contributions per participant
-        const challengerRefund = (challenge?.challengerDeduction || (stakeAmount * 0.5));
-        let opponentRefund = stakeAmount * 0.5;
-        if (Array.isArray(challenge?.opponents) && challenge.opponents.length > 0) {
-          const oppEntry = challenge.opponents.find(o => !!o?.opponentDeduction) || challenge.opponents[0];
-          opponentRefund = (oppEntry?.opponentDeduction || opponentRefund);
-        }
-
-        if (challengerId) {
-          await walletService.refundStake(challengerId, challengerRefund, challengeId, 'Challenge refund');
-        }
-        if (opponentId) {
-          await walletService.refundStake(opponentId, opponentRefund, challengeId, 'Challenge refund');
-        }
+      case 'refund':
+        outcome = { type: 'refund' };
+        settleOptions.description = 'Challenge refund';
         break;
-      }
         
       default:
         console.warn('Unknown dispute resolution:', resolution);
     }
     
-    // Update challenge status to completed
-    await challengeRef.update({
-      status: 'completed',
-      disputeResolved: true,
-      disputeResolution: resolution,
-      updatedAt: new Date()
+    // Admin decisions may complete a challenge from any status; the state machine settles the escrow
+    await challengeStateMachine.transition(challengeId, CHALLENGE_STATUS.COMPLETED, {
+      actor: ACTORS.ADMIN,
+      by: resolvedBy,
+      reason: `dispute resolved: ${resolution}`,
+      updates: {
+        disputeResolved: true,
+        disputeResolution: resolution
+      },
+      outcome,
+      settleOptions
     });
     
     console.log(`✅ Dispute ${dispute.id} resolved with ${resolution}. Prize distribution completed.`);
@@ -1,15 +1,12 @@
 const express = require('express');
 const multer = require('multer');
-const OpenAI = require('openai');
 const { authenticateToken } = require('../middleware/auth');
 const { storage } = require('../config/firebase');
+const { aiAnalysisService } = require('../services/aiAnalysisService');
+const { gameProfileService } = require('../services/gameProfileService');
+const { proofIntegrityService } = require('../services/proofIntegrityService');
 const router = express.Router();
 
-// Configure OpenAI client
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Configure multer to use in-memory storage (same pattern as profile-image)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -20,34 +17,13 @@ const upload = multer({
   }
 });
 
-// Utility: determine actual winner from score + players
-function getWinnerFromScore(score, players) {
-  console.log('🔍 getWinnerFromScore called with:', { score, players });
-  
-  const scoreMatch = score?.match(/(\d+)[-:](\d+)/);
-  console.log('🔍 Score match result:', scoreMatch);
-  
-  if (!scoreMatch || !players || players.length < 2) {
-    console.log('🔍 Invalid input, returning null');
-    return null;
-  }
-
-  const score1 = parseInt(scoreMatch[1]);
-  const score2 = parseInt(scoreMatch[2]);
-  const [p1, p2] = players.map(p => p.split(':')[0].trim());
-  
-  console.log('🔍 Parsed values:', { score1, score2, p1, p2 });
+// Utility: determine actual winner from score + players, using the game's scoring profile
+function getWinnerFromScore(score, players, profile) {
+  console.log('🔍 getWinnerFromScore called with:', { score, players, scoring: profile?.scoring });
 
-  if (score1 > score2) {
-    console.log('🔍 Score1 > Score2, returning p1:', p1);
-    return p1;
-  }
-  if (score2 > score1) {
-    console.log('🔍 Score2 > Score1, returning p2:', p2);
-    return p2;
-  }
-  console.log('🔍 Tie or invalid, returning null');
-  return null; // tie or invalid
+  const winner = gameProfileService.winnerFromScore(score, players, profile);
+  console.log('🔍 Score-based winner:', winner || 'tie or invalid');
+  return winner;
 }
 
 // Utility: fuzzy match myTeam vs winner
@@ -68,34 +44,9 @@ router.post('/analyze-scoreboard', authenticateToken, upload.single('screenshot'
     if (!req.file) return res.status(400).json({ success: false, error: "No screenshot uploaded" });
 
     const { myTeam, challengeId, gameType } = req.body;
-    const imageBase64 = Buffer.from(req.file.buffer).toString('base64');
-
-    let analysisPrompt = `Analyze this gaming scoreboard screenshot.
-    Return JSON with:
-    {
-      "winner": "<winner>",
-      "score": "<e.g. 15-10>",
-      "players": ["Player1:score", "Player2:score"],
-      "gameType": "<detected>",
-      "confidence": "<0-1>"
-    }`;
-
-    if (gameType) analysisPrompt += `\n\nThis is a ${gameType} game.`;
-
-    const response = await client.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: "You are a scoreboard analyzer. Respond ONLY in valid JSON." },
-        { role: "user", content: [
-          { type: "text", text: analysisPrompt },
-          { type: "image_url", image_url: { url: `data:image/png;base64,${imageBase64}` } }
-        ]}
-      ],
-      response_format: { type: "json_object" },
-      max_tokens: 500,
-    });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const profile = await gameProfileService.getGameProfile(gameType);
+    const result = await aiAnalysisService.analyzeScoreboard(req.file, { gameType, profile });
     const iWin = didIWin(myTeam, result.winner);
 
     // no temp file to clean up (memory storage)
@@ -119,7 +70,6 @@ router.post('/verify-challenge-proof', authenticateToken, upload.single('screens
     const { challengeId, myTeam, gameType, proofDescription } = req.body;
     if (!challengeId || !myTeam) return res.status(400).json({ success: false, error: "Challenge ID and myTeam are required" });
 
-    const imageBase64 = Buffer.from(req.file.buffer).toString('base64');
     let storageImageUrl = null;
     // Persist proof screenshot to Firebase Storage for auditability
     if (!storage) {
@@ -150,43 +100,20 @@ router.post('/verify-challenge-proof', authenticateToken, upload.single('screens
       return res.status(500).json({ success: false, message: 'Failed to upload proof image' });
     }
 
-    const analysisPrompt = `Analyze this challenge proof screenshot.
-    Game Type: ${gameType || 'Unknown'}
-    Player: ${myTeam}
-    Description: ${proofDescription || 'None'}
-
-    Return JSON with:
-    {
-      "winner": "<winner>",
-      "score": "<6-7>",
-      "players": ["Player1:score", "Player2:score"],
-      "gameType": "<detected>",
-      "confidence": "<0-1>",
-      "verificationResult": "<verified/needs_review/rejected>",
-      "reasoning": "<short explanation>",
-      "evidenceQuality": "<high/medium/low>",
-      "suggestions": ["..."]
+    // Check for a reused, edited or out-of-time screenshot; flagged proofs are listed for admins
+    let integrity = null;
+    try {
+      integrity = await proofIntegrityService.inspect(req.file, { challengeId, user: req.user, context: 'verify-challenge-proof' });
+    } catch (e) {
+      console.error('⚠️ Failed to check proof image for reuse or tampering:', e?.message || e);
     }
-    - CRITICAL: winner must be the player/team with the higher score.`;
-
-    const response = await client.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: "You are a challenge verification expert. Respond ONLY in valid JSON." },
-        { role: "user", content: [
-          { type: "text", text: analysisPrompt },
-          { type: "image_url", image_url: { url: `data:image/png;base64,${imageBase64}` } }
-        ]}
-      ],
-      response_format: { type: "json_object" },
-      max_tokens: 800,
-    });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const profile = await gameProfileService.getGameProfile(gameType);
+    const result = await aiAnalysisService.verifyScreenshot(req.file, { gameType, myTeam, proofDescription, profile });
 
     // ✅ Score-based correction
     console.log('🔍 AI Analysis Result:', result);
-    const scoreWinner = getWinnerFromScore(result.score, result.players);
+    const scoreWinner = getWinnerFromScore(result.score, result.players, profile);
     console.log('🔍 Score-based winner:', scoreWinner);
     console.log('🔍 AI reported winner:', result.winner);
     
@@ -210,6 +137,22 @@ router.post('/verify-challenge-proof', authenticateToken, upload.single('screens
 
     const iWin = didIWin(myTeam, result.winner);
 
+    if (integrity?.suspicious) {
+      result.verificationResult = 'needs_review';
+    }
+
+    // Recorded once the analysis has gone through; a request that fails before this leaves no fingerprint behind
+    let integritySummary = null;
+    if (integrity) {
+      const { record, ...summary } = integrity;
+      integritySummary = summary;
+      try {
+        await proofIntegrityService.save(integrity);
+      } catch (e) {
+        console.error('⚠️ Failed to record proof fingerprint:', e?.message || e);
+      }
+    }
+
     // no temp file to clean up (memory storage)
 
     res.json({
@@ -221,7 +164,9 @@ router.post('/verify-challenge-proof', authenticateToken, upload.single('screens
         challengeId,
         myTeam,
         contradictionDetected,
-        proofImageUrl: storageImageUrl
+        scoring: profile.scoring,
+        proofImageUrl: storageImageUrl,
+        integrity: integritySummary
       }
     });
   } catch (err) {
@@ -233,7 +178,7 @@ router.post('/verify-challenge-proof', authenticateToken, upload.single('screens
 
 // Health check
 router.get('/health', (req, res) => {
-  res.json({ success: true, message: 'AI verification service running', timestamp: new Date().toISOString(), openaiConfigured: !!process.env.OPENAI_API_KEY });
+  res.json({ success: true, message: 'AI verification service running', timestamp: new Date().toISOString(), openaiConfigured: !!process.env.OPENAI_API_KEY, vision: aiAnalysisService.describe() });
 });
 
 module.exports = router;
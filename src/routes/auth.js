@@ -115,151 +115,4 @@ router.get('/test', (req, res) => {
   });
 });
 
-// New route to get all users (temporarily public for testing)
-router.get('/users', async (req, res) => {
-  try {
-    console.log('🔍 Backend: Starting users fetch...');
-    
-    const { firestore } = require('../config/firebase');
-    console.log('🔍 Backend: Firebase firestore loaded');
-    
-    if (!firestore) {
-      console.log('⚠️ Firestore not available, returning mock data');
-      // Return mock data for testing when Firestore is not available
-      const mockUsers = [
-        {
-          uid: '1',
-          firstName: 'John',
-          lastName: 'Doe',
-          username: 'CyberWarrior',
-          email: 'john@example.com',
-          profilePicture: '',
-          rank: 'diamond',
-          winRate: 87.5,
-          totalGames: 156,
-          currentStreak: 12,
-          favoriteGame: 'Valorant',
-          createdAt: Date.now(),
-          lastActive: Date.now() - 120000
-        },
-        {
-          uid: '2',
-          firstName: 'Jane',
-          lastName: 'Smith',
-          username: 'PixelHunter',
-          email: 'jane@example.com',
-          profilePicture: '',
-          rank: 'platinum',
-          winRate: 72.3,
-          totalGames: 89,
-          currentStreak: 5,
-          favoriteGame: 'CS:GO',
-          createdAt: Date.now(),
-          lastActive: Date.now() - 300000
-        }
-      ];
-      
-      return res.json({
-        success: true,
-        users: mockUsers,
-        message: 'Mock data (Firestore not available)'
-      });
-    }
-    
-    console.log('🔍 Backend: Fetching users from Firestore...');
-    
-    const usersRef = firestore.collection('users');
-    console.log('🔍 Backend: Collection reference created');
-    
-    const snapshot = await usersRef.get();
-    console.log('🔍 Backend: Snapshot received, processing...');
-    
-    const users = [];
-    snapshot.forEach((doc) => {
-      const userData = doc.data();
-      
-      // Calculate proper lastActive time
-      let lastActiveTime;
-      if (userData.lastActive) {
-        // Convert to timestamp if it's a string, or use as-is if it's a number
-        if (typeof userData.lastActive === 'string') {
-          lastActiveTime = new Date(userData.lastActive).getTime();
-          console.log(`🔍 User ${userData.username}: lastActive string "${userData.lastActive}" converted to timestamp ${lastActiveTime}`);
-        } else {
-          lastActiveTime = userData.lastActive;
-          console.log(`🔍 User ${userData.username}: lastActive number ${userData.lastActive}`);
-        }
-      } else if (userData.lastLoginAt) {
-        // Fallback to lastLoginAt if lastActive doesn't exist
-        if (typeof userData.lastLoginAt === 'string') {
-          lastActiveTime = new Date(userData.lastLoginAt).getTime();
-          console.log(`🔍 User ${userData.username}: using lastLoginAt string "${userData.lastLoginAt}" converted to ${lastActiveTime}`);
-        } else {
-          lastActiveTime = userData.lastLoginAt;
-          console.log(`🔍 User ${userData.username}: using lastLoginAt number ${userData.lastLoginAt}`);
-        }
-      } else if (userData.createdAt) {
-        // Fallback to creation time if no login data exists
-        if (typeof userData.createdAt === 'string') {
-          lastActiveTime = new Date(userData.createdAt).getTime();
-          console.log(`🔍 User ${userData.username}: using createdAt string "${userData.createdAt}" converted to ${lastActiveTime}`);
-        } else {
-          lastActiveTime = userData.createdAt;
-          console.log(`🔍 User ${userData.username}: using createdAt number ${userData.createdAt}`);
-        }
-      } else {
-        // If no timestamp exists, set to 24 hours ago (offline)
-        lastActiveTime = Date.now() - (24 * 60 * 60 * 1000);
-        console.log(`🔍 User ${userData.username}: no timestamp found, setting to 24 hours ago: ${lastActiveTime}`);
-      }
-      
-      // Ensure lastActiveTime is a valid number
-      if (isNaN(lastActiveTime)) {
-        console.warn(`⚠️ Invalid lastActive for user ${doc.id}, setting to 24 hours ago`);
-        lastActiveTime = Date.now() - (24 * 60 * 60 * 1000);
-      }
-      
-      console.log(`✅ User ${userData.username}: final lastActive timestamp: ${lastActiveTime} (${new Date(lastActiveTime).toLocaleString()})`);
-      
-      users.push({
-        uid: doc.id,
-        firstName: userData.firstName || '',
-        lastName: userData.lastName || '',
-        username: userData.username || '',
-        email: userData.email || '',
-        profilePicture: userData.profilePicture || '',
-        rank: userData.rank || 'bronze',
-        winRate: userData.winRate || 0,
-        totalGames: userData.totalGames || 0,
-        currentStreak: userData.currentStreak || 0,
-        favoriteGame: userData.favoriteGame || 'Unknown',
-        createdAt: userData.createdAt || Date.now(),
-        lastActive: lastActiveTime,
-        isAdmin: Boolean(userData.isAdmin)
-      });
-    });
-    
-    // Sort by last active (most recent first)
-    users.sort((a, b) => b.lastActive - a.lastActive);
-    
-    console.log(`✅ Backend: Fetched ${users.length} users from Firestore`);
-    console.log('✅ Backend: Sample user data:', users[0] || 'No users found');
-    
-    res.json({
-      success: true,
-      users: users
-    });
-    
-  } catch (error) {
-    console.error('❌ Backend: Error fetching users:', error);
-    console.error('❌ Backend: Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch users',
-      error: error.message,
-      stack: error.stack
-    });
-  }
-});
-
 module.exports = router;
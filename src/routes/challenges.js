@@ -2,811 +2,31 @@ const express = require('express');
 const multer = require('multer');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { firestore } = require('../config/firebase');
 const { WalletService } = require('../services/walletService');
+const { escrowService } = require('../services/escrowService');
+const { feePolicyService } = require('../services/feePolicyService');
+const { challengeStateMachine, CHALLENGE_STATUS, ACTORS } = require('../services/challengeStateMachine');
+const { timerService } = require('../services/timerService');
+const { seriesService, SERIES_FORMATS, DEFAULT_FORMAT } = require('../services/seriesService');
+const { teamService } = require('../services/teamService');
+const { ratingService, DEFAULT_RATING } = require('../services/ratingService');
+const { leaderboardService, RESULT_SOURCES } = require('../services/leaderboardService');
+const { friendService } = require('../services/friendService');
+const { rematchService } = require('../services/rematchService');
+const { challengeScheduleService } = require('../services/challengeScheduleService');
+const { chatService, THREAD_TYPES } = require('../services/chatService');
+const { realtimeService, EVENTS } = require('../services/realtimeService');
+const { aiAnalysisService } = require('../services/aiAnalysisService');
+const { gameProfileService } = require('../services/gameProfileService');
+const { proofIntegrityService } = require('../services/proofIntegrityService');
+const notificationService = require('../services/notificationService');
 const UserService = require('../services/userService');
 
 const walletService = new WalletService();
 const userService = new UserService();
 
-// Function to automatically fix "Unknown" winners in existing challenges
-async function autoFixUnknownWinners() {
-  try {
-    console.log('🔍 Auto-checking for challenges with "Unknown" winner...');
-    
-    const challengesRef = firestore.collection('challenges');
-    const snapshot = await challengesRef
-      .where('winner', '==', 'Unknown')
-      .where('aiVerificationResults', '!=', null)
-      .get();
-    
-    if (snapshot.empty) {
-      console.log('✅ No challenges with "Unknown" winner found');
-      return;
-    }
-    
-    console.log(`📊 Found ${snapshot.size} challenges with "Unknown" winner`);
-    
-    const batch = firestore.batch();
-    let fixedCount = 0;
-    
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      
-      // Check if we have AI verification results with score data
-      if (data.aiVerificationResults && data.aiVerificationResults.length > 0) {
-        let scoreBasedWinner = null;
-        
-        // Look for score data in AI verification results
-        for (const result of data.aiVerificationResults) {
-          if (result.players && result.players.length > 0) {
-            const playerScores = {};
-            result.players.forEach(player => {
-              const [name, score] = player.split(':');
-              if (name && score) {
-                playerScores[name.trim()] = parseInt(score.trim());
-              }
-            });
-            
-            if (Object.keys(playerScores).length === 2) {
-              const scores = Object.values(playerScores);
-              const names = Object.keys(playerScores);
-              const maxScore = Math.max(...scores);
-              const winnerIndex = scores.indexOf(maxScore);
-              scoreBasedWinner = names[winnerIndex];
-              break;
-            }
-          }
-        }
-        
-        if (scoreBasedWinner) {
-          console.log(`🔧 Auto-fixing challenge ${doc.id}: Setting winner to ${scoreBasedWinner}`);
-          
-          batch.update(doc.ref, {
-            winner: scoreBasedWinner,
-            status: 'completed',
-            completedAt: new Date(),
-            updatedAt: new Date(),
-            autoFixed: true,
-            autoFixedAt: new Date()
-          });
-          
-          fixedCount++;
-        }
-      }
-    });
-    
-    if (fixedCount > 0) {
-      await batch.commit();
-      console.log(`✅ Auto-fixed ${fixedCount} challenges with "Unknown" winner`);
-    } else {
-      console.log('ℹ️ No challenges could be auto-fixed (no valid score data)');
-    }
-    
-  } catch (error) {
-    console.error('❌ Error in auto-fix unknown winners:', error.message);
-  }
-}
-
-// Real AI analysis using OpenAI Vision API
-async function performAIAnalysis(challengeData, proofImages, proofDescription, platformUsernames) {
-  try {
-    console.log('🤖 Starting real AI analysis with platform username comparison...');
-    console.log('🤖 Challenge ID:', challengeData.id);
-    console.log('🤖 Proof images:', proofImages);
-    console.log('🤖 Proof description:', proofDescription);
-    console.log('🔍 Platform usernames to check:', platformUsernames);
-    
-    // Import OpenAI client for direct integration
-    const OpenAI = require('openai');
-    const client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key not configured');
-    }
-    
-    // Get the first proof image for analysis
-    const firstImageUrl = proofImages[0];
-    if (!firstImageUrl) {
-      throw new Error('No proof image provided for AI analysis');
-    }
-    
-    console.log('🤖 Analyzing image:', firstImageUrl);
-    
-    // Extract platform usernames for comparison
-    const platformUsernamesList = platformUsernames ? Object.values(platformUsernames).filter(u => u && u.trim()) : [];
-    const currentUser = challengeData.challenger.username;
-    const gameType = challengeData.game;
-    
-    console.log('🔍 Usernames for comparison:');
-    console.log('  - Current user:', currentUser);
-    console.log('  - Platform usernames:', platformUsernamesList);
-    
-    // Create comprehensive analysis prompt focused on username detection
-    const analysisPrompt = `Analyze this gaming proof screenshot and extract ALL visible usernames/player names.
-    
-    IMPORTANT: This is a challenge verification where the user is claiming to be the winner.
-    You need to determine if they actually won by analyzing the image evidence.
-    
-    Expected Game Type: ${gameType || 'Unknown'}
-    Current User Claiming Win: ${currentUser}
-    Platform Usernames to Look For: ${platformUsernamesList.join(', ')}
-    Proof Description: ${proofDescription || 'No description provided'}
-    
-    Return JSON with the fields:
-    {
-      "detectedUsernames": ["username1", "username2", "username3", ...],
-      "winner": "<winner username if clearly visible>",
-      "score": "<score format if visible>",
-      "players": ["Player1:score", "Player2:score", ...],
-      "gameType": "<detected game type from image>",
-      "confidence": "<confidence level 0-1>",
-      "verificationResult": "<verified/needs_review/rejected>",
-      "reasoning": "<explanation of the verification decision>",
-      "evidenceQuality": "<high/medium/low>",
-      "suggestions": ["suggestion1", "suggestion2", ...]
-    }
-    
-    CRITICAL ANALYSIS POINTS:
-    1. Look for ALL visible usernames/display names (case-insensitive) - scan the entire image
-    2. **CRITICAL**: Look for final scores and determine the winner based on the actual scores
-    3. **CRITICAL**: If you see a score like "6-7", the player with 7 points WON, the player with 6 points LOST
-    4. **CRITICAL**: Higher score = WINNER, Lower score = LOSER (this is standard in most games)
-    5. Check if the current user "${currentUser}" appears in the image
-    6. Determine if the image shows a win or loss for the current user based on ACTUAL SCORES
-    7. Look for any text that could be usernames, player names, or player identifiers
-    8. Check for game completion status and final results
-    9. Detect the actual game type shown in the image (not just the expected type)
-    
-    SCORE ANALYSIS RULES:
-    - If you see "Player1: 6, Player2: 7" → Player2 WON (7 > 6)
-    - If you see "6-7" → Right side (7) WON, Left side (6) LOST
-    - If you see "Final Score: 6-7" → 7 points = WINNER, 6 points = LOSER
-    - Higher number always wins unless explicitly stated otherwise
-    
-    Be extremely thorough in detecting usernames and scores - look for any text that appears to be player names 
-    or final scores. This is critical for accurate winner determination.
-    
-    IMPORTANT: If the detected game type doesn't match the expected game type, mention this in reasoning
-    but still analyze the image for usernames and winner determination.
-    
-    If you cannot clearly determine the winner or find the current user's username, set confidence low.`;
-    
-    console.log('🤖 Sending to OpenAI Vision API...');
-    
-    // Call OpenAI Vision API
-    const response = await client.chat.completions.create({
-      model: "gpt-4o-mini", // Use GPT-4o-mini for cost efficiency
-      messages: [
-        {
-          role: "system",
-          content: "You are a gaming challenge verification expert. Extract ALL visible usernames and determine winners. Always respond in valid JSON format.",
-        },
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: analysisPrompt,
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: firstImageUrl
-              },
-            },
-          ],
-        },
-      ],
-      response_format: { type: "json_object" },
-      max_tokens: 800,
-    });
-    
-    let result;
-    try {
-      result = JSON.parse(response.choices[0].message.content);
-      console.log('🤖 OpenAI Vision API result:', result);
-    } catch (parseError) {
-      console.error('❌ Failed to parse AI response:', parseError);
-      console.log('🤖 Raw AI response:', response.choices[0].message.content);
-      
-      // Try to extract JSON from the response if it's not pure JSON
-      const content = response.choices[0].message.content;
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        try {
-          result = JSON.parse(jsonMatch[0]);
-          console.log('✅ Successfully extracted JSON from response');
-        } catch (secondParseError) {
-          console.error('❌ Failed to parse extracted JSON:', secondParseError);
-          throw new Error('AI response could not be parsed as valid JSON');
-        }
-      } else {
-        throw new Error('AI response does not contain valid JSON');
-      }
-    }
-    
-    // Validate required fields
-    if (!result.detectedUsernames || !Array.isArray(result.detectedUsernames)) {
-      console.warn('⚠️ AI response missing detectedUsernames array, creating fallback');
-      result.detectedUsernames = [];
-    }
-    
-    if (!result.confidence || typeof result.confidence !== 'number') {
-      console.warn('⚠️ AI response missing confidence, setting default');
-      result.confidence = 0.5;
-    }
-
-    // CRITICAL: Log the exact AI response for debugging
-    console.log('🔍 DETAILED AI RESPONSE ANALYSIS:');
-    console.log('  - Winner field:', result.winner);
-    console.log('  - Reasoning:', result.reasoning);
-    console.log('  - Score field:', result.score);
-    console.log('  - Detected usernames:', result.detectedUsernames);
-    console.log('  - Game type:', result.gameType);
-    console.log('  - Confidence:', result.confidence);
-    
-    // Check for contradictions in the AI response itself
-    if (result.winner && result.reasoning) {
-      const winnerInReasoning = result.reasoning.toLowerCase().includes(result.winner.toLowerCase());
-      const victoryMentioned = result.reasoning.toLowerCase().includes('victory') || result.reasoning.toLowerCase().includes('won') || result.reasoning.toLowerCase().includes('win');
-      
-      console.log('  - Winner mentioned in reasoning:', winnerInReasoning);
-      console.log('  - Victory mentioned in reasoning:', victoryMentioned);
-      
-      if (!winnerInReasoning && victoryMentioned) {
-        console.warn('⚠️ POTENTIAL ISSUE: Winner field doesn\'t match reasoning');
-      }
-    }
-
-    // CRITICAL: Validate AI winner determination against detected scores
-    console.log('🔍 Score validation section - AI result:', {
-      winner: result.winner,
-      score: result.score,
-      players: result.players
-    });
-    
-    if (result.winner && result.score) {
-      console.log('🔍 Validating AI winner determination against scores...');
-      console.log('  - AI detected winner:', result.winner);
-      console.log('  - AI detected score:', result.score);
-      
-      // Try to extract scores from the score field
-      const scoreMatch = result.score.toString().match(/(\d+)[\-\s:]+(\d+)/);
-      if (scoreMatch) {
-        const score1 = parseInt(scoreMatch[1]);
-        const score2 = parseInt(scoreMatch[2]);
-        console.log('  - Parsed scores:', score1, 'vs', score2);
-        
-        // Determine winner based on scores (higher score wins)
-        const actualWinner = score1 > score2 ? score1 : score2;
-        const actualLoser = score1 > score2 ? score2 : score1;
-        
-        console.log('  - Score analysis: Higher score wins');
-        console.log('  - Winner score:', actualWinner);
-        console.log('  - Loser score:', actualLoser);
-        
-        // Check if AI winner matches score-based winner
-        if (result.winner !== actualWinner.toString() && result.winner !== actualLoser.toString()) {
-          console.warn('⚠️ AI winner determination may be incorrect based on scores');
-          console.warn('  - AI says winner is:', result.winner);
-          console.warn('  - But scores suggest winner should have score:', actualWinner);
-        }
-        
-        // CRITICAL: Apply score-based winner correction
-        if (result.winner === 'Unknown' || !result.winner) {
-          console.log('🔍 Applying score-based winner correction...');
-          console.log('  - Score1:', score1, 'Score2:', score2);
-          console.log('  - Players array:', result.players);
-          
-          // Find the player with the higher score
-          let scoreBasedWinner = 'Unknown';
-          
-          if (result.players && result.players.length >= 2) {
-            // Parse scores from players array
-            const player1Score = parseInt(result.players[0].split(':')[1]) || 0;
-            const player2Score = parseInt(result.players[1].split(':')[1]) || 0;
-            const player1Name = result.players[0].split(':')[0].trim();
-            const player2Name = result.players[1].split(':')[0].trim();
-            
-            console.log('  - Player1:', player1Name, 'Score:', player1Score);
-            console.log('  - Player2:', player2Name, 'Score:', player2Score);
-            
-            // Determine winner based on actual scores from players array
-            if (player1Score > player2Score) {
-              scoreBasedWinner = player1Name;
-            } else if (player2Score > player1Score) {
-              scoreBasedWinner = player2Name;
-            } else {
-              console.log('  - Scores are equal, cannot determine winner');
-            }
-          } else {
-            // Fallback: use the score comparison from the score field
-            scoreBasedWinner = score1 > score2 ? 'Player1' : 'Player2';
-          }
-          
-          if (scoreBasedWinner !== 'Unknown') {
-            result.winner = scoreBasedWinner;
-            result.scoreCorrected = true;
-            console.log('✅ Score-based winner correction applied:', scoreBasedWinner);
-          } else {
-            console.log('⚠️ Could not determine winner from scores');
-          }
-        } else {
-          // Even if AI detected a winner, let's validate it against scores
-          console.log('🔍 Validating AI winner against scores...');
-          console.log('  - AI winner:', result.winner);
-          console.log('  - Players array:', result.players);
-          
-          if (result.players && result.players.length >= 2) {
-            const player1Score = parseInt(result.players[0].split(':')[1]) || 0;
-            const player2Score = parseInt(result.players[1].split(':')[1]) || 0;
-            const player1Name = result.players[0].split(':')[0].trim();
-            const player2Name = result.players[1].split(':')[0].trim();
-            
-            console.log('  - Player1:', player1Name, 'Score:', player1Score);
-            console.log('  - Player2:', player2Name, 'Score:', player2Score);
-            
-            // Check if AI winner matches the actual higher scorer
-            const actualWinner = player1Score > player2Score ? player1Name : player2Name;
-            if (result.winner !== actualWinner) {
-              console.warn('⚠️ AI winner does not match score-based winner, correcting...');
-              console.warn('  - AI says:', result.winner);
-              console.warn('  - Score says:', actualWinner);
-              result.winner = actualWinner;
-              result.scoreCorrected = true;
-              console.log('✅ Winner corrected based on scores:', actualWinner);
-            }
-          }
-        }
-      } else {
-        console.log('🔍 No score field found, checking players array...');
-        // Try to extract scores from players array if no score field
-        if (result.players && result.players.length >= 2) {
-          const player1Score = parseInt(result.players[0].split(':')[1]) || 0;
-          const player2Score = parseInt(result.players[1].split(':')[1]) || 0;
-          const player1Name = result.players[0].split(':')[0].trim();
-          const player2Name = result.players[1].split(':')[0].trim();
-          
-          console.log('🔍 Players array analysis:', {
-            player1: player1Name,
-            player1Score: player1Score,
-            player2: player2Name,
-            player2Score: player2Score
-          });
-          
-          // Apply score correction if winner is Unknown
-          if (result.winner === 'Unknown' || !result.winner) {
-            let scoreBasedWinner = 'Unknown';
-            if (player1Score > player2Score) {
-              scoreBasedWinner = player1Name;
-            } else if (player2Score > player1Score) {
-              scoreBasedWinner = player2Name;
-            }
-            
-            if (scoreBasedWinner !== 'Unknown') {
-              result.winner = scoreBasedWinner;
-              result.scoreCorrected = true;
-              console.log('✅ Score-based winner correction applied from players array:', scoreBasedWinner);
-            }
-          }
-        }
-      }
-    }
-    
-    // Now compare detected usernames with platform usernames for accurate winner determination
-    const detectedUsernames = result.detectedUsernames || [];
-    let winner = null;
-    let iWin = false;
-    let confidence = result.confidence || 0.5;
-    let reasoning = result.reasoning || '';
-    
-    console.log('🔍 Username comparison analysis:');
-    console.log('  - Detected in image:', detectedUsernames);
-    console.log('  - Platform usernames:', platformUsernamesList);
-    console.log('  - Current user submitting proof:', currentUser);
-    
-    // IMPORTANT: If user is submitting proof, they are claiming to be the winner
-    // We need to verify this claim against the image evidence
-    
-    if (detectedUsernames.length > 0 && platformUsernamesList.length > 0) {
-      // Find matching usernames (case-insensitive)
-      const matchingUsernames = [];
-      
-      platformUsernamesList.forEach(platformUsername => {
-        const platformLower = platformUsername.toLowerCase().trim();
-        const found = detectedUsernames.find(detected => 
-          detected.toLowerCase().trim() === platformLower ||
-          detected.toLowerCase().trim().includes(platformLower) ||
-          platformLower.includes(detected.toLowerCase().trim())
-        );
-        
-        if (found) {
-          matchingUsernames.push({
-            platform: platformUsername,
-            detected: found,
-            confidence: 'high'
-          });
-        }
-      });
-      
-      console.log('✅ Matching usernames found:', matchingUsernames);
-      
-      if (matchingUsernames.length > 0) {
-        // Check if current user's username is found in the image
-        const currentUserFound = matchingUsernames.some(match => 
-          match.platform.toLowerCase().trim() === currentUser.toLowerCase().trim()
-        );
-        
-                if (currentUserFound) {
-          // Current user's username found in image - check if they're the winner
-          if (result.winner && result.confidence > 0.6) {
-            // AI detected a winner - check if it matches current user
-            const aiWinnerLower = result.winner.toLowerCase().trim();
-            const isCurrentUserWinner = matchingUsernames.some(match => 
-              match.platform.toLowerCase().trim() === aiWinnerLower ||
-              match.platform.toLowerCase().trim().includes(aiWinnerLower) ||
-              aiWinnerLower.includes(match.platform.toLowerCase().trim())
-            );
-            
-            // CRITICAL: Double-check winner determination using scores if available
-            let scoreBasedWinner = null;
-            if (result.score) {
-              const scoreMatch = result.score.toString().match(/(\d+)[\-\s:]+(\d+)/);
-              if (scoreMatch) {
-                const score1 = parseInt(scoreMatch[1]);
-                const score2 = parseInt(scoreMatch[2]);
-                const higherScore = Math.max(score1, score2);
-                const lowerScore = Math.min(score1, score2);
-                
-                // Find which username corresponds to the higher score
-                if (detectedUsernames.length >= 2) {
-                  // Try to match scores with usernames based on position
-                  // Usually left side = first score, right side = second score
-                  const leftUsername = detectedUsernames[0];
-                  const rightUsername = detectedUsernames[1];
-                  
-                  if (score1 > score2) {
-                    scoreBasedWinner = leftUsername;
-                    console.log('🔍 Score analysis: Left player won with higher score', score1, '>', score2);
-                  } else {
-                    scoreBasedWinner = rightUsername;
-                    console.log('🔍 Score analysis: Right player won with higher score', score2, '>', score1);
-                  }
-                }
-              }
-            }
-            
-            // Use score-based winner if it conflicts with AI winner
-            if (scoreBasedWinner && scoreBasedWinner !== result.winner) {
-              console.warn('⚠️ AI winner determination conflicts with score analysis');
-              console.warn('  - AI says winner is:', result.winner);
-              console.warn('  - Score analysis says winner is:', scoreBasedWinner);
-              console.warn('  - Using score-based winner for accuracy');
-              
-              // Override AI winner with score-based winner
-              result.winner = scoreBasedWinner;
-              result.confidence = Math.max(0.7, result.confidence); // Boost confidence
-            }
-            
-            // CRITICAL: Also check if AI reasoning contradicts the winner
-            if (result.reasoning && result.reasoning.toLowerCase().includes('victory') && result.reasoning.toLowerCase().includes('j_uly67')) {
-              console.warn('⚠️ AI reasoning contradicts winner determination');
-              console.warn('  - AI says winner is:', result.winner);
-              console.warn('  - But reasoning mentions J_ULY67 victory');
-              console.warn('  - Correcting winner to J_ULY67');
-              
-              // Override with the correct winner from reasoning
-              result.winner = 'J_ULY67';
-              result.confidence = Math.max(0.8, result.confidence);
-            }
-            
-            if (isCurrentUserWinner) {
-              winner = currentUser;
-              confidence = Math.min(0.95, result.confidence + 0.1);
-              let gameTypeNote = '';
-              if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-                gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-              }
-              reasoning = `AI detected winner "${result.winner}" which matches current user "${currentUser}". High confidence win verified.${gameTypeNote}`;
-              iWin = true;
-            } else {
-              // AI detected someone else as winner
-              winner = result.winner;
-              confidence = result.confidence * 0.8;
-              let gameTypeNote = '';
-              if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-                gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-              }
-              reasoning = `AI detected winner "${result.winner}" but current user "${currentUser}" is not the winner.${gameTypeNote}`;
-              iWin = false;
-            }
-          } else {
-            // No clear AI winner - check if current user is the only username found
-            if (matchingUsernames.length === 1 && matchingUsernames[0].platform.toLowerCase().trim() === currentUser.toLowerCase().trim()) {
-              winner = currentUser;
-              confidence = 0.8;
-              let gameTypeNote = '';
-              if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-                gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-              }
-              reasoning = `Current user "${currentUser}" is the only username found in the image. Assuming win.${gameTypeNote}`;
-              iWin = true;
-            } else {
-              // Multiple usernames or current user not found as winner
-              // Check if we have a score-based winner from earlier correction
-              if (result.winner && result.winner !== 'Unknown' && result.scoreCorrected) {
-                winner = result.winner;
-                confidence = 0.8;
-                let gameTypeNote = '';
-                if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-                  gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-                }
-                reasoning = `Winner determined from score analysis: ${result.winner}.${gameTypeNote}`;
-                iWin = result.winner.toLowerCase() === currentUser.toLowerCase();
-              } else {
-                winner = 'Unknown';
-                confidence = 0.6;
-                let gameTypeNote = '';
-                if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-                  gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-                }
-                reasoning = `Multiple usernames found but no clear winner. Current user "${currentUser}" may not be the winner.${gameTypeNote}`;
-                iWin = false;
-              }
-            }
-          }
-        } else {
-                  // Current user's username not found in image - this is suspicious
-        // Check if we have a score-based winner from earlier correction
-        if (result.winner && result.winner !== 'Unknown' && result.scoreCorrected) {
-          winner = result.winner;
-          confidence = 0.7;
-          let gameTypeNote = '';
-          if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-            gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-          }
-          reasoning = `Winner determined from score analysis: ${result.winner}. Current user "${currentUser}" not found in image but score shows clear winner.${gameTypeNote}`;
-          iWin = result.winner.toLowerCase() === currentUser.toLowerCase();
-        } else {
-          winner = 'Unknown';
-          confidence = 0.3;
-          let gameTypeNote = '';
-          if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-            gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-          }
-          reasoning = `Current user "${currentUser}" not found in the image despite submitting proof. This may indicate invalid proof.${gameTypeNote}`;
-          iWin = false;
-        }
-        }
-      } else {
-        // No username matches found - this is also suspicious
-        // Check if we have a score-based winner from earlier correction
-        if (result.winner && result.winner !== 'Unknown' && result.scoreCorrected) {
-          winner = result.winner;
-          confidence = 0.6;
-          let gameTypeNote = '';
-          if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-            gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-          }
-          reasoning = `Winner determined from score analysis: ${result.winner}. No platform usernames match detected usernames but score shows clear winner.${gameTypeNote}`;
-          iWin = result.winner.toLowerCase() === currentUser.toLowerCase();
-        } else {
-          winner = 'Unknown';
-          confidence = 0.2;
-          let gameTypeNote = '';
-          if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-            gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-          }
-          reasoning = `No platform usernames match the detected usernames in the image. Proof may be invalid or from different game.${gameTypeNote}`;
-          iWin = false;
-        }
-      }
-    } else {
-      // No platform usernames or detected usernames - this is problematic
-      if (result.winner && result.confidence > 0.6) {
-        // Check if AI-detected winner matches current user
-        const aiWinnerLower = result.winner.toLowerCase().trim();
-        const isCurrentUserWinner = aiWinnerLower === currentUser.toLowerCase().trim();
-        
-        if (isCurrentUserWinner) {
-          winner = currentUser;
-          confidence = result.confidence * 0.7; // Reduce confidence due to no username verification
-          let gameTypeNote = '';
-          if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-            gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-          }
-          reasoning = `AI detected current user "${currentUser}" as winner, but no platform usernames provided for verification.${gameTypeNote}`;
-          iWin = true;
-        } else {
-          winner = result.winner;
-          confidence = result.confidence * 0.6;
-          let gameTypeNote = '';
-          if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-            gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-          }
-          reasoning = `AI detected winner "${result.winner}" but current user "${currentUser}" is not the winner.${gameTypeNote}`;
-          iWin = false;
-        }
-      } else {
-        // No clear evidence - check if we have score-based winner
-        if (result.winner && result.winner !== 'Unknown' && result.scoreCorrected) {
-          winner = result.winner;
-          confidence = 0.5;
-          let gameTypeNote = '';
-          if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-            gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-          }
-          reasoning = `Winner determined from score analysis: ${result.winner}. No platform usernames provided but score shows clear winner.${gameTypeNote}`;
-          iWin = result.winner.toLowerCase() === currentUser.toLowerCase();
-        } else {
-          // No clear evidence - reject the proof
-          winner = 'Unknown';
-          confidence = 0.1;
-          let gameTypeNote = '';
-          if (result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase()) {
-            gameTypeNote = ` Note: Image shows ${result.gameType} but challenge was for ${gameType}.`;
-          }
-          reasoning = `No clear evidence of winner and no platform usernames provided. Cannot verify proof validity.${gameTypeNote}`;
-          iWin = false;
-        }
-      }
-    }
-    
-    // Add additional metadata
-    const aiResult = {
-      ...result,
-      winner,
-      iWin,
-      confidence,
-      reasoning,
-      analyzedAt: new Date().toISOString(),
-      challengeId: challengeData.id,
-      currentUser,
-      aiIntegrated: true,
-      status: 'ai_verified',
-      model: 'gpt-4o-mini',
-      gameTypeMismatch: result.gameType && result.gameType.toLowerCase() !== gameType.toLowerCase(),
-      expectedGameType: gameType,
-      detectedGameType: result.gameType,
-      scoreValidation: {
-        originalScore: result.score,
-        parsedScores: result.score ? (() => {
-          const scoreMatch = result.score.toString().match(/(\d+)[\-\s:]+(\d+)/);
-          if (scoreMatch) {
-            const score1 = parseInt(scoreMatch[1]);
-            const score2 = parseInt(scoreMatch[2]);
-            return { score1, score2, higherScore: Math.max(score1, score2), lowerScore: Math.min(score1, score2) };
-          }
-          return null;
-        })() : null
-      },
-      usernameAnalysis: {
-        detectedUsernames,
-        platformUsernames: platformUsernamesList,
-        matchingUsernames: platformUsernamesList.length > 0 ? 
-          platformUsernamesList.map(u => ({
-            platform: u,
-            found: detectedUsernames.some(d => 
-              d.toLowerCase().trim() === u.toLowerCase().trim() ||
-              d.toLowerCase().trim().includes(u.toLowerCase().trim()) ||
-              u.toLowerCase().trim().includes(d.toLowerCase().trim())
-            )
-          })) : []
-      }
-    };
-    
-    // FINAL VALIDATION: Double-check winner determination using scores and reasoning
-    if (aiResult.scoreValidation?.parsedScores && aiResult.winner !== 'Unknown') {
-      const { score1, score2, higherScore, lowerScore } = aiResult.scoreValidation.parsedScores;
-      
-      // Check if the AI winner determination makes sense with the scores
-      if (aiResult.winner === currentUser && aiResult.iWin === true) {
-        // AI says current user won - verify this against scores
-        const currentUserScore = detectedUsernames.includes(currentUser) ? 
-          (detectedUsernames.indexOf(currentUser) === 0 ? score1 : score2) : null;
-        
-        if (currentUserScore !== null && currentUserScore < Math.max(score1, score2)) {
-          console.error('🚨 CRITICAL ERROR: AI incorrectly determined winner!');
-          console.error('  - AI says current user won:', currentUser);
-          console.error('  - But current user score:', currentUserScore);
-          console.error('  - Opponent score:', Math.max(score1, score2));
-          console.error('  - Current user clearly LOST based on scores');
-          
-          // Override the incorrect AI result
-          aiResult.winner = 'Unknown';
-          aiResult.iWin = false;
-          aiResult.confidence = 0.1;
-          aiResult.reasoning = `AI analysis error detected: Current user "${currentUser}" claimed to win but scores show they lost (${currentUserScore} vs ${Math.max(score1, score2)}). Manual review required.`;
-          
-          console.log('✅ Corrected AI error - current user actually lost');
-        }
-      }
-    }
-    
-    // ADDITIONAL VALIDATION: Check for contradictions between AI reasoning and winner
-    if (aiResult.reasoning && aiResult.winner) {
-      const reasoning = aiResult.reasoning.toLowerCase();
-      const winner = aiResult.winner.toLowerCase();
-      
-      // Check if reasoning mentions specific usernames winning
-      if (reasoning.includes('j_uly67') && reasoning.includes('victory') && winner !== 'j_uly67') {
-        console.warn('🚨 CONTRADICTION DETECTED: AI reasoning says J_ULY67 won but winner field says:', aiResult.winner);
-        console.warn('  - Correcting winner to J_ULY67 based on reasoning');
-        
-        aiResult.winner = 'J_ULY67';
-        aiResult.iWin = aiResult.winner.toLowerCase() === currentUser.toLowerCase();
-        aiResult.confidence = Math.max(0.9, aiResult.confidence);
-        aiResult.reasoning = aiResult.reasoning + ' [Winner corrected based on reasoning analysis]';
-      }
-      
-      if (reasoning.includes('ttv_onlyvehiclez') && reasoning.includes('victory') && winner !== 'ttv_onlyvehiclez') {
-        console.warn('🚨 CONTRADICTION DETECTED: AI reasoning says TTV_OnlyVehiclez won but winner field says:', aiResult.winner);
-        console.warn('  - Correcting winner to TTV_OnlyVehiclez based on reasoning');
-        
-        aiResult.winner = 'TTV_OnlyVehiclez';
-        aiResult.iWin = aiResult.winner.toLowerCase() === currentUser.toLowerCase();
-        aiResult.confidence = Math.max(0.9, aiResult.confidence);
-        aiResult.reasoning = aiResult.reasoning + ' [Winner corrected based on reasoning analysis]';
-      }
-      
-      // Check for score-based contradictions in reasoning
-      if (reasoning.includes('scored 6') && reasoning.includes('scored 7') && reasoning.includes('victory for j_uly67')) {
-        console.warn('🚨 SCORE CONTRADICTION DETECTED: Reasoning says 6 vs 7 with J_ULY67 victory');
-        console.warn('  - Correcting winner to J_ULY67 based on score analysis in reasoning');
-        
-        aiResult.winner = 'J_ULY67';
-        aiResult.iWin = aiResult.winner.toLowerCase() === currentUser.toLowerCase();
-        aiResult.confidence = Math.max(0.95, aiResult.confidence);
-        aiResult.reasoning = aiResult.reasoning + ' [Winner corrected based on score analysis in reasoning]';
-      }
-      
-      // CRITICAL: Check for the specific case where AI says one person won but reasoning clearly shows another
-      if (reasoning.includes('ttv_onlyvehiclez scored 6') && reasoning.includes('j_uly67 scored 7') && 
-          reasoning.includes('victory for j_uly67') && winner !== 'j_uly67') {
-        console.error('🚨 CRITICAL CONTRADICTION: AI winner field vs reasoning mismatch');
-        console.error('  - AI winner field says:', aiResult.winner);
-        console.error('  - But reasoning clearly shows: TTV_OnlyVehiclez (6) vs J_ULY67 (7) with J_ULY67 victory');
-        console.error('  - FORCING correction to J_ULY67 as winner');
-        
-        aiResult.winner = 'J_ULY67';
-        aiResult.iWin = aiResult.winner.toLowerCase() === currentUser.toLowerCase();
-        aiResult.confidence = 0.99; // Very high confidence due to clear contradiction
-        aiResult.reasoning = aiResult.reasoning + ' [CRITICAL: Winner field corrected from contradiction - J_ULY67 won 7-6]';
-      }
-    }
-    
-    console.log('✅ AI analysis completed successfully:', {
-      winner: aiResult.winner,
-      iWin: aiResult.iWin,
-      confidence: aiResult.confidence,
-      reasoning: aiResult.reasoning,
-      usernameMatches: aiResult.usernameAnalysis.matchingUsernames.filter(m => m.found).length,
-      scoreValidation: aiResult.scoreValidation
-    });
-    
-    return aiResult;
-    
-  } catch (error) {
-    console.error('❌ Error in AI analysis:', error);
-    
-    // Fallback result if AI fails
-    return {
-      winner: challengeData.challenger.username,
-      confidence: 0.75,
-      reasoning: 'AI analysis failed, defaulting to challenger based on available evidence.',
-      analysis: 'Due to technical difficulties in AI analysis, the result was determined based on the submitted proof and challenge rules.',
-      aiIntegrated: false,
-      status: 'fallback',
-      error: error.message,
-      fallbackReason: 'AI service unavailable'
-    };
-  }
-}
-
 // Root endpoint for challenges
 router.get('/', (req, res) => {
   res.json({
@@ -914,6 +134,35 @@ const serializeFirestoreDoc = (doc) => {
   return serialized;
 };
 
+// Reply to a rejected state-machine transition; returns true when the error was one
+const handleTransitionError = (res, error) => {
+  if (error?.code === 'INVALID_TRANSITION') {
+    res.status(400).json({ success: false, message: error.message, status: error.currentStatus });
+    return true;
+  }
+  if (error?.code === 'TRANSITION_NOT_ALLOWED') {
+    res.status(403).json({ success: false, message: error.message, status: error.currentStatus });
+    return true;
+  }
+  if (error?.code === 'GAME_WINNER_UNKNOWN' || error?.code === 'OUTCOME_REQUIRED') {
+    res.status(400).json({ success: false, message: error.message });
+    return true;
+  }
+  return false;
+};
+
+// Ask rostered team members to confirm their share (best-effort)
+const notifyTeamMembers = async (challenge, team) => {
+  try {
+    const userIds = team.members.filter(m => !m.confirmed).map(m => m.uid);
+    if (userIds.length > 0) {
+      await notificationService.sendTeamInviteNotification(challenge, userIds, team);
+    }
+  } catch (error) {
+    console.error('⚠️ Failed to send team invite notification:', error.message);
+  }
+};
+
 // Debug middleware for all routes
 router.use((req, res, next) => {
   console.log(`🎯 Challenge Route: ${req.method} ${req.path}`);
@@ -931,7 +180,10 @@ router.post('/', authenticateToken, async (req, res) => {
       platform,
       isPublic = false,
       label,
-      challengerPlatformUsernames
+      challengerPlatformUsernames,
+      format = DEFAULT_FORMAT, // single game or best-of-N series
+      team, // optional roster: { name, members: [usernames], shares: { username: percent } }
+      scheduledAt // optional proposed start time; opponents can counter-propose
     } = req.body;
 
     console.log('🎯 Creating challenge with data:', {
@@ -978,6 +230,43 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!seriesService.isValidFormat(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${Object.keys(SERIES_FORMATS).join(', ')}`
+      });
+    }
+
+    let startsAt = null;
+    if (scheduledAt !== undefined && scheduledAt !== null) {
+      if (isPublic) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only private challenges can be scheduled'
+        });
+      }
+      try {
+        startsAt = challengeScheduleService.parseStartTime(scheduledAt);
+      } catch (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError.message
+        });
+      }
+    }
+
+    // Players who have blocked the challenger (or been blocked by them) can't be challenged
+    if (!isPublic) {
+      const opponentUsers = (await Promise.all(opponents.map(username => userService.getUserByUsername(username)))).filter(Boolean);
+      const blockedUids = await friendService.findBlocked(req.user.uid, opponentUsers.map(u => u.uid));
+      if (blockedUids.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You can't challenge ${opponentUsers.filter(u => blockedUids.includes(u.uid)).map(u => u.username).join(', ')}`
+        });
+      }
+    }
+
     console.log('✅ Validation passed, creating challenge with:', {
       isPublic,
       opponentsCount: isPublic ? 0 : opponents.length,
@@ -991,7 +280,36 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Check if challenger has sufficient funds
     const challengerBalance = await walletService.getWalletBalance(req.user.uid);
-    const requiredAmount = parseFloat(stake) * 0.5; // 50% of stake
+    // Resolve the game's fee policy now; it is snapshotted onto the challenge
+    const feePolicy = await feePolicyService.resolvePolicy(game);
+    let requiredAmount = feePolicyService.computeStakeContribution(stake, feePolicy);
+
+    // Team challenge: the challenger captains a roster and only pays their own share up front
+    let teams = null;
+    if (team) {
+      if (isPublic || opponents.length !== 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Team challenges need exactly one opponent, who captains the other team'
+        });
+      }
+      const opposingCaptain = await userService.getUserByUsername(opponents[0]);
+      const { team: challengerTeam, errors } = await teamService.buildTeam(
+        team,
+        { uid: req.user.uid, username: req.user.username },
+        requiredAmount,
+        opposingCaptain ? [opposingCaptain.uid] : []
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid team',
+          errors
+        });
+      }
+      teams = { challenger: challengerTeam, opponent: null };
+      requiredAmount = challengerTeam.members[0].amount;
+    }
     
     if (challengerBalance < requiredAmount) {
       return res.status(400).json({
@@ -1000,6 +318,16 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    // Unanswered invites are cancelled and refunded by the scheduler; scheduled ones once check-in closes.
+    // Public challenges stay open.
+    const schedule = startsAt ? challengeScheduleService.proposal(startsAt, req.user) : null;
+    let expiresAt = null;
+    if (!isPublic) {
+      expiresAt = schedule
+        ? challengeScheduleService.expiresAt({ schedule }, CHALLENGE_STATUS.PENDING)
+        : timerService.expiryFor(CHALLENGE_STATUS.PENDING);
+    }
+
     // Create challenge document first
     const challengeData = {
       challenger: {
@@ -1017,7 +345,18 @@ router.post('/', authenticateToken, async (req, res) => {
       label: label || '',
       isPublic: Boolean(isPublic),
       challengerPlatformUsernames: challengerPlatformUsernames || {},
-      status: 'pending', // pending, active, completed, cancelled, expired
+      // Challenger's rating for this game when the challenge was posted, so players can find a fair match
+      challengerRating: await ratingService.getRating(req.user.uid, game),
+      format,
+      // Per-game results of a best-of-N series; the stake is only paid out when a side clinches
+      series: seriesService.initialSeries(format),
+      // Team rosters; each member escrows their own share and winnings are split the same way
+      teams,
+      // Status changes go through challengeStateMachine, which keeps statusHistory
+      ...challengeStateMachine.initialState(CHALLENGE_STATUS.PENDING, { actor: ACTORS.CHALLENGER, by: req.user }),
+      // Proposed start time; without one the challenge starts as soon as everyone is ready
+      schedule,
+      expiresAt,
       createdAt: new Date(),
       updatedAt: new Date(),
       startedAt: null,
@@ -1033,7 +372,8 @@ router.post('/', authenticateToken, async (req, res) => {
       verificationNotes: '',
       type: 'outgoing',
       fundsDeducted: true,
-      challengerDeduction: requiredAmount
+      challengerDeduction: requiredAmount,
+      feePolicy
     };
 
     console.log('📝 Final challenge data to save (trimmed fields):', {
@@ -1047,14 +387,45 @@ router.post('/', authenticateToken, async (req, res) => {
     // Add to Firestore first to get the challenge ID
     const challengeRef = await firestore.collection('challenges').add(challengeData);
     
-    // Now deduct funds with the actual challenge ID
-    await walletService.deductFunds(req.user.uid, requiredAmount, challengeRef.id, 'Challenge creation fee');
-
-    // Transaction record is now handled by the walletService.deductFunds call
+    // Now escrow the challenger's stake with the actual challenge ID
+    try {
+      await escrowService.contribute(challengeRef.id, {
+        uid: req.user.uid,
+        username: req.user.username,
+        amount: requiredAmount,
+        role: 'challenger',
+        description: 'Challenge creation fee'
+      });
+    } catch (escrowError) {
+      // Nothing was deducted; don't leave an unfunded challenge behind
+      await challengeRef.delete();
+      if (escrowError.code === 'INSUFFICIENT_FUNDS') {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient funds. Required: $${requiredAmount.toFixed(2)}`
+        });
+      }
+      throw escrowError;
+    }
     
+    if (schedule) {
+      await challengeScheduleService.scheduleJobsSafely(challengeRef.id, challengeData);
+    } else if (challengeData.expiresAt) {
+      try {
+        await timerService.scheduleChallengeExpiry(challengeRef.id, CHALLENGE_STATUS.PENDING, challengeData.expiresAt);
+      } catch (scheduleError) {
+        // Picked up by scheduleMissingTimers on the next start
+        console.error('❌ Failed to schedule challenge expiry:', scheduleError);
+      }
+    }
+
     console.log('✅ Challenge created successfully:', challengeRef.id);
     console.log('✅ Challenge data saved:', { id: challengeRef.id, fullData: challengeData });
 
+    if (teams) {
+      await notifyTeamMembers({ id: challengeRef.id, ...challengeData }, teams.challenger);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Challenge created successfully',
@@ -1077,9 +448,6 @@ router.post('/', authenticateToken, async (req, res) => {
 // Get all challenges for the authenticated user
 router.get('/my-challenges', authenticateToken, async (req, res) => {
   try {
-    // Run auto-fix in background (don't wait for it)
-    autoFixUnknownWinners().catch(console.error);
-    
     console.log('🎯 Fetching challenges for user:', req.user.uid);
     
     const challengesRef = firestore.collection('challenges');
@@ -1174,6 +542,13 @@ router.get('/public', async (req, res) => {
       return dateB - dateA;
     });
 
+    // ?rating=1600 puts the challenges closest to that skill level first
+    const nearRating = Number(req.query.rating);
+    if (req.query.rating !== undefined && Number.isFinite(nearRating)) {
+      const ratingOf = (challenge) => (typeof challenge.challengerRating === 'number' ? challenge.challengerRating : DEFAULT_RATING);
+      challenges.sort((a, b) => Math.abs(ratingOf(a) - nearRating) - Math.abs(ratingOf(b) - nearRating));
+    }
+
     console.log(`✅ Found ${challenges.length} public challenges`);
 
     res.json({
@@ -1194,9 +569,6 @@ router.get('/public', async (req, res) => {
 // Get challenges for the authenticated user (where they are the opponent)
 router.get('/for-me', authenticateToken, async (req, res) => {
   try {
-    // Run auto-fix in background (don't wait for it)
-    autoFixUnknownWinners().catch(console.error);
-    
     console.log('🎯 Fetching challenges for user (as opponent):', req.user.uid);
     
     const challengesRef = firestore.collection('challenges');
@@ -1423,6 +795,14 @@ router.post('/submit-proof', authenticateToken, async (req, res) => {
       });
     }
 
+    // Don't spend an AI analysis on a challenge that can't be completed any more
+    if (!challengeStateMachine.canTransition(challengeData.status, CHALLENGE_STATUS.COMPLETED, challengeStateMachine.actorFor(challengeData, req.user))) {
+      return res.status(400).json({
+        success: false,
+        message: `Proof cannot be submitted while the challenge is ${challengeData.status}`
+      });
+    }
+
     // NEW WORKFLOW: AI processes proof immediately instead of going to "proof-submitted"
     console.log('🤖 Starting AI analysis for challenge:', challengeId);
     
@@ -1432,14 +812,28 @@ router.post('/submit-proof', authenticateToken, async (req, res) => {
     console.log('🔍 Platform usernames from request body:', req.body.platformUsernames);
     console.log('🔍 Platform usernames from challenge data:', challengeData.challengerPlatformUsernames);
     
-    // Perform AI analysis (now integrated with OpenAI Vision API and platform username comparison)
-    const aiResult = await performAIAnalysis(challengeData, proofImages, proofDescription, platformUsernames);
+    // Perform AI analysis (configured vision provider plus platform username comparison)
+    const aiResult = await aiAnalysisService.analyzeProof(challengeData, proofImages, proofDescription, platformUsernames);
     
     console.log('🤖 AI Analysis Result:', aiResult);
+
+    // Nothing is completed on contradicting images; the player can upload consistent proof or dispute
+    if (aiResult.status === 'needs_review') {
+      return res.status(400).json({
+        success: false,
+        message: aiResult.reasoning,
+        data: {
+          challengeId,
+          verificationResult: 'needs_review',
+          aiResult
+        }
+      });
+    }
     
     // Determine winner and update challenge using AI analysis
     const isCurrentUserWinner = aiResult.iWin; // Use AI-determined winner
-    const newStatus = 'completed';
+    let newStatus = 'completed';
+    let series = challengeData.series || null;
     const verificationStatus = 'ai-verified';
     
     console.log('🏆 Winner determination:');
@@ -1448,26 +842,9 @@ router.post('/submit-proof', authenticateToken, async (req, res) => {
     console.log('  - Is current user winner:', isCurrentUserWinner);
     console.log('  - Confidence:', aiResult.confidence);
     console.log('  - Reasoning:', aiResult.reasoning);
-    
-    // Update challenge with AI result
-    await challengeRef.update({
-      proofImages: proofImages,
-      proofDescription: proofDescription,
-      proofSubmitted: true,
-      proofSubmittedAt: new Date(),
-      status: newStatus,
-      verificationStatus: verificationStatus,
-      aiResult: aiResult,
-      winner: aiResult.winner,
-      completedAt: new Date(),
-      updatedAt: new Date()
-    });
-    
-    // Handle wallet updates based on AI result (credit actual winner)
-      const totalChallengeAmount = challengeData.stake * 2; // Both users' stakes
-      const rewardAmount = totalChallengeAmount * 0.95; // 95% to winner
-      const adminFee = totalChallengeAmount * 0.05; // 5% admin fee
-      
+
+    // Resolve who gets paid before the challenge is completed (credit actual winner)
+
     // Robust resolution of winner userId
     let winnerUserId = null;
     const aiWinner = aiResult?.winner || '';
@@ -1557,26 +934,41 @@ router.post('/submit-proof', authenticateToken, async (req, res) => {
         winnerResolvedFrom: 'aiResult/usernames/platforms',
         aiWinner,
         winnerUserId,
-        rewardAmount,
-        adminFee,
         challengeId
       });
       
-      try {
-        await walletService.awardReward(winnerUserId, rewardAmount, challengeId, `Challenge reward for ${challengeData.game}`);
-        await walletService.addAdminFee(adminFee, challengeId, `Admin fee from challenge ${challengeData.game}`);
-        console.log('✅ Winner credited successfully:', {
-          challengeId,
-          winnerUserId,
-          rewardAmount,
-          adminFee,
-          game: challengeData.game
-        });
-      } catch (walletError) {
-        console.error('❌ Error crediting winner wallet:', walletError);
-        // Don't fail the entire request if wallet credit fails
-        // The challenge is already marked as completed
-      }
+      // Decide the game with the AI result; the state machine releases the escrow to the winner
+      // once the challenge (or the whole series) is over
+      const { effects, to, series: updatedSeries } = await seriesService.completeGame(challengeId, challengeData, {
+        actor: challengeStateMachine.actorFor(challengeData, req.user),
+        by: req.user,
+        reason: 'proof verified by AI',
+        from: [challengeData.status],
+        updates: {
+          proofImages: proofImages,
+          proofDescription: proofDescription,
+          proofSubmitted: true,
+          proofSubmittedAt: new Date(),
+          verificationStatus: verificationStatus,
+          aiResult: aiResult,
+          winner: aiResult.winner,
+          completedAt: new Date()
+        },
+        winnerUid: winnerUserId,
+        settleOptions: {
+          description: `Challenge reward for ${challengeData.game}`,
+          feeDescription: `Admin fee from challenge ${challengeData.game}`
+        }
+      });
+      newStatus = to;
+      series = updatedSeries;
+      console.log('✅ Winner credited successfully:', {
+        challengeId,
+        winnerUserId,
+        rewardAmount: effects.settlement?.rewardAmount,
+        adminFee: effects.settlement?.adminFee,
+        game: challengeData.game
+      });
     } else {
       console.error('❌ CRITICAL: Winner user not resolved; no wallet credit will be given!', {
         challengeId,
@@ -1611,11 +1003,13 @@ router.post('/submit-proof', authenticateToken, async (req, res) => {
         confidence: aiResult.confidence,
         reasoning: aiResult.reasoning,
         usernameAnalysis: aiResult.usernameAnalysis,
-        platformUsernames: platformUsernames
+        platformUsernames: platformUsernames,
+        series
       }
     });
 
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('❌ Error submitting proof:', error);
     res.status(500).json({
       success: false,
@@ -1682,6 +1076,9 @@ router.post('/dispute', authenticateToken, async (req, res) => {
 
     // Add to disputes collection
     const disputeRef = await firestore.collection('disputes').add(disputeData);
+
+    // The players' chat goes with the dispute as evidence
+    await chatService.attachToDispute({ type: THREAD_TYPES.CHALLENGE, challengeId }, disputeRef);
     
     // Update challenge verification status
     await challengeRef.update({
@@ -1689,6 +1086,13 @@ router.post('/dispute', authenticateToken, async (req, res) => {
       updatedAt: new Date()
     });
 
+    // Count the dispute against the result in match history (best-effort)
+    try {
+      await leaderboardService.markDisputed(RESULT_SOURCES.CHALLENGE, challengeId);
+    } catch (historyError) {
+      console.error('⚠️ Failed to flag disputed result:', historyError.message);
+    }
+
     console.log('✅ Dispute submitted successfully:', disputeRef.id);
 
     res.json({
@@ -1743,8 +1147,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
       // Check if user has access to this challenge
       const isChallenger = challengeData.challenger.uid === req.user.uid;
       const isOpponent = Array.isArray(challengeData.opponents) && challengeData.opponents.some(opp => opp.username === req.user.username);
+      const isTeamMember = Boolean(teamService.findMember(challengeData, req.user.uid));
       
-      if (!isChallenger && !isOpponent && !challengeData.isPublic) {
+      if (!isChallenger && !isOpponent && !isTeamMember && !challengeData.isPublic) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this challenge'
@@ -1770,11 +1175,67 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get escrow state for a challenge
+router.get('/:id/escrow', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const challengeDoc = await firestore.collection('challenges').doc(id).get();
+    
+    if (!challengeDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    const challengeData = challengeDoc.data();
+    const isAdmin = !!(req.user && (req.user.isAdmin === true || (req.user.username || '').toLowerCase() === 'admin' || req.user.role === 'admin'));
+    const isChallenger = challengeData.challenger?.uid === req.user.uid;
+    const isOpponent = Array.isArray(challengeData.opponents) && challengeData.opponents.some(opp => opp.username === req.user.username);
+    const isTeamMember = Boolean(teamService.findMember(challengeData, req.user.uid));
+
+    if (!isAdmin && !isChallenger && !isOpponent && !isTeamMember) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this challenge escrow'
+      });
+    }
+
+    // Challenges created before escrow records are adopted on first read
+    await escrowService.ensureEscrow(id);
+    const escrow = await escrowService.getEscrow(id);
+
+    res.json({
+      success: true,
+      data: {
+        challengeId: id,
+        status: escrow.status,
+        contributions: escrow.contributions,
+        totalContributed: escrow.totalContributed,
+        totalReleased: escrow.totalReleased,
+        available: escrowService.getAvailable(escrow),
+        ledgerBalance: escrow.ledgerBalance,
+        releases: escrow.releases,
+        settlement: escrow.settlement || null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching challenge escrow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch challenge escrow',
+      error: error.message
+    });
+  }
+});
+
 // Accept/Decline challenge
 router.put('/:id/respond', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { response, myTeam, accepterPlatformUsernames } = req.body; // 'accept' or 'decline', optional team info and platform usernames
+    const { response, myTeam, accepterPlatformUsernames, team } = req.body; // 'accept' or 'decline', optional team info and platform usernames
     
     console.log('🎯 User responding to challenge:', {
       challengeId: id,
@@ -1817,17 +1278,46 @@ router.put('/:id/respond', authenticateToken, async (req, res) => {
       });
     }
 
+    if (challengeData.status !== CHALLENGE_STATUS.PENDING) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge is no longer waiting for responses'
+      });
+    }
+
+    // Each participant's share of the stake comes from the challenge's fee policy
+    let requiredAmount = feePolicyService.computeStakeContribution(challengeData.stake, feePolicyService.forChallenge(challengeData));
+
+    // Team challenge: the opposing captain brings their own roster and only pays their own share
+    let opponentTeam = null;
+    if (response === 'accept' && teamService.isTeamChallenge(challengeData)) {
+      const { team: builtTeam, errors } = await teamService.buildTeam(
+        team,
+        { uid: req.user.uid, username: req.user.username },
+        requiredAmount,
+        challengeData.teams.challenger.members.map(m => m.uid)
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid team',
+          errors
+        });
+      }
+      opponentTeam = builtTeam;
+      requiredAmount = builtTeam.members[0].amount;
+    }
+
     // If accepting, check if opponent has sufficient funds and deduct them
     if (response === 'accept') {
       console.log('💰 Checking opponent balance for challenge acceptance:', {
         opponentUid: req.user.uid,
         opponentUsername: req.user.username,
         challengeStake: challengeData.stake,
-        requiredAmount: challengeData.stake * 0.5
+        requiredAmount
       });
       
       const opponentBalance = await walletService.getWalletBalance(req.user.uid);
-      const requiredAmount = challengeData.stake * 0.5; // 50% of stake
       
       console.log('💰 Balance check result:', {
         opponentBalance,
@@ -1843,84 +1333,136 @@ router.put('/:id/respond', authenticateToken, async (req, res) => {
         });
       }
       
-      console.log('✅ Sufficient funds, deducting from opponent wallet');
-      // Deduct funds from opponent's wallet
-      await walletService.deductFunds(req.user.uid, requiredAmount, id, 'Challenge acceptance fee');
-      console.log('✅ Funds deducted successfully');
-    }
-
-    // Update opponent response
-    const updatedOpponents = [...challengeData.opponents];
-    const updatedOpponent = {
-      ...updatedOpponents[opponentIndex],
-      status: response === 'accept' ? 'accepted' : response,
-      responseAt: new Date(),
-      fundsDeducted: response === 'accept' ? true : false,
-      opponentDeduction: response === 'accept' ? challengeData.stake * 0.5 : null,
-      myTeam: response === 'accept' ? myTeam : null, // Store team information when accepting
-      accepterPlatformUsernames: response === 'accept' && accepterPlatformUsernames ? accepterPlatformUsernames : null // Store platform usernames when accepting
-    };
-    
-    console.log('🔄 Updating opponent data:', {
-      originalOpponent: updatedOpponents[opponentIndex],
-      updatedOpponent,
-      hasMyTeam: 'myTeam' in updatedOpponent,
-      hasPlatformUsernames: 'accepterPlatformUsernames' in updatedOpponent,
-      platformUsernamesValue: updatedOpponent.accepterPlatformUsernames
-    });
-    
-    updatedOpponents[opponentIndex] = updatedOpponent;
+      console.log('✅ Sufficient funds, escrowing opponent stake');
+      // Move the opponent's stake into the challenge escrow
+      try {
+        await escrowService.contribute(id, {
+          uid: req.user.uid,
+          username: req.user.username,
+          amount: requiredAmount,
+          role: 'opponent',
+          description: 'Challenge acceptance fee'
+        });
+      } catch (escrowError) {
+        if (['INSUFFICIENT_FUNDS', 'ALREADY_CONTRIBUTED', 'ESCROW_CLOSED'].includes(escrowError.code)) {
+          return res.status(400).json({
+            success: false,
+            message: escrowError.message
+          });
+        }
+        throw escrowError;
+      }
+      console.log('✅ Funds escrowed successfully');
+    }
 
-    // Check if all opponents have responded
-    const allResponded = updatedOpponents.every(opp => opp.status !== 'pending');
-    const allAccepted = updatedOpponents.every(opp => opp.status === 'accepted');
-    
+    // Record the response and move the challenge on in one transaction, working from the opponents
+    // as they are now, so two opponents answering at the same time can't overwrite each other
+    let updatedOpponents = challengeData.opponents;
     let newStatus = challengeData.status;
-    if (allResponded) {
-      if (allAccepted) {
-        newStatus = 'ready-pending'; // Changed from 'active' to 'ready-pending'
-      } else {
-        newStatus = 'cancelled';
+    let updateData = {};
+    try {
+      await challengeStateMachine.apply(id, (current) => {
+        const currentOpponents = current.opponents || [];
+        const currentIndex = currentOpponents.findIndex(opp => opp.username === req.user.username);
+        if (currentIndex === -1) {
+          throw Object.assign(new Error('You are no longer an opponent in this challenge'), { code: 'NOT_AN_OPPONENT' });
+        }
+
+        const updatedOpponent = {
+          ...currentOpponents[currentIndex],
+          uid: req.user.uid,
+          status: response === 'accept' ? 'accepted' : response,
+          responseAt: new Date(),
+          fundsDeducted: response === 'accept' ? true : false,
+          opponentDeduction: response === 'accept' ? requiredAmount : null,
+          myTeam: response === 'accept' ? myTeam : null, // Store team information when accepting
+          // Store platform usernames when accepting; rematches fall back to the ones used last time
+          accepterPlatformUsernames: response === 'accept' ? (accepterPlatformUsernames || currentOpponents[currentIndex].platformUsernames || null) : null
+        };
+
+        // Clean up any undefined values before sending to Firestore
+        Object.keys(updatedOpponent).forEach(key => {
+          if (updatedOpponent[key] === undefined) {
+            delete updatedOpponent[key];
+          }
+        });
+        updatedOpponents = currentOpponents.map((opp, index) => (index === currentIndex ? updatedOpponent : opp));
+
+        // Check if all opponents have responded
+        const allResponded = updatedOpponents.every(opp => opp.status !== 'pending');
+        const allAccepted = updatedOpponents.every(opp => opp.status === 'accepted');
+
+        newStatus = current.status;
+        if (allResponded) {
+          newStatus = allAccepted ? CHALLENGE_STATUS.READY_PENDING : CHALLENGE_STATUS.CANCELLED;
+        }
+
+        updateData = { opponents: updatedOpponents };
+        if (opponentTeam) {
+          updateData.teams = { ...current.teams, opponent: opponentTeam };
+        }
+
+        // Accepting a scheduled challenge agrees to its current start time
+        if (response === 'accept' && current.schedule) {
+          updateData.schedule = {
+            ...current.schedule,
+            agreedBy: [...new Set([...(current.schedule.agreedBy || []), req.user.username])]
+          };
+        }
+
+        // Everyone now has a limited time to mark ready; scheduled challenges until check-in closes
+        if (newStatus === CHALLENGE_STATUS.READY_PENDING) {
+          updateData.expiresAt = current.schedule
+            ? challengeScheduleService.expiresAt({ ...current, ...updateData }, CHALLENGE_STATUS.READY_PENDING)
+            : timerService.expiryFor(CHALLENGE_STATUS.READY_PENDING);
+        }
+
+        if (newStatus === current.status) return { updates: updateData };
+        // Everyone accepted -> ready-pending; anyone declined -> cancelled, which refunds every escrowed stake
+        return {
+          to: newStatus,
+          reason: newStatus === CHALLENGE_STATUS.CANCELLED ? 'declined' : 'all opponents accepted',
+          updates: updateData
+        };
+      }, {
+        actor: ACTORS.OPPONENT,
+        by: req.user,
+        from: [CHALLENGE_STATUS.PENDING],
+        settleOptions: { description: 'Challenge declined refund', reason: 'declined' }
+      });
+    } catch (responseError) {
+      // The challenge was cancelled or expired meanwhile; that cancellation's refund covers
+      // every escrowed contribution, including the one just made
+      if (responseError.code === 'NOT_AN_OPPONENT' || responseError.code === 'INVALID_TRANSITION') {
+        return res.status(400).json({
+          success: false,
+          message: responseError.code === 'NOT_AN_OPPONENT' ? responseError.message : 'Challenge is no longer waiting for responses'
+        });
       }
+      throw responseError;
     }
 
-    // Clean up any undefined values before sending to Firestore
-    const cleanOpponents = updatedOpponents.map(opponent => {
-      const cleanOpponent = { ...opponent };
-      // Remove undefined values
-      Object.keys(cleanOpponent).forEach(key => {
-        if (cleanOpponent[key] === undefined) {
-          delete cleanOpponent[key];
-        }
-      });
-      return cleanOpponent;
-    });
-    
-    const updateData = {
-      opponents: cleanOpponents,
+    console.log('🔄 Opponent response recorded:', {
+      challengeId: id,
+      response,
       status: newStatus,
-      updatedAt: new Date()
-    };
-    
-    console.log('🔄 Final update data:', {
-      updateData,
-      opponentsLength: cleanOpponents.length,
-      firstOpponent: cleanOpponents[0],
-      hasPlatformUsernames: cleanOpponents[0]?.accepterPlatformUsernames ? 'yes' : 'no',
-      cleanedOpponents: cleanOpponents
+      hasPlatformUsernames: !!accepterPlatformUsernames
     });
-    
-    await challengeRef.update(updateData);
+
+    if (updateData.expiresAt) {
+      try {
+        await timerService.scheduleChallengeExpiry(id, CHALLENGE_STATUS.READY_PENDING, updateData.expiresAt);
+      } catch (scheduleError) {
+        // Picked up by scheduleMissingTimers on the next start
+        console.error('❌ Failed to schedule ready check expiry:', scheduleError);
+      }
+    }
+
+    if (opponentTeam) {
+      await notifyTeamMembers({ id, ...challengeData }, opponentTeam);
+    }
 
     console.log('✅ Challenge response updated successfully');
-    console.log('📊 Final opponent data with platform usernames:', {
-      opponentIndex,
-      originalOpponent: challengeData.opponents[opponentIndex],
-      updatedOpponent: updatedOpponents[opponentIndex],
-      hasPlatformUsernames: !!updatedOpponents[opponentIndex].accepterPlatformUsernames,
-      platformUsernames: updatedOpponents[opponentIndex].accepterPlatformUsernames,
-      allOpponents: updatedOpponents
-    });
 
     res.json({
       success: true,
@@ -1932,6 +1474,7 @@ router.put('/:id/respond', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('❌ Error responding to challenge:', error);
     res.status(500).json({
       success: false,
@@ -1978,50 +1521,73 @@ router.put('/:id/ready', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update ready status
-    const updatedOpponents = [...challengeData.opponents];
-    if (isChallenger) {
-      // Update challenger ready status
-      const updatedChallenger = {
-        ...challengeData.challenger,
-        ready: true,
-        readyAt: new Date()
-      };
-      
-      const updateData = {
-        challenger: updatedChallenger,
-        updatedAt: new Date()
-      };
-      
-      await challengeRef.update(updateData);
-    } else {
-      // Update opponent ready status
-      updatedOpponents[opponentIndex] = {
-        ...updatedOpponents[opponentIndex],
-        ready: true,
-        readyAt: new Date()
-      };
-      
-      const updateData = {
-        opponents: updatedOpponents,
-        updatedAt: new Date()
-      };
-      
-      await challengeRef.update(updateData);
+    // A team challenge can't start until every rostered member has escrowed their share
+    const pendingMembers = teamService.pendingMembers(challengeData);
+    if (pendingMembers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Waiting for team members to confirm: ${pendingMembers.map(m => m.username).join(', ')}`,
+        pendingMembers
+      });
     }
 
-    // Check if all participants are ready
-    const challengerReady = isChallenger ? true : challengeData.challenger.ready;
-    const allOpponentsReady = updatedOpponents.every(opp => opp.ready === true);
-    
-    if (challengerReady && allOpponentsReady) {
-      // All participants are ready, change status to active
-      await challengeRef.update({
-        status: 'active',
-        gameStartedAt: new Date(),
-        updatedAt: new Date()
+    // Scheduled challenges: marking ready is checking in, which opens shortly before the agreed start
+    const checkInError = challengeScheduleService.checkInError(challengeData);
+    if (checkInError) {
+      return res.status(400).json({
+        success: false,
+        message: checkInError
       });
-      
+    }
+
+    // Set the ready flag and start the challenge in one transaction, on the challenge as it is now,
+    // so two players marking ready at the same time both count and the last one starts it
+    let allReady = false;
+    let started = false;
+    try {
+      const { to } = await challengeStateMachine.apply(id, (current) => {
+        // Checked again at commit time so a late check-in can't race the no-show forfeit
+        const lateCheckIn = challengeScheduleService.checkInError(current);
+        if (lateCheckIn) {
+          throw Object.assign(new Error(lateCheckIn), { code: 'CHECK_IN_CLOSED' });
+        }
+
+        const readyAt = new Date();
+        const challenger = isChallenger ? { ...current.challenger, ready: true, readyAt } : current.challenger;
+        const opponents = current.opponents.map(opp => (
+          !isChallenger && opp.username === req.user.username ? { ...opp, ready: true, readyAt } : opp
+        ));
+        allReady = challenger.ready === true && opponents.every(opp => opp.ready === true);
+
+        const updates = isChallenger ? { challenger } : { opponents };
+        if (!allReady) return { updates };
+        return {
+          to: CHALLENGE_STATUS.ACTIVE,
+          reason: 'all participants ready',
+          updates: { ...updates, gameStartedAt: readyAt, expiresAt: null }
+        };
+      }, {
+        actor: isChallenger ? ACTORS.CHALLENGER : ACTORS.OPPONENT,
+        by: req.user,
+        from: [CHALLENGE_STATUS.READY_PENDING]
+      });
+      started = to === CHALLENGE_STATUS.ACTIVE;
+    } catch (transitionError) {
+      if (transitionError.code === 'INVALID_TRANSITION' || transitionError.code === 'CHECK_IN_CLOSED') {
+        return res.status(400).json({
+          success: false,
+          message: transitionError.code === 'CHECK_IN_CLOSED' ? transitionError.message : 'Challenge is not in ready-pending status'
+        });
+      }
+      throw transitionError;
+    }
+
+    realtimeService.publishChallenge(id, EVENTS.PLAYER_READY, {
+      username: req.user.username,
+      allReady
+    });
+
+    if (started) {
       console.log('✅ All participants ready, challenge is now active');
     }
 
@@ -2030,7 +1596,7 @@ router.put('/:id/ready', authenticateToken, async (req, res) => {
       message: 'Ready status updated successfully',
       data: {
         ready: true,
-        allReady: challengerReady && allOpponentsReady
+        allReady
       }
     });
 
@@ -2044,6 +1610,103 @@ router.put('/:id/ready', authenticateToken, async (req, res) => {
   }
 });
 
+// Confirm a place on a team roster and escrow your share of the stake
+router.post('/:id/team/confirm', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const challengeRef = firestore.collection('challenges').doc(id);
+    const challengeDoc = await challengeRef.get();
+
+    if (!challengeDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    const challengeData = challengeDoc.data();
+    const found = teamService.findMember(challengeData, req.user.uid);
+
+    if (!found) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not on a team in this challenge'
+      });
+    }
+
+    if (found.member.confirmed) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already confirmed your place on this team'
+      });
+    }
+
+    if (![CHALLENGE_STATUS.PENDING, CHALLENGE_STATUS.READY_PENDING].includes(challengeData.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This challenge is no longer accepting team confirmations'
+      });
+    }
+
+    const balance = await walletService.getWalletBalance(req.user.uid);
+    if (balance < found.member.amount) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient funds. Required: $${found.member.amount.toFixed(2)}, Available: $${balance.toFixed(2)}`
+      });
+    }
+
+    try {
+      await escrowService.contribute(id, {
+        uid: req.user.uid,
+        username: req.user.username,
+        amount: found.member.amount,
+        role: `${found.side}-team`,
+        description: `Team stake for ${found.team.name}`
+      });
+    } catch (escrowError) {
+      if (['INSUFFICIENT_FUNDS', 'ALREADY_CONTRIBUTED', 'ESCROW_CLOSED'].includes(escrowError.code)) {
+        return res.status(400).json({
+          success: false,
+          message: escrowError.message
+        });
+      }
+      throw escrowError;
+    }
+
+    // Re-read the rosters so confirmations from teammates aren't overwritten
+    const teams = await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(challengeRef);
+      const updatedTeams = teamService.withConfirmedMember(snap.data().teams, found.side, req.user.uid);
+      tx.update(challengeRef, { teams: updatedTeams, updatedAt: new Date() });
+      return updatedTeams;
+    });
+
+    console.log('👥 Team member confirmed:', { challengeId: id, username: req.user.username, team: found.team.name, amount: found.member.amount });
+
+    res.json({
+      success: true,
+      message: 'Team place confirmed and stake escrowed',
+      data: {
+        challengeId: id,
+        side: found.side,
+        amount: found.member.amount,
+        teams,
+        pendingMembers: teamService.pendingMembers({ teams })
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error confirming team place:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm team place',
+      error: error.message
+    });
+  }
+});
+
 // Check AI verification timer status
 router.get('/:id/ai-timer-status', authenticateToken, async (req, res) => {
   try {
@@ -2099,56 +1762,7 @@ router.get('/:id/ai-timer-status', authenticateToken, async (req, res) => {
       timerExpired
     });
 
-    // If timer expired, check if we need to auto-forfeit
-    if (timerExpired && challengeData.status === 'ai-verification-pending') {
-      const submittedUsernames = challengeData.aiVerificationResults.map(ai => ai.submittedBy);
-      const allParticipants = [challengeData.challenger.username, ...challengeData.opponents.map(opp => opp.username)];
-      const notSubmitted = allParticipants.filter(username => !submittedUsernames.includes(username));
-      
-      if (notSubmitted.length > 0) {
-        // Auto-forfeit users who didn't submit AI verification
-        const forfeitData = {
-          status: 'completed',
-          winner: submittedUsernames[0], // First submitter wins
-          completedAt: new Date(),
-          aiVerification: true,
-          autoForfeit: true,
-          forfeitReason: 'AI verification timer expired'
-        };
-        
-        await challengeRef.update(forfeitData);
-        
-        // Process wallet transactions for auto-forfeit
-        const totalChallengeAmount = challengeData.stake * 2;
-        const rewardAmount = totalChallengeAmount * 0.95;
-        const adminFee = totalChallengeAmount * 0.05;
-        
-        // Find winner user ID
-        let winnerUserId = null;
-        if (submittedUsernames[0] === challengeData.challenger.username) {
-          winnerUserId = challengeData.challenger.uid;
-        } else {
-          const winnerOpponent = challengeData.opponents.find(opp => 
-            opp.username === submittedUsernames[0]
-          );
-          if (winnerOpponent) {
-            try {
-              const profile = await userService.getUserByUsername(winnerOpponent.username);
-              winnerUserId = profile.uid;
-            } catch (e) {
-              console.error('Error finding winner user:', e);
-            }
-          }
-        }
-        
-        if (winnerUserId) {
-          await walletService.awardReward(winnerUserId, rewardAmount, id, `Challenge reward for ${challengeData.game} (AI Verification Auto-Forfeit)`);
-          await walletService.addAdminFee(adminFee, id, `Admin fee from challenge ${challengeData.game} (AI Verification Auto-Forfeit)`);
-        }
-        
-        console.log('⏰ AI verification timer expired, auto-forfeited users:', notSubmitted);
-      }
-    }
+    // Expiry (auto-forfeit and payout) is handled by the scheduler; this endpoint only reports
 
     res.json({
       success: true,
@@ -2224,27 +1838,7 @@ router.get('/:id/timer-status', authenticateToken, async (req, res) => {
       timerExpired
     });
 
-    // If timer expired, check if we need to auto-forfeit
-    if (timerExpired && challengeData.status === 'scorecard-pending') {
-      const submittedUsernames = challengeData.scorecards.map(sc => sc.submittedBy);
-      const allParticipants = [challengeData.challenger.username, ...challengeData.opponents.map(opp => opp.username)];
-      const notSubmitted = allParticipants.filter(username => !submittedUsernames.includes(username));
-      
-      if (notSubmitted.length > 0) {
-        // Auto-forfeit users who didn't submit scorecard
-        const forfeitData = {
-          status: 'completed',
-          winner: submittedUsernames[0], // First submitter wins
-          completedAt: new Date(),
-          autoForfeit: true,
-          forfeitedUsers: notSubmitted,
-          updatedAt: new Date()
-        };
-        
-        await challengeRef.update(forfeitData);
-        console.log('⏰ Timer expired, auto-forfeiting users:', notSubmitted);
-      }
-    }
+    // Expiry (auto-forfeit and payout) is handled by the scheduler; this endpoint only reports
 
     res.json({
       success: true,
@@ -2292,19 +1886,25 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if challenge can be cancelled
-    if (challengeData.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Challenge cannot be cancelled in its current state'
-      });
+    // Only pending challenges can be cancelled; the transition returns the escrowed stakes
+    try {
+      await challengeStateMachine.transition(id, CHALLENGE_STATUS.CANCELLED, {
+        actor: ACTORS.CHALLENGER,
+        by: req.user,
+        reason: 'cancelled by challenger',
+        from: [CHALLENGE_STATUS.PENDING],
+        settleOptions: { description: 'Challenge cancelled refund', reason: 'cancelled' }
+      });
+    } catch (transitionError) {
+      if (transitionError.code === 'INVALID_TRANSITION') {
+        return res.status(400).json({
+          success: false,
+          message: 'Challenge cannot be cancelled in its current state'
+        });
+      }
+      throw transitionError;
     }
 
-    await challengeRef.update({
-      status: 'cancelled',
-      updatedAt: new Date()
-    });
-
     console.log('✅ Challenge cancelled successfully');
 
     res.json({
@@ -2356,20 +1956,163 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Release anything still escrowed before the challenge disappears (no-op if already refunded)
+    await escrowService.refundAll(id, { description: 'Challenge deleted refund', reason: 'deleted' });
+
     await challengeRef.delete();
 
     console.log('✅ Challenge deleted successfully');
 
     res.json({
       success: true,
-      message: 'Challenge deleted successfully'
+      message: 'Challenge deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting challenge:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete challenge',
+      error: error.message
+    });
+  }
+});
+
+const handleScheduleError = (res, error) => {
+  const statuses = {
+    CHALLENGE_NOT_FOUND: 404,
+    NOT_PARTICIPANT: 403,
+    INVALID_START_TIME: 400,
+    NOT_SCHEDULED: 400,
+    SCHEDULE_LOCKED: 409
+  };
+  if (!statuses[error.code]) return false;
+  res.status(statuses[error.code]).json({
+    success: false,
+    message: error.message
+  });
+  return true;
+};
+
+// Propose (or counter-propose) a start time. Body: { scheduledAt }
+router.post('/:id/schedule', authenticateToken, async (req, res) => {
+  try {
+    const result = await challengeScheduleService.propose(req.params.id, req.user, (req.body || {}).scheduledAt);
+
+    res.json({
+      success: true,
+      message: 'Start time proposed',
+      data: result
+    });
+  } catch (error) {
+    if (handleScheduleError(res, error)) return;
+    console.error('❌ Error proposing start time:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to propose start time',
+      error: error.message
+    });
+  }
+});
+
+// Agree to the currently proposed start time
+router.post('/:id/schedule/accept', authenticateToken, async (req, res) => {
+  try {
+    const result = await challengeScheduleService.accept(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: result.agreed ? 'Start time agreed by everyone' : 'Start time accepted',
+      data: result
+    });
+  } catch (error) {
+    if (handleScheduleError(res, error)) return;
+    console.error('❌ Error accepting start time:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept start time',
+      error: error.message
+    });
+  }
+});
+
+// Rematch a completed challenge: a new private challenge to the same opponent(s).
+// Body: { doubleStake? }
+router.post('/:id/rematch', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const { doubleStake = false } = req.body || {};
+    // Only an explicit true doubles the stake; "false" from a form must not escrow twice the money
+    if (![true, false, 'true', 'false'].includes(doubleStake)) {
+      return res.status(400).json({
+        success: false,
+        message: 'doubleStake must be true or false'
+      });
+    }
+    const rematch = await rematchService.createRematch(req.params.id, req.user, {
+      doubleStake: doubleStake === true || doubleStake === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rematch created successfully',
+      data: rematch
+    });
+  } catch (error) {
+    if (error.code === 'CHALLENGE_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (['NOT_PARTICIPANT', 'NOT_CAPTAIN', 'USER_BLOCKED'].includes(error.code)) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'REMATCH_EXISTS') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: { rematchId: error.rematchId }
+      });
+    }
+    if (['NOT_COMPLETED', 'INVALID_TEAM', 'INSUFFICIENT_FUNDS'].includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    console.error('❌ Error creating rematch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create rematch',
+      error: error.message
+    });
+  }
+});
+
+// Every challenge in this challenge's rematch chain, with wins per player
+router.get('/:id/rematches', authenticateToken, async (req, res) => {
+  try {
+    const history = await rematchService.getHistory(req.params.id);
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history
     });
-
   } catch (error) {
-    console.error('❌ Error deleting challenge:', error);
+    console.error('❌ Error getting rematch history:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete challenge',
+      message: 'Failed to get rematch history',
       error: error.message
     });
   }
@@ -2425,9 +2168,16 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       });
     }
 
+    if (await friendService.isBlocked(challengeData.challenger.uid, req.user.uid)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can't join this challenge"
+      });
+    }
+
     // Check if user has sufficient funds
     const userBalance = await walletService.getWalletBalance(req.user.uid);
-    const requiredAmount = challengeData.stake * 0.5; // 50% of stake
+    const requiredAmount = feePolicyService.computeStakeContribution(challengeData.stake, feePolicyService.forChallenge(challengeData));
     
     if (userBalance < requiredAmount) {
       return res.status(400).json({
@@ -2436,13 +2186,11 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       });
     }
 
-    // Deduct funds from user's wallet
-    await walletService.deductFunds(req.user.uid, requiredAmount, id, 'Public challenge participation fee');
-
     // Create a new individual challenge instance for this user
     const newChallengeData = {
       challenger: challengeData.challenger, // Original challenger
       opponents: [{
+        uid: req.user.uid,
         username: req.user.username,
         status: 'accepted', // Auto-accept when joining public challenge
         responseAt: new Date(),
@@ -2456,7 +2204,8 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       description: challengeData.description,
       label: challengeData.label,
       isPublic: false, // This becomes a private challenge between the two users
-      status: 'active', // Start as active since user accepted
+      // Start as active since user accepted
+      ...challengeStateMachine.initialState(CHALLENGE_STATUS.ACTIVE, { actor: ACTORS.OPPONENT, by: req.user, reason: 'joined public challenge' }),
       createdAt: new Date(),
       updatedAt: new Date(),
       startedAt: new Date(),
@@ -2469,11 +2218,58 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       verificationNotes: '',
       type: 'incoming', // For the user joining
       fundsDeducted: true,
-      opponentDeduction: requiredAmount
+      opponentDeduction: requiredAmount,
+      challengerDeduction: requiredAmount,
+      feePolicy: feePolicyService.forChallenge(challengeData) // Same terms as the public challenge
     };
 
     // Create the new challenge
     const newChallengeRef = await firestore.collection('challenges').add(newChallengeData);
+
+    // Fund the new challenge's escrow: the joiner pays from their wallet, the challenger's
+    // stake moves over from the public challenge (or from their wallet once it has been used)
+    try {
+      await escrowService.contribute(newChallengeRef.id, {
+        uid: req.user.uid,
+        username: req.user.username,
+        amount: requiredAmount,
+        role: 'opponent',
+        description: 'Public challenge participation fee'
+      });
+    } catch (escrowError) {
+      await newChallengeRef.delete();
+      if (escrowError.code === 'INSUFFICIENT_FUNDS') {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient funds. Required: $${requiredAmount.toFixed(2)}`
+        });
+      }
+      throw escrowError;
+    }
+
+    const transferred = await escrowService.transferContribution(id, newChallengeRef.id, challengeData.challenger.uid);
+    if (!transferred) {
+      try {
+        await escrowService.contribute(newChallengeRef.id, {
+          uid: challengeData.challenger.uid,
+          username: challengeData.challenger.username,
+          amount: requiredAmount,
+          role: 'challenger',
+          description: 'Public challenge stake'
+        });
+      } catch (escrowError) {
+        // Challenger can't cover another match; undo the join
+        await escrowService.refundAll(newChallengeRef.id, { description: 'Public challenge join refund', reason: 'challenger-unfunded' });
+        await newChallengeRef.delete();
+        if (escrowError.code === 'INSUFFICIENT_FUNDS') {
+          return res.status(400).json({
+            success: false,
+            message: 'The challenger no longer has enough funds for this challenge'
+          });
+        }
+        throw escrowError;
+      }
+    }
     
     // Add user to the original public challenge's opponents list to track who joined
     const updatedOpponents = challengeData.opponents ? [...challengeData.opponents, {
@@ -2560,28 +2356,27 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update challenge status to completed
+    const actor = challengeStateMachine.actorFor(challengeData, req.user);
+    if (!challengeStateMachine.canTransition(challengeData.status, CHALLENGE_STATUS.COMPLETED, actor)) {
+      return res.status(400).json({
+        success: false,
+        message: `Challenge cannot be completed while it is ${challengeData.status}`
+      });
+    }
+
+    // Fields written when the challenge moves to completed
     const updateData = {
-      status: 'completed',
       completedAt: completedAt ? new Date(completedAt) : new Date(),
       aiResult: aiResult,
-      winner: aiResult?.winner || challengeData?.winner || null,
-      updatedAt: new Date()
+      winner: aiResult?.winner || challengeData?.winner || null
     };
 
-    await challengeRef.update(updateData);
-
-    // Process reward distribution for AI verification results
+    // Resolve the winner, then complete the challenge and release the escrow to them
+    let gameResult = null;
     try {
-      const totalChallengeAmount = (challengeData.stake || 0) * 2;
-      const rewardAmount = totalChallengeAmount * 0.95;
-      const adminFee = totalChallengeAmount * 0.05;
 
       console.log('💰 Processing reward distribution in /complete endpoint:', {
         challengeId: id,
-        totalChallengeAmount,
-        rewardAmount,
-        adminFee,
         aiResult: aiResult,
         stake: challengeData.stake
       });
@@ -2689,13 +2484,25 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
       });
 
       if (winnerUserId) {
-        await walletService.awardReward(winnerUserId, rewardAmount, id, `Challenge reward for ${challengeData.game}`);
-        await walletService.addAdminFee(adminFee, id, `Admin fee from challenge ${challengeData.game}`);
+        // In a series this decides the current game; the challenge completes once a side clinches
+        gameResult = await seriesService.completeGame(id, challengeData, {
+          actor,
+          by: req.user,
+          reason: 'completed by participant',
+          from: [challengeData.status],
+          updates: updateData,
+          winnerUid: winnerUserId,
+          settleOptions: {
+            description: `Challenge reward for ${challengeData.game}`,
+            feeDescription: `Admin fee from challenge ${challengeData.game}`
+          }
+        });
+        const { effects } = gameResult;
         console.log('✅ Winner credited successfully in /complete:', { 
           challengeId: id, 
           winnerUserId, 
-          rewardAmount, 
-          adminFee,
+          rewardAmount: effects.settlement?.rewardAmount, 
+          adminFee: effects.settlement?.adminFee,
           game: challengeData.game
         });
       } else {
@@ -2716,6 +2523,7 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
         });
       }
     } catch (creditErr) {
+      if (handleTransitionError(res, creditErr)) return;
       console.error('❌ Error crediting winner in /complete route:', creditErr);
       // Don't mark as completed if reward distribution fails
       return res.status(500).json({
@@ -2727,11 +2535,12 @@ router.post('/:id/complete', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Challenge marked as completed',
+      message: gameResult.seriesOver ? 'Challenge marked as completed' : `Game ${gameResult.series.currentGame - 1} recorded`,
       data: {
         id: id,
-        status: 'completed',
-        completedAt: updateData.completedAt
+        status: gameResult.to,
+        completedAt: gameResult.seriesOver ? updateData.completedAt : null,
+        series: gameResult.series
       }
     });
 
@@ -2792,7 +2601,9 @@ router.post('/:id/submit-scorecard', authenticateToken, async (req, res) => {
     if (!isChallenger && !isOpponent) {
       return res.status(403).json({
         success: false,
-        message: 'You are not authorized to submit scorecard for this challenge'
+        message: teamService.findMember(challengeData, req.user.uid)
+          ? 'Only team captains can submit scorecards'
+          : 'You are not authorized to submit scorecard for this challenge'
       });
     }
 
@@ -2819,9 +2630,20 @@ router.post('/:id/submit-scorecard', authenticateToken, async (req, res) => {
       });
     }
 
+    // Scores are read in the game's units (points, strokes, seconds or finishing position)
+    const profile = await gameProfileService.getGameProfile(challengeData.game);
+    const parsedAScore = gameProfileService.parseValue(playerAScore, profile);
+    const parsedBScore = gameProfileService.parseValue(playerBScore, profile);
+    if (parsedAScore === null || parsedBScore === null) {
+      return res.status(400).json({
+        success: false,
+        message: `Scores must be ${profile.scoring === 'time' ? 'times (e.g. 1:23.45)' : profile.scoring === 'placement' ? 'finishing positions (e.g. 1 or 1st)' : 'numbers'}`
+      });
+    }
+
     const scorecardData = {
-      playerAScore: parseInt(playerAScore),
-      playerBScore: parseInt(playerBScore),
+      playerAScore: parsedAScore,
+      playerBScore: parsedBScore,
       playerAPlatformUsername,
       playerBPlatformUsername,
       submittedBy: req.user.username,
@@ -2842,9 +2664,10 @@ router.post('/:id/submit-scorecard', authenticateToken, async (req, res) => {
 
     let newStatus = challengeData.status;
     let updateData = {
-      scorecards: updatedScorecards,
-      updatedAt: new Date()
+      scorecards: updatedScorecards
     };
+    let winnerUserId = null;
+    let transitionReason = null;
 
     // If this is the first scorecard, start the timer
     if (isFirstScorecard) {
@@ -2857,32 +2680,31 @@ router.post('/:id/submit-scorecard', authenticateToken, async (req, res) => {
     if (hasConflict) {
       // Conflict detected - require proof upload
       newStatus = 'scorecard-conflict';
-      updateData.status = newStatus;
+      transitionReason = 'scorecards conflict';
       updateData.conflictDetectedAt = new Date();
       
       console.log('⚠️ Scorecard conflict detected for challenge:', id);
     } else if (updatedScorecards.length === 2) {
       // Both scorecards submitted and no conflict - determine winner
       const firstScorecard = updatedScorecards[0];
-      const winner = firstScorecard.playerAScore > firstScorecard.playerBScore ? 
-        firstScorecard.playerAPlatformUsername : firstScorecard.playerBPlatformUsername;
+      const winningSide = gameProfileService.sideWinner(firstScorecard.playerAScore, firstScorecard.playerBScore, profile);
+      const winner = winningSide === 1 ? firstScorecard.playerAPlatformUsername
+        : winningSide === 2 ? firstScorecard.playerBPlatformUsername : null;
       
       newStatus = 'completed';
-      updateData.status = newStatus;
+      transitionReason = 'scorecards agree';
       updateData.winner = winner;
       updateData.completedAt = new Date();
       
-      // Process wallet transactions
-      const totalChallengeAmount = challengeData.stake * 2;
-      const rewardAmount = totalChallengeAmount * 0.95;
-      const adminFee = totalChallengeAmount * 0.05;
-      
-      // Find winner user ID
-      let winnerUserId = null;
-      if (winner === challengeData.challengerPlatformUsernames?.[challengeData.platform?.toLowerCase()] || 
-          winner === challengeData.challenger.username) {
+      // Find winner user ID (team challenges report the team name; the captain stands in for the side).
+      // A tie leaves it unset, so nobody is paid.
+      const winningCaptain = winner ? teamService.captainForName(challengeData, winner) : null;
+      if (winningCaptain) {
+        winnerUserId = winningCaptain.uid;
+      } else if (winner && (winner === challengeData.challengerPlatformUsernames?.[challengeData.platform?.toLowerCase()] || 
+          winner === challengeData.challenger.username)) {
         winnerUserId = challengeData.challenger.uid;
-      } else {
+      } else if (winner) {
         // Find in opponents
         const winnerOpponent = challengeData.opponents.find(opp => 
           opp.accepterPlatformUsernames?.[challengeData.platform?.toLowerCase()] === winner ||
@@ -2890,8 +2712,8 @@ router.post('/:id/submit-scorecard', authenticateToken, async (req, res) => {
         );
         if (winnerOpponent) {
           try {
-            const profile = await userService.getUserByUsername(winnerOpponent.username);
-            winnerUserId = profile.uid;
+            const winnerProfile = await userService.getUserByUsername(winnerOpponent.username);
+            winnerUserId = winnerProfile.uid;
           } catch (e) {
             console.error('Error finding winner user:', e);
           }
@@ -2899,15 +2721,20 @@ router.post('/:id/submit-scorecard', authenticateToken, async (req, res) => {
       }
       
       if (winnerUserId) {
-        await walletService.awardReward(winnerUserId, rewardAmount, id, `Challenge reward for ${challengeData.game}`);
-        await walletService.addAdminFee(adminFee, id, `Admin fee from challenge ${challengeData.game}`);
+        console.log('✅ Challenge completed with winner:', winner);
+      } else {
+        // Nobody to pay out; treat it like a conflict so the players upload proof
+        newStatus = 'scorecard-conflict';
+        transitionReason = winner ? 'scorecard winner could not be matched to a participant' : 'scorecards report a tie';
+        delete updateData.winner;
+        delete updateData.completedAt;
+        updateData.conflictDetectedAt = new Date();
+        console.log(`⚠️ ${winner ? 'Scorecard winner not matched to a participant' : 'Scorecards report a tie'}, requiring proof:`, winner);
       }
-      
-      console.log('✅ Challenge completed with winner:', winner);
     } else if (updatedScorecards.length === 1) {
       // First scorecard submitted - start timer for second player
       newStatus = 'scorecard-pending';
-      updateData.status = newStatus;
+      transitionReason = 'first scorecard submitted';
       updateData.scorecardTimerStarted = new Date();
       
       console.log('⏰ First scorecard submitted, waiting for second player');
@@ -2916,7 +2743,52 @@ router.post('/:id/submit-scorecard', authenticateToken, async (req, res) => {
       console.log('⚠️ Unexpected scorecard count:', updatedScorecards.length);
     }
 
-    await challengeRef.update(updateData);
+    let series = challengeData.series || null;
+    if (newStatus === 'completed') {
+      // Guarded on the status we read, so two scorecards submitted at once can't both apply.
+      // In a series this only completes the challenge once a side clinches.
+      const result = await seriesService.completeGame(id, challengeData, {
+        actor: isChallenger ? ACTORS.CHALLENGER : ACTORS.OPPONENT,
+        by: req.user,
+        reason: transitionReason,
+        from: [challengeData.status],
+        updates: updateData,
+        winnerUid: winnerUserId,
+        settleOptions: {
+          description: `Challenge reward for ${challengeData.game}`,
+          feeDescription: `Admin fee from challenge ${challengeData.game}`
+        }
+      });
+      newStatus = result.to;
+      series = result.series;
+    } else if (newStatus !== challengeData.status) {
+      await challengeStateMachine.transition(id, newStatus, {
+        actor: isChallenger ? ACTORS.CHALLENGER : ACTORS.OPPONENT,
+        by: req.user,
+        reason: transitionReason,
+        from: [challengeData.status],
+        updates: updateData
+      });
+    } else {
+      await challengeRef.update({ ...updateData, updatedAt: new Date() });
+    }
+
+    realtimeService.publishChallenge(id, EVENTS.SCORECARD_SUBMITTED, {
+      submittedBy: req.user.username,
+      scorecards: updatedScorecards.length,
+      hasConflict,
+      status: newStatus
+    });
+
+    // The scheduler forfeits the missing side when the timer runs out, whether or not anyone is watching
+    if (updateData.scorecardTimerEnd && newStatus === 'scorecard-pending') {
+      try {
+        await timerService.scheduleChallengeScorecardTimer(id, updateData.scorecardTimerEnd);
+      } catch (scheduleError) {
+        // Picked up by scheduleMissingTimers on the next start
+        console.error('❌ Failed to schedule scorecard timer:', scheduleError);
+      }
+    }
 
     res.json({
       success: true,
@@ -2926,11 +2798,13 @@ router.post('/:id/submit-scorecard', authenticateToken, async (req, res) => {
         status: newStatus,
         hasConflict,
         scorecardData,
-        requiresProof: hasConflict
+        requiresProof: newStatus === 'scorecard-conflict',
+        series
       }
     });
 
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('❌ Error submitting scorecard:', error);
     res.status(500).json({
       success: false,
@@ -3058,43 +2932,71 @@ router.post('/:id/submit-proof', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if challenge is in conflict state
-    if (challengeData.status !== 'scorecard-conflict') {
+    // Handle file uploads if any
+    const proofImages = req.files ? req.files.map(file => file.path) : [];
+
+    // Proof is only accepted while the scorecards are in conflict
+    if (challengeData.status !== CHALLENGE_STATUS.SCORECARD_CONFLICT) {
       return res.status(400).json({
         success: false,
         message: 'Challenge is not in conflict state'
       });
     }
 
-    // Handle file uploads if any
-    const proofImages = req.files ? req.files.map(file => file.path) : [];
+    // Analyse the proof before recording it, so a failed analysis leaves the challenge in
+    // scorecard-conflict (where proof can be submitted again) instead of stuck in proof-submitted
+    const aiResult = await aiAnalysisService.analyzeProof(challengeData, proofImages, description, challengeData.challengerPlatformUsernames || {});
 
-    // Update challenge with proof
-    await challengeRef.update({
-      proofImages,
-      proofDescription: description,
-      proofSubmittedAt: new Date(),
-      status: 'proof-submitted',
-      updatedAt: new Date()
-    });
+    // Update challenge with proof; the `from` guard stops a second proof submitted meanwhile
+    try {
+      await challengeStateMachine.transition(id, CHALLENGE_STATUS.PROOF_SUBMITTED, {
+        actor: isChallenger ? ACTORS.CHALLENGER : ACTORS.OPPONENT,
+        by: req.user,
+        reason: 'proof submitted for scorecard conflict',
+        from: [CHALLENGE_STATUS.SCORECARD_CONFLICT],
+        updates: {
+          proofImages,
+          proofDescription: description,
+          proofSubmittedAt: new Date()
+        }
+      });
+    } catch (transitionError) {
+      if (transitionError.code === 'INVALID_TRANSITION') {
+        return res.status(400).json({
+          success: false,
+          message: 'Challenge is not in conflict state'
+        });
+      }
+      throw transitionError;
+    }
 
-    // Process with AI verification
-    const aiResult = await performAIAnalysis(challengeData, proofImages, description, challengeData.challengerPlatformUsernames || {});
-    
-    // Update challenge with AI result
-    await challengeRef.update({
-      status: 'completed',
-      aiResult: aiResult,
-      winner: aiResult.winner,
-      completedAt: new Date(),
-      updatedAt: new Date()
-    });
+    // Contradicting proof images can't decide the game; an admin resolves it like an AI conflict
+    if (aiResult.status === 'needs_review') {
+      await challengeStateMachine.transition(id, CHALLENGE_STATUS.AI_CONFLICT, {
+        actor: ACTORS.SYSTEM,
+        by: req.user,
+        reason: 'proof images disagree',
+        from: [CHALLENGE_STATUS.PROOF_SUBMITTED],
+        updates: {
+          aiResult,
+          aiConflictDetectedAt: new Date(),
+          aiConflictReason: aiResult.reasoning,
+          disputeStatus: 'pending'
+        }
+      });
+
+      return res.json({
+        success: true,
+        message: 'Proof images disagree - sent to admin for review',
+        data: {
+          challengeId: id,
+          status: CHALLENGE_STATUS.AI_CONFLICT,
+          aiResult,
+          needsReview: true
+        }
+      });
+    }
 
-    // Process wallet transactions
-    const totalChallengeAmount = challengeData.stake * 2;
-    const rewardAmount = totalChallengeAmount * 0.95;
-    const adminFee = totalChallengeAmount * 0.05;
-    
     // Find winner user ID
     let winnerUserId = null;
     if (aiResult.iWin) {
@@ -3117,24 +3019,66 @@ router.post('/:id/submit-proof', authenticateToken, async (req, res) => {
       }
     }
     
-    if (winnerUserId) {
-      await walletService.awardReward(winnerUserId, rewardAmount, id, `Challenge reward for ${challengeData.game}`);
-      await walletService.addAdminFee(adminFee, id, `Admin fee from challenge ${challengeData.game}`);
+    // A winner we can't pay out goes to an admin instead of completing with the pot stuck in escrow
+    if (!winnerUserId) {
+      await challengeStateMachine.transition(id, CHALLENGE_STATUS.AI_CONFLICT, {
+        actor: ACTORS.SYSTEM,
+        by: req.user,
+        reason: 'proof winner could not be matched to a participant',
+        from: [CHALLENGE_STATUS.PROOF_SUBMITTED],
+        updates: {
+          aiResult,
+          aiConflictDetectedAt: new Date(),
+          aiConflictReason: `The proof names "${aiResult.winner}" as the winner, who is not a participant of this challenge.`,
+          disputeStatus: 'pending'
+        }
+      });
+
+      return res.json({
+        success: true,
+        message: 'Winner could not be matched to a participant - sent to admin for review',
+        data: {
+          challengeId: id,
+          status: CHALLENGE_STATUS.AI_CONFLICT,
+          aiResult,
+          needsReview: true
+        }
+      });
     }
 
+    // Decide the game with the AI result; the winner is paid from escrow when the challenge (or series) is over
+    const result = await seriesService.completeGame(id, { ...challengeData, proofImages, proofDescription: description }, {
+      actor: ACTORS.SYSTEM,
+      by: req.user,
+      reason: 'proof verified by AI',
+      from: [CHALLENGE_STATUS.PROOF_SUBMITTED],
+      updates: {
+        aiResult: aiResult,
+        winner: aiResult.winner,
+        completedAt: new Date()
+      },
+      winnerUid: winnerUserId,
+      settleOptions: {
+        description: `Challenge reward for ${challengeData.game}`,
+        feeDescription: `Admin fee from challenge ${challengeData.game}`
+      }
+    });
+
     res.json({
       success: true,
       message: 'Proof submitted and processed successfully',
       data: {
         challengeId: id,
-        status: 'completed',
+        status: result.to,
         aiResult,
         winner: aiResult.winner,
-        isWinner: aiResult.iWin
+        isWinner: aiResult.iWin,
+        series: result.series
       }
     });
 
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('❌ Error submitting proof:', error);
     res.status(500).json({
       success: false,
@@ -3171,71 +3115,22 @@ router.post('/:id/auto-forfeit', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if timer has expired (5 minutes)
-    const timerStarted = challengeData.scorecardTimerStarted;
-    if (!timerStarted) {
-      return res.status(400).json({
-        success: false,
-        message: 'No timer found for this challenge'
-      });
-    }
-
-    const timerExpiry = new Date(timerStarted.getTime() + 5 * 60 * 1000); // 5 minutes
-    const now = new Date();
-    
-    if (now < timerExpiry) {
-      return res.status(400).json({
-        success: false,
-        message: 'Timer has not expired yet'
-      });
-    }
-
-    // Find who submitted the first scorecard
-    const scorecards = challengeData.scorecards || [];
-    if (scorecards.length === 0) {
+    // The scheduler normally does this on time; this endpoint only lets a client nudge an overdue timer.
+    // Same code path as the scheduled job, so it can't pay out twice.
+    const result = await timerService.expireChallengeScorecardTimer(id);
+    if (!result.expired) {
+      const messages = {
+        'no-timer': 'No timer found for this challenge',
+        'not-due': 'Timer has not expired yet',
+        'nothing-to-forfeit': 'No scorecards found',
+        'status-changed': 'Challenge is not in scorecard-pending state'
+      };
       return res.status(400).json({
         success: false,
-        message: 'No scorecards found'
+        message: messages[result.reason] || 'Auto-forfeit could not be processed'
       });
     }
-
-    const firstScorecard = scorecards[0];
-    const winner = firstScorecard.submittedBy;
-    
-    // Update challenge status
-    await challengeRef.update({
-      status: 'completed',
-      winner: winner,
-      completedAt: new Date(),
-      autoForfeit: true,
-      updatedAt: new Date()
-    });
-
-    // Process wallet transactions
-    const totalChallengeAmount = challengeData.stake * 2;
-    const rewardAmount = totalChallengeAmount * 0.95;
-    const adminFee = totalChallengeAmount * 0.05;
-    
-    // Find winner user ID
-    let winnerUserId = null;
-    if (winner === challengeData.challenger.username) {
-      winnerUserId = challengeData.challenger.uid;
-    } else {
-      const winnerOpponent = challengeData.opponents.find(opp => opp.username === winner);
-      if (winnerOpponent) {
-        try {
-          const profile = await userService.getUserByUsername(winnerOpponent.username);
-          winnerUserId = profile.uid;
-        } catch (e) {
-          console.error('Error finding winner user:', e);
-        }
-      }
-    }
-    
-    if (winnerUserId) {
-      await walletService.awardReward(winnerUserId, rewardAmount, id, `Challenge reward for ${challengeData.game} (auto-forfeit)`);
-      await walletService.addAdminFee(adminFee, id, `Admin fee from challenge ${challengeData.game}`);
-    }
+    const winner = result.winner;
 
     res.json({
       success: true,
@@ -3249,6 +3144,7 @@ router.post('/:id/auto-forfeit', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('❌ Error processing auto-forfeit:', error);
     res.status(500).json({
       success: false,
@@ -3348,24 +3244,57 @@ router.post('/:id/ai-verification', authenticateToken, multer({
       });
     }
 
+    // Check if current user has already submitted AI verification
+    const existingAiResults = challengeData.aiVerificationResults || [];
+    const userHasAlreadySubmitted = existingAiResults.some(result => 
+      result.submittedBy === req.user.username
+    );
+    
+    if (userHasAlreadySubmitted) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already submitted AI verification for this challenge'
+      });
+    }
+
+    // Fingerprint the uploads and check them against earlier proofs and their metadata before paying for analysis
+    let integrity = null;
+    try {
+      integrity = await proofIntegrityService.inspectAll(proofImages, {
+        challengeId: id,
+        challengeData,
+        user: req.user,
+        context: 'challenge-ai-verification'
+      });
+    } catch (integrityError) {
+      console.error('⚠️ Failed to check proof images for reuse or tampering:', integrityError.message);
+    }
+    const proofFlagged = Boolean(integrity?.suspicious);
+
     // Convert File objects to base64 data URLs for AI analysis
     const proofImageUrls = proofImages.map(image => {
       const base64 = Buffer.from(image.buffer).toString('base64');
       return `data:${image.mimetype};base64,${base64}`;
     });
 
-    // Call the existing AI analysis function
-    const aiResult = await performAIAnalysis(
-      challengeData,
-      proofImageUrls,
-      description,
-      platformUsernames
-    );
+    // Same analysis path as every other proof; flagged proof goes to an admin whatever it shows, so it isn't analyzed
+    const aiResult = proofFlagged
+      ? { winner: 'Unknown', confidence: 0, reasoning: 'Not analyzed: the proof was flagged as possibly reused or edited' }
+      : await aiAnalysisService.analyzeProof(challengeData, proofImageUrls, description, platformUsernames);
 
     console.log('🤖 AI analysis result:', aiResult);
 
-    // Determine the winner based on AI analysis
-    const platformWinner = aiResult.winner;
+    // Determine the winner based on AI analysis; when it couldn't name one, read it off the scores
+    // with the game's scoring rules so `winner` and the payout go to the same participant
+    const profile = await gameProfileService.getGameProfile(challengeData.game);
+    let platformWinner = aiResult.winner || 'Unknown';
+    if (platformWinner === 'Unknown' && aiResult.players?.length) {
+      const scoreWinner = gameProfileService.winnerFromScore(aiResult.score, aiResult.players, profile);
+      if (scoreWinner) {
+        platformWinner = scoreWinner;
+        console.log('🔧 Auto-correcting Unknown winner from scores:', platformWinner);
+      }
+    }
     
     // Convert platform username back to login username
     let actualWinner = platformWinner;
@@ -3491,28 +3420,21 @@ router.post('/:id/ai-verification', authenticateToken, multer({
     console.log('🤖 Cleaned AI result for Firestore:', cleanAiResult);
     
     // Check if there are existing AI verification results
-    const existingAiResults = challengeData.aiVerificationResults || [];
     const hasExistingAiResult = existingAiResults.length > 0;
     const isFirstAiVerification = !hasExistingAiResult;
     
-    // Check if current user has already submitted AI verification
-    const userHasAlreadySubmitted = existingAiResults.some(result => 
-      result.submittedBy === req.user.username
-    );
-    
-    if (userHasAlreadySubmitted) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already submitted AI verification for this challenge'
-      });
-    }
-    
-    // Add current AI result
+    // Add current AI result; the image fingerprints let the other side's submission be checked for the same file
     const newAiResult = {
       ...cleanAiResult,
       submittedBy: req.user.username,
       submittedAt: new Date(),
-      winner: actualWinner
+      winner: actualWinner,
+      integrity: integrity ? {
+        fingerprintIds: integrity.images.map(image => image.id),
+        sha256s: integrity.images.map(image => image.sha256),
+        flags: integrity.images.flatMap(image => image.flags.map(flag => ({ code: flag.code, severity: flag.severity, message: flag.message }))),
+        suspicious: integrity.suspicious
+      } : null
     };
     
     const updatedAiResults = [...existingAiResults, newAiResult];
@@ -3520,101 +3442,62 @@ router.post('/:id/ai-verification', authenticateToken, multer({
     // Check for AI verification conflicts
     let hasAiConflict = false;
     let newStatus = 'ai-verification-pending';
-    
-    if (hasExistingAiResult) {
+    const needsReview = cleanAiResult.status === 'needs_review';
+    let comparison = null;
+    
+    if (needsReview || proofFlagged) {
+      // This upload's images contradict each other or look reused/edited, so waiting for the other side won't settle it
+      hasAiConflict = true;
+      newStatus = 'ai-conflict';
+      console.log('⚠️ Proof needs admin review:', proofFlagged ? integrity.reasons : cleanAiResult.consensus?.conflicts);
+    } else if (hasExistingAiResult) {
+      // Compare both players' results: winners, scores, players, game and image fingerprints
       const firstResult = existingAiResults[0];
-      
-      // Debug logging for conflict detection
-      console.log('🔍 AI Conflict Detection Debug:', {
-        firstResult: {
-          winner: firstResult.winner,
-          type: typeof firstResult.winner,
-          submittedBy: firstResult.submittedBy
-        },
-        currentResult: {
-          winner: actualWinner,
-          type: typeof actualWinner,
-          submittedBy: req.user.username
-        },
-        strictEqual: firstResult.winner === actualWinner,
-        looseEqual: firstResult.winner == actualWinner
-      });
-      
-      // Normalize both winners for comparison (trim whitespace, convert to lowercase)
-      const normalizedFirstWinner = String(firstResult.winner || '').trim().toLowerCase();
-      const normalizedCurrentWinner = String(actualWinner || '').trim().toLowerCase();
-      
-      console.log('🔍 Normalized comparison:', {
-        firstWinner: normalizedFirstWinner,
-        currentWinner: normalizedCurrentWinner,
-        areEqual: normalizedFirstWinner === normalizedCurrentWinner
+      comparison = aiAnalysisService.compareSubmissions(firstResult, newAiResult, profile);
+
+      console.log('🔍 AI submission comparison:', {
+        firstSubmittedBy: firstResult.submittedBy,
+        secondSubmittedBy: req.user.username,
+        outcome: comparison.outcome,
+        winner: comparison.winner,
+        sameScreenshot: comparison.sameScreenshot,
+        editedScreenshot: comparison.editedScreenshot,
+        reasons: comparison.reasons
       });
-      
-      if (normalizedFirstWinner !== normalizedCurrentWinner) {
+
+      if (comparison.outcome === 'conflict') {
         hasAiConflict = true;
         newStatus = 'ai-conflict';
-        console.log('⚠️ AI verification conflict detected:', {
-          firstWinner: firstResult.winner,
-          secondWinner: actualWinner,
-          firstSubmittedBy: firstResult.submittedBy,
-          secondSubmittedBy: req.user.username,
-          normalizedFirst: normalizedFirstWinner,
-          normalizedSecond: normalizedCurrentWinner
-        });
+        console.log('⚠️ AI verification conflict detected:', comparison.reasons);
       } else {
-        // Both AI results agree, proceed to completion
+        // Both AI results agree, proceed to completion with the winner they agree on
         newStatus = 'completed';
+        actualWinner = comparison.winner;
         console.log('✅ Both AI verifications agree, proceeding to completion');
       }
     }
     
-    // Update challenge status
+    // Fields written with the status change
     const updateData = {
-      aiVerificationResults: updatedAiResults,
-      updatedAt: new Date()
+      aiVerificationResults: updatedAiResults
     };
+    if (comparison) updateData.aiComparison = comparison;
     
     // If this is the first AI verification, start the timer
-    if (isFirstAiVerification) {
+    if (isFirstAiVerification && !needsReview && !proofFlagged) {
       const timerEndTime = Date.now() + (5 * 60 * 1000); // 5 minutes from now as timestamp
       updateData.aiVerificationTimerEnd = timerEndTime;
-      updateData.status = 'ai-verification-pending';
       console.log('⏰ First AI verification submitted, starting 5-minute timer until:', new Date(timerEndTime));
     }
     
-    // Automatic correction for "Unknown" winners
-    let correctedWinner = actualWinner;
-    if (actualWinner === 'Unknown' && cleanAiResult.scoreCorrected) {
-      // If AI analysis corrected the winner based on scores, use that
-      correctedWinner = cleanAiResult.winner;
-      console.log('🔧 Auto-correcting Unknown winner to:', correctedWinner);
-    } else if (actualWinner === 'Unknown' && cleanAiResult.players && cleanAiResult.players.length > 0) {
-      // If winner is still Unknown but we have score data, determine winner from scores
-      const playerScores = {};
-      cleanAiResult.players.forEach(player => {
-        const [name, score] = player.split(':');
-        if (name && score) {
-          playerScores[name.trim()] = parseInt(score.trim());
-        }
-      });
-      
-      if (Object.keys(playerScores).length === 2) {
-        const scores = Object.values(playerScores);
-        const names = Object.keys(playerScores);
-        const maxScore = Math.max(...scores);
-        const winnerIndex = scores.indexOf(maxScore);
-        correctedWinner = names[winnerIndex];
-        console.log('🔧 Auto-correcting Unknown winner from scores:', correctedWinner);
-      }
-    }
-
     if (hasAiConflict) {
-      updateData.status = 'ai-conflict';
       updateData.aiConflictDetectedAt = new Date();
       updateData.disputeStatus = 'pending';
+      if (proofFlagged) updateData.aiConflictReason = `Proof flagged: ${integrity.reasons.join('; ')}.`;
+      else if (needsReview) updateData.aiConflictReason = cleanAiResult.reasoning;
+      else if (comparison) updateData.aiConflictReason = `The proofs disagree: ${comparison.reasons.join('; ')}.`;
     } else if (newStatus === 'completed') {
-      updateData.status = 'completed';
-      updateData.winner = correctedWinner;
+      updateData.winner = actualWinner;
       updateData.completedAt = new Date();
       updateData.aiVerification = true;
       updateData.aiVerificationResult = cleanAiResult;
@@ -3628,16 +3511,9 @@ router.post('/:id/ai-verification', authenticateToken, multer({
       uploadedAt: new Date()
     }));
     
-    await challengeRef.update(updateData);
-
-    // Process wallet transactions only if both AI verifications are complete and no conflict
+    // Find winner user ID using the mapped login username; paid only if both AI verifications agree
+    let winnerUserId = null;
     if (newStatus === 'completed' && !hasAiConflict) {
-      const totalChallengeAmount = challengeData.stake * 2;
-      const rewardAmount = totalChallengeAmount * 0.95;
-      const adminFee = totalChallengeAmount * 0.05;
-      
-      // Find winner user ID using the mapped login username
-      let winnerUserId = null;
       if (actualWinner === challengeData.challenger.username) {
         winnerUserId = challengeData.challenger.uid;
         console.log('  - Winner user ID (challenger):', winnerUserId);
@@ -3648,36 +3524,102 @@ router.post('/:id/ai-verification', authenticateToken, multer({
         );
         if (winnerOpponent) {
           try {
-            const profile = await userService.getUserByUsername(winnerOpponent.username);
-            winnerUserId = profile.uid;
+            const winnerProfile = await userService.getUserByUsername(winnerOpponent.username);
+            winnerUserId = winnerProfile.uid;
             console.log('  - Winner user ID (opponent):', winnerUserId);
           } catch (e) {
             console.error('Error finding winner user:', e);
           }
         }
       }
-      
-      if (winnerUserId) {
-        await walletService.awardReward(winnerUserId, rewardAmount, id, `Challenge reward for ${challengeData.game} (AI Verified)`);
-        await walletService.addAdminFee(adminFee, id, `Admin fee from challenge ${challengeData.game} (AI Verified)`);
+      if (!winnerUserId) {
+        // Both proofs agree on someone we can't pay out; an admin decides instead
+        newStatus = 'ai-conflict';
+        hasAiConflict = true;
+        delete updateData.winner;
+        delete updateData.completedAt;
+        updateData.aiConflictDetectedAt = new Date();
+        updateData.disputeStatus = 'pending';
+        updateData.aiConflictReason = `The proofs name "${actualWinner}" as the winner, who is not a participant of this challenge.`;
+        console.log('⚠️ AI winner not matched to a participant, sending to admin review:', actualWinner);
       }
     } else {
       console.log('⚠️ AI conflict detected, holding credits until admin resolution');
     }
 
+    let series = challengeData.series || null;
+    if (newStatus === 'completed') {
+      // In a series this only completes the challenge once a side clinches
+      const result = await seriesService.completeGame(id, challengeData, {
+        actor: isChallenger ? ACTORS.CHALLENGER : ACTORS.OPPONENT,
+        by: req.user,
+        reason: 'AI verification results agree',
+        from: [challengeData.status],
+        updates: updateData,
+        winnerUid: winnerUserId,
+        settleOptions: {
+          description: `Challenge reward for ${challengeData.game} (AI Verified)`,
+          feeDescription: `Admin fee from challenge ${challengeData.game} (AI Verified)`
+        }
+      });
+      newStatus = result.to;
+      series = result.series;
+    } else if (newStatus !== challengeData.status) {
+      await challengeStateMachine.transition(id, newStatus, {
+        actor: isChallenger ? ACTORS.CHALLENGER : ACTORS.OPPONENT,
+        by: req.user,
+        reason: proofFlagged ? 'proof flagged for review'
+          : needsReview ? 'proof images disagree'
+          : comparison?.outcome === 'agree' ? 'AI winner could not be matched to a participant'
+          : hasAiConflict ? 'AI verification results conflict' : 'AI verification submitted',
+        from: [challengeData.status],
+        updates: updateData
+      });
+    } else {
+      await challengeRef.update({ ...updateData, updatedAt: new Date() });
+    }
+
+    // Only proofs that were accepted are kept for later uploads to be checked against
+    if (integrity) {
+      try {
+        await proofIntegrityService.saveAll(integrity);
+      } catch (saveError) {
+        console.error('⚠️ Failed to record proof fingerprints:', saveError.message);
+      }
+    }
+
+    // The scheduler forfeits the missing side when the timer runs out, whether or not anyone is watching
+    if (updateData.aiVerificationTimerEnd && newStatus === 'ai-verification-pending') {
+      try {
+        await timerService.scheduleChallengeAiTimer(id, updateData.aiVerificationTimerEnd);
+      } catch (scheduleError) {
+        // Picked up by scheduleMissingTimers on the next start
+        console.error('❌ Failed to schedule AI verification timer:', scheduleError);
+      }
+    }
+
     console.log('✅ AI verification completed. Winner:', actualWinner);
 
     res.json({
       success: true,
-      message: hasAiConflict ? 'AI verification submitted, conflict detected - sent to admin for review' : 'AI verification completed successfully',
+      message: proofFlagged
+        ? 'Proof flagged as possibly reused or edited - sent to admin for review'
+        : needsReview
+        ? 'Proof images disagree - sent to admin for review'
+        : hasAiConflict ? 'AI verification submitted, conflict detected - sent to admin for review' : 'AI verification completed successfully',
       winner: actualWinner, // Return the mapped login username
       aiVerification: true,
       aiResult: cleanAiResult,
       hasConflict: hasAiConflict,
-      status: newStatus
+      needsReview,
+      comparison,
+      proofFlagged,
+      status: newStatus,
+      series
     });
 
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('❌ Error processing AI verification:', error);
     res.status(500).json({
       success: false,
@@ -3723,9 +3665,6 @@ router.post('/:id/resolve-ai-conflict', authenticateToken, async (req, res) => {
     }
     
     // Process wallet transactions
-    const totalChallengeAmount = challengeData.stake * 2;
-    const rewardAmount = totalChallengeAmount * 0.95;
-    const adminFee = totalChallengeAmount * 0.05;
     
     // Find winner user ID
     let winnerUserId = null;
@@ -3742,24 +3681,35 @@ router.post('/:id/resolve-ai-conflict', authenticateToken, async (req, res) => {
         }
       }
     }
-    
-    if (winnerUserId) {
-      await walletService.awardReward(winnerUserId, rewardAmount, id, `Challenge reward for ${challengeData.game} (Admin Resolved)`);
-      await walletService.addAdminFee(adminFee, id, `Admin fee from challenge ${challengeData.game} (Admin Resolved)`);
+
+    if (!winnerUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Winner must be the username of a participant in this challenge'
+      });
     }
     
-    // Update challenge status
-    await challengeRef.update({
-      status: 'completed',
-      winner: winner,
-      completedAt: new Date(),
-      disputeStatus: 'resolved',
-      adminResolution: {
-        resolvedBy: req.user.username,
-        resolvedAt: new Date(),
-        reason: adminReason || 'Admin resolution of AI conflict'
+    // Decide the game and release the escrow to the chosen winner once the challenge (or series) is over
+    const result = await seriesService.completeGame(id, challengeData, {
+      actor: ACTORS.ADMIN,
+      by: req.user,
+      reason: adminReason || 'Admin resolution of AI conflict',
+      from: [CHALLENGE_STATUS.AI_CONFLICT],
+      updates: {
+        winner: winner,
+        completedAt: new Date(),
+        disputeStatus: 'resolved',
+        adminResolution: {
+          resolvedBy: req.user.username,
+          resolvedAt: new Date(),
+          reason: adminReason || 'Admin resolution of AI conflict'
+        }
       },
-      updatedAt: new Date()
+      winnerUid: winnerUserId,
+      settleOptions: {
+        description: `Challenge reward for ${challengeData.game} (Admin Resolved)`,
+        feeDescription: `Admin fee from challenge ${challengeData.game} (Admin Resolved)`
+      }
     });
     
     console.log('✅ AI conflict resolved by admin. Winner:', winner);
@@ -3767,10 +3717,13 @@ router.post('/:id/resolve-ai-conflict', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       message: 'AI conflict resolved successfully',
-      winner: winner
+      winner: winner,
+      status: result.to,
+      series: result.series
     });
     
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('❌ Error resolving AI conflict:', error);
     res.status(500).json({
       success: false,
@@ -3798,7 +3751,7 @@ router.get('/', (req, res) => {
 });
 
 // Claim reward for already completed challenge
-router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
+router.post('/:id/claim-reward', authenticateToken, idempotent, async (req, res) => {
   try {
     const { id } = req.params;
     const { winner } = req.body;
@@ -3868,15 +3821,9 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
 
     // Process reward distribution
     try {
-      const totalChallengeAmount = (challengeData.stake || 0) * 2;
-      const rewardAmount = totalChallengeAmount * 0.95;
-      const adminFee = totalChallengeAmount * 0.05;
 
       console.log('💰 Processing reward distribution in /claim-reward endpoint:', {
         challengeId: id,
-        totalChallengeAmount,
-        rewardAmount,
-        adminFee,
         stake: challengeData.stake
       });
 
@@ -3962,8 +3909,11 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
 
       if (winnerUserId) {
         // Award the reward
-        await walletService.awardReward(winnerUserId, rewardAmount, id, `Challenge reward for ${challengeData.game}`);
-        await walletService.addAdminFee(adminFee, id, `Admin fee from challenge ${challengeData.game}`);
+        // Escrow releases are idempotent, so a reward already paid by another completion path is not paid twice
+        const { rewardAmount, adminFee, alreadySettled } = await escrowService.releaseToWinner(id, winnerUserId, {
+          description: `Challenge reward for ${challengeData.game}`,
+          feeDescription: `Admin fee from challenge ${challengeData.game}`
+        });
         
         // Mark reward as claimed
         await challengeRef.update({
@@ -3983,12 +3933,13 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
 
         res.json({
           success: true,
-          message: 'Reward claimed successfully',
+          message: alreadySettled ? 'Reward was already paid out for this challenge' : 'Reward claimed successfully',
           data: {
             id: id,
             rewardAmount: rewardAmount,
             adminFee: adminFee,
-            winnerUserId: winnerUserId
+            winnerUserId: winnerUserId,
+            alreadySettled: Boolean(alreadySettled)
           }
         });
       } else {
@@ -4026,4 +3977,3 @@ router.post('/:id/claim-reward', authenticateToken, async (req, res) => {
 });
 
 module.exports = router;
-module.exports.performAIAnalysis = performAIAnalysis;
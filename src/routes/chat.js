@@ -0,0 +1,90 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { chatService, THREAD_TYPES, MAX_ATTACHMENTS } = require('../services/chatService');
+const { uploadService } = require('../services/uploadService');
+
+const router = express.Router();
+
+// Image attachments, same limits as dispute evidence
+const attachmentUpload = uploadService.imageUpload();
+
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  FORBIDDEN: 403,
+  INVALID_MESSAGE: 400,
+  INVALID_CURSOR: 400
+};
+
+// Known chat errors map to their status; anything else is a 500
+function handleError(res, error, failure) {
+  const status = ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ Error: ${failure}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${failure}`,
+    error: error.message
+  });
+}
+
+const challengeThread = (req) => ({ type: THREAD_TYPES.CHALLENGE, challengeId: req.params.id });
+
+const matchThread = (req) => ({
+  type: THREAD_TYPES.TOURNAMENT_MATCH,
+  tournamentId: req.params.tournamentId,
+  matchId: req.params.matchId
+});
+
+// Newest first. Query: limit, before (id of the oldest message already loaded)
+const listMessages = (threadFor) => async (req, res) => {
+  try {
+    const data = await chatService.getMessages(threadFor(req), req.user, {
+      limit: req.query.limit,
+      before: req.query.before
+    });
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error, 'get messages');
+  }
+};
+
+// Body (multipart or JSON): text, plus up to MAX_ATTACHMENTS images as "attachments"
+const postMessage = (threadFor) => async (req, res) => {
+  try {
+    const files = Array.isArray(req.files) ? req.files : [];
+    if (files.length > 0 && !uploadService.isAvailable()) {
+      return res.status(500).json({
+        success: false,
+        message: 'File storage service not available'
+      });
+    }
+
+    const message = await chatService.postMessage(threadFor(req), req.user, {
+      text: req.body?.text,
+      files
+    });
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: message
+    });
+  } catch (error) {
+    handleError(res, error, 'send message');
+  }
+};
+
+router.get('/challenges/:id/messages', authenticateToken, listMessages(challengeThread));
+router.post('/challenges/:id/messages', authenticateToken, attachmentUpload.array('attachments', MAX_ATTACHMENTS), postMessage(challengeThread));
+
+router.get('/tournaments/:tournamentId/matches/:matchId/messages', authenticateToken, listMessages(matchThread));
+router.post('/tournaments/:tournamentId/matches/:matchId/messages', authenticateToken, attachmentUpload.array('attachments', MAX_ATTACHMENTS), postMessage(matchThread));
+
+module.exports = router;
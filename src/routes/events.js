@@ -0,0 +1,114 @@
+const express = require('express');
+const { authenticateToken, authenticateStream, isAdminUser } = require('../middleware/auth');
+const { streamTokenService } = require('../services/streamTokenService');
+const { firestore } = require('../config/firebase');
+const { teamService } = require('../services/teamService');
+const { realtimeService, EVENTS } = require('../services/realtimeService');
+
+const router = express.Router();
+
+// Single-use token for opening one stream with EventSource (passed as ?streamToken=)
+router.post('/token', authenticateToken, async (req, res) => {
+  try {
+    const { token, expiresAt } = await streamTokenService.issue(req.user);
+    res.json({
+      success: true,
+      data: { streamToken: token, expiresAt }
+    });
+  } catch (error) {
+    console.error('❌ Error issuing stream token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue stream token',
+      error: error.message
+    });
+  }
+});
+
+// Live challenge updates (status changes, ready checks, scorecards, timer ticks) for its players and admins
+router.get('/challenges/:id', authenticateStream, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const challengeDoc = await firestore.collection('challenges').doc(id).get();
+
+    if (!challengeDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    const challengeData = challengeDoc.data();
+    const isChallenger = challengeData.challenger?.uid === req.user.uid;
+    const isOpponent = (challengeData.opponents || []).some(opp =>
+      opp.uid === req.user.uid || opp.username === req.user.username
+    );
+    const isTeamMember = Boolean(teamService.findMember(challengeData, req.user.uid));
+
+    if (!isChallenger && !isOpponent && !isTeamMember && !isAdminUser(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view this challenge'
+      });
+    }
+
+    const client = realtimeService.subscribe(req, res, [realtimeService.challengeChannel(id)], req.user);
+    if (!client) return;
+    // Start from the current state so the client doesn't need a separate fetch
+    realtimeService.send(client, EVENTS.CHALLENGE_STATUS, {
+      challengeId: id,
+      status: challengeData.status,
+      winner: challengeData.winner || null
+    });
+  } catch (error) {
+    console.error('❌ Error opening challenge stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open challenge stream',
+      error: error.message
+    });
+  }
+});
+
+// Live bracket and match updates for a tournament's participants and admins
+router.get('/tournaments/:tournamentId', authenticateStream, async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+    const tournamentDoc = await firestore.collection('tournaments').doc(tournamentId).get();
+
+    if (!tournamentDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const tournament = tournamentDoc.data();
+    const isParticipant = tournament.participants?.some(p => p.uid === req.user.uid);
+
+    if (!isParticipant && !isAdminUser(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not in this tournament'
+      });
+    }
+
+    const client = realtimeService.subscribe(req, res, [realtimeService.tournamentChannel(tournamentId)], req.user);
+    if (!client) return;
+    realtimeService.send(client, EVENTS.BRACKET_UPDATED, {
+      tournamentId,
+      status: tournament.status,
+      currentRound: tournament.currentRound || 0,
+      bracket: tournament.bracket || []
+    });
+  } catch (error) {
+    console.error('❌ Error opening tournament stream:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open tournament stream',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
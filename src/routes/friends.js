@@ -0,0 +1,179 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { friendService } = require('../services/friendService');
+
+const router = express.Router();
+
+const ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  REQUEST_NOT_FOUND: 404,
+  FRIENDSHIP_NOT_FOUND: 404,
+  NOT_BLOCKED: 404,
+  CANNOT_TARGET_SELF: 400,
+  USER_BLOCKED: 403,
+  ALREADY_FRIENDS: 409,
+  REQUEST_PENDING: 409
+};
+
+// Known friend errors map to their status; anything else is a 500
+function handleError(res, error, failure) {
+  const status = ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`❌ Error: ${failure}:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${failure}`,
+    error: error.message
+  });
+}
+
+// Friends (online first), plus incoming and outgoing requests
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const data = await friendService.listFriends(req.user.uid);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    handleError(res, error, 'get friends');
+  }
+});
+
+// Keep the caller's online status fresh; clients call this every minute or so while open
+router.post('/presence', authenticateToken, async (req, res) => {
+  try {
+    await friendService.touchPresence(req.user.uid);
+    res.json({
+      success: true,
+      message: 'Presence updated'
+    });
+  } catch (error) {
+    handleError(res, error, 'update presence');
+  }
+});
+
+// Recent opponents with the details needed to challenge them again
+router.get('/recent-opponents', authenticateToken, async (req, res) => {
+  try {
+    const opponents = await friendService.recentOpponents(req.user.uid, { limit: req.query.limit });
+    res.json({
+      success: true,
+      data: opponents
+    });
+  } catch (error) {
+    handleError(res, error, 'get recent opponents');
+  }
+});
+
+// Send a friend request. Body: { username }
+router.post('/requests', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.body || {};
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: 'username is required'
+      });
+    }
+
+    const { status, friendship } = await friendService.sendRequest(req.user, username);
+    res.status(status === 'accepted' ? 200 : 201).json({
+      success: true,
+      message: status === 'accepted' ? 'Friend request accepted' : 'Friend request sent',
+      data: friendship
+    });
+  } catch (error) {
+    handleError(res, error, 'send friend request');
+  }
+});
+
+router.post('/requests/:username/accept', authenticateToken, async (req, res) => {
+  try {
+    await friendService.respond(req.user, req.params.username, true);
+    res.json({
+      success: true,
+      message: 'Friend request accepted'
+    });
+  } catch (error) {
+    handleError(res, error, 'accept friend request');
+  }
+});
+
+router.post('/requests/:username/decline', authenticateToken, async (req, res) => {
+  try {
+    await friendService.respond(req.user, req.params.username, false);
+    res.json({
+      success: true,
+      message: 'Friend request declined'
+    });
+  } catch (error) {
+    handleError(res, error, 'decline friend request');
+  }
+});
+
+router.get('/blocked', authenticateToken, async (req, res) => {
+  try {
+    const blocked = await friendService.listBlocked(req.user.uid);
+    res.json({
+      success: true,
+      data: blocked
+    });
+  } catch (error) {
+    handleError(res, error, 'get blocked users');
+  }
+});
+
+// Block a user. Body: { username }
+router.post('/blocked', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.body || {};
+    if (!username) {
+      return res.status(400).json({
+        success: false,
+        message: 'username is required'
+      });
+    }
+
+    const blocked = await friendService.block(req.user, username);
+    res.json({
+      success: true,
+      message: `${blocked.username} blocked`,
+      data: blocked
+    });
+  } catch (error) {
+    handleError(res, error, 'block user');
+  }
+});
+
+router.delete('/blocked/:username', authenticateToken, async (req, res) => {
+  try {
+    await friendService.unblock(req.user, req.params.username);
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    handleError(res, error, 'unblock user');
+  }
+});
+
+// Remove a friend, or cancel a request you sent
+router.delete('/:username', authenticateToken, async (req, res) => {
+  try {
+    await friendService.remove(req.user, req.params.username);
+    res.json({
+      success: true,
+      message: 'Friend removed'
+    });
+  } catch (error) {
+    handleError(res, error, 'remove friend');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
+const admin = require('firebase-admin');
 const { firestore } = require('../config/firebase');
 const { authenticateToken } = require('../middleware/auth');
 const { ensureAdmin } = require('../middleware/userAccess');
+const { feePolicyService } = require('../services/feePolicyService');
+const { gameProfileService } = require('../services/gameProfileService');
 
 const router = express.Router();
 
@@ -18,12 +21,32 @@ router.post('/', authenticateToken, ensureAdmin, async (req, res) => {
       return res.status(503).json({ success: false, message: 'Firestore is not configured' });
     }
 
-    const { gameName, isPublic } = req.body || {};
+    const { gameName, isPublic, feePolicy, scoreProfile } = req.body || {};
 
     if (!gameName) {
       return res.status(400).json({ success: false, message: 'gameName is required' });
     }
 
+    // Optional per-game fee policy (rake, min/max fee, promotional windows)
+    let validatedPolicy = null;
+    if (feePolicy !== undefined && feePolicy !== null) {
+      const { policy, errors } = feePolicyService.validatePolicy(feePolicy);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid feePolicy', errors });
+      }
+      validatedPolicy = policy;
+    }
+
+    // Optional scoreboard profile (scoring direction, players, fields) used by AI verification
+    let validatedProfile = null;
+    if (scoreProfile !== undefined && scoreProfile !== null) {
+      const { profile, errors } = gameProfileService.validateProfile(scoreProfile);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid scoreProfile', errors });
+      }
+      validatedProfile = profile;
+    }
+
     const normalizedName = normalizeGameName(gameName);
     const lowerName = normalizedName.toLowerCase();
 
@@ -57,6 +80,8 @@ router.post('/', authenticateToken, ensureAdmin, async (req, res) => {
         createdAt: now,
         updatedAt: now
       };
+      if (validatedPolicy) payload.feePolicy = validatedPolicy;
+      if (validatedProfile) payload.scoreProfile = validatedProfile;
 
       // Write updates atomically
       const gameRef = firestore.collection(COLLECTION_NAME).doc(String(nextId));
@@ -85,7 +110,7 @@ router.put('/:id', authenticateToken, ensureAdmin, async (req, res) => {
     }
 
     const { id } = req.params;
-    const { gameName, isPublic } = req.body || {};
+    const { gameName, isPublic, feePolicy, scoreProfile } = req.body || {};
 
     const idNum = Number(id);
     if (!Number.isInteger(idNum)) {
@@ -138,6 +163,28 @@ router.put('/:id', authenticateToken, ensureAdmin, async (req, res) => {
       updates.isPublic = isPublic;
     }
 
+    // Fee policy changes only affect challenges created afterwards (existing ones keep their snapshot)
+    if (feePolicy === null) {
+      updates.feePolicy = admin.firestore.FieldValue.delete();
+    } else if (feePolicy !== undefined) {
+      const { policy, errors } = feePolicyService.validatePolicy({ ...(current.feePolicy || {}), ...feePolicy });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid feePolicy', errors });
+      }
+      updates.feePolicy = policy;
+    }
+
+    // Profile changes apply to the next verification; null goes back to the default profile
+    if (scoreProfile === null) {
+      updates.scoreProfile = admin.firestore.FieldValue.delete();
+    } else if (scoreProfile !== undefined) {
+      const { profile, errors } = gameProfileService.validateProfile({ ...(current.scoreProfile || {}), ...scoreProfile });
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid scoreProfile', errors });
+      }
+      updates.scoreProfile = profile;
+    }
+
     if (Object.keys(updates).length > 1 || (Object.keys(updates).length === 1 && !('updatedAt' in updates))) {
       await docRef.update(updates);
     }
@@ -0,0 +1,96 @@
+const express = require('express');
+const { firestore } = require('../config/firebase');
+const { leaderboardService, PERIODS, METRICS } = require('../services/leaderboardService');
+
+const router = express.Router();
+
+// Game name for a games collection id (or a game name), or null if there's no such game
+async function resolveGame(gameParam) {
+  const idNum = Number(gameParam);
+  if (Number.isInteger(idNum)) {
+    const gameDoc = await firestore.collection('games').doc(String(idNum)).get();
+    return gameDoc.exists ? gameDoc.data().gameName : null;
+  }
+  const nameDoc = await firestore.collection('game_names').doc(String(gameParam).trim().toLowerCase()).get();
+  return nameDoc.exists ? nameDoc.data().gameName : null;
+}
+
+// Shared handler: ?period=weekly|monthly|all-time&metric=rating|wins|earnings&limit=50
+async function sendLeaderboard(req, res, { game = null, country = null }) {
+  const { period = PERIODS.ALL_TIME, metric = 'rating', limit } = req.query;
+
+  if (!Object.values(PERIODS).includes(period)) {
+    return res.status(400).json({
+      success: false,
+      message: `period must be one of: ${Object.values(PERIODS).join(', ')}`
+    });
+  }
+  if (!METRICS.includes(metric)) {
+    return res.status(400).json({
+      success: false,
+      message: `metric must be one of: ${METRICS.join(', ')}`
+    });
+  }
+
+  let gameName = null;
+  if (game) {
+    gameName = await resolveGame(game);
+    if (!gameName) {
+      return res.status(404).json({
+        success: false,
+        message: 'Game not found'
+      });
+    }
+  }
+
+  const leaderboard = await leaderboardService.getLeaderboard({ game: gameName, country, period, metric, limit });
+
+  res.json({
+    success: true,
+    data: leaderboard
+  });
+}
+
+// Overall leaderboard across every game
+router.get('/', async (req, res) => {
+  try {
+    await sendLeaderboard(req, res, {});
+  } catch (error) {
+    console.error('❌ Error getting leaderboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get leaderboard',
+      error: error.message
+    });
+  }
+});
+
+// Leaderboard for one game (games collection id or game name)
+router.get('/games/:gameId', async (req, res) => {
+  try {
+    await sendLeaderboard(req, res, { game: req.params.gameId });
+  } catch (error) {
+    console.error('❌ Error getting game leaderboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get game leaderboard',
+      error: error.message
+    });
+  }
+});
+
+// Players from one country (profile country), optionally for one game with ?game=
+router.get('/countries/:country', async (req, res) => {
+  try {
+    await sendLeaderboard(req, res, { game: req.query.game || null, country: req.params.country });
+  } catch (error) {
+    console.error('❌ Error getting country leaderboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get country leaderboard',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
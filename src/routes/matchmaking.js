@@ -0,0 +1,107 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { matchmakingService, TICKET_STATUS } = require('../services/matchmakingService');
+
+const router = express.Router();
+
+// Join the matchmaking queue; pairs with a compatible player right away when one is waiting.
+// Body: { game, platform, minStake, maxStake, maxRatingGap?, platformUsernames? }
+router.post('/queue', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const { ticket, challenge } = await matchmakingService.enqueue(req.user, req.body || {});
+
+    res.status(challenge ? 201 : 202).json({
+      success: true,
+      message: challenge ? 'Match found' : 'Waiting for an opponent',
+      data: {
+        ticket,
+        challenge
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_QUEUE_REQUEST') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid matchmaking request',
+        errors: error.errors
+      });
+    }
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'MATCH_IN_PROGRESS') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Error joining matchmaking queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join matchmaking queue',
+      error: error.message
+    });
+  }
+});
+
+// Current queue ticket; once matched it carries the challengeId
+router.get('/queue', authenticateToken, async (req, res) => {
+  try {
+    const ticket = await matchmakingService.getTicket(req.user.uid);
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not in the matchmaking queue'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    console.error('❌ Error getting matchmaking ticket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get matchmaking status',
+      error: error.message
+    });
+  }
+});
+
+// Leave the queue (only while still waiting)
+router.delete('/queue', authenticateToken, async (req, res) => {
+  try {
+    const left = await matchmakingService.leave(req.user.uid);
+
+    if (!left) {
+      const ticket = await matchmakingService.getTicket(req.user.uid);
+      return res.status(400).json({
+        success: false,
+        message: ticket?.status === TICKET_STATUS.MATCHED
+          ? 'You have already been matched'
+          : 'You are not waiting in the matchmaking queue',
+        data: ticket
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Left the matchmaking queue'
+    });
+  } catch (error) {
+    console.error('❌ Error leaving matchmaking queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave matchmaking queue',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
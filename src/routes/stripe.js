@@ -1,5 +1,6 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { WalletService } = require('../services/walletService');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
@@ -236,7 +237,7 @@ router.get('/payment-history', authenticateToken, async (req, res) => {
 });
 
 // Manual verification endpoint for testing Stripe payments
-router.post('/verify-payment', authenticateToken, async (req, res) => {
+router.post('/verify-payment', authenticateToken, idempotent, async (req, res) => {
   try {
     const { sessionId } = req.body;
     
@@ -335,7 +336,7 @@ router.post('/verify-payment', authenticateToken, async (req, res) => {
 });
 
 // Stripe withdrawal endpoint
-router.post('/withdraw', authenticateToken, async (req, res) => {
+router.post('/withdraw', authenticateToken, idempotent, async (req, res) => {
   try {
     const { amount, description, bankDetails } = req.body;
     
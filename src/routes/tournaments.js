@@ -4,9 +4,30 @@ const admin = require('firebase-admin');
 const { authenticateToken } = require('../middleware/auth');
 const { processTournamentEntry, processTournamentReward, refundTournamentEntry } = require('../services/walletService');
 const notificationService = require('../services/notificationService');
+const { timerService } = require('../services/timerService');
+const { ratingService } = require('../services/ratingService');
+const { leaderboardService, RESULT_SOURCES } = require('../services/leaderboardService');
+const { chatService, THREAD_TYPES } = require('../services/chatService');
+const { realtimeService, EVENTS } = require('../services/realtimeService');
+const { aiAnalysisService } = require('../services/aiAnalysisService');
+const { gameProfileService } = require('../services/gameProfileService');
 
 const db = admin.firestore();
 
+// Rate a finished bracket match and add it to the leaderboards; neither may stop the tournament from moving on
+async function recordCompletedMatch(tournamentId, tournament, match) {
+  try {
+    await ratingService.recordMatchResult(tournamentId, tournament, match);
+  } catch (error) {
+    console.error('⚠️ Failed to update match ratings:', error.message);
+  }
+  try {
+    await leaderboardService.recordMatchResult(tournamentId, tournament, match);
+  } catch (error) {
+    console.error('⚠️ Failed to update leaderboards:', error.message);
+  }
+}
+
 // Generate next round matches when current round is completed
 function generateNextRoundMatches(currentMatches, completedRound) {
   const currentRoundMatches = currentMatches.filter(m => m.round === completedRound);
@@ -17,7 +38,8 @@ function generateNextRoundMatches(currentMatches, completedRound) {
       return {
         uid: winnerData.uid,
         username: winnerData.username,
-        level: winnerData.level || Math.floor(Math.random() * 50) + 20, // Add level for display
+        rating: winnerData.rating ?? null,
+        seed: winnerData.seed ?? null,
         wonMatchId: m.id,
         wonAt: new Date()
       };
@@ -58,6 +80,16 @@ function generateNextRoundMatches(currentMatches, completedRound) {
   return nextRoundMatches;
 }
 
+// Push bracket changes to everyone watching the tournament; a match's countdown stops once the match moves on
+function publishBracket(tournamentId, bracket, details = {}) {
+  const channel = realtimeService.tournamentChannel(tournamentId);
+  for (const match of bracket || []) {
+    if (match.status !== 'scorecard_waiting') realtimeService.stopTimer(channel, `${match.id}.scorecard`);
+    if (match.status !== 'ai_verification_waiting') realtimeService.stopTimer(channel, `${match.id}.ai-verification`);
+  }
+  realtimeService.publishTournament(tournamentId, EVENTS.BRACKET_UPDATED, { ...details, bracket });
+}
+
 // Update next round matches with actual winner data
 function updateNextRoundMatches(tournament, completedMatch) {
   const nextRound = completedMatch.round + 1;
@@ -73,7 +105,8 @@ function updateNextRoundMatches(tournament, completedMatch) {
   const winnerInfo = {
     uid: winnerData.uid,
     username: winnerData.username,
-    level: winnerData.level || Math.floor(Math.random() * 50) + 20,
+    rating: winnerData.rating ?? null,
+    seed: winnerData.seed ?? null,
     wonMatchId: completedMatch.id,
     wonAt: new Date()
   };
@@ -604,6 +637,7 @@ router.post('/:tournamentId/matches/:matchId/start', authenticateToken, async (r
       bracket: updatedBracket,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    publishBracket(tournamentId, updatedBracket, { matchId });
 
     console.log(`✅ Match ${matchId} updated - startedPlayers: ${startedPlayers.length}/2`);
 
@@ -688,6 +722,7 @@ router.post('/:tournamentId/matches/:matchId/ready', authenticateToken, async (r
       bracket: updatedBracket,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    publishBracket(tournamentId, updatedBracket, { matchId });
 
     console.log(`✅ Match ${matchId} updated - readyPlayers: ${readyPlayers.length}/2`);
 
@@ -750,10 +785,21 @@ router.post('/:tournamentId/matches/:matchId/scorecard', authenticateToken, asyn
     const playerKey = isPlayer1 ? 'player1Scorecard' : 'player2Scorecard';
     const opponentKey = isPlayer1 ? 'player2Scorecard' : 'player1Scorecard';
 
+    // Scores are read in the game's units (points, strokes, seconds or finishing position)
+    const profile = await gameProfileService.getGameProfile(tournament.game);
+    const parsed1Score = gameProfileService.parseValue(player1Score, profile);
+    const parsed2Score = gameProfileService.parseValue(player2Score, profile);
+    if (parsed1Score === null || parsed2Score === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both scores are required and must be readable for this game'
+      });
+    }
+
     // Create scorecard data
     const scorecardData = {
-      player1Score: parseInt(player1Score),
-      player2Score: parseInt(player2Score),
+      player1Score: parsed1Score,
+      player2Score: parsed2Score,
       submittedBy: userId,
       submittedAt: new Date()
     };
@@ -785,9 +831,10 @@ router.post('/:tournamentId/matches/:matchId/scorecard', authenticateToken, asyn
             scorecardData.player1Score !== opponentScorecard.player1Score ||
             scorecardData.player2Score !== opponentScorecard.player2Score
           );
+          const winningSide = gameProfileService.sideWinner(scorecardData.player1Score, scorecardData.player2Score, profile);
 
-          if (hasConflict) {
-            // Scorecard conflict - move to proof upload phase
+          if (hasConflict || !winningSide) {
+            // Scorecard conflict (or an agreed tie, which a bracket can't advance) - move to proof upload phase
             updatedMatch.status = 'scorecard_conflict';
             updatedMatch.conflictDetails = {
               player1Scorecard: isPlayer1 ? scorecardData : opponentScorecard,
@@ -797,7 +844,7 @@ router.post('/:tournamentId/matches/:matchId/scorecard', authenticateToken, asyn
             console.log(`⚠️ Scorecard conflict detected for match ${matchId}`);
           } else {
             // No conflict - determine winner
-            const winner = scorecardData.player1Score > scorecardData.player2Score ? match.player1 : match.player2;
+            const winner = winningSide === 1 ? match.player1 : match.player2;
             updatedMatch.status = 'completed';
             updatedMatch.winner = winner.uid;
             updatedMatch.finalScorecard = scorecardData;
@@ -853,9 +900,25 @@ router.post('/:tournamentId/matches/:matchId/scorecard', authenticateToken, asyn
       bracket: updatedBracket,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    publishBracket(tournamentId, updatedBracket, { matchId });
 
     console.log(`✅ Scorecard submitted for match ${matchId} by ${isPlayer1 ? 'player1' : 'player2'}`);
 
+    const scoredMatch = updatedBracket.find(m => m.id === matchId);
+    if (scoredMatch?.status === 'completed') {
+      await recordCompletedMatch(tournamentId, tournament, scoredMatch);
+    }
+
+    // Expire the timer on time even if nobody polls the timer endpoint
+    if (!hasOpponentScorecard) {
+      const startedMatch = updatedBracket.find(m => m.id === matchId);
+      try {
+        await timerService.scheduleMatchScorecardTimer(tournamentId, matchId, startedMatch.scorecardTimer.endTime);
+      } catch (scheduleError) {
+        console.error('❌ Failed to schedule match scorecard timer:', scheduleError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Scorecard submitted successfully',
@@ -923,26 +986,7 @@ router.get('/:tournamentId/matches/:matchId/scorecard-timer', authenticateToken,
       timeRemaining = Math.max(0, endTime.getTime() - now.getTime());
       timerExpired = timeRemaining <= 0;
 
-      // Auto-expire timer if needed
-      if (timerExpired && !match.scorecardTimer.expired) {
-        const updatedBracket = tournament.bracket.map(m => {
-          if (m.id === matchId) {
-            return {
-              ...m,
-              status: 'scorecard_timeout',
-              scorecardTimer: { ...m.scorecardTimer, expired: true }
-            };
-          }
-          return m;
-        });
-
-        await tournamentRef.update({
-          bracket: updatedBracket,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-
-        console.log(`⏰ Timer expired for match ${matchId}`);
-      }
+      // Expiry is applied by the scheduler; this endpoint only reports
     }
 
     res.json({
@@ -1012,26 +1056,7 @@ router.get('/:tournamentId/matches/:matchId/ai-timer-status', authenticateToken,
       timeRemaining = Math.max(0, endTime.getTime() - now.getTime());
       timerExpired = timeRemaining <= 0;
 
-      // Auto-expire timer if needed
-      if (timerExpired && !match.aiTimer.expired) {
-        const updatedBracket = tournament.bracket.map(m => {
-          if (m.id === matchId) {
-            return {
-              ...m,
-              status: 'ai_verification',
-              aiTimer: { ...m.aiTimer, expired: true }
-            };
-          }
-          return m;
-        });
-
-        await tournamentRef.update({
-          bracket: updatedBracket,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-
-        console.log(`⏰ AI timer expired for match ${matchId}`);
-      }
+      // Expiry is applied by the scheduler; this endpoint only reports
     }
 
     res.json({
@@ -1113,6 +1138,7 @@ router.get('/:tournamentId/matches/:matchId/status-check', authenticateToken, as
       
       let newStatus;
       let updatedMatch = { ...match };
+      const profile = await gameProfileService.getGameProfile(tournament.game);
 
       // Handle different scorecard scenarios
       if (hasBothScorecards) {
@@ -1121,9 +1147,10 @@ router.get('/:tournamentId/matches/:matchId/status-check', authenticateToken, as
           match.player1Scorecard.player1Score !== match.player2Scorecard.player1Score ||
           match.player1Scorecard.player2Score !== match.player2Scorecard.player2Score
         );
+        const winningSide = gameProfileService.sideWinner(match.player1Scorecard.player1Score, match.player1Scorecard.player2Score, profile);
 
-        if (hasConflict) {
-          // Scorecard conflict - move to proof upload phase
+        if (hasConflict || !winningSide) {
+          // Scorecard conflict (or a tie) - move to proof upload phase
           newStatus = 'scorecard_conflict';
           updatedMatch.status = newStatus;
           updatedMatch.conflictDetails = {
@@ -1134,7 +1161,7 @@ router.get('/:tournamentId/matches/:matchId/status-check', authenticateToken, as
           console.log(`⚠️ Fixed: Scorecard conflict detected for match ${matchId}`);
         } else {
           // No conflict - determine winner
-          const winner = match.player1Scorecard.player1Score > match.player1Scorecard.player2Score ? match.player1 : match.player2;
+          const winner = winningSide === 1 ? match.player1 : match.player2;
           newStatus = 'completed';
           updatedMatch.status = newStatus;
           updatedMatch.winner = winner.uid;
@@ -1144,12 +1171,24 @@ router.get('/:tournamentId/matches/:matchId/status-check', authenticateToken, as
       } else if (hasSingleScorecardReady) {
         // Single scorecard submitted - complete match based on that scorecard
         const scorecard = match.scorecard;
-        const winner = scorecard.player1Score > scorecard.player2Score ? match.player1 : match.player2;
-        newStatus = 'completed';
-        updatedMatch.status = newStatus;
-        updatedMatch.winner = winner.uid;
-        updatedMatch.finalScorecard = scorecard;
-        console.log(`✅ Fixed: Single scorecard - match ${matchId} completed, winner: ${winner.username}`);
+        const winningSide = gameProfileService.sideWinner(scorecard.player1Score, scorecard.player2Score, profile);
+        if (!winningSide) {
+          // A tie or unreadable score can't advance the bracket - move to proof upload phase
+          newStatus = 'scorecard_conflict';
+          updatedMatch.status = newStatus;
+          updatedMatch.conflictDetails = {
+            scorecard,
+            conflictDetectedAt: new Date()
+          };
+          console.log(`⚠️ Fixed: Single scorecard has no winner for match ${matchId}`);
+        } else {
+          const winner = winningSide === 1 ? match.player1 : match.player2;
+          newStatus = 'completed';
+          updatedMatch.status = newStatus;
+          updatedMatch.winner = winner.uid;
+          updatedMatch.finalScorecard = scorecard;
+          console.log(`✅ Fixed: Single scorecard - match ${matchId} completed, winner: ${winner.username}`);
+        }
       }
 
       // Continue with tournament progression logic
@@ -1207,6 +1246,11 @@ router.get('/:tournamentId/matches/:matchId/status-check', authenticateToken, as
         bracket: updatedBracket,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
+      publishBracket(tournamentId, updatedBracket, { matchId });
+
+      if (newStatus === 'completed') {
+        await recordCompletedMatch(tournamentId, tournament, updatedMatch);
+      }
 
       return res.json({
         success: true,
@@ -1329,9 +1373,20 @@ router.post('/:tournamentId/matches/:matchId/upload-proof', authenticateToken, a
       bracket: updatedBracket,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    publishBracket(tournamentId, updatedBracket, { matchId });
 
     console.log(`✅ Proof uploaded for match ${matchId} by ${isPlayer1 ? 'player1' : 'player2'}`);
 
+    // Expire the timer on time even if nobody polls the timer endpoint
+    if (!hasOpponentProof) {
+      const startedMatch = updatedBracket.find(m => m.id === matchId);
+      try {
+        await timerService.scheduleMatchAiTimer(tournamentId, matchId, startedMatch.aiTimer.endTime);
+      } catch (scheduleError) {
+        console.error('❌ Failed to schedule match AI timer:', scheduleError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Proof uploaded successfully',
@@ -1393,15 +1448,13 @@ router.post('/:tournamentId/matches/:matchId/ai-claim', authenticateToken, async
       });
     }
 
-    // Import the AI analysis function from challenges
-    const { performAIAnalysis } = require('./challenges');
-    
     // Create challenge-like data for AI analysis
     const challengeData = {
-      game: 'Tournament Match',
+      id: `${tournamentId}_${matchId}`,
+      game: tournament.game || 'Tournament Match',
       platform: 'Tournament',
-      challenger: match.player1.username,
-      opponents: [{ username: match.player2.username }]
+      challenger: { uid: match.player1.uid, username: match.player1.username },
+      opponents: [{ uid: match.player2.uid, username: match.player2.username }]
     };
 
     // Get platform usernames (use player usernames for tournament)
@@ -1419,7 +1472,29 @@ router.post('/:tournamentId/matches/:matchId/ai-claim', authenticateToken, async
     const proofDescription = `Player 1 (${match.player1.username}): ${match.player1Proof.proofDescription || 'No description'}\nPlayer 2 (${match.player2.username}): ${match.player2Proof.proofDescription || 'No description'}`;
 
     // Perform AI analysis
-    const aiResult = await performAIAnalysis(challengeData, allProofImages, proofDescription, platformUsernames);
+    const aiResult = await aiAnalysisService.analyzeProof(challengeData, allProofImages, proofDescription, platformUsernames);
+
+    // The two players' screenshots contradict each other: keep the match open for an admin
+    // instead of falling back to the first uploader
+    if (aiResult.status === 'needs_review') {
+      const reviewBracket = tournament.bracket.map(m =>
+        m.id === matchId ? { ...m, aiResult, aiReviewRequired: true, aiVerifiedAt: new Date() } : m
+      );
+      await tournamentRef.update({
+        bracket: reviewBracket,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      publishBracket(tournamentId, reviewBracket, { matchId });
+
+      console.log(`⚠️ AI verification for match ${matchId} needs review:`, aiResult.reasoning);
+
+      return res.json({
+        success: true,
+        message: 'Proof images disagree - sent to admin for review',
+        needsReview: true,
+        aiResult
+      });
+    }
 
     // Determine winner based on AI result
     let winner;
@@ -1449,9 +1524,12 @@ router.post('/:tournamentId/matches/:matchId/ai-claim', authenticateToken, async
       bracket: updatedBracket,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    publishBracket(tournamentId, updatedBracket, { matchId });
 
     console.log(`✅ AI verification completed for match ${matchId}, winner: ${winner.username}`);
 
+    await recordCompletedMatch(tournamentId, tournament, updatedBracket.find(m => m.id === matchId));
+
     // Check if round is complete and advance
     await checkAndAdvanceRound(tournamentId, match.round);
 
@@ -1545,6 +1623,9 @@ router.post('/:tournamentId/matches/:matchId/dispute', authenticateToken, async
 
     // Add to disputes collection
     const disputeRef = await db.collection('disputes').add(disputeData);
+
+    // The players' match chat goes with the dispute as evidence
+    await chatService.attachToDispute({ type: THREAD_TYPES.TOURNAMENT_MATCH, tournamentId, matchId }, disputeRef);
     
     // Update match status to disputed
     const updatedBracket = tournament.bracket.map(m => 
@@ -1559,9 +1640,16 @@ router.post('/:tournamentId/matches/:matchId/dispute', authenticateToken, async
       bracket: updatedBracket,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    publishBracket(tournamentId, updatedBracket, { matchId });
 
     console.log(`✅ Dispute submitted successfully for match ${matchId}: ${disputeRef.id}`);
 
+    try {
+      await leaderboardService.markDisputed(RESULT_SOURCES.TOURNAMENT_MATCH, `${tournamentId}_${matchId}`);
+    } catch (historyError) {
+      console.error('⚠️ Failed to flag disputed result:', historyError.message);
+    }
+
     res.json({
       success: true,
       message: 'Dispute submitted successfully',
@@ -1666,8 +1754,9 @@ async function checkAndStartTournament(tournamentId) {
         await processTournamentEntry(participant.uid, tournament.entryFee, tournamentId);
       }
 
-      // Generate bracket
-      const bracket = generateTournamentBracket(tournament.participants);
+      // Generate bracket, seeded by rating
+      const seeded = await ratingService.seedParticipants(tournament.participants, tournament.game);
+      const bracket = generateTournamentBracket(seeded);
 
     // Update tournament status
     await tournamentRef.update({
@@ -1677,6 +1766,7 @@ async function checkAndStartTournament(tournamentId) {
       startedAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    publishBracket(tournamentId, bracket, { status: 'in_progress', currentRound: 1 });
 
     console.log(`✅ Tournament ${tournamentId} started with bracket generated`);
 
@@ -1713,13 +1803,12 @@ async function checkAndStartTournament(tournamentId) {
   }
 }
 
-// Helper function to generate tournament bracket
+// Helper function to generate tournament bracket (participants come in seeded bracket order)
 function generateTournamentBracket(participants) {
-  const shuffled = [...participants].sort(() => Math.random() - 0.5);
   const matches = [];
   let matchId = 1;
   let round = 1;
-  let currentRoundParticipants = shuffled;
+  let currentRoundParticipants = [...participants];
 
   while (currentRoundParticipants.length > 1) {
     const roundMatches = [];
@@ -1751,7 +1840,7 @@ function generateTournamentBracket(participants) {
         nextRoundParticipants.push({
           uid: `winner_${round}_${Math.floor(i / 2)}`,
           username: `Winner of Round ${round} Match ${Math.floor(i / 2) + 1}`,
-          level: Math.floor(Math.random() * 50) + 20
+          rating: null
         });
       }
     }
@@ -1793,7 +1882,8 @@ async function checkAndAdvanceRound(tournamentId, completedRound) {
             return {
               uid: winner.uid,
               username: winner.username,
-              level: Math.floor(Math.random() * 50) + 20
+              rating: winner.rating ?? null,
+              seed: winner.seed ?? null
             };
           });
 
@@ -1811,6 +1901,7 @@ async function checkAndAdvanceRound(tournamentId, completedRound) {
               currentRound: nextRound,
               updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
+            publishBracket(tournamentId, finalUpdatedBracket, { currentRound: nextRound });
 
             console.log(`✅ Final match updated with real winners`);
           }
@@ -1820,6 +1911,7 @@ async function checkAndAdvanceRound(tournamentId, completedRound) {
             currentRound: nextRound,
             updatedAt: admin.firestore.FieldValue.serverTimestamp()
           });
+          publishBracket(tournamentId, updatedBracket, { currentRound: nextRound });
         }
       } else {
         // Tournament complete
@@ -1829,7 +1921,13 @@ async function checkAndAdvanceRound(tournamentId, completedRound) {
         const winner = finalMatch.winner === finalMatch.player1.uid ? finalMatch.player1 : finalMatch.player2;
         
         // Process tournament rewards
-        await processTournamentReward(tournamentId, winner.uid, tournament);
+        const reward = await processTournamentReward(tournamentId, winner.uid, tournament);
+
+        try {
+          await leaderboardService.recordTournamentResult(tournamentId, tournament, winner.uid, reward?.winnerReward || 0);
+        } catch (leaderboardError) {
+          console.error('⚠️ Failed to update leaderboards:', leaderboardError.message);
+        }
 
         await tournamentRef.update({
           status: 'completed',
@@ -1837,6 +1935,7 @@ async function checkAndAdvanceRound(tournamentId, completedRound) {
           completedAt: admin.firestore.FieldValue.serverTimestamp(),
           updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
+        publishBracket(tournamentId, tournament.bracket, { status: 'completed', winner });
 
         console.log(`🎉 Tournament winner: ${winner.username}`);
       }
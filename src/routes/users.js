@@ -2,8 +2,13 @@ const express = require('express');
 const router = express.Router();
 const admin = require('firebase-admin');
 const { authenticateToken } = require('../middleware/auth');
+const { ratingService } = require('../services/ratingService');
+const { statsService } = require('../services/statsService');
+const { profileService } = require('../services/profileService');
+const UserService = require('../services/userService');
 
 const db = admin.firestore();
+const userService = new UserService();
 
 // Save FCM token for push notifications
 router.post('/fcm-token', authenticateToken, async (req, res) => {
@@ -73,4 +78,154 @@ router.get('/fcm-token', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user's skill ratings per game; ?game= adds the recent rating changes for that game
+router.get('/ratings', authenticateToken, async (req, res) => {
+  try {
+    const { game } = req.query;
+    const ratings = await ratingService.getRatings(req.user.uid);
+    const history = game ? await ratingService.getHistory(req.user.uid, { game }) : undefined;
+
+    res.json({
+      success: true,
+      data: {
+        ratings,
+        history
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting ratings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ratings',
+      error: error.message
+    });
+  }
+});
+
+// Search players by username or platform ID prefix (?q=cyb&limit=10)
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query (q) is required'
+      });
+    }
+
+    const results = await profileService.search(q, { limit, excludeUid: req.user.uid });
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('❌ Error searching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search users',
+      error: error.message
+    });
+  }
+});
+
+// Get a player's record: wins/losses, streaks, per-game breakdown, average stake,
+// head-to-head (?opponent=username singles one out) and dispute rate
+router.get('/:username/stats', authenticateToken, async (req, res) => {
+  try {
+    const user = await userService.getUserByUsername(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const stats = await statsService.getStats(user.uid, { opponent: req.query.opponent || null });
+
+    res.json({
+      success: true,
+      data: {
+        username: user.username,
+        ...stats
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting user stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user stats',
+      error: error.message
+    });
+  }
+});
+
+// Get a player's match history, newest first (?limit=20&cursor=<nextCursor>&game=)
+router.get('/:username/matches', authenticateToken, async (req, res) => {
+  try {
+    const user = await userService.getUserByUsername(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { limit, cursor, game } = req.query;
+    const history = await statsService.getHistory(user.uid, { limit, cursor, game });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ Error getting match history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get match history',
+      error: error.message
+    });
+  }
+});
+
+// Get a player's public profile (avatar, country, platforms, ratings and record)
+router.get('/:username', authenticateToken, async (req, res) => {
+  try {
+    const profile = await profileService.getPublicProfile(req.params.username);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting public profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get profile',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
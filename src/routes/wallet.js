@@ -1,12 +1,14 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { ensureOwnData, ensureAdmin, logWalletAccess } = require('../middleware/userAccess');
-const multer = require('multer');
+const { idempotent } = require('../middleware/idempotency');
 const { WalletService } = require('../services/walletService');
 const { DisputeService } = require('../services/disputeService');
 const { PayPalService } = require('../services/paypalService');
 const BusinessWalletService = require('../services/businessWalletService');
-const { storage, firestore } = require('../config/firebase');
+const { uploadService } = require('../services/uploadService');
+const { chatService, THREAD_TYPES } = require('../services/chatService');
+const { firestore } = require('../config/firebase');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
 const router = express.Router();
@@ -14,14 +16,7 @@ const walletService = new WalletService();
 const disputeService = new DisputeService();
 
 // Multer for dispute evidence (in-memory)
-const evidenceUpload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype && file.mimetype.startsWith('image/')) return cb(null, true);
-    return cb(new Error('Only image files are allowed'));
-  }
-});
+const evidenceUpload = uploadService.imageUpload();
 
 // Get user wallet
 router.get('/', authenticateToken, logWalletAccess, async (req, res) => {
@@ -62,7 +57,7 @@ router.get('/balance', authenticateToken, logWalletAccess, async (req, res) => {
 });
 
 // Add funds to wallet (manual for now, easy to extend for Stripe/PayPal)
-router.post('/deposit', authenticateToken, async (req, res) => {
+router.post('/deposit', authenticateToken, idempotent, async (req, res) => {
   try {
     const { amount, description } = req.body;
     
@@ -258,7 +253,7 @@ router.post('/dispute', authenticateToken, evidenceUpload.array('evidenceFiles',
     let evidenceUrls = Array.isArray(evidence) ? evidence : (evidence ? [evidence] : []);
 
     if (Array.isArray(req.files) && req.files.length > 0) {
-      if (!storage) {
+      if (!uploadService.isAvailable()) {
         return res.status(500).json({
           success: false,
           message: 'File storage service not available'
@@ -266,28 +261,15 @@ router.post('/dispute', authenticateToken, evidenceUpload.array('evidenceFiles',
       }
       const uploadPromises = req.files.map(async (file, idx) => {
         try {
-          const bucket = storage.bucket();
-          const ext = (file.originalname || '').split('.').pop();
-          const safeExt = ext ? `.${ext}` : '';
-          const path = `disputes/${req.user.uid}/${challengeId}/${Date.now()}_${idx}${safeExt}`;
-          const fileRef = bucket.file(path);
-          await fileRef.save(file.buffer, {
-            metadata: {
-              contentType: file.mimetype,
-              metadata: {
-                uploadedBy: req.user.uid,
-                originalName: file.originalname,
-                type: 'dispute-evidence',
-                challengeId,
-                uploadedAt: new Date().toISOString()
-              }
-            }
-          });
-          const [signedUrl] = await fileRef.getSignedUrl({
-            action: 'read',
-            expires: Date.now() + 1000 * 60 * 60 * 24 * 365 // ~1 year
+          const uploaded = await uploadService.uploadFile(file, {
+            folder: 'disputes',
+            uid: req.user.uid,
+            contextId: challengeId,
+            type: 'dispute-evidence',
+            index: idx,
+            metadata: { challengeId }
           });
-          return signedUrl;
+          return uploaded.url;
         } catch (e) {
           console.error('⚠️ Storage upload failed:', e?.message || e);
           throw new Error('Failed to upload evidence to Firebase Storage. Please check bucket configuration.');
@@ -306,6 +288,12 @@ router.post('/dispute', authenticateToken, evidenceUpload.array('evidenceFiles',
       disputeReason,
       evidence: evidenceUrls
     });
+
+    // The players' chat goes with the dispute as evidence
+    await chatService.attachToDispute(
+      { type: THREAD_TYPES.CHALLENGE, challengeId },
+      firestore.collection('disputes').doc(dispute.docId)
+    );
     
     res.json({
       success: true,
@@ -379,7 +367,7 @@ router.get('/disputes/:id', authenticateToken, async (req, res) => {
 
 
 // Withdrawal endpoint - handles multi-gateway wallet scenario
-router.post('/withdraw', authenticateToken, async (req, res) => {
+router.post('/withdraw', authenticateToken, idempotent, async (req, res) => {
   try {
     const { amount, description, preferredPayoutMethod, method, payoutEmail, paypalEmail, bankAccountId, currency: bodyCurrency } = req.body;
     
@@ -448,64 +436,41 @@ router.post('/withdraw', authenticateToken, async (req, res) => {
       }
 
       if (payoutResult.success) {
-        // Deduct from user's wallet (using wallet service for this part only)
-        const userRef = firestore.collection('users').doc(req.user.uid);
-        const userDoc = await userRef.get();
-        
-        if (!userDoc.exists) {
-          return res.status(404).json({
-            success: false,
-            message: 'User not found'
-          });
-        }
-        
-        const userData = userDoc.data();
-        const currentBalance = userData.wallet || 0;
-        
-        if (currentBalance < amount) {
-          return res.status(400).json({
-            success: false,
-            message: 'Insufficient funds in user wallet'
-          });
+        // Debit the wallet and settle payout clearing in one ledger posting
+        let transaction;
+        try {
+          transaction = await walletService.recordExternalPayout(
+            req.user.uid,
+            amount,
+            description || 'PayPal withdrawal',
+            {
+              payoutMethod: 'paypal',
+              paypalPayoutId: payoutResult.payoutId,
+              paypalStatus: payoutResult.status
+            }
+          );
+        } catch (ledgerError) {
+          if (ledgerError.code === 'USER_NOT_FOUND') {
+            return res.status(404).json({
+              success: false,
+              message: 'User not found'
+            });
+          }
+          if (ledgerError.code === 'INSUFFICIENT_FUNDS') {
+            return res.status(400).json({
+              success: false,
+              message: 'Insufficient funds in user wallet'
+            });
+          }
+          throw ledgerError;
         }
         
-        const newBalance = currentBalance - amount;
-        
-        // Update user wallet balance
-        await userRef.update({
-          wallet: newBalance,
-          updatedAt: new Date()
-        });
-        
-        // Create withdrawal transaction record
-        const transaction = {
-          walletId: req.user.uid,
-          userId: req.user.uid,
-          username: userData.username,
-          type: 'withdrawal',
-          amount: -amount, // Negative amount for withdrawal
-          description: description || 'PayPal withdrawal',
-          status: 'completed', // PayPal payout was successful
-          reference: `withdrawal_${Date.now()}`,
-          metadata: { 
-            payoutMethod: 'paypal',
-            withdrawalId: `wd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            paypalPayoutId: payoutResult.payoutId,
-            paypalStatus: payoutResult.status
-          },
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-        
-        // Store transaction in separate transactions collection
-        const transactionRef = await firestore.collection('transactions').add(transaction);
-        const transactionId = transactionRef.id;
+        const { newBalance, previousBalance } = transaction;
         
         withdrawalResult = {
           ...transaction,
-          id: transactionId,
           newBalance,
-          previousBalance: currentBalance,
+          previousBalance,
           payoutResult: {
             success: true,
             payoutId: payoutResult.payoutId,
@@ -539,7 +504,9 @@ router.post('/withdraw', authenticateToken, async (req, res) => {
           method: 'POST',
           headers: {
             'Authorization': `Bearer ${req.headers.authorization?.split(' ')[1]}`,
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            // Same key, different route scope: a retried withdrawal can't trigger a second Stripe payout
+            ...(req.get('Idempotency-Key') ? { 'Idempotency-Key': req.get('Idempotency-Key') } : {})
           },
           body: JSON.stringify({
             amount,
@@ -641,7 +608,7 @@ router.post('/paypal/webhook', express.raw({ type: 'application/json' }), async
 });
 
 // PayPal payment verification endpoint
-router.post('/paypal/verify-payment', authenticateToken, async (req, res) => {
+router.post('/paypal/verify-payment', authenticateToken, idempotent, async (req, res) => {
   try {
     const { orderId } = req.body;
     
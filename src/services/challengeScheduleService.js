@@ -0,0 +1,261 @@
+const { firestore } = require('../config/firebase');
+const { schedulerService } = require('./schedulerService');
+const { timerService, EXPIRY_MS } = require('./timerService');
+const { CHALLENGE_STATUS } = require('./challengeStateMachine');
+const notificationService = require('./notificationService');
+
+const JOB_TYPES = {
+  REMINDER: 'challenge.schedule-reminder'
+};
+
+// Check-in opens this long before the start and closes this long after it
+const CHECK_IN_OPENS_MS = (Number(process.env.CHALLENGE_CHECKIN_MINUTES) || 15) * 60 * 1000;
+const NO_SHOW_GRACE_MS = (Number(process.env.CHALLENGE_NO_SHOW_MINUTES) || 10) * 60 * 1000;
+const REMINDER_LEAD_MS = 60 * 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Reminder kinds: an hour before the start, and when check-in opens
+const REMINDERS = {
+  UPCOMING: 'upcoming',
+  CHECK_IN: 'check-in'
+};
+
+const toMillis = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  return value.toMillis ? value.toMillis() : new Date(value).getTime();
+};
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class ChallengeScheduleService {
+  // Validated start time as a Date; throws INVALID_START_TIME
+  parseStartTime(value, now = Date.now()) {
+    const startsAt = new Date(value);
+    if (value === null || value === undefined || value === '' || Number.isNaN(startsAt.getTime())) {
+      throw createError('scheduledAt must be a valid date and time', 'INVALID_START_TIME');
+    }
+    // Nobody can check in for a start that's already inside the check-in window
+    if (startsAt.getTime() - now < CHECK_IN_OPENS_MS) {
+      throw createError(`Scheduled start must be at least ${CHECK_IN_OPENS_MS / 60000} minutes from now`, 'INVALID_START_TIME');
+    }
+    if (startsAt.getTime() - now > MAX_SCHEDULE_AHEAD_MS) {
+      throw createError('Scheduled start can be at most 30 days from now', 'INVALID_START_TIME');
+    }
+    return startsAt;
+  }
+
+  // Schedule stored on a challenge; the proposer agrees to their own time
+  proposal(startsAt, user, previous = null) {
+    const now = new Date();
+    return {
+      startsAt,
+      proposedBy: user.username,
+      agreedBy: [user.username],
+      proposals: [...(previous?.proposals || []), { by: user.username, startsAt, at: now }],
+      updatedAt: now
+    };
+  }
+
+  // Usernames whose agreement the schedule needs: the challenger and everyone who hasn't declined
+  parties(challengeData) {
+    return [
+      challengeData.challenger.username,
+      ...(challengeData.opponents || []).filter(opp => opp.status !== 'declined').map(opp => opp.username)
+    ];
+  }
+
+  isAgreed(challengeData) {
+    const agreedBy = challengeData.schedule?.agreedBy || [];
+    return this.parties(challengeData).every(username => agreedBy.includes(username));
+  }
+
+  checkInOpensAt(schedule) {
+    return new Date(toMillis(schedule.startsAt) - CHECK_IN_OPENS_MS);
+  }
+
+  checkInClosesAt(schedule) {
+    return new Date(toMillis(schedule.startsAt) + NO_SHOW_GRACE_MS);
+  }
+
+  // Expiry for a scheduled challenge: invites must be answered and everyone checked in by the end of check-in
+  expiresAt(challengeData, status, from = Date.now()) {
+    const closes = this.checkInClosesAt(challengeData.schedule);
+    if (status === CHALLENGE_STATUS.READY_PENDING) return closes;
+    return new Date(Math.min(toMillis(from) + EXPIRY_MS[CHALLENGE_STATUS.PENDING], closes.getTime()));
+  }
+
+  // Why the user can't check in (mark ready) right now, or null if they can
+  checkInError(challengeData, now = Date.now()) {
+    if (!challengeData.schedule) return null;
+    if (!this.isAgreed(challengeData)) {
+      return 'Everyone has to agree on the start time before checking in';
+    }
+    const opens = this.checkInOpensAt(challengeData.schedule);
+    if (now < opens.getTime()) {
+      return `Check-in opens at ${opens.toISOString()}`;
+    }
+    // After this the no-show forfeit decides the challenge
+    const closes = this.checkInClosesAt(challengeData.schedule);
+    if (now >= closes.getTime()) {
+      return `Check-in closed at ${closes.toISOString()}`;
+    }
+    return null;
+  }
+
+  // Reminder and expiry jobs for the current start time; rescheduling moves the same jobs
+  async scheduleJobs(challengeId, challengeData) {
+    const { schedule } = challengeData;
+    const startsAt = toMillis(schedule.startsAt);
+    const reminders = [
+      { kind: REMINDERS.UPCOMING, runAt: startsAt - REMINDER_LEAD_MS },
+      { kind: REMINDERS.CHECK_IN, runAt: startsAt - CHECK_IN_OPENS_MS }
+    ];
+
+    for (const { kind, runAt } of reminders) {
+      if (runAt <= Date.now()) continue;
+      await schedulerService.schedule({
+        type: JOB_TYPES.REMINDER,
+        key: `challenge_${challengeId}_reminder_${kind}`,
+        runAt,
+        payload: { challengeId, kind, startsAt }
+      });
+    }
+    if (challengeData.expiresAt) {
+      await timerService.scheduleChallengeExpiry(challengeId, challengeData.status, challengeData.expiresAt);
+    }
+  }
+
+  async scheduleJobsSafely(challengeId, challengeData) {
+    try {
+      await this.scheduleJobs(challengeId, challengeData);
+    } catch (error) {
+      // The expiry job is picked up by scheduleMissingTimers on the next start
+      console.error('❌ Failed to schedule challenge reminders:', error);
+    }
+  }
+
+  // Participant uids to notify, optionally leaving one user out
+  async participantUids(challengeData, exceptUsername = null) {
+    const usernames = this.parties(challengeData).filter(username => username !== exceptUsername);
+    const uids = await Promise.all(usernames.map(username => timerService.participantUid(challengeData, username)));
+    return [...new Set(uids.filter(Boolean))];
+  }
+
+  async notify(challengeId, challengeData, kind, exceptUsername = null) {
+    try {
+      const userIds = await this.participantUids(challengeData, exceptUsername);
+      if (userIds.length > 0) {
+        await notificationService.sendScheduleNotification({ id: challengeId, ...challengeData }, userIds, kind);
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to send schedule notification:', error.message);
+    }
+  }
+
+  /**
+   * Propose a new start time (counter-proposal). Allowed for any participant until check-in opens.
+   * @returns {Object} { schedule, agreed }
+   */
+  async propose(challengeId, user, value) {
+    const startsAt = this.parseStartTime(value);
+    const challengeRef = firestore.collection('challenges').doc(challengeId);
+
+    const challengeData = await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(challengeRef);
+      if (!snap.exists) throw createError('Challenge not found', 'CHALLENGE_NOT_FOUND');
+      const data = snap.data();
+
+      if (!this.parties(data).includes(user.username)) {
+        throw createError('You are not part of this challenge', 'NOT_PARTICIPANT');
+      }
+      if (![CHALLENGE_STATUS.PENDING, CHALLENGE_STATUS.READY_PENDING].includes(data.status)) {
+        throw createError('The start time can only be changed before the challenge starts', 'SCHEDULE_LOCKED');
+      }
+      if (data.schedule && Date.now() >= this.checkInOpensAt(data.schedule).getTime()) {
+        throw createError('Check-in has already opened; the start time can no longer change', 'SCHEDULE_LOCKED');
+      }
+
+      const schedule = this.proposal(startsAt, user, data.schedule);
+      const updated = { ...data, schedule };
+      const changes = { schedule, expiresAt: this.expiresAt(updated, data.status, data.createdAt), updatedAt: new Date() };
+      tx.update(challengeRef, changes);
+      return { ...data, ...changes };
+    });
+
+    console.log('🗓️ Start time proposed:', { challengeId, by: user.username, startsAt });
+    await this.scheduleJobsSafely(challengeId, challengeData);
+    await this.notify(challengeId, challengeData, 'proposed', user.username);
+    return { schedule: challengeData.schedule, agreed: this.isAgreed(challengeData) };
+  }
+
+  // Agree to the current proposal; returns { schedule, agreed }
+  async accept(challengeId, user) {
+    const challengeRef = firestore.collection('challenges').doc(challengeId);
+
+    const { challengeData, agreed } = await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(challengeRef);
+      if (!snap.exists) throw createError('Challenge not found', 'CHALLENGE_NOT_FOUND');
+      const data = snap.data();
+
+      if (!data.schedule) throw createError('This challenge has no scheduled start', 'NOT_SCHEDULED');
+      if (!this.parties(data).includes(user.username)) {
+        throw createError('You are not part of this challenge', 'NOT_PARTICIPANT');
+      }
+      if (![CHALLENGE_STATUS.PENDING, CHALLENGE_STATUS.READY_PENDING].includes(data.status)) {
+        throw createError('The start time can only be changed before the challenge starts', 'SCHEDULE_LOCKED');
+      }
+
+      const schedule = {
+        ...data.schedule,
+        agreedBy: [...new Set([...(data.schedule.agreedBy || []), user.username])],
+        updatedAt: new Date()
+      };
+      tx.update(challengeRef, { schedule, updatedAt: new Date() });
+      const updated = { ...data, schedule };
+      return { challengeData: updated, agreed: this.isAgreed(updated) };
+    });
+
+    console.log('🗓️ Start time accepted:', { challengeId, by: user.username, agreed });
+    if (agreed) {
+      await this.notify(challengeId, challengeData, 'agreed', user.username);
+    }
+    return { schedule: challengeData.schedule, agreed };
+  }
+
+  // Remind everyone of the start; stale jobs from an earlier proposal do nothing
+  async remind(challengeId, kind, startsAt) {
+    const challengeDoc = await firestore.collection('challenges').doc(challengeId).get();
+    if (!challengeDoc.exists) return { sent: false, reason: 'not-found' };
+
+    const challengeData = challengeDoc.data();
+    if (![CHALLENGE_STATUS.PENDING, CHALLENGE_STATUS.READY_PENDING].includes(challengeData.status)) {
+      return { sent: false, reason: 'not-waiting' };
+    }
+    if (!challengeData.schedule || toMillis(challengeData.schedule.startsAt) !== startsAt) {
+      return { sent: false, reason: 'rescheduled' };
+    }
+
+    await this.notify(challengeId, challengeData, kind);
+    return { sent: true, kind };
+  }
+
+  registerJobs() {
+    schedulerService.registerHandler(JOB_TYPES.REMINDER, ({ challengeId, kind, startsAt }) => this.remind(challengeId, kind, startsAt));
+  }
+}
+
+const challengeScheduleService = new ChallengeScheduleService();
+
+module.exports = {
+  ChallengeScheduleService,
+  challengeScheduleService,
+  JOB_TYPES,
+  REMINDERS,
+  CHECK_IN_OPENS_MS,
+  NO_SHOW_GRACE_MS
+};
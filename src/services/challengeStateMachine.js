@@ -0,0 +1,425 @@
+const crypto = require('crypto');
+const { firestore } = require('../config/firebase');
+const { escrowService } = require('./escrowService');
+const { schedulerService } = require('./schedulerService');
+const notificationService = require('./notificationService');
+const { ratingService } = require('./ratingService');
+const { leaderboardService } = require('./leaderboardService');
+const { realtimeService, EVENTS: REALTIME_EVENTS } = require('./realtimeService');
+
+const CHALLENGE_STATUS = {
+  PENDING: 'pending',
+  READY_PENDING: 'ready-pending',
+  ACTIVE: 'active',
+  SCORECARD_PENDING: 'scorecard-pending',
+  SCORECARD_CONFLICT: 'scorecard-conflict',
+  PROOF_SUBMITTED: 'proof-submitted',
+  AI_VERIFICATION_PENDING: 'ai-verification-pending',
+  AI_CONFLICT: 'ai-conflict',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// Who may trigger a transition. 'participant' covers both challenger and opponents;
+// 'system' is used for timer expiries and other server-side decisions.
+const ACTORS = {
+  CHALLENGER: 'challenger',
+  OPPONENT: 'opponent',
+  PARTICIPANT: 'participant',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// Side effects run after the status change has committed:
+// - settle: release the escrow to the winner or refund it (options.outcome)
+// - refund: return every escrowed stake
+//   Both are recorded as the challenge's `pendingSettlement` in the status change itself and
+//   retried by a settlement job until the escrow is settled (see settlePending)
+// - rate: update the players' skill ratings for the game (options.outcome)
+// - leaderboard: add the result (wins, losses, net winnings) to the leaderboards
+// - notify: push a status notification to the participants
+const EFFECTS = {
+  SETTLE: 'settle',
+  REFUND: 'refund',
+  RATE: 'rate',
+  LEADERBOARD: 'leaderboard',
+  NOTIFY: 'notify'
+};
+
+const SETTLEMENT_JOB_TYPE = 'challenge.settlement';
+// The inline settlement normally clears the job before it is due; the job only runs if that failed
+const SETTLEMENT_RETRY_MS = 60 * 1000;
+
+const S = CHALLENGE_STATUS;
+const { CHALLENGER, OPPONENT, PARTICIPANT, SYSTEM } = ACTORS;
+
+// Legal transitions: TRANSITIONS[from][to] = { actors, effects }.
+// Admins may additionally complete or cancel a challenge from any status (see ADMIN_OVERRIDES).
+// In a best-of-N series, a decided game that doesn't clinch the series goes back to active
+// for the next game instead of completing (see seriesService).
+const TRANSITIONS = {
+  [S.PENDING]: {
+    [S.READY_PENDING]: { actors: [OPPONENT], effects: [EFFECTS.NOTIFY] },
+    [S.CANCELLED]: { actors: [CHALLENGER, OPPONENT, SYSTEM], effects: [EFFECTS.REFUND, EFFECTS.NOTIFY] }
+  },
+  [S.READY_PENDING]: {
+    // The expiry job starts a challenge it finds with everyone ready instead of cancelling it
+    [S.ACTIVE]: { actors: [PARTICIPANT, SYSTEM], effects: [EFFECTS.NOTIFY] },
+    // Proof can be submitted as soon as an opponent has accepted; the system forfeits no-shows of scheduled challenges
+    [S.COMPLETED]: { actors: [PARTICIPANT, SYSTEM], effects: [EFFECTS.SETTLE, EFFECTS.RATE, EFFECTS.LEADERBOARD, EFFECTS.NOTIFY] },
+    [S.CANCELLED]: { actors: [SYSTEM], effects: [EFFECTS.REFUND, EFFECTS.NOTIFY] }
+  },
+  [S.ACTIVE]: {
+    [S.ACTIVE]: { actors: [PARTICIPANT], effects: [EFFECTS.NOTIFY] },
+    [S.SCORECARD_PENDING]: { actors: [PARTICIPANT], effects: [EFFECTS.NOTIFY] },
+    [S.COMPLETED]: { actors: [PARTICIPANT], effects: [EFFECTS.SETTLE, EFFECTS.RATE, EFFECTS.LEADERBOARD, EFFECTS.NOTIFY] }
+  },
+  [S.SCORECARD_PENDING]: {
+    [S.ACTIVE]: { actors: [PARTICIPANT, SYSTEM], effects: [EFFECTS.NOTIFY] },
+    [S.SCORECARD_CONFLICT]: { actors: [PARTICIPANT], effects: [EFFECTS.NOTIFY] },
+    [S.COMPLETED]: { actors: [PARTICIPANT, SYSTEM], effects: [EFFECTS.SETTLE, EFFECTS.RATE, EFFECTS.LEADERBOARD, EFFECTS.NOTIFY] }
+  },
+  [S.SCORECARD_CONFLICT]: {
+    [S.ACTIVE]: { actors: [PARTICIPANT], effects: [EFFECTS.NOTIFY] },
+    [S.PROOF_SUBMITTED]: { actors: [PARTICIPANT], effects: [] },
+    [S.AI_VERIFICATION_PENDING]: { actors: [PARTICIPANT], effects: [EFFECTS.NOTIFY] },
+    // Proof images that contradict each other go straight to admin review
+    [S.AI_CONFLICT]: { actors: [PARTICIPANT], effects: [EFFECTS.NOTIFY] },
+    [S.COMPLETED]: { actors: [PARTICIPANT], effects: [EFFECTS.SETTLE, EFFECTS.RATE, EFFECTS.LEADERBOARD, EFFECTS.NOTIFY] }
+  },
+  [S.PROOF_SUBMITTED]: {
+    [S.ACTIVE]: { actors: [PARTICIPANT, SYSTEM], effects: [EFFECTS.NOTIFY] },
+    [S.AI_CONFLICT]: { actors: [SYSTEM], effects: [EFFECTS.NOTIFY] },
+    [S.COMPLETED]: { actors: [PARTICIPANT, SYSTEM], effects: [EFFECTS.SETTLE, EFFECTS.RATE, EFFECTS.LEADERBOARD, EFFECTS.NOTIFY] }
+  },
+  [S.AI_VERIFICATION_PENDING]: {
+    [S.ACTIVE]: { actors: [PARTICIPANT, SYSTEM], effects: [EFFECTS.NOTIFY] },
+    [S.AI_CONFLICT]: { actors: [PARTICIPANT], effects: [EFFECTS.NOTIFY] },
+    [S.COMPLETED]: { actors: [PARTICIPANT, SYSTEM], effects: [EFFECTS.SETTLE, EFFECTS.RATE, EFFECTS.LEADERBOARD, EFFECTS.NOTIFY] }
+  },
+  [S.AI_CONFLICT]: {
+    [S.ACTIVE]: { actors: [ACTORS.ADMIN], effects: [EFFECTS.NOTIFY] }
+  },
+  [S.COMPLETED]: {},
+  [S.CANCELLED]: {}
+};
+
+// Admin decisions (dispute and conflict resolution) may override any status, including
+// re-settling a completed challenge; escrow reversals keep the payout correct.
+const ADMIN_OVERRIDES = {
+  [S.COMPLETED]: { effects: [EFFECTS.SETTLE, EFFECTS.RATE, EFFECTS.LEADERBOARD, EFFECTS.NOTIFY] },
+  [S.CANCELLED]: { effects: [EFFECTS.REFUND, EFFECTS.RATE, EFFECTS.LEADERBOARD, EFFECTS.NOTIFY] }
+};
+
+const createError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+class ChallengeStateMachine {
+  // Rule for from -> to when triggered by actor, or null if the transition is illegal
+  getRule(from, to, actor) {
+    if (actor === ACTORS.ADMIN && ADMIN_OVERRIDES[to]) {
+      return { actors: [ACTORS.ADMIN], ...ADMIN_OVERRIDES[to] };
+    }
+    return TRANSITIONS[from]?.[to] || null;
+  }
+
+  canTransition(from, to, actor) {
+    const rule = this.getRule(from, to, actor);
+    return Boolean(rule) && this.actorAllowed(rule, actor);
+  }
+
+  actorAllowed(rule, actor) {
+    if (rule.actors.includes(actor)) return true;
+    return rule.actors.includes(ACTORS.PARTICIPANT) && [ACTORS.CHALLENGER, ACTORS.OPPONENT].includes(actor);
+  }
+
+  // Role of a user in a challenge, used as the transition actor
+  actorFor(challengeData, user) {
+    if (!user) return ACTORS.SYSTEM;
+    if (challengeData?.challenger?.uid === user.uid) return ACTORS.CHALLENGER;
+    if ((challengeData?.opponents || []).some(opp => opp.uid === user.uid || opp.username === user.username)) {
+      return ACTORS.OPPONENT;
+    }
+    if (user.isAdmin || user.username === 'admin') return ACTORS.ADMIN;
+    return null;
+  }
+
+  historyEntry(from, to, actor, by, reason) {
+    return {
+      from: from || null,
+      to,
+      actor,
+      by: by ? { uid: by.uid || null, username: by.username || null } : null,
+      reason: reason || null,
+      at: new Date()
+    };
+  }
+
+  // Status fields for a newly created challenge
+  initialState(status, { actor = ACTORS.CHALLENGER, by = null, reason = 'created' } = {}) {
+    return {
+      status,
+      statusHistory: [this.historyEntry(null, status, actor, by, reason)]
+    };
+  }
+
+  /**
+   * Move a challenge to a new status.
+   * The status check and write happen in one Firestore transaction, so two requests racing
+   * on the same challenge can't both apply. Side effects run after the commit; escrow
+   * settlements are recorded in the same transaction and retried until they go through.
+   * @param {string} challengeId
+   * @param {string} to - target status
+   * @param {Object} options
+   * @param {string} options.actor - one of ACTORS
+   * @param {Object} [options.by] - user triggering the transition ({ uid, username })
+   * @param {string} [options.reason] - recorded in statusHistory
+   * @param {Object} [options.updates] - extra fields written with the status change
+   * @param {Array}  [options.from] - only allow the transition from these statuses
+   * @param {Object} [options.outcome] - escrow outcome for the settle effect ({ type: 'winner', winnerUid } | { type: 'refund' });
+   *   required to complete a challenge
+   * @param {Object} [options.settleOptions] - passed through to escrowService
+   * @param {Array}  [options.notify] - extra user ids for the notify effect (e.g. invited opponents without a uid yet)
+   * @returns {Object} { from, to, challenge, effects }
+   */
+  async transition(challengeId, to, options = {}) {
+    const { decision, ...result } = await this.apply(challengeId, () => ({ to }), options);
+    return result;
+  }
+
+  /**
+   * Read a challenge, decide what to write from its current state, and write it in one
+   * transaction. Use this when the change depends on fields that a concurrent request could
+   * also change (opponent responses, ready flags), so neither request works from a stale read.
+   * `decide(data)` may be async and may run more than once if the transaction is retried. It
+   * returns null to leave the challenge alone, or { to, updates, reason, outcome, settleOptions, notify }:
+   * without `to` only the updates are written (still guarded by options.from), otherwise it is a
+   * transition as above.
+   * @param {string} challengeId
+   * @param {Function} decide - (data) => decision | null
+   * @param {Object} options - transition options (see transition()), overridden by the decision
+   * @returns {Object} { from, to, challenge, effects, decision }; `to` is null when the status didn't change
+   */
+  async apply(challengeId, decide, options = {}) {
+    const challengeRef = firestore.collection('challenges').doc(challengeId);
+    const jobRef = firestore.collection(schedulerService.collection).doc(this.settlementJobKey(challengeId));
+
+    const { from, rule, challenge, decision, settings } = await firestore.runTransaction(async (tx) => {
+      const [snap, jobSnap] = await tx.getAll(challengeRef, jobRef);
+      if (!snap.exists) {
+        throw createError('Challenge not found', 'CHALLENGE_NOT_FOUND');
+      }
+
+      const data = snap.data();
+      const current = data.status;
+      const decided = await decide(data);
+      if (!decided) {
+        return { from: current, rule: null, challenge: { id: challengeId, ...data }, decision: null, settings: options };
+      }
+
+      const { to = null, updates: decidedUpdates, ...overrides } = decided;
+      const merged = { ...options, ...overrides };
+      const { actor, by = null, reason = null, from: allowedFrom = null } = merged;
+      const updates = { ...(options.updates || {}), ...(decidedUpdates || {}) };
+      const now = new Date();
+
+      if (!to) {
+        if (allowedFrom && !allowedFrom.includes(current)) {
+          throw createError(`Challenge can't be changed while ${current}`, 'INVALID_TRANSITION', { currentStatus: current });
+        }
+        const changes = { ...updates, updatedAt: now };
+        tx.update(challengeRef, changes);
+        return { from: current, rule: null, challenge: { id: challengeId, ...data, ...changes }, decision: decided, settings: merged };
+      }
+
+      const transitionRule = this.getRule(current, to, actor);
+
+      if (!transitionRule || (allowedFrom && !allowedFrom.includes(current))) {
+        throw createError(`Challenge cannot move from ${current} to ${to}`, 'INVALID_TRANSITION', { currentStatus: current });
+      }
+      if (!this.actorAllowed(transitionRule, actor)) {
+        throw createError(`A ${actor || 'non-participant'} cannot move a challenge from ${current} to ${to}`, 'TRANSITION_NOT_ALLOWED', { currentStatus: current });
+      }
+
+      const settlement = this.settlementFor(transitionRule.effects, merged);
+      if (transitionRule.effects.includes(EFFECTS.SETTLE) && !settlement) {
+        throw createError('A challenge can only be completed with a resolved winner or a refund', 'OUTCOME_REQUIRED', { currentStatus: current });
+      }
+
+      const changes = {
+        ...updates,
+        status: to,
+        statusHistory: [...(data.statusHistory || []), this.historyEntry(current, to, actor, by, reason)],
+        updatedAt: now
+      };
+      if (settlement) {
+        changes.pendingSettlement = settlement;
+        schedulerService.stage(tx, jobRef, jobSnap, {
+          type: SETTLEMENT_JOB_TYPE,
+          runAt: new Date(now.getTime() + SETTLEMENT_RETRY_MS),
+          payload: { challengeId },
+          maxAttempts: null
+        });
+      }
+      tx.update(challengeRef, changes);
+
+      return { from: current, rule: transitionRule, challenge: { id: challengeId, ...data, ...changes }, decision: decided, settings: { ...merged, to } };
+    });
+
+    if (!rule) {
+      return { from, to: null, challenge, effects: {}, decision };
+    }
+
+    const { to, actor, reason } = settings;
+    console.log('🔀 Challenge status changed:', { challengeId, from, to, actor, reason });
+
+    // Live subscribers see the change straight away; timers belong to the status that just ended
+    realtimeService.stopTimer(realtimeService.challengeChannel(challengeId));
+    realtimeService.publishChallenge(challengeId, REALTIME_EVENTS.CHALLENGE_STATUS, {
+      from,
+      status: to,
+      actor,
+      reason: reason || null,
+      winner: challenge.winner || null
+    });
+
+    const effects = await this.runEffects(challenge, rule.effects, { ...settings, from, to });
+    return { from, to, challenge, effects, decision };
+  }
+
+  // A winner outcome needs the winner's user id; anything else can't be paid out
+  isResolvedOutcome(outcome) {
+    if (outcome?.type === 'refund') return true;
+    return outcome?.type === 'winner' && Boolean(outcome.winnerUid);
+  }
+
+  // Escrow settlement a transition owes, stored on the challenge until it has gone through
+  settlementFor(effects, options) {
+    let outcome = null;
+    let settleOptions = options.settleOptions || {};
+    if (effects.includes(EFFECTS.SETTLE)) {
+      if (!this.isResolvedOutcome(options.outcome)) return null;
+      outcome = options.outcome;
+    } else if (effects.includes(EFFECTS.REFUND)) {
+      outcome = { type: 'refund' };
+      settleOptions = { description: 'Challenge cancelled refund', reason: options.reason || 'cancelled', ...settleOptions };
+    } else {
+      return null;
+    }
+
+    return {
+      id: crypto.randomBytes(8).toString('hex'),
+      // Firestore rejects undefined fields
+      outcome: JSON.parse(JSON.stringify(outcome)),
+      settleOptions: JSON.parse(JSON.stringify(settleOptions)),
+      createdAt: new Date()
+    };
+  }
+
+  settlementJobKey(challengeId) {
+    return `challenge_${challengeId}_settlement`;
+  }
+
+  /**
+   * Settle the escrow a status change recorded as pending, then clear the marker.
+   * Safe to run more than once: escrowService.settle does nothing when the escrow
+   * already has this outcome.
+   */
+  async settle(challengeId, pending) {
+    const result = await escrowService.settle(challengeId, pending.outcome, pending.settleOptions || {});
+
+    const challengeRef = firestore.collection('challenges').doc(challengeId);
+    const newer = await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(challengeRef);
+      const current = snap.exists ? snap.data().pendingSettlement : null;
+      if (current?.id === pending.id) {
+        tx.update(challengeRef, { pendingSettlement: null, settledAt: new Date() });
+        return null;
+      }
+      return current || null;
+    });
+
+    if (newer) {
+      // An admin decision replaced this outcome meanwhile; its own settlement job applies it
+      console.log('🔁 Challenge has a newer pending settlement:', { challengeId, settlement: newer.id });
+    } else {
+      await schedulerService.cancel(this.settlementJobKey(challengeId));
+    }
+    return result;
+  }
+
+  // Settlement job: retries whatever settlement the challenge still owes
+  async settlePending(challengeId) {
+    const snap = await firestore.collection('challenges').doc(challengeId).get();
+    const pending = snap.exists ? snap.data().pendingSettlement : null;
+    if (!pending) return { settled: false, reason: 'nothing-pending' };
+
+    const result = await this.settle(challengeId, pending);
+    console.log('💸 Pending challenge settlement applied:', { challengeId, settlement: pending.id });
+    return { settled: true, type: result.type, alreadySettled: Boolean(result.alreadySettled) };
+  }
+
+  registerJobs() {
+    schedulerService.registerHandler(SETTLEMENT_JOB_TYPE, ({ challengeId }) => this.settlePending(challengeId));
+  }
+
+  async runEffects(challenge, effects, options) {
+    const results = {};
+
+    for (const effect of effects) {
+      if (effect === EFFECTS.SETTLE || effect === EFFECTS.REFUND) {
+        // The settlement job retries it if this attempt fails
+        try {
+          results.settlement = await this.settle(challenge.id, challenge.pendingSettlement);
+        } catch (error) {
+          console.error('❌ Challenge settlement failed; it will be retried:', { challengeId: challenge.id, error: error.message });
+          results.settlement = null;
+          results.settlementPending = true;
+        }
+      } else if (effect === EFFECTS.RATE) {
+        // Ratings are best-effort too; an admin cancel takes back the rating of a completed result
+        try {
+          const outcome = options.to === S.COMPLETED ? options.outcome : { type: 'refund' };
+          results.ratings = await ratingService.recordChallengeResult(challenge, outcome);
+        } catch (error) {
+          console.error('⚠️ Failed to update ratings:', error.message);
+        }
+      } else if (effect === EFFECTS.LEADERBOARD) {
+        try {
+          const outcome = options.to === S.COMPLETED ? options.outcome : { type: 'refund' };
+          await leaderboardService.recordChallengeResult(challenge, outcome);
+        } catch (error) {
+          console.error('⚠️ Failed to update leaderboards:', error.message);
+        }
+      } else if (effect === EFFECTS.NOTIFY) {
+        // Notifications are best-effort and must never fail a status change
+        try {
+          const userIds = [challenge.challenger?.uid, ...(challenge.opponents || []).map(opp => opp.uid), ...(options.notify || [])]
+            .filter(uid => uid && uid !== options.by?.uid);
+          if (userIds.length > 0) {
+            await notificationService.sendChallengeStatusNotification(challenge, [...new Set(userIds)], options.from, options.to);
+          }
+        } catch (error) {
+          console.error('⚠️ Failed to send challenge status notification:', error.message);
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+const challengeStateMachine = new ChallengeStateMachine();
+
+module.exports = {
+  ChallengeStateMachine,
+  challengeStateMachine,
+  CHALLENGE_STATUS,
+  ACTORS,
+  TRANSITIONS,
+  SETTLEMENT_JOB_TYPE
+};
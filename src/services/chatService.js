@@ -0,0 +1,237 @@
+const { firestore } = require('../config/firebase');
+const { isAdminUser } = require('../middleware/auth');
+const { uploadService } = require('./uploadService');
+const { timerService } = require('./timerService');
+const notificationService = require('./notificationService');
+
+const THREADS_COLLECTION = 'chat_threads';
+const MESSAGES_SUBCOLLECTION = 'messages';
+
+const THREAD_TYPES = {
+  CHALLENGE: 'challenge',
+  TOURNAMENT_MATCH: 'tournament-match'
+};
+
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_ATTACHMENTS = 4;
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// A dispute keeps at most this many of the latest messages
+const DISPUTE_TRANSCRIPT_LIMIT = 500;
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class ChatService {
+  threadId(thread) {
+    return thread.type === THREAD_TYPES.CHALLENGE
+      ? `challenge_${thread.challengeId}`
+      : `match_${thread.tournamentId}_${thread.matchId}`;
+  }
+
+  threadRef(thread) {
+    return firestore.collection(THREADS_COLLECTION).doc(this.threadId(thread));
+  }
+
+  // Everyone playing in a challenge: challenger, opponents and team rosters
+  async challengeParticipants(challengeData) {
+    const participants = [
+      challengeData.challenger,
+      ...(challengeData.opponents || []).filter(opp => opp.status !== 'declined'),
+      ...['challenger', 'opponent'].flatMap(side => challengeData.teams?.[side]?.members || [])
+    ].filter(p => p?.username);
+
+    // Invited opponents only have a username until they respond
+    const resolved = await Promise.all(participants.map(async (p) => ({
+      uid: p.uid || await timerService.participantUid(challengeData, p.username),
+      username: p.username
+    })));
+
+    const byUid = new Map(resolved.filter(p => p.uid).map(p => [p.uid, p]));
+    return [...byUid.values()];
+  }
+
+  /**
+   * Load the thread's subject and check that the user may use it.
+   * @param {Object} thread - { type, challengeId } or { type, tournamentId, matchId }
+   * @param {Object} user - authenticated user
+   * @returns {Object} { participants, title, admin }
+   */
+  async authorize(thread, user) {
+    let participants;
+    let title;
+
+    if (thread.type === THREAD_TYPES.CHALLENGE) {
+      const challengeDoc = await firestore.collection('challenges').doc(thread.challengeId).get();
+      if (!challengeDoc.exists) throw createError('Challenge not found', 'NOT_FOUND');
+      const challengeData = challengeDoc.data();
+      participants = await this.challengeParticipants(challengeData);
+      title = challengeData.game || 'Challenge';
+    } else {
+      const tournamentDoc = await firestore.collection('tournaments').doc(thread.tournamentId).get();
+      if (!tournamentDoc.exists) throw createError('Tournament not found', 'NOT_FOUND');
+      const tournament = tournamentDoc.data();
+      const match = (tournament.bracket || []).find(m => m.id === thread.matchId);
+      if (!match) throw createError('Match not found', 'NOT_FOUND');
+      participants = [match.player1, match.player2].filter(p => p?.uid).map(p => ({ uid: p.uid, username: p.username }));
+      title = tournament.name || 'Tournament match';
+    }
+
+    const admin = isAdminUser(user);
+    if (!admin && !participants.some(p => p.uid === user.uid)) {
+      throw createError('Only players in this match and admins can use its chat', 'FORBIDDEN');
+    }
+    return { participants, title, admin };
+  }
+
+  toMessage(doc) {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      senderUid: data.senderUid,
+      senderUsername: data.senderUsername,
+      senderRole: data.senderRole,
+      text: data.text,
+      attachments: data.attachments || [],
+      createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : new Date(data.createdAt).toISOString()
+    };
+  }
+
+  /**
+   * Messages, newest first.
+   * @param {Object} options - { limit, before (id of the oldest message already loaded) }
+   * @returns {Object} { messages, nextCursor }
+   */
+  async getMessages(thread, user, { limit = PAGE_SIZE, before = null } = {}) {
+    await this.authorize(thread, user);
+    const size = Math.min(Math.max(parseInt(limit, 10) || PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const messagesRef = this.threadRef(thread).collection(MESSAGES_SUBCOLLECTION);
+
+    let query = messagesRef.orderBy('createdAt', 'desc');
+    if (before) {
+      const cursorDoc = await messagesRef.doc(before).get();
+      if (!cursorDoc.exists) throw createError('Invalid message cursor', 'INVALID_CURSOR');
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.limit(size + 1).get();
+    const docs = snapshot.docs.slice(0, size);
+    return {
+      messages: docs.map(doc => this.toMessage(doc)),
+      nextCursor: snapshot.docs.length > size ? docs[docs.length - 1].id : null
+    };
+  }
+
+  /**
+   * Post a message with optional image attachments (uploaded through uploadService).
+   * @param {Object} thread
+   * @param {Object} user
+   * @param {Object} input - { text, files: multer files }
+   */
+  async postMessage(thread, user, { text = '', files = [] } = {}) {
+    const body = String(text || '').trim();
+    if (!body && files.length === 0) {
+      throw createError('A message needs text or an attachment', 'INVALID_MESSAGE');
+    }
+    if (body.length > MAX_MESSAGE_LENGTH) {
+      throw createError(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`, 'INVALID_MESSAGE');
+    }
+    if (files.length > MAX_ATTACHMENTS) {
+      throw createError(`At most ${MAX_ATTACHMENTS} attachments per message`, 'INVALID_MESSAGE');
+    }
+
+    const { participants, title, admin } = await this.authorize(thread, user);
+    const threadId = this.threadId(thread);
+
+    const attachments = await Promise.all(files.map((file, index) => uploadService.uploadFile(file, {
+      folder: 'chat',
+      uid: user.uid,
+      contextId: threadId,
+      type: 'chat-attachment',
+      index,
+      metadata: { threadId }
+    })));
+
+    const now = new Date();
+    const message = {
+      senderUid: user.uid,
+      senderUsername: user.username,
+      // Admins who aren't playing post as moderators
+      senderRole: participants.some(p => p.uid === user.uid) || !admin ? 'player' : 'admin',
+      text: body,
+      attachments,
+      createdAt: now
+    };
+
+    const threadRef = this.threadRef(thread);
+    const messageRef = threadRef.collection(MESSAGES_SUBCOLLECTION).doc();
+    await firestore.runTransaction(async (tx) => {
+      const threadDoc = await tx.get(threadRef);
+      tx.set(threadRef, {
+        ...thread,
+        participantUids: participants.map(p => p.uid),
+        messageCount: (threadDoc.exists ? threadDoc.data().messageCount || 0 : 0) + 1,
+        lastMessageAt: now,
+        createdAt: threadDoc.exists ? threadDoc.data().createdAt : now,
+        updatedAt: now
+      });
+      tx.set(messageRef, message);
+    });
+
+    console.log('💬 Chat message posted:', { threadId, by: user.username, attachments: attachments.length });
+
+    // Best-effort push to everyone else in the thread
+    try {
+      const userIds = participants.map(p => p.uid).filter(uid => uid !== user.uid);
+      if (userIds.length > 0) {
+        await notificationService.sendChatNotification({ threadId, ...thread, title }, userIds, user.username, body || '📎 Attachment');
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to send chat notification:', error.message);
+    }
+
+    return this.toMessage({ id: messageRef.id, data: () => message });
+  }
+
+  /**
+   * Copy the thread onto a dispute so admins see what the players said, even if the
+   * conversation continues. Best-effort: a dispute is never blocked by its chat.
+   * @param {Object} thread
+   * @param {Object} disputeRef - Firestore ref of the dispute document
+   */
+  async attachToDispute(thread, disputeRef) {
+    try {
+      const threadId = this.threadId(thread);
+      const snapshot = await this.threadRef(thread).collection(MESSAGES_SUBCOLLECTION)
+        .orderBy('createdAt', 'desc')
+        .limit(DISPUTE_TRANSCRIPT_LIMIT)
+        .get();
+      const messages = snapshot.docs.map(doc => this.toMessage(doc)).reverse();
+
+      await disputeRef.update({
+        chatEvidence: {
+          threadId,
+          messageCount: messages.length,
+          truncated: snapshot.docs.length >= DISPUTE_TRANSCRIPT_LIMIT,
+          capturedAt: new Date(),
+          messages
+        }
+      });
+      console.log('📎 Chat attached to dispute:', { threadId, disputeId: disputeRef.id, messages: messages.length });
+    } catch (error) {
+      console.error('⚠️ Failed to attach chat to dispute:', error.message);
+    }
+  }
+}
+
+const chatService = new ChatService();
+
+module.exports = {
+  ChatService,
+  chatService,
+  THREAD_TYPES,
+  MAX_ATTACHMENTS
+};
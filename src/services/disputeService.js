@@ -17,7 +17,7 @@ class DisputeService {
       await ref.update({ docId: ref.id });
       
       console.log(`✅ Dispute created: ${dispute.id} for challenge ${dispute.challengeId}`);
-      return dispute;
+      return { ...dispute, docId: ref.id };
     } catch (error) {
       console.error('Error creating dispute:', error);
       throw error;
@@ -0,0 +1,434 @@
+const { firestore } = require('../config/firebase');
+const {
+  ledgerService,
+  ACCOUNTS,
+  roundAmount,
+  userAccount,
+  challengeEscrowAccount
+} = require('./ledgerService');
+const { feePolicyService } = require('./feePolicyService');
+const { teamService } = require('./teamService');
+
+const ESCROW_COLLECTION = 'challenge_escrows';
+
+// Escrow lifecycle: open -> released (winner paid) | refunded (stakes returned)
+const ESCROW_STATUS = {
+  OPEN: 'open',
+  RELEASED: 'released',
+  REFUNDED: 'refunded'
+};
+
+class EscrowService {
+  constructor() {
+    this.collection = ESCROW_COLLECTION;
+  }
+
+  getEscrowRef(challengeId) {
+    return firestore.collection(this.collection).doc(challengeId);
+  }
+
+  // Funds still held for a challenge according to the escrow record
+  getAvailable(escrow) {
+    return roundAmount((escrow.totalContributed || 0) - (escrow.totalReleased || 0));
+  }
+
+  // Build the escrow record for a challenge funded before escrow records existed
+  async buildLegacyContributions(challengeData) {
+    const contributions = [];
+    const share = feePolicyService.computeStakeContribution(challengeData.stake, feePolicyService.forChallenge(challengeData));
+
+    if (challengeData.challenger?.uid && challengeData.fundsDeducted !== false) {
+      contributions.push({
+        uid: challengeData.challenger.uid,
+        username: challengeData.challenger.username || null,
+        role: 'challenger',
+        // Challenges spawned from a public join never held the challenger's stake themselves
+        amount: 'challengerDeduction' in challengeData
+          ? roundAmount(challengeData.challengerDeduction)
+          : (challengeData.opponentDeduction !== undefined ? 0 : share)
+      });
+    }
+
+    for (const opponent of challengeData.opponents || []) {
+      if (opponent.status !== 'accepted' || !opponent.fundsDeducted) continue;
+      let uid = opponent.uid || null;
+      if (!uid && opponent.username) {
+        const snapshot = await firestore.collection('users').where('username', '==', opponent.username).limit(1).get();
+        uid = snapshot.empty ? null : snapshot.docs[0].id;
+      }
+      if (!uid) continue;
+      contributions.push({
+        uid,
+        username: opponent.username,
+        role: 'opponent',
+        amount: roundAmount(opponent.opponentDeduction || share)
+      });
+    }
+
+    return contributions.map(c => ({ ...c, refundedAmount: 0, contributedAt: challengeData.createdAt || new Date() }));
+  }
+
+  // Make sure an escrow record exists; challenges created before escrow records are adopted here
+  async ensureEscrow(challengeId) {
+    const escrowRef = this.getEscrowRef(challengeId);
+    const existing = await escrowRef.get();
+    if (existing.exists) return existing.data();
+
+    const challengeDoc = await firestore.collection('challenges').doc(challengeId).get();
+    if (!challengeDoc.exists) {
+      const error = new Error('Challenge not found');
+      error.code = 'CHALLENGE_NOT_FOUND';
+      throw error;
+    }
+
+    const contributions = await this.buildLegacyContributions(challengeDoc.data());
+    const totalContributed = roundAmount(contributions.reduce((sum, c) => sum + c.amount, 0));
+    const accountId = challengeEscrowAccount(challengeId);
+
+    return firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(escrowRef);
+      if (snap.exists) return snap.data();
+
+      // Stakes deducted before the ledger never reached the escrow account; carry them over
+      const accounts = await ledgerService.loadAccounts(tx, [{ from: ACCOUNTS.EXTERNAL_OPENING, to: accountId }]);
+      const missing = roundAmount(totalContributed - accounts.get(accountId).balance);
+
+      if (missing > 0) {
+        ledgerService.stage(tx, accounts, [{
+          from: ACCOUNTS.EXTERNAL_OPENING,
+          to: accountId,
+          amount: missing,
+          type: 'opening_balance',
+          description: 'Stakes collected before escrow records',
+          reference: challengeId,
+          metadata: { challengeId }
+        }]);
+      }
+
+      const now = new Date();
+      const escrow = {
+        challengeId,
+        accountId,
+        status: ESCROW_STATUS.OPEN,
+        contributions,
+        totalContributed,
+        totalReleased: 0,
+        releases: [],
+        adopted: true,
+        createdAt: now,
+        updatedAt: now
+      };
+      tx.set(escrowRef, escrow);
+      console.log('🔐 Adopted legacy challenge into escrow:', { challengeId, totalContributed, missing });
+      return escrow;
+    });
+  }
+
+  // Move a participant's stake from their wallet into the challenge escrow
+  async contribute(challengeId, { uid, username, amount, role = 'opponent', description = 'Challenge stake' }) {
+    const escrowRef = this.getEscrowRef(challengeId);
+    const legs = [{
+      from: userAccount(uid),
+      to: challengeEscrowAccount(challengeId),
+      amount,
+      type: 'challenge_deduction',
+      description,
+      reference: challengeId,
+      metadata: { challengeId }
+    }];
+
+    const result = await firestore.runTransaction(async (tx) => {
+      const escrowDoc = await tx.get(escrowRef);
+      const accounts = await ledgerService.loadAccounts(tx, legs);
+      const now = new Date();
+
+      const escrow = escrowDoc.exists ? escrowDoc.data() : {
+        challengeId,
+        accountId: challengeEscrowAccount(challengeId),
+        status: ESCROW_STATUS.OPEN,
+        contributions: [],
+        totalContributed: 0,
+        totalReleased: 0,
+        releases: [],
+        createdAt: now
+      };
+
+      if (escrow.status !== ESCROW_STATUS.OPEN) {
+        const error = new Error('Challenge escrow is already closed');
+        error.code = 'ESCROW_CLOSED';
+        throw error;
+      }
+      if (escrow.contributions.some(c => c.uid === uid)) {
+        const error = new Error('Stake already escrowed for this participant');
+        error.code = 'ALREADY_CONTRIBUTED';
+        throw error;
+      }
+
+      const posting = ledgerService.stage(tx, accounts, legs);
+      const contribution = {
+        uid,
+        username: username || null,
+        role,
+        amount: roundAmount(amount),
+        refundedAmount: 0,
+        contributedAt: now,
+        ledgerPostingId: posting.postingId
+      };
+
+      tx.set(escrowRef, {
+        ...escrow,
+        contributions: [...escrow.contributions, contribution],
+        totalContributed: roundAmount(escrow.totalContributed + contribution.amount),
+        updatedAt: now
+      });
+
+      return { contribution, transaction: posting.records.find(r => r.userId === uid) || null };
+    });
+
+    console.log('🔐 Stake escrowed:', { challengeId, uid, amount: result.contribution.amount });
+    return result;
+  }
+
+  // Move a participant's escrowed stake from one challenge to another (public challenge joins)
+  async transferContribution(fromChallengeId, toChallengeId, uid) {
+    await this.ensureEscrow(fromChallengeId);
+    const fromRef = this.getEscrowRef(fromChallengeId);
+    const toRef = this.getEscrowRef(toChallengeId);
+
+    return firestore.runTransaction(async (tx) => {
+      const [fromDoc, toDoc] = await tx.getAll(fromRef, toRef);
+      const fromEscrow = fromDoc.data();
+      const contribution = fromEscrow.contributions.find(c => c.uid === uid && !c.transferredTo);
+      if (fromEscrow.status !== ESCROW_STATUS.OPEN || !contribution) {
+        return null;
+      }
+
+      const legs = [{
+        from: challengeEscrowAccount(fromChallengeId),
+        to: challengeEscrowAccount(toChallengeId),
+        amount: contribution.amount,
+        type: 'escrow_transfer',
+        description: `Stake moved to challenge ${toChallengeId}`,
+        reference: toChallengeId,
+        metadata: { fromChallengeId, toChallengeId, uid }
+      }];
+      const accounts = await ledgerService.loadAccounts(tx, legs);
+      const now = new Date();
+
+      const toEscrow = toDoc.exists ? toDoc.data() : {
+        challengeId: toChallengeId,
+        accountId: challengeEscrowAccount(toChallengeId),
+        status: ESCROW_STATUS.OPEN,
+        contributions: [],
+        totalContributed: 0,
+        totalReleased: 0,
+        releases: [],
+        createdAt: now
+      };
+
+      ledgerService.stage(tx, accounts, legs);
+
+      tx.set(fromRef, {
+        ...fromEscrow,
+        contributions: fromEscrow.contributions.map(c => (c === contribution ? { ...c, transferredTo: toChallengeId } : c)),
+        totalReleased: roundAmount(fromEscrow.totalReleased + contribution.amount),
+        releases: [...fromEscrow.releases, { type: 'transfer', uid, amount: contribution.amount, toChallengeId, at: now }],
+        updatedAt: now
+      });
+      tx.set(toRef, {
+        ...toEscrow,
+        contributions: [...toEscrow.contributions, { ...contribution, transferredFrom: fromChallengeId, contributedAt: now }],
+        totalContributed: roundAmount(toEscrow.totalContributed + contribution.amount),
+        updatedAt: now
+      });
+
+      console.log('🔐 Escrowed stake transferred:', { fromChallengeId, toChallengeId, uid, amount: contribution.amount });
+      return contribution;
+    });
+  }
+
+  // Legs that undo an earlier release so the escrow can be settled again (admin reversals)
+  reversalLegs(challengeId, escrow, reason) {
+    const accountId = challengeEscrowAccount(challengeId);
+    const legs = [];
+
+    for (const release of escrow.releases || []) {
+      if (release.reversed || release.type === 'transfer') continue;
+      legs.push({
+        from: release.type === 'fee' ? ACCOUNTS.PLATFORM_FEES : userAccount(release.uid),
+        to: accountId,
+        amount: release.amount,
+        type: 'admin_adjustment',
+        description: reason || 'Dispute reversal',
+        reference: challengeId,
+        metadata: { challengeId, reversal: true },
+        // Whoever was paid may already have spent it; the reversal still has to land
+        allowOverdraft: true
+      });
+    }
+
+    return legs;
+  }
+
+  // Settle an escrow in one transaction. `outcome` is { type: 'winner', winnerUid } or { type: 'refund' }.
+  async settle(challengeId, outcome, options = {}) {
+    await this.ensureEscrow(challengeId);
+    const escrowRef = this.getEscrowRef(challengeId);
+    const accountId = challengeEscrowAccount(challengeId);
+
+    const challengeRef = firestore.collection('challenges').doc(challengeId);
+
+    const result = await firestore.runTransaction(async (tx) => {
+      const [escrowDoc, challengeDoc] = await tx.getAll(escrowRef, challengeRef);
+      const escrow = escrowDoc.data();
+      const challengeData = challengeDoc.exists ? challengeDoc.data() : null;
+      // Fee policy snapshotted on the challenge at creation (defaults for older challenges)
+      const policy = feePolicyService.forChallenge(challengeData);
+
+      if (escrow.status !== ESCROW_STATUS.OPEN) {
+        const sameOutcome = escrow.settlement?.type === outcome.type &&
+          (outcome.type !== 'winner' || escrow.settlement?.winnerUid === outcome.winnerUid);
+        if (!options.allowReversal || sameOutcome) {
+          return { alreadySettled: true, ...escrow.settlement };
+        }
+      }
+
+      const reopening = escrow.status !== ESCROW_STATUS.OPEN;
+      const reversal = reopening ? this.reversalLegs(challengeId, escrow, options.reason) : [];
+      const reversedAmount = roundAmount(reversal.reduce((sum, leg) => sum + leg.amount, 0));
+      const available = roundAmount(this.getAvailable(escrow) + reversedAmount);
+      const contributions = escrow.contributions.filter(c => !c.transferredTo);
+      const releaseLegs = [];
+      const releases = [];
+      let settlement;
+
+      if (outcome.type === 'winner') {
+        if (!contributions.some(c => c.uid === outcome.winnerUid)) {
+          const error = new Error('Winner did not contribute to this challenge escrow');
+          error.code = 'WINNER_NOT_PARTICIPANT';
+          throw error;
+        }
+
+        const { rewardAmount, adminFee, rakePercent } = feePolicyService.computeSettlement(available, policy);
+        // Team challenges pay every member of the winning side in proportion to their stake
+        const payouts = rewardAmount > 0 ? teamService.splitReward(challengeData, outcome.winnerUid, contributions, rewardAmount) : [];
+
+        for (const payout of payouts) {
+          releaseLegs.push({
+            from: accountId,
+            to: userAccount(payout.uid),
+            amount: payout.amount,
+            type: 'challenge_reward',
+            description: options.description || 'Challenge reward',
+            reference: challengeId,
+            metadata: { challengeId }
+          });
+          releases.push({ type: 'reward', uid: payout.uid, amount: payout.amount });
+        }
+        if (adminFee > 0) {
+          releaseLegs.push({
+            from: accountId,
+            to: ACCOUNTS.PLATFORM_FEES,
+            amount: adminFee,
+            type: 'admin_fee',
+            description: options.feeDescription || 'Challenge admin fee',
+            reference: challengeId,
+            metadata: { challengeId }
+          });
+          releases.push({ type: 'fee', uid: null, amount: adminFee });
+        }
+
+        settlement = { type: 'winner', winnerUid: outcome.winnerUid, rewardAmount, adminFee, rakePercent };
+        if (payouts.length > 1) {
+          settlement.payouts = payouts;
+        }
+      } else if (outcome.type === 'refund') {
+        // Return exactly what each participant put in
+        let refunded = 0;
+        for (const contribution of contributions) {
+          const amount = roundAmount(contribution.amount);
+          if (amount <= 0) continue;
+          refunded = roundAmount(refunded + amount);
+          releaseLegs.push({
+            from: accountId,
+            to: userAccount(contribution.uid),
+            amount,
+            type: 'refund',
+            description: options.description || 'Challenge refund',
+            reference: challengeId,
+            metadata: { challengeId }
+          });
+          releases.push({ type: 'refund', uid: contribution.uid, amount });
+        }
+
+        settlement = { type: 'refund', refundedAmount: refunded };
+      } else {
+        throw new Error(`Unknown escrow outcome: ${outcome.type}`);
+      }
+
+      const legs = [...reversal, ...releaseLegs];
+      const now = new Date();
+
+      if (legs.length > 0) {
+        const accounts = await ledgerService.loadAccounts(tx, legs);
+        ledgerService.stage(tx, accounts, legs);
+      }
+
+      const releasedAmount = roundAmount(releases.reduce((sum, r) => sum + r.amount, 0));
+      tx.set(escrowRef, {
+        ...escrow,
+        status: outcome.type === 'winner' ? ESCROW_STATUS.RELEASED : ESCROW_STATUS.REFUNDED,
+        contributions: escrow.contributions.map(c => (
+          outcome.type === 'refund' && !c.transferredTo ? { ...c, refundedAmount: c.amount } : { ...c, refundedAmount: 0 }
+        )),
+        totalReleased: roundAmount(escrow.totalReleased - reversedAmount + releasedAmount),
+        releases: [
+          ...(escrow.releases || []).map(r => (reopening && r.type !== 'transfer' ? { ...r, reversed: true, reversedAt: now } : r)),
+          ...releases.map(r => ({ ...r, at: now, reason: options.reason || null }))
+        ],
+        settlement: { ...settlement, settledAt: now, reason: options.reason || null },
+        updatedAt: now
+      });
+
+      return { alreadySettled: false, reversed: reopening, ...settlement };
+    });
+
+    console.log('🔓 Escrow settled:', { challengeId, ...result });
+    return result;
+  }
+
+  // Pay the winner from the escrowed pot (platform fee deducted)
+  async releaseToWinner(challengeId, winnerUid, options = {}) {
+    return this.settle(challengeId, { type: 'winner', winnerUid }, options);
+  }
+
+  // Return every participant's stake (cancellations, draws, refunds)
+  async refundAll(challengeId, options = {}) {
+    return this.settle(challengeId, { type: 'refund' }, options);
+  }
+
+  // Escrow record plus the ledger balance backing it
+  async getEscrow(challengeId) {
+    const escrowDoc = await this.getEscrowRef(challengeId).get();
+    const ledgerBalance = await ledgerService.getAccountBalance(challengeEscrowAccount(challengeId));
+
+    if (!escrowDoc.exists) {
+      return null;
+    }
+
+    const escrow = escrowDoc.data();
+    return {
+      ...escrow,
+      available: this.getAvailable(escrow),
+      ledgerBalance
+    };
+  }
+}
+
+const escrowService = new EscrowService();
+
+module.exports = {
+  EscrowService,
+  escrowService,
+  ESCROW_STATUS
+};
@@ -0,0 +1,157 @@
+const { firestore } = require('../config/firebase');
+const { roundAmount } = require('./ledgerService');
+
+// Platform defaults, used when a game has no feePolicy of its own
+// and for challenges created before policies were snapshotted.
+const DEFAULT_FEE_POLICY = {
+  stakeShare: 0.5, // each participant escrows this share of the stake
+  rakePercent: 5, // platform fee taken from the pot when a winner is paid
+  minimumFee: 0,
+  maximumFee: null,
+  promotions: [] // [{ name, startsAt, endsAt, rakePercent }] - times in ms
+};
+
+const POLICY_VERSION = 1;
+
+const toMillis = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  if (value?.toMillis) return value.toMillis();
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? NaN : ms;
+};
+
+class FeePolicyService {
+  // Validate and normalize a feePolicy payload coming from the games API
+  validatePolicy(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+      return { policy: null, errors: ['feePolicy must be an object'] };
+    }
+
+    const policy = {};
+    const numberField = (field, { min = 0, max = Infinity, nullable = false } = {}) => {
+      if (!(field in input)) return;
+      const value = input[field];
+      if (value === null && nullable) {
+        policy[field] = null;
+        return;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        errors.push(`${field} must be a number between ${min} and ${max === Infinity ? 'any amount' : max}`);
+        return;
+      }
+      policy[field] = value;
+    };
+
+    numberField('stakeShare', { min: 0.01, max: 1 });
+    numberField('rakePercent', { min: 0, max: 100 });
+    numberField('minimumFee', { min: 0 });
+    numberField('maximumFee', { min: 0, nullable: true });
+
+    if (policy.maximumFee !== null && policy.maximumFee !== undefined &&
+        policy.minimumFee !== undefined && policy.maximumFee < policy.minimumFee) {
+      errors.push('maximumFee must be greater than or equal to minimumFee');
+    }
+
+    if ('promotions' in input) {
+      if (!Array.isArray(input.promotions)) {
+        errors.push('promotions must be an array');
+      } else {
+        policy.promotions = input.promotions.map((promo, index) => {
+          const startsAt = toMillis(promo?.startsAt);
+          const endsAt = toMillis(promo?.endsAt);
+          const rakePercent = promo?.rakePercent === undefined ? 0 : promo.rakePercent;
+          if (!Number.isFinite(startsAt) || !Number.isFinite(endsAt) || endsAt <= startsAt) {
+            errors.push(`promotions[${index}] needs startsAt before endsAt`);
+          }
+          if (typeof rakePercent !== 'number' || rakePercent < 0 || rakePercent > 100) {
+            errors.push(`promotions[${index}].rakePercent must be between 0 and 100`);
+          }
+          return { name: promo?.name || `Promotion ${index + 1}`, startsAt, endsAt, rakePercent };
+        });
+      }
+    }
+
+    return { policy, errors };
+  }
+
+  // Look up the configured policy for a game by name (falls back to the platform defaults)
+  async getGamePolicy(gameName) {
+    const lowerName = (gameName || '').trim().toLowerCase();
+    if (!firestore || !lowerName) {
+      return { ...DEFAULT_FEE_POLICY, source: 'default', gameId: null };
+    }
+
+    try {
+      const snapshot = await firestore.collection('games').where('gameNameLower', '==', lowerName).limit(1).get();
+      if (snapshot.empty || !snapshot.docs[0].data().feePolicy) {
+        return { ...DEFAULT_FEE_POLICY, source: 'default', gameId: snapshot.empty ? null : snapshot.docs[0].data().id };
+      }
+      const game = snapshot.docs[0].data();
+      return { ...DEFAULT_FEE_POLICY, ...game.feePolicy, source: 'game', gameId: game.id };
+    } catch (error) {
+      console.error('⚠️ Failed to load fee policy, using defaults:', error.message);
+      return { ...DEFAULT_FEE_POLICY, source: 'default', gameId: null };
+    }
+  }
+
+  // Resolve the policy that applies right now; the result is snapshotted onto the challenge
+  async resolvePolicy(gameName, at = Date.now()) {
+    const policy = await this.getGamePolicy(gameName);
+    const promotion = (policy.promotions || []).find(p => at >= p.startsAt && at < p.endsAt) || null;
+
+    return {
+      version: POLICY_VERSION,
+      source: policy.source,
+      gameId: policy.gameId,
+      stakeShare: policy.stakeShare,
+      rakePercent: promotion ? promotion.rakePercent : policy.rakePercent,
+      baseRakePercent: policy.rakePercent,
+      minimumFee: policy.minimumFee,
+      maximumFee: policy.maximumFee === undefined ? null : policy.maximumFee,
+      promotion: promotion ? { name: promotion.name, endsAt: promotion.endsAt } : null,
+      resolvedAt: at
+    };
+  }
+
+  // Policy for a challenge: its snapshot, or the defaults it was created under
+  forChallenge(challengeData) {
+    return challengeData?.feePolicy || { version: 0, source: 'legacy', ...DEFAULT_FEE_POLICY, promotion: null };
+  }
+
+  // What each participant puts into escrow
+  computeStakeContribution(stake, policy) {
+    const share = policy?.stakeShare ?? DEFAULT_FEE_POLICY.stakeShare;
+    return roundAmount((Number(stake) || 0) * share);
+  }
+
+  // Split an escrowed pot into winner reward and platform fee
+  computeSettlement(pot, policy) {
+    const applied = policy || DEFAULT_FEE_POLICY;
+    const total = roundAmount(pot);
+    const rakePercent = applied.rakePercent ?? DEFAULT_FEE_POLICY.rakePercent;
+    let adminFee = 0;
+
+    if (rakePercent > 0 && total > 0) {
+      adminFee = total * rakePercent / 100;
+      if (applied.minimumFee) adminFee = Math.max(adminFee, applied.minimumFee);
+      if (applied.maximumFee !== null && applied.maximumFee !== undefined) adminFee = Math.min(adminFee, applied.maximumFee);
+      adminFee = Math.min(roundAmount(adminFee), total);
+    }
+
+    return {
+      adminFee,
+      rewardAmount: roundAmount(total - adminFee),
+      rakePercent
+    };
+  }
+}
+
+const feePolicyService = new FeePolicyService();
+
+module.exports = {
+  FeePolicyService,
+  feePolicyService,
+  DEFAULT_FEE_POLICY
+};
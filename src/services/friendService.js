@@ -0,0 +1,284 @@
+const { firestore } = require('../config/firebase');
+const { statsService } = require('./statsService');
+const UserService = require('./userService');
+
+const userService = new UserService();
+
+const FRIENDSHIPS_COLLECTION = 'friendships';
+const BLOCKS_COLLECTION = 'blocks';
+
+// pending -> accepted; declined and removed friendships are deleted
+const FRIENDSHIP_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted'
+};
+
+// Players seen within this window count as online
+const ONLINE_WINDOW_MS = 5 * 60 * 1000;
+const RECENT_OPPONENT_MATCHES = 50;
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value === 'number') return value;
+  if (value.toMillis) return value.toMillis();
+  const millis = new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+};
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class FriendService {
+  // One friendship document per pair of users, whoever asked first
+  friendshipRef(uidA, uidB) {
+    return firestore.collection(FRIENDSHIPS_COLLECTION).doc([uidA, uidB].sort().join('_'));
+  }
+
+  blockRef(blockerUid, blockedUid) {
+    return firestore.collection(BLOCKS_COLLECTION).doc(`${blockerUid}_${blockedUid}`);
+  }
+
+  // Presence derived from users.lastActive
+  presence(userData) {
+    const lastActive = toMillis(userData?.lastActive);
+    return {
+      online: lastActive !== null && Date.now() - lastActive <= ONLINE_WINDOW_MS,
+      lastActive
+    };
+  }
+
+  async touchPresence(uid) {
+    await firestore.collection('users').doc(uid).update({ lastActive: Date.now() });
+  }
+
+  async resolveUser(user, username) {
+    const other = await userService.getUserByUsername(username);
+    if (!other) {
+      throw createError('User not found', 'USER_NOT_FOUND');
+    }
+    if (other.uid === user.uid) {
+      throw createError('You cannot do that to yourself', 'CANNOT_TARGET_SELF');
+    }
+    return other;
+  }
+
+  // Has either user blocked the other?
+  async isBlocked(uidA, uidB) {
+    const [aBlocksB, bBlocksA] = await Promise.all([
+      this.blockRef(uidA, uidB).get(),
+      this.blockRef(uidB, uidA).get()
+    ]);
+    return aBlocksB.exists || bBlocksA.exists;
+  }
+
+  // The users in otherUids that uid has blocked or been blocked by
+  async findBlocked(uid, otherUids) {
+    const checks = await Promise.all(otherUids.map(async (otherUid) => ((await this.isBlocked(uid, otherUid)) ? otherUid : null)));
+    return checks.filter(Boolean);
+  }
+
+  /**
+   * Send a friend request. If the other player already asked us, this accepts their request.
+   * @returns {Object} { status, friendship }
+   */
+  async sendRequest(user, username) {
+    const other = await this.resolveUser(user, username);
+    if (await this.isBlocked(user.uid, other.uid)) {
+      throw createError('You cannot send a friend request to this user', 'USER_BLOCKED');
+    }
+
+    const ref = this.friendshipRef(user.uid, other.uid);
+    const friendship = await firestore.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const now = new Date();
+
+      if (doc.exists) {
+        const existing = doc.data();
+        if (existing.status === FRIENDSHIP_STATUS.ACCEPTED) {
+          throw createError(`You are already friends with ${other.username}`, 'ALREADY_FRIENDS');
+        }
+        if (existing.requestedBy === user.uid) {
+          throw createError(`You already sent ${other.username} a friend request`, 'REQUEST_PENDING');
+        }
+        // They asked first, so asking back accepts
+        const accepted = { ...existing, status: FRIENDSHIP_STATUS.ACCEPTED, respondedAt: now, updatedAt: now };
+        tx.set(ref, accepted);
+        return accepted;
+      }
+
+      const pending = {
+        users: [user.uid, other.uid],
+        usernames: { [user.uid]: user.username, [other.uid]: other.username },
+        status: FRIENDSHIP_STATUS.PENDING,
+        requestedBy: user.uid,
+        createdAt: now,
+        respondedAt: null,
+        updatedAt: now
+      };
+      tx.set(ref, pending);
+      return pending;
+    });
+
+    console.log('🤝 Friend request:', { from: user.username, to: other.username, status: friendship.status });
+    return { status: friendship.status, friendship };
+  }
+
+  // Accept or decline a pending request the other player sent us
+  async respond(user, username, accept) {
+    const other = await this.resolveUser(user, username);
+    const ref = this.friendshipRef(user.uid, other.uid);
+
+    const status = await firestore.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const existing = doc.exists ? doc.data() : null;
+      if (!existing || existing.status !== FRIENDSHIP_STATUS.PENDING || existing.requestedBy !== other.uid) {
+        throw createError(`No pending friend request from ${other.username}`, 'REQUEST_NOT_FOUND');
+      }
+
+      if (!accept) {
+        tx.delete(ref);
+        return 'declined';
+      }
+      const now = new Date();
+      tx.update(ref, { status: FRIENDSHIP_STATUS.ACCEPTED, respondedAt: now, updatedAt: now });
+      return FRIENDSHIP_STATUS.ACCEPTED;
+    });
+
+    console.log('🤝 Friend request answered:', { by: user.username, from: other.username, status });
+    return status;
+  }
+
+  // Unfriend, or withdraw a request we sent
+  async remove(user, username) {
+    const other = await this.resolveUser(user, username);
+    const ref = this.friendshipRef(user.uid, other.uid);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      throw createError(`You are not friends with ${other.username}`, 'FRIENDSHIP_NOT_FOUND');
+    }
+    await ref.delete();
+    console.log('👋 Friendship removed:', { by: user.username, other: other.username });
+  }
+
+  // Blocking also ends any friendship or pending request between the two players
+  async block(user, username) {
+    const other = await this.resolveUser(user, username);
+    const blockRef = this.blockRef(user.uid, other.uid);
+    const friendshipRef = this.friendshipRef(user.uid, other.uid);
+
+    await firestore.runTransaction(async (tx) => {
+      const friendshipDoc = await tx.get(friendshipRef);
+      tx.set(blockRef, {
+        blockerUid: user.uid,
+        blockedUid: other.uid,
+        blockedUsername: other.username,
+        createdAt: new Date()
+      });
+      if (friendshipDoc.exists) tx.delete(friendshipRef);
+    });
+
+    console.log('🚫 User blocked:', { by: user.username, blocked: other.username });
+    return { uid: other.uid, username: other.username };
+  }
+
+  async unblock(user, username) {
+    const other = await this.resolveUser(user, username);
+    const ref = this.blockRef(user.uid, other.uid);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      throw createError(`${other.username} is not blocked`, 'NOT_BLOCKED');
+    }
+    await ref.delete();
+    console.log('✅ User unblocked:', { by: user.username, unblocked: other.username });
+  }
+
+  async listBlocked(uid) {
+    const snapshot = await firestore.collection(BLOCKS_COLLECTION).where('blockerUid', '==', uid).get();
+    return snapshot.docs.map(doc => {
+      const { blockedUid, blockedUsername, createdAt } = doc.data();
+      return { uid: blockedUid, username: blockedUsername, blockedAt: createdAt };
+    });
+  }
+
+  /**
+   * Friends with online status, plus pending requests in both directions.
+   * @returns {Object} { friends, incoming, outgoing }
+   */
+  async listFriends(uid) {
+    const snapshot = await firestore.collection(FRIENDSHIPS_COLLECTION).where('users', 'array-contains', uid).get();
+    const friendships = snapshot.docs.map(doc => doc.data());
+
+    const otherUids = friendships.map(f => f.users.find(u => u !== uid));
+    const userDocs = otherUids.length > 0
+      ? await firestore.getAll(...otherUids.map(otherUid => firestore.collection('users').doc(otherUid)))
+      : [];
+    const profiles = Object.fromEntries(userDocs.map((doc, i) => [otherUids[i], doc.exists ? doc.data() : {}]));
+
+    const friends = [];
+    const incoming = [];
+    const outgoing = [];
+    friendships.forEach((friendship, i) => {
+      const otherUid = otherUids[i];
+      const profile = profiles[otherUid];
+      const entry = {
+        uid: otherUid,
+        username: profile.username || friendship.usernames?.[otherUid] || null,
+        profilePicture: profile.profilePicture || ''
+      };
+
+      if (friendship.status === FRIENDSHIP_STATUS.ACCEPTED) {
+        friends.push({ ...entry, ...this.presence(profile), since: friendship.respondedAt || friendship.createdAt });
+      } else if (friendship.requestedBy === uid) {
+        outgoing.push({ ...entry, requestedAt: friendship.createdAt });
+      } else {
+        incoming.push({ ...entry, requestedAt: friendship.createdAt });
+      }
+    });
+
+    // Online friends first, then most recently active
+    friends.sort((a, b) => (Number(b.online) - Number(a.online)) || ((b.lastActive || 0) - (a.lastActive || 0)));
+    return { friends, incoming, outgoing };
+  }
+
+  /**
+   * People the player has played recently, newest first, with what the last challenge was
+   * so the client can offer a one-tap rematch. Blocked players are left out.
+   */
+  async recentOpponents(uid, { limit = 10 } = {}) {
+    const { matches } = await statsService.getHistory(uid, { limit: RECENT_OPPONENT_MATCHES });
+
+    const seen = new Map();
+    for (const match of matches) {
+      for (const opponent of match.opponents) {
+        if (seen.has(opponent.uid)) continue;
+        seen.set(opponent.uid, {
+          uid: opponent.uid,
+          username: opponent.username,
+          lastPlayedAt: match.playedAt,
+          lastResult: match.result,
+          game: match.game,
+          // Only challenges can be replayed; tournament matches have no stake or platform to reuse
+          rematch: match.source === 'challenge'
+            ? { challengeId: match.sourceId, game: match.game, stake: match.stake, platform: match.platform || null, format: match.format || 'single' }
+            : null
+        });
+      }
+    }
+
+    const candidates = [...seen.values()];
+    const blocked = new Set(await this.findBlocked(uid, candidates.map(c => c.uid)));
+    return candidates.filter(c => !blocked.has(c.uid)).slice(0, Math.max(parseInt(limit, 10) || 10, 1));
+  }
+}
+
+const friendService = new FriendService();
+
+module.exports = {
+  FriendService,
+  friendService,
+  FRIENDSHIP_STATUS,
+  ONLINE_WINDOW_MS
+};
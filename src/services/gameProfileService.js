@@ -0,0 +1,278 @@
+const { firestore } = require('../config/firebase');
+
+// How a game's result is read off its scoreboard. Stored on the game document as
+// `scoreProfile`; games without one use the default (two sides, higher score wins).
+
+const SCORING = {
+  HIGHER: 'higher', // points, goals, kills
+  LOWER: 'lower', // golf-style strokes
+  TIME: 'time', // time trials, fastest wins
+  PLACEMENT: 'placement' // finishing position, 1st beats 2nd
+};
+
+const FORMATS = {
+  SOLO: 'solo',
+  TEAM: 'team'
+};
+
+// Both values of a score line, e.g. "6-7", "-3 : +2", "1:23.4 vs 1:25.0", "1st - 4th"
+const NUMBER = '[-+]?\\d+(?:\\.\\d+)?';
+const TIME = '\\d+(?::\\d{1,2})*(?:\\.\\d+)?';
+const PLACE = '#?(\\d+)(?:st|nd|rd|th)?';
+const SEPARATOR = '\\s*(?:-|:|vs\\.?|to|\\/)\\s*';
+
+const DEFAULT_SCORE_REGEX = {
+  [SCORING.HIGHER]: `(${NUMBER})${SEPARATOR}(${NUMBER})`,
+  [SCORING.LOWER]: `(${NUMBER})${SEPARATOR}(${NUMBER})`,
+  // Times contain colons, so ":" can't separate them
+  [SCORING.TIME]: `(${TIME})\\s*(?:-|vs\\.?|to|\\/)\\s*(${TIME})`,
+  [SCORING.PLACEMENT]: `${PLACE}${SEPARATOR}${PLACE}`
+};
+
+const DEFAULT_PROFILE = {
+  scoring: SCORING.HIGHER,
+  format: FORMATS.SOLO,
+  players: 2,
+  expectedFields: [],
+  scoreRegex: null,
+  exampleLayouts: []
+};
+
+const MAX_LIST_ITEMS = 10;
+const MAX_TEXT_LENGTH = 200;
+
+// Number of capture groups in a pattern
+const groupCount = (pattern) => new RegExp(`${pattern}|`).exec('').length - 1;
+
+const stringList = (input, field, errors) => {
+  if (!Array.isArray(input) || input.some(item => typeof item !== 'string' || !item.trim() || item.length > MAX_TEXT_LENGTH)) {
+    errors.push(`${field} must be an array of non-empty strings (up to ${MAX_TEXT_LENGTH} characters each)`);
+    return [];
+  }
+  if (input.length > MAX_LIST_ITEMS) {
+    errors.push(`${field} can have at most ${MAX_LIST_ITEMS} entries`);
+  }
+  return input.map(item => item.trim());
+};
+
+class GameProfileService {
+  // Validate and normalize a scoreProfile payload coming from the games API
+  validateProfile(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { profile: null, errors: ['scoreProfile must be an object'] };
+    }
+
+    const profile = {};
+
+    if ('scoring' in input) {
+      if (!Object.values(SCORING).includes(input.scoring)) {
+        errors.push(`scoring must be one of ${Object.values(SCORING).join(', ')}`);
+      } else {
+        profile.scoring = input.scoring;
+      }
+    }
+
+    if ('format' in input) {
+      if (!Object.values(FORMATS).includes(input.format)) {
+        errors.push(`format must be one of ${Object.values(FORMATS).join(', ')}`);
+      } else {
+        profile.format = input.format;
+      }
+    }
+
+    if ('players' in input) {
+      if (!Number.isInteger(input.players) || input.players < 2 || input.players > 100) {
+        errors.push('players must be an integer between 2 and 100');
+      } else {
+        profile.players = input.players;
+      }
+    }
+
+    if ('expectedFields' in input) profile.expectedFields = stringList(input.expectedFields, 'expectedFields', errors);
+    if ('exampleLayouts' in input) profile.exampleLayouts = stringList(input.exampleLayouts, 'exampleLayouts', errors);
+
+    if ('scoreRegex' in input) {
+      if (input.scoreRegex === null || input.scoreRegex === '') {
+        profile.scoreRegex = null;
+      } else if (typeof input.scoreRegex !== 'string' || input.scoreRegex.length > MAX_TEXT_LENGTH) {
+        errors.push(`scoreRegex must be a string of up to ${MAX_TEXT_LENGTH} characters`);
+      } else {
+        try {
+          if (groupCount(input.scoreRegex) < 2) {
+            errors.push('scoreRegex needs two capture groups, one per side of the score');
+          } else {
+            profile.scoreRegex = input.scoreRegex;
+          }
+        } catch (error) {
+          errors.push(`scoreRegex is not a valid regular expression: ${error.message}`);
+        }
+      }
+    }
+
+    return { profile, errors };
+  }
+
+  // Look up the configured profile for a game by name (falls back to the default)
+  async getGameProfile(gameName) {
+    const lowerName = (gameName || '').trim().toLowerCase();
+    if (!firestore || !lowerName) {
+      return { ...DEFAULT_PROFILE, source: 'default', gameId: null };
+    }
+
+    try {
+      const snapshot = await firestore.collection('games').where('gameNameLower', '==', lowerName).limit(1).get();
+      if (snapshot.empty || !snapshot.docs[0].data().scoreProfile) {
+        return { ...DEFAULT_PROFILE, source: 'default', gameId: snapshot.empty ? null : snapshot.docs[0].data().id };
+      }
+      const game = snapshot.docs[0].data();
+      return { ...DEFAULT_PROFILE, ...game.scoreProfile, source: 'game', gameId: game.id };
+    } catch (error) {
+      console.error('⚠️ Failed to load game profile, using defaults:', error.message);
+      return { ...DEFAULT_PROFILE, source: 'default', gameId: null };
+    }
+  }
+
+  /**
+   * Read one side's result as a number, in the profile's units: points, strokes,
+   * seconds for times ("1:23.45" -> 83.45) or the finishing position ("2nd" -> 2).
+   * Returns null when the value can't be read.
+   */
+  parseValue(value, profile = DEFAULT_PROFILE) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    if (profile.scoring === SCORING.TIME) {
+      const match = new RegExp(`^(${TIME})\\s*s?$`, 'i').exec(text);
+      if (!match) return null;
+      return match[1].split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+
+    if (profile.scoring === SCORING.PLACEMENT) {
+      const match = new RegExp(`^${PLACE}$`, 'i').exec(text);
+      return match ? Number(match[1]) : null;
+    }
+
+    const match = new RegExp(`^(${NUMBER})$`).exec(text);
+    return match ? Number(match[1]) : null;
+  }
+
+  // Both sides of a score line ("6-7") as { score1, score2 }, or null
+  parseScore(score, profile = DEFAULT_PROFILE) {
+    if (score === null || score === undefined) return null;
+    const pattern = profile.scoreRegex || DEFAULT_SCORE_REGEX[profile.scoring] || DEFAULT_SCORE_REGEX[SCORING.HIGHER];
+    let match;
+    try {
+      match = new RegExp(pattern, 'i').exec(String(score));
+    } catch (error) {
+      console.error('⚠️ Invalid scoreRegex in game profile:', error.message);
+      return null;
+    }
+    if (!match) return null;
+
+    const score1 = this.parseValue(match[1], profile);
+    const score2 = this.parseValue(match[2], profile);
+    if (score1 === null || score2 === null) return null;
+    return { score1, score2 };
+  }
+
+  // "Name:score" entries from the AI's players array; the name ends at the first colon
+  parsePlayer(entry, profile = DEFAULT_PROFILE) {
+    const text = String(entry ?? '');
+    const colon = text.indexOf(':');
+    if (colon === -1) return { name: text.trim(), value: null };
+    return { name: text.slice(0, colon).trim(), value: this.parseValue(text.slice(colon + 1), profile) };
+  }
+
+  // Positive when a beats b, negative when b beats a, 0 on a tie
+  compare(a, b, profile = DEFAULT_PROFILE) {
+    if (a === b) return 0;
+    return profile.scoring === SCORING.HIGHER ? a - b : b - a;
+  }
+
+  // Which side of a two-sided scorecard won: 1, 2, or 0 on a tie or when either value can't be read
+  sideWinner(score1, score2, profile = DEFAULT_PROFILE) {
+    const value1 = this.parseValue(score1, profile);
+    const value2 = this.parseValue(score2, profile);
+    if (value1 === null || value2 === null) return 0;
+    const result = this.compare(value1, value2, profile);
+    if (result === 0) return 0;
+    return result > 0 ? 1 : 2;
+  }
+
+  /**
+   * Decide the winner from a score line and the players array.
+   * The score line is read left to right against players[0] and players[1]; when it
+   * can't be read, every player's own value is compared (this covers placement
+   * games with more than two players).
+   * @returns {string|null} the winner's name, or null on a tie or unreadable score
+   */
+  winnerFromScore(score, players, profile = DEFAULT_PROFILE) {
+    if (!Array.isArray(players) || players.length < 2) return null;
+    const entries = players.map(player => this.parsePlayer(player, profile));
+
+    const parsed = this.parseScore(score, profile);
+    if (parsed) {
+      const result = this.compare(parsed.score1, parsed.score2, profile);
+      if (result === 0) return null;
+      return result > 0 ? entries[0].name : entries[1].name;
+    }
+
+    const scored = entries.filter(entry => entry.value !== null);
+    if (scored.length < 2) return null;
+    const ranked = [...scored].sort((a, b) => this.compare(b.value, a.value, profile));
+    if (this.compare(ranked[0].value, ranked[1].value, profile) === 0) return null;
+    return ranked[0].name;
+  }
+
+  // Prompt lines telling the vision model how this game is won and what to read
+  promptRules(profile = DEFAULT_PROFILE) {
+    const side = profile.format === FORMATS.TEAM ? 'team' : 'player';
+    const rules = {
+      [SCORING.HIGHER]: [
+        `The ${side} with the HIGHER score wins.`,
+        'If you see "6-7", the right side (7) WON and the left side (6) LOST.',
+        `Report "players" as "Name:score" entries.`
+      ],
+      [SCORING.LOWER]: [
+        `The ${side} with the LOWER score wins (golf-style scoring).`,
+        'If you see "68-72", the left side (68) WON and the right side (72) LOST.',
+        `Report "players" as "Name:score" entries; keep any minus sign (e.g. "-3").`
+      ],
+      [SCORING.TIME]: [
+        `The ${side} with the FASTEST (lowest) time wins.`,
+        'If you see "1:23.4 vs 1:25.0", the left side (1:23.4) WON.',
+        'Report times as m:ss.sss and "players" as "Name:m:ss.sss" entries. Leave out players who did not finish.'
+      ],
+      [SCORING.PLACEMENT]: [
+        `The ${side} with the BEST finishing position wins (1st beats 2nd).`,
+        'If you see "1st - 4th", the left side (1st) WON.',
+        'Report "players" as "Name:position" entries with the position as a number (e.g. "Name:1").'
+      ]
+    }[profile.scoring] || [];
+
+    const lines = [...rules];
+    if (profile.players > 2) lines.push(`Up to ${profile.players} ${side}s can appear on the results screen; list all of them.`);
+    else lines.push(`Expect two ${side}s.`);
+    if (profile.format === FORMATS.TEAM) lines.push('Name the winning team as it is shown on screen.');
+    if (profile.expectedFields?.length) {
+      lines.push(`Also read these fields and return them in "fields" as name -> value: ${profile.expectedFields.join(', ')}.`);
+    }
+    if (profile.exampleLayouts?.length) {
+      lines.push('Typical results screens for this game:');
+      profile.exampleLayouts.forEach(layout => lines.push(`- ${layout}`));
+    }
+    return lines.join('\n');
+  }
+}
+
+const gameProfileService = new GameProfileService();
+
+module.exports = {
+  GameProfileService,
+  gameProfileService,
+  DEFAULT_PROFILE,
+  SCORING,
+  FORMATS
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { firestore } = require('../config/firebase');
+
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+
+// Stored responses are replayed for 24 hours; Firestore's TTL policy on `expiresAt`
+// deletes them afterwards (purgeExpired() does the same for environments without one)
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A request that has held its key longer than this is assumed dead and may be retried
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// JSON.stringify with sorted keys so the same body always hashes the same way
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : new Date(value).getTime());
+
+class IdempotencyService {
+  constructor() {
+    this.collection = IDEMPOTENCY_COLLECTION;
+  }
+
+  // Keys are scoped to the caller and the route so the same key can't collide across endpoints
+  getRecordId(ownerId, scope, key) {
+    return sha256(`${ownerId}|${scope}|${key}`);
+  }
+
+  fingerprint({ method, path, body }) {
+    return sha256(stableStringify({ method, path, body: body || {} }));
+  }
+
+  // Claim a key. Returns { state: 'new' | 'replay' | 'in_progress' | 'mismatch', record }
+  async begin({ ownerId, scope, key, fingerprint }) {
+    const recordRef = firestore.collection(this.collection).doc(this.getRecordId(ownerId, scope, key));
+
+    return firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(recordRef);
+      const now = Date.now();
+
+      if (snap.exists) {
+        const record = snap.data();
+        const expired = toMillis(record.expiresAt) <= now;
+
+        if (!expired) {
+          if (record.fingerprint !== fingerprint) {
+            return { state: 'mismatch', record };
+          }
+          if (record.status === 'completed') {
+            return { state: 'replay', record };
+          }
+          if (now - toMillis(record.lockedAt) < LOCK_TIMEOUT_MS) {
+            return { state: 'in_progress', record };
+          }
+          console.log('⚠️ Taking over stale idempotency lock:', { scope, ownerId });
+        }
+      }
+
+      const record = {
+        ownerId,
+        scope,
+        key,
+        fingerprint,
+        status: 'in_progress',
+        lockedAt: new Date(now),
+        createdAt: new Date(now),
+        expiresAt: new Date(now + KEY_TTL_MS)
+      };
+      tx.set(recordRef, record);
+      return { state: 'new', record, ref: recordRef };
+    });
+  }
+
+  // Store the response so retries get exactly the same answer
+  async complete(recordRef, statusCode, body) {
+    await recordRef.update({
+      status: 'completed',
+      response: { statusCode, body: body === undefined ? null : JSON.parse(JSON.stringify(body)) },
+      completedAt: new Date()
+    });
+  }
+
+  // Give the key back when the request ended without a response we can replay
+  async release(recordRef) {
+    await recordRef.delete();
+  }
+
+  // Delete expired keys (backup for the Firestore TTL policy)
+  async purgeExpired(batchSize = 200) {
+    if (!firestore) return 0;
+
+    let purged = 0;
+    while (true) {
+      const snapshot = await firestore.collection(this.collection)
+        .where('expiresAt', '<=', new Date())
+        .limit(batchSize)
+        .get();
+
+      if (snapshot.empty) break;
+
+      const batch = firestore.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      purged += snapshot.size;
+
+      if (snapshot.size < batchSize) break;
+    }
+
+    if (purged > 0) {
+      console.log(`🧹 Purged ${purged} expired idempotency keys`);
+    }
+    return purged;
+  }
+}
+
+const idempotencyService = new IdempotencyService();
+
+module.exports = {
+  IdempotencyService,
+  idempotencyService,
+  KEY_TTL_MS
+};
@@ -0,0 +1,308 @@
+const { firestore } = require('../config/firebase');
+const { escrowService } = require('./escrowService');
+const { ratingService, DEFAULT_RATING, TOURNAMENT_GAME } = require('./ratingService');
+const { roundAmount } = require('./ledgerService');
+
+const ENTRIES_COLLECTION = 'leaderboard_entries';
+const RESULTS_COLLECTION = 'leaderboard_results';
+
+// Board for results across every game
+const OVERALL = 'all';
+
+const PERIODS = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  ALL_TIME: 'all-time'
+};
+
+const METRICS = ['rating', 'wins', 'earnings'];
+
+const RESULT_SOURCES = {
+  CHALLENGE: 'challenge',
+  TOURNAMENT_MATCH: 'tournament-match',
+  TOURNAMENT: 'tournament'
+};
+
+const MAX_LIMIT = 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class LeaderboardService {
+  // Bucket key for a period at a given time, e.g. 'week-2026-W42' or 'month-2026-10' (UTC)
+  periodKey(period, at = new Date()) {
+    const date = new Date(at);
+    if (period === PERIODS.MONTHLY) {
+      return `month-${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+    }
+    if (period === PERIODS.WEEKLY) {
+      // ISO week: the week belongs to the year of its Thursday
+      const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+      thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+      const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+      const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+      return `week-${thursday.getUTCFullYear()}-W${pad(week)}`;
+    }
+    return PERIODS.ALL_TIME;
+  }
+
+  periodKeys(at) {
+    return Object.values(PERIODS).map(period => this.periodKey(period, at));
+  }
+
+  entryRef(periodKey, game, uid) {
+    const id = [periodKey, game.toLowerCase(), uid].map(part => encodeURIComponent(part)).join('_');
+    return firestore.collection(ENTRIES_COLLECTION).doc(id);
+  }
+
+  resultRef(source, sourceId) {
+    return firestore.collection(RESULTS_COLLECTION).doc(`${source}_${sourceId}`);
+  }
+
+  // Rating shown on a board: the game's rating, or the player's best game on the overall board
+  boardRating(userData, game) {
+    const ratings = userData?.ratings || {};
+    if (game !== OVERALL) return ratings[game]?.rating ?? DEFAULT_RATING;
+    const values = Object.values(ratings).map(r => r.rating).filter(r => typeof r === 'number');
+    return values.length > 0 ? Math.max(...values) : DEFAULT_RATING;
+  }
+
+  /**
+   * Add a finished result to the weekly, monthly and all-time boards for its game and overall.
+   * Like ratings, each result is stored once per source: recording it again replaces the earlier
+   * numbers (an overturned winner), and reverseResult takes them back out.
+   * @param {Object} result
+   * @param {string} result.source - one of RESULT_SOURCES
+   * @param {string} result.sourceId
+   * @param {string} result.game
+   * @param {Array} result.players - [{ uid, username, won: true|false|null, earnings }]
+   * @param {Date} [result.at] - when the result happened (picks the weekly/monthly buckets)
+   * @param {Object} [result.details] - match details kept for match history (stake, platform, format, disputed)
+   */
+  async recordResult({ source, sourceId, game, players, at = new Date(), details = {} }) {
+    if (!game || players.length === 0) return null;
+    await this.apply(this.resultRef(source, sourceId), {
+      source,
+      sourceId,
+      game,
+      at,
+      // Stored results double as match history (see statsService); payouts without a winner aren't matches
+      participantUids: players.map(p => p.uid),
+      isMatch: players.some(p => p.won === true),
+      details,
+      players: players.map(p => ({
+        uid: p.uid,
+        username: p.username || null,
+        wins: p.won === true ? 1 : 0,
+        losses: p.won === false ? 1 : 0,
+        earnings: roundAmount(p.earnings || 0)
+      }))
+    });
+    console.log('🏅 Leaderboards updated:', { source, sourceId, game, players: players.length });
+    return true;
+  }
+
+  async reverseResult(source, sourceId) {
+    return this.apply(this.resultRef(source, sourceId), null);
+  }
+
+  // Swap a stored result for a new one (or none) in a single transaction
+  async apply(resultRef, next) {
+    return firestore.runTransaction(async (tx) => {
+      const resultDoc = await tx.get(resultRef);
+      const previous = resultDoc.exists && !resultDoc.data().reversed ? resultDoc.data() : null;
+      if (!previous && !next) return false;
+      // An overturned result still counts towards the week it was played in
+      if (previous && next) next.at = previous.at;
+
+      // Every board row the old and new result touch, with its delta
+      const deltas = new Map();
+      const addDeltas = (result, sign) => {
+        for (const periodKey of this.periodKeys(result.at?.toDate ? result.at.toDate() : result.at)) {
+          for (const game of [result.game, OVERALL]) {
+            for (const player of result.players) {
+              const ref = this.entryRef(periodKey, game, player.uid);
+              const delta = deltas.get(ref.path) || { ref, periodKey, game, uid: player.uid, username: player.username, wins: 0, losses: 0, earnings: 0 };
+              delta.wins += sign * player.wins;
+              delta.losses += sign * player.losses;
+              delta.earnings += sign * player.earnings;
+              if (sign > 0) delta.username = player.username;
+              deltas.set(ref.path, delta);
+            }
+          }
+        }
+      };
+      if (previous) addDeltas(previous, -1);
+      if (next) addDeltas(next, 1);
+
+      const rows = [...deltas.values()];
+      const uids = [...new Set(rows.map(row => row.uid))];
+      const docs = await tx.getAll(...rows.map(row => row.ref), ...uids.map(uid => firestore.collection('users').doc(uid)));
+      const entryDocs = docs.slice(0, rows.length);
+      const users = Object.fromEntries(uids.map((uid, i) => [uid, docs[rows.length + i].exists ? docs[rows.length + i].data() : {}]));
+
+      const now = new Date();
+      rows.forEach((row, i) => {
+        const current = entryDocs[i].exists ? entryDocs[i].data() : { wins: 0, losses: 0, earnings: 0 };
+        const user = users[row.uid];
+        const wins = Math.max(0, (current.wins || 0) + row.wins);
+        const losses = Math.max(0, (current.losses || 0) + row.losses);
+        tx.set(row.ref, {
+          uid: row.uid,
+          username: user.username || row.username || current.username || null,
+          country: user.country || null,
+          game: row.game,
+          period: row.periodKey,
+          wins,
+          losses,
+          games: wins + losses,
+          earnings: roundAmount((current.earnings || 0) + row.earnings),
+          rating: this.boardRating(user, row.game),
+          updatedAt: now
+        });
+      });
+
+      tx.set(resultRef, next
+        ? { ...next, reversed: false, createdAt: previous?.createdAt || now, updatedAt: now }
+        : { ...previous, reversed: true, updatedAt: now });
+      return true;
+    });
+  }
+
+  // Flag a recorded result as disputed (disputes are usually raised after the result is in)
+  async markDisputed(source, sourceId) {
+    const resultRef = this.resultRef(source, sourceId);
+    const resultDoc = await resultRef.get();
+    if (!resultDoc.exists) return false;
+    await resultRef.update({ 'details.disputed': true, updatedAt: new Date() });
+    return true;
+  }
+
+  // Net winnings per user from a challenge's escrow: rewards received minus stakes paid in
+  async challengeEarnings(challengeId) {
+    const escrow = await escrowService.getEscrow(challengeId);
+    const earnings = {};
+    for (const contribution of escrow?.contributions || []) {
+      if (contribution.transferredTo) continue;
+      earnings[contribution.uid] = (earnings[contribution.uid] || 0) - contribution.amount + (contribution.refundedAmount || 0);
+    }
+    for (const release of escrow?.releases || []) {
+      if (release.type !== 'reward' || release.reversed) continue;
+      earnings[release.uid] = (earnings[release.uid] || 0) + release.amount;
+    }
+    return earnings;
+  }
+
+  // Whether a challenge (or any game of its series) went to a dispute or AI conflict
+  wasDisputed(challenge) {
+    const games = [challenge, ...(challenge.series?.games || [])];
+    return games.some(game => game.verificationStatus === 'disputed' || Boolean(game.disputeStatus));
+  }
+
+  // Put a completed challenge on the boards; refunded or cancelled challenges come off them
+  async recordChallengeResult(challenge, outcome) {
+    if (outcome?.type !== 'winner' || !outcome.winnerUid) {
+      return this.reverseResult(RESULT_SOURCES.CHALLENGE, challenge.id);
+    }
+    const sides = ratingService.challengeSides(challenge);
+    const winners = sides.find(side => side.some(p => p.uid === outcome.winnerUid));
+    if (!winners) return null;
+
+    const earnings = await this.challengeEarnings(challenge.id);
+    const players = sides.flatMap(side => side
+      .filter(p => p.uid)
+      .map(p => ({ ...p, won: side === winners, earnings: earnings[p.uid] || 0 })));
+
+    return this.recordResult({
+      source: RESULT_SOURCES.CHALLENGE,
+      sourceId: challenge.id,
+      game: challenge.game,
+      players,
+      details: {
+        stake: Number(challenge.stake) || 0,
+        platform: challenge.platform || null,
+        format: challenge.format || 'single',
+        series: challenge.series ? { wins: challenge.series.wins, bestOf: challenge.series.bestOf } : null,
+        team: Boolean(challenge.teams?.challenger),
+        disputed: this.wasDisputed(challenge)
+      }
+    });
+  }
+
+  // Win/loss for a completed tournament bracket match (prize money is counted when the tournament ends)
+  async recordMatchResult(tournamentId, tournament, match) {
+    if (match?.status !== 'completed' || !match.winner) return null;
+    const players = [match.player1, match.player2].filter(p => p?.uid);
+    if (players.length !== 2 || !players.some(p => p.uid === match.winner)) return null;
+
+    return this.recordResult({
+      source: RESULT_SOURCES.TOURNAMENT_MATCH,
+      sourceId: `${tournamentId}_${match.id}`,
+      game: tournament.game || TOURNAMENT_GAME,
+      players: players.map(p => ({ uid: p.uid, username: p.username, won: p.uid === match.winner, earnings: 0 })),
+      details: {
+        tournamentId,
+        matchId: match.id,
+        round: match.round,
+        disputed: Boolean(match.disputeId)
+      }
+    });
+  }
+
+  // Entry fees and the winner's prize once a tournament has paid out
+  async recordTournamentResult(tournamentId, tournament, winnerUid, prize) {
+    return this.recordResult({
+      source: RESULT_SOURCES.TOURNAMENT,
+      sourceId: tournamentId,
+      game: tournament.game || TOURNAMENT_GAME,
+      players: (tournament.participants || []).map(p => ({
+        uid: p.uid,
+        username: p.username,
+        won: null,
+        earnings: (p.uid === winnerUid ? prize : 0) - (tournament.entryFee || 0)
+      }))
+    });
+  }
+
+  /**
+   * Ranked board rows.
+   * @param {Object} options
+   * @param {string} [options.game] - game name; omitted for the overall board
+   * @param {string} [options.country] - only players from this country
+   * @param {string} [options.period] - one of PERIODS
+   * @param {string} [options.metric] - one of METRICS
+   * @returns {Object} { game, country, period, periodKey, metric, entries: [{ rank, ... }] }
+   */
+  async getLeaderboard({ game = null, country = null, period = PERIODS.ALL_TIME, metric = 'rating', limit = 50 } = {}) {
+    const board = game || OVERALL;
+    const periodKey = this.periodKey(period);
+    const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LIMIT);
+
+    let query = firestore.collection(ENTRIES_COLLECTION)
+      .where('game', '==', board)
+      .where('period', '==', periodKey);
+    if (country) query = query.where('country', '==', country);
+
+    const snapshot = await query.orderBy(metric, 'desc').limit(size).get();
+    // Rows emptied by a reversed result stay behind with nothing on them
+    const entries = snapshot.docs
+      .map(doc => doc.data())
+      .filter(entry => entry.games > 0 || entry.earnings !== 0)
+      .map(({ uid, username, country: entryCountry, wins, losses, games, earnings, rating }, index) => (
+        { rank: index + 1, uid, username, country: entryCountry, wins, losses, games, earnings, rating }
+      ));
+
+    return { game: board, country, period, periodKey, metric, entries };
+  }
+}
+
+const leaderboardService = new LeaderboardService();
+
+module.exports = {
+  LeaderboardService,
+  leaderboardService,
+  PERIODS,
+  METRICS,
+  OVERALL,
+  RESULT_SOURCES,
+  RESULTS_COLLECTION
+};
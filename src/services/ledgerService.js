@@ -0,0 +1,426 @@
+const { firestore } = require('../config/firebase');
+
+// Well-known ledger accounts. User wallets are `user:<uid>`, escrows are
+// `escrow:challenge:<id>` / `escrow:tournament:<id>`.
+const ACCOUNTS = {
+  PLATFORM_FEES: 'platform:fees',
+  PAYOUT_CLEARING: 'payout:clearing',
+  EXTERNAL_DEPOSITS: 'external:deposits',
+  EXTERNAL_PAYOUTS: 'external:payouts',
+  EXTERNAL_OPENING: 'external:opening'
+};
+
+const ENTRIES_COLLECTION = 'ledger_entries';
+const ACCOUNTS_COLLECTION = 'ledger_accounts';
+const RECONCILIATIONS_COLLECTION = 'ledger_reconciliations';
+
+// Tolerance used when comparing float balances
+const EPSILON = 0.005;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const userAccount = (uid) => `user:${uid}`;
+const challengeEscrowAccount = (challengeId) => `escrow:challenge:${challengeId}`;
+const tournamentEscrowAccount = (tournamentId) => `escrow:tournament:${tournamentId}`;
+
+// Classify an account id and decide where its cached balance lives
+function describeAccount(accountId) {
+  if (typeof accountId !== 'string' || !accountId.includes(':')) {
+    throw new Error(`Invalid ledger account: ${accountId}`);
+  }
+
+  if (accountId.startsWith('user:')) {
+    return { kind: 'user', uid: accountId.slice(5), cached: true, allowNegative: false };
+  }
+  if (accountId === ACCOUNTS.PLATFORM_FEES) {
+    return { kind: 'platform', cached: true, allowNegative: false };
+  }
+  if (accountId === ACCOUNTS.PAYOUT_CLEARING) {
+    return { kind: 'clearing', cached: true, allowNegative: false };
+  }
+  if (accountId.startsWith('escrow:')) {
+    // An escrow can never pay out more than was put into it
+    return { kind: 'escrow', cached: true, allowNegative: false };
+  }
+  if (accountId.startsWith('external:')) {
+    // External accounts represent money entering/leaving the platform; their balance
+    // is derived from entries only so deposits don't contend on a single document.
+    return { kind: 'external', cached: false, allowNegative: true };
+  }
+
+  throw new Error(`Unknown ledger account: ${accountId}`);
+}
+
+class LedgerService {
+  constructor() {
+    this.entriesCollection = ENTRIES_COLLECTION;
+    this.accountsCollection = ACCOUNTS_COLLECTION;
+  }
+
+  // Document holding the cached balance of an account (null for derived accounts)
+  getAccountRef(accountId) {
+    const info = describeAccount(accountId);
+    if (info.kind === 'user') return firestore.collection('users').doc(info.uid);
+    if (info.kind === 'platform') return firestore.collection('admin_wallets').doc('main');
+    if (!info.cached) return null;
+    return firestore.collection(this.accountsCollection).doc(accountId);
+  }
+
+  // Read every account touched by the legs inside `tx`. Must run before any write in the transaction.
+  async loadAccounts(tx, legs) {
+    const accountIds = [...new Set(legs.flatMap(leg => [leg.from, leg.to]))];
+    const accounts = new Map();
+    const refs = [];
+
+    for (const accountId of accountIds) {
+      const info = describeAccount(accountId);
+      const ref = this.getAccountRef(accountId);
+      accounts.set(accountId, { id: accountId, ...info, ref, exists: false, data: {}, balance: 0, opened: true });
+      if (ref) refs.push({ accountId, ref });
+    }
+
+    if (refs.length > 0) {
+      const snapshots = await tx.getAll(...refs.map(r => r.ref));
+      snapshots.forEach((snap, index) => {
+        const account = accounts.get(refs[index].accountId);
+        account.exists = snap.exists;
+        account.data = snap.exists ? snap.data() : {};
+
+        if (account.kind === 'user') {
+          account.balance = roundAmount(account.data.wallet);
+          // Wallets that predate the ledger need an opening entry before they can be reconciled
+          account.opened = Boolean(account.data.ledgerOpenedAt);
+        } else if (account.kind === 'platform') {
+          account.balance = roundAmount(account.data.balance);
+          account.opened = !snap.exists || Boolean(account.data.ledgerOpenedAt);
+        } else {
+          account.balance = roundAmount(account.data.balance);
+        }
+      });
+    }
+
+    for (const account of accounts.values()) {
+      if (account.kind === 'user' && !account.exists) {
+        const error = new Error('User not found');
+        error.code = 'USER_NOT_FOUND';
+        throw error;
+      }
+    }
+
+    return accounts;
+  }
+
+  // Stage the writes for a set of legs against accounts loaded by loadAccounts()
+  stage(tx, accounts, legs, options = {}) {
+    const now = new Date();
+    const postingId = options.postingId || firestore.collection(this.entriesCollection).doc().id;
+    const entries = [];
+    const records = [];
+
+    // Open pre-ledger balances so that balance == sum(entries) holds from here on
+    for (const account of accounts.values()) {
+      if (account.opened) continue;
+      if (Math.abs(account.balance) > EPSILON) {
+        const entryRef = firestore.collection(this.entriesCollection).doc();
+        const entry = {
+          id: entryRef.id,
+          postingId,
+          debitAccount: ACCOUNTS.EXTERNAL_OPENING,
+          creditAccount: account.id,
+          amount: account.balance,
+          type: 'opening_balance',
+          description: 'Opening balance carried over from wallet',
+          reference: account.id,
+          metadata: {},
+          createdAt: now
+        };
+        tx.set(entryRef, entry);
+        entries.push(entry);
+      }
+      account.openedNow = true;
+    }
+
+    for (const leg of legs) {
+      const amount = roundAmount(leg.amount);
+      if (!(amount > 0)) {
+        throw new Error('Ledger amount must be positive');
+      }
+      if (leg.from === leg.to) {
+        throw new Error('Ledger legs must move funds between two different accounts');
+      }
+
+      const from = accounts.get(leg.from);
+      const to = accounts.get(leg.to);
+      const fromBalance = roundAmount(from.balance - amount);
+
+      if (!from.allowNegative && !leg.allowOverdraft && fromBalance < -EPSILON) {
+        const error = new Error(leg.insufficientFundsMessage || 'Insufficient funds');
+        error.code = 'INSUFFICIENT_FUNDS';
+        throw error;
+      }
+
+      from.balance = fromBalance;
+      to.balance = roundAmount(to.balance + amount);
+      from.touched = true;
+      to.touched = true;
+      if (to.kind === 'platform') to.feesCredited = roundAmount((to.feesCredited || 0) + amount);
+
+      const entryRef = firestore.collection(this.entriesCollection).doc();
+      const entry = {
+        id: entryRef.id,
+        postingId,
+        debitAccount: leg.from,
+        creditAccount: leg.to,
+        amount,
+        type: leg.type,
+        description: leg.description || '',
+        reference: leg.reference || null,
+        metadata: leg.metadata || {},
+        createdAt: now
+      };
+      tx.set(entryRef, entry);
+      entries.push(entry);
+
+      // Mirror user and platform movements into the transactions collection used by wallet history
+      for (const [account, signedAmount] of [[from, -amount], [to, amount]]) {
+        if (account.kind !== 'user' && account.kind !== 'platform') continue;
+
+        const recordRef = firestore.collection('transactions').doc();
+        const record = {
+          id: recordRef.id,
+          walletId: account.kind === 'user' ? account.uid : 'admin',
+          userId: account.kind === 'user' ? account.uid : 'admin',
+          username: account.kind === 'user' ? (account.data.username || null) : 'Admin',
+          type: account.kind === 'platform' && signedAmount > 0 ? 'admin_fee' : leg.type,
+          amount: signedAmount,
+          balance: account.balance,
+          description: leg.description || '',
+          status: leg.status || 'completed',
+          reference: leg.reference || null,
+          metadata: leg.metadata || {},
+          ledgerEntryId: entryRef.id,
+          ledgerPostingId: postingId,
+          createdAt: now,
+          updatedAt: now
+        };
+        if (leg.extraFields) Object.assign(record, leg.extraFields);
+        tx.set(recordRef, record);
+        records.push(record);
+      }
+    }
+
+    // Write the cached balances in the same atomic commit
+    for (const account of accounts.values()) {
+      if (!account.touched && !account.openedNow) continue;
+
+      if (account.kind === 'user') {
+        const update = { wallet: account.balance, updatedAt: now };
+        if (account.openedNow) update.ledgerOpenedAt = now;
+        tx.update(account.ref, update);
+      } else if (account.kind === 'platform') {
+        const totalFees = roundAmount((account.data.totalFees || 0) + (account.feesCredited || 0));
+        const update = {
+          id: 'main',
+          balance: account.balance,
+          currency: account.data.currency || 'USD',
+          totalFees,
+          updatedAt: now
+        };
+        if (!account.exists) update.createdAt = now;
+        if (account.openedNow || !account.exists) update.ledgerOpenedAt = now;
+        tx.set(account.ref, update, { merge: true });
+      } else if (account.ref) {
+        const update = { id: account.id, kind: account.kind, balance: account.balance, updatedAt: now };
+        if (!account.exists) update.createdAt = now;
+        tx.set(account.ref, update, { merge: true });
+      }
+    }
+
+    const balances = {};
+    for (const account of accounts.values()) balances[account.id] = account.balance;
+
+    return { postingId, entries, records, balances };
+  }
+
+  // Post one or more legs as a single atomic Firestore transaction
+  async post(legs, options = {}) {
+    if (!firestore) {
+      throw new Error('Firestore not available');
+    }
+    if (!Array.isArray(legs) || legs.length === 0) {
+      throw new Error('At least one ledger leg is required');
+    }
+
+    const result = await firestore.runTransaction(async (tx) => {
+      const accounts = await this.loadAccounts(tx, legs);
+      return this.stage(tx, accounts, legs, options);
+    });
+
+    console.log('📒 Ledger posting committed:', {
+      postingId: result.postingId,
+      legs: legs.map(l => `${l.from} -> ${l.to} ${roundAmount(l.amount)} (${l.type})`)
+    });
+
+    return result;
+  }
+
+  // Current balance of an account according to its cache (or entries for derived accounts)
+  async getAccountBalance(accountId) {
+    const info = describeAccount(accountId);
+    if (!info.cached) {
+      return (await this.computeLedgerBalance(accountId)).balance;
+    }
+    const doc = await this.getAccountRef(accountId).get();
+    if (!doc.exists) return 0;
+    const data = doc.data();
+    return roundAmount(info.kind === 'user' ? data.wallet : data.balance);
+  }
+
+  // Sum of entries for a single account (credits - debits)
+  async computeLedgerBalance(accountId) {
+    const [debits, credits] = await Promise.all([
+      firestore.collection(this.entriesCollection).where('debitAccount', '==', accountId).get(),
+      firestore.collection(this.entriesCollection).where('creditAccount', '==', accountId).get()
+    ]);
+
+    const debitTotal = debits.docs.reduce((sum, doc) => sum + (doc.data().amount || 0), 0);
+    const creditTotal = credits.docs.reduce((sum, doc) => sum + (doc.data().amount || 0), 0);
+
+    return {
+      accountId,
+      balance: roundAmount(creditTotal - debitTotal),
+      entryCount: debits.size + credits.size
+    };
+  }
+
+  // Entries touching an account, newest first
+  async getAccountEntries(accountId, limit = 50) {
+    const [debits, credits] = await Promise.all([
+      firestore.collection(this.entriesCollection).where('debitAccount', '==', accountId).get(),
+      firestore.collection(this.entriesCollection).where('creditAccount', '==', accountId).get()
+    ]);
+
+    const toMillis = (value) => value?.toMillis ? value.toMillis() : new Date(value).getTime();
+    return [...debits.docs, ...credits.docs]
+      .map(doc => doc.data())
+      .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Prove every cached balance equals the sum of its ledger entries
+  async reconcile(options = {}) {
+    if (!firestore) {
+      throw new Error('Firestore not available');
+    }
+
+    console.log('🔍 Starting ledger reconciliation...');
+    const ledgerBalances = new Map();
+    let entryCount = 0;
+    let totalDebits = 0;
+    let totalCredits = 0;
+
+    const entriesSnapshot = await firestore.collection(this.entriesCollection).get();
+    entriesSnapshot.forEach(doc => {
+      const entry = doc.data();
+      const amount = Number(entry.amount) || 0;
+      ledgerBalances.set(entry.debitAccount, (ledgerBalances.get(entry.debitAccount) || 0) - amount);
+      ledgerBalances.set(entry.creditAccount, (ledgerBalances.get(entry.creditAccount) || 0) + amount);
+      totalDebits += amount;
+      totalCredits += amount;
+      entryCount++;
+    });
+
+    const mismatches = [];
+    const unopenedAccounts = [];
+    let accountsChecked = 0;
+
+    const compare = (accountId, cachedBalance) => {
+      accountsChecked++;
+      const ledgerBalance = roundAmount(ledgerBalances.get(accountId) || 0);
+      const difference = roundAmount(cachedBalance - ledgerBalance);
+      if (Math.abs(difference) > EPSILON) {
+        mismatches.push({ accountId, cachedBalance, ledgerBalance, difference });
+      }
+    };
+
+    // User wallets
+    const usersSnapshot = await firestore.collection('users').get();
+    usersSnapshot.forEach(doc => {
+      const data = doc.data();
+      const accountId = userAccount(doc.id);
+      const cachedBalance = roundAmount(data.wallet);
+      if (!data.ledgerOpenedAt) {
+        // Never touched by the ledger; nothing to prove until its first movement
+        if (!ledgerBalances.has(accountId)) {
+          if (Math.abs(cachedBalance) > EPSILON) unopenedAccounts.push({ accountId, cachedBalance });
+          return;
+        }
+      }
+      compare(accountId, cachedBalance);
+    });
+
+    // Platform fee wallet
+    const platformDoc = await firestore.collection('admin_wallets').doc('main').get();
+    if (platformDoc.exists && (platformDoc.data().ledgerOpenedAt || ledgerBalances.has(ACCOUNTS.PLATFORM_FEES))) {
+      compare(ACCOUNTS.PLATFORM_FEES, roundAmount(platformDoc.data().balance));
+    }
+
+    // Escrow and clearing accounts
+    const accountsSnapshot = await firestore.collection(this.accountsCollection).get();
+    const cachedAccountIds = new Set();
+    accountsSnapshot.forEach(doc => {
+      cachedAccountIds.add(doc.id);
+      compare(doc.id, roundAmount(doc.data().balance));
+    });
+
+    // Entries pointing at a cached account with no cache document are mismatches too
+    for (const [accountId, balance] of ledgerBalances.entries()) {
+      const info = describeAccount(accountId);
+      if (info.kind === 'escrow' || info.kind === 'clearing') {
+        if (!cachedAccountIds.has(accountId) && Math.abs(balance) > EPSILON) {
+          mismatches.push({ accountId, cachedBalance: 0, ledgerBalance: roundAmount(balance), difference: roundAmount(-balance) });
+        }
+      }
+    }
+
+    // Double-entry invariant: all ledger balances net to zero
+    const netBalance = roundAmount([...ledgerBalances.values()].reduce((sum, b) => sum + b, 0));
+
+    const report = {
+      checkedAt: new Date(),
+      balanced: mismatches.length === 0 && Math.abs(netBalance) <= EPSILON,
+      entryCount,
+      accountsChecked,
+      totalDebits: roundAmount(totalDebits),
+      totalCredits: roundAmount(totalCredits),
+      netBalance,
+      mismatches,
+      unopenedAccounts: unopenedAccounts.length
+    };
+
+    if (options.persist !== false) {
+      const reportRef = await firestore.collection(RECONCILIATIONS_COLLECTION).add(report);
+      report.id = reportRef.id;
+    }
+
+    if (report.balanced) {
+      console.log('✅ Ledger reconciled:', { entryCount, accountsChecked });
+    } else {
+      console.warn('⚠️ Ledger reconciliation found mismatches:', { mismatches: mismatches.length, netBalance });
+    }
+
+    return report;
+  }
+}
+
+const ledgerService = new LedgerService();
+
+module.exports = {
+  LedgerService,
+  ledgerService,
+  ACCOUNTS,
+  roundAmount,
+  userAccount,
+  challengeEscrowAccount,
+  tournamentEscrowAccount
+};
@@ -0,0 +1,341 @@
+const { firestore } = require('../config/firebase');
+const { escrowService } = require('./escrowService');
+const { feePolicyService } = require('./feePolicyService');
+const { challengeStateMachine, CHALLENGE_STATUS, ACTORS } = require('./challengeStateMachine');
+const { WalletService } = require('./walletService');
+const { ratingService } = require('./ratingService');
+const { friendService } = require('./friendService');
+const notificationService = require('./notificationService');
+
+const walletService = new WalletService();
+
+const QUEUE_COLLECTION = 'matchmaking_queue';
+
+// waiting -> matched | cancelled | expired
+const TICKET_STATUS = {
+  WAITING: 'waiting',
+  MATCHED: 'matched',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+// Tickets that haven't been matched in this time are dropped from the queue
+const TICKET_TTL_MS = 15 * 60 * 1000;
+// A matched ticket is locked while its stakes go into escrow; a pairing that crashed mid-way frees it after this
+const PAIRING_LOCK_MS = 2 * 60 * 1000;
+const CANDIDATE_LIMIT = 50;
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : new Date(value).getTime());
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class MatchmakingService {
+  constructor() {
+    this.collection = QUEUE_COLLECTION;
+  }
+
+  getTicketRef(uid) {
+    return firestore.collection(this.collection).doc(uid);
+  }
+
+  // Validate a queue request; returns { request, errors }
+  validateRequest(input) {
+    const errors = [];
+    const { game, platform, minStake, maxStake, maxRatingGap = null, platformUsernames = {} } = input || {};
+
+    if (!game || !platform) {
+      errors.push('game and platform are required');
+    }
+    const min = Number(minStake);
+    const max = Number(maxStake === undefined ? minStake : maxStake);
+    if (!(min > 0) || !(max > 0)) {
+      errors.push('minStake and maxStake must be greater than 0');
+    } else if (max < min) {
+      errors.push('maxStake must be greater than or equal to minStake');
+    }
+    if (maxRatingGap !== null && !(Number(maxRatingGap) > 0)) {
+      errors.push('maxRatingGap must be a positive number');
+    }
+
+    return {
+      request: {
+        game,
+        platform,
+        minStake: min,
+        maxStake: max,
+        maxRatingGap: maxRatingGap === null ? null : Number(maxRatingGap),
+        platformUsernames: platformUsernames || {}
+      },
+      errors
+    };
+  }
+
+  // Stake two tickets agree on (the highest both accept), or null
+  agreedStake(a, b) {
+    const stake = Math.min(a.maxStake, b.maxStake);
+    return stake >= Math.max(a.minStake, b.minStake) ? stake : null;
+  }
+
+  // Can these two tickets be paired? Rating gaps are only enforced when a player asked for one.
+  isCompatible(a, b, now = Date.now()) {
+    if (a.uid === b.uid || b.status !== TICKET_STATUS.WAITING) return false;
+    if (toMillis(b.expiresAt) <= now) return false;
+    if (a.game !== b.game || a.platform !== b.platform) return false;
+    if (this.agreedStake(a, b) === null) return false;
+
+    const gaps = [a.maxRatingGap, b.maxRatingGap].filter(gap => typeof gap === 'number');
+    return gaps.length === 0 || Math.abs(a.rating - b.rating) <= Math.min(...gaps);
+  }
+
+  /**
+   * Join the queue (replacing any earlier ticket) and try to pair straight away.
+   * A ticket that was just matched can't be replaced until its stakes are in escrow.
+   * @returns {Object} { ticket, challenge } - challenge is set when a match was made
+   */
+  async enqueue(user, input) {
+    const { request, errors } = this.validateRequest(input);
+    if (errors.length > 0) {
+      const error = createError(errors.join('; '), 'INVALID_QUEUE_REQUEST');
+      error.errors = errors;
+      throw error;
+    }
+
+    // Players must be able to cover at least the smallest stake they asked for
+    const policy = await feePolicyService.resolvePolicy(request.game);
+    const minimumContribution = feePolicyService.computeStakeContribution(request.minStake, policy);
+    const balance = await walletService.getWalletBalance(user.uid);
+    if (balance < minimumContribution) {
+      throw createError(`Insufficient funds. Required: $${minimumContribution.toFixed(2)}, Available: $${balance.toFixed(2)}`, 'INSUFFICIENT_FUNDS');
+    }
+
+    const now = new Date();
+    const ticket = {
+      uid: user.uid,
+      username: user.username,
+      ...request,
+      rating: await ratingService.getRating(user.uid, request.game),
+      status: TICKET_STATUS.WAITING,
+      challengeId: null,
+      matchedWith: null,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + TICKET_TTL_MS),
+      updatedAt: now
+    };
+    const ticketRef = this.getTicketRef(user.uid);
+    await firestore.runTransaction(async (tx) => {
+      const currentDoc = await tx.get(ticketRef);
+      if (currentDoc.exists && this.isPairing(currentDoc.data(), now.getTime())) {
+        throw createError('You were just matched; wait for that match to be set up', 'MATCH_IN_PROGRESS');
+      }
+      tx.set(ticketRef, ticket);
+    });
+    console.log('🎲 Joined matchmaking queue:', { username: user.username, game: ticket.game, platform: ticket.platform, stakes: [ticket.minStake, ticket.maxStake], rating: ticket.rating });
+
+    const challenge = await this.findMatch(ticket);
+    const current = await this.getTicket(user.uid);
+    return { ticket: current, challenge };
+  }
+
+  // Matched, with the stakes still going into escrow
+  isPairing(ticket, now = Date.now()) {
+    return ticket.status === TICKET_STATUS.MATCHED && Boolean(ticket.pairingStartedAt) &&
+      now - toMillis(ticket.pairingStartedAt) < PAIRING_LOCK_MS;
+  }
+
+  // Pair a waiting ticket with the closest-rated compatible player, oldest first on ties
+  async findMatch(ticket) {
+    const snapshot = await firestore.collection(this.collection)
+      .where('status', '==', TICKET_STATUS.WAITING)
+      .where('game', '==', ticket.game)
+      .where('platform', '==', ticket.platform)
+      .limit(CANDIDATE_LIMIT)
+      .get();
+
+    const now = Date.now();
+    const candidates = snapshot.docs
+      .map(doc => doc.data())
+      .filter(candidate => this.isCompatible(ticket, candidate, now))
+      .sort((x, y) => (Math.abs(x.rating - ticket.rating) - Math.abs(y.rating - ticket.rating)) ||
+        (toMillis(x.createdAt) - toMillis(y.createdAt)));
+
+    // Never pair players where either has blocked the other
+    const blocked = new Set(await friendService.findBlocked(ticket.uid, candidates.map(c => c.uid)));
+
+    for (const candidate of candidates.filter(c => !blocked.has(c.uid))) {
+      const challenge = await this.pair(candidate, ticket);
+      if (challenge) return challenge;
+      // Our own ticket may have been taken by another request while we were pairing
+      const latest = await this.getTicket(ticket.uid);
+      if (latest?.status !== TICKET_STATUS.WAITING) return null;
+    }
+    return null;
+  }
+
+  // Claim both tickets, create the challenge and escrow both stakes. Returns the challenge or null.
+  async pair(waiting, joining) {
+    const challengeRef = firestore.collection('challenges').doc();
+    const waitingRef = this.getTicketRef(waiting.uid);
+    const joiningRef = this.getTicketRef(joining.uid);
+
+    // Both tickets flip to matched together, so neither player can be paired twice
+    const claimed = await firestore.runTransaction(async (tx) => {
+      const [waitingDoc, joiningDoc] = await tx.getAll(waitingRef, joiningRef);
+      if (!waitingDoc.exists || !joiningDoc.exists) return null;
+      const a = waitingDoc.data();
+      const b = joiningDoc.data();
+      if (b.status !== TICKET_STATUS.WAITING || !this.isCompatible(b, a)) return null;
+
+      const now = new Date();
+      const match = { status: TICKET_STATUS.MATCHED, challengeId: challengeRef.id, matchedAt: now, pairingStartedAt: now, updatedAt: now };
+      tx.update(waitingRef, { ...match, matchedWith: b.username });
+      tx.update(joiningRef, { ...match, matchedWith: a.username });
+      return { a, b };
+    });
+    if (!claimed) return null;
+
+    const { a, b } = claimed;
+    const stake = this.agreedStake(a, b);
+    const policy = await feePolicyService.resolvePolicy(a.game);
+    const requiredAmount = feePolicyService.computeStakeContribution(stake, policy);
+    const now = new Date();
+
+    const challengeData = {
+      challenger: { uid: a.uid, username: a.username },
+      opponents: [{
+        uid: b.uid,
+        username: b.username,
+        status: 'accepted',
+        responseAt: now,
+        fundsDeducted: true,
+        opponentDeduction: requiredAmount,
+        accepterPlatformUsernames: b.platformUsernames || {}
+      }],
+      game: a.game,
+      stake,
+      platform: a.platform,
+      label: 'Matchmaking',
+      isPublic: false,
+      challengerPlatformUsernames: a.platformUsernames || {},
+      format: 'single',
+      series: null,
+      teams: null,
+      // Both players asked to play, so the match starts straight away (same as joining a public challenge)
+      ...challengeStateMachine.initialState(CHALLENGE_STATUS.ACTIVE, { actor: ACTORS.SYSTEM, reason: 'matched from queue' }),
+      createdAt: now,
+      updatedAt: now,
+      startedAt: now,
+      completedAt: null,
+      winner: null,
+      loser: null,
+      proofRequired: true,
+      proofSubmitted: false,
+      proofImages: [],
+      proofDescription: '',
+      proofSubmittedAt: null,
+      verificationStatus: 'pending',
+      verificationNotes: '',
+      type: 'matchmaking',
+      fundsDeducted: true,
+      challengerDeduction: requiredAmount,
+      opponentDeduction: requiredAmount,
+      feePolicy: policy,
+      matchmaking: {
+        ratings: { [a.username]: a.rating, [b.username]: b.rating },
+        queuedAt: { [a.username]: a.createdAt, [b.username]: b.createdAt }
+      }
+    };
+
+    await challengeRef.set(challengeData);
+
+    // Escrow both stakes; if either player can't pay, undo the match and requeue the other one
+    for (const player of [a, b]) {
+      try {
+        await escrowService.contribute(challengeRef.id, {
+          uid: player.uid,
+          username: player.username,
+          amount: requiredAmount,
+          role: player === a ? 'challenger' : 'opponent',
+          description: 'Matchmaking challenge stake'
+        });
+      } catch (escrowError) {
+        console.error('❌ Matchmaking stake failed, undoing match:', { challengeId: challengeRef.id, username: player.username, error: escrowError.message });
+        await escrowService.refundAll(challengeRef.id, { description: 'Matchmaking refund', reason: 'match-unfunded' });
+        await challengeRef.delete();
+        await this.releaseTickets(challengeRef.id, player, player === a ? b : a, escrowError);
+        return null;
+      }
+    }
+
+    // Both stakes are in; the players may queue again
+    const funded = { pairingStartedAt: null, updatedAt: new Date() };
+    await Promise.all([waitingRef.update(funded), joiningRef.update(funded)]);
+
+    console.log('🤝 Matchmaking paired players:', { challengeId: challengeRef.id, players: [a.username, b.username], stake, game: a.game });
+
+    // Best-effort heads-up for the player who was waiting in the queue
+    try {
+      await notificationService.sendChallengeStatusNotification({ id: challengeRef.id, ...challengeData }, [a.uid], null, CHALLENGE_STATUS.ACTIVE);
+    } catch (error) {
+      console.error('⚠️ Failed to send matchmaking notification:', error.message);
+    }
+
+    return { id: challengeRef.id, ...challengeData };
+  }
+
+  // After a failed match: the player who couldn't pay leaves the queue, the other goes back to waiting.
+  // Only tickets still claimed by this match are touched.
+  async releaseTickets(challengeId, unfunded, other, error) {
+    const unfundedRef = this.getTicketRef(unfunded.uid);
+    const otherRef = this.getTicketRef(other.uid);
+    await firestore.runTransaction(async (tx) => {
+      const [unfundedDoc, otherDoc] = await tx.getAll(unfundedRef, otherRef);
+      const now = new Date();
+      const released = { challengeId: null, matchedWith: null, pairingStartedAt: null, updatedAt: now };
+      if (unfundedDoc.exists && unfundedDoc.data().challengeId === challengeId) {
+        tx.update(unfundedRef, {
+          ...released,
+          status: TICKET_STATUS.CANCELLED,
+          cancelReason: error.code === 'INSUFFICIENT_FUNDS' ? 'insufficient-funds' : 'stake-failed'
+        });
+      }
+      if (otherDoc.exists && otherDoc.data().challengeId === challengeId) {
+        tx.update(otherRef, { ...released, status: TICKET_STATUS.WAITING });
+      }
+    });
+  }
+
+  // The player's ticket; waiting tickets past their time are reported as expired
+  async getTicket(uid) {
+    const ticketDoc = await this.getTicketRef(uid).get();
+    if (!ticketDoc.exists) return null;
+    const ticket = ticketDoc.data();
+    if (ticket.status === TICKET_STATUS.WAITING && toMillis(ticket.expiresAt) <= Date.now()) {
+      return { ...ticket, status: TICKET_STATUS.EXPIRED };
+    }
+    return ticket;
+  }
+
+  async leave(uid) {
+    const ticketRef = this.getTicketRef(uid);
+    return firestore.runTransaction(async (tx) => {
+      const ticketDoc = await tx.get(ticketRef);
+      if (!ticketDoc.exists || ticketDoc.data().status !== TICKET_STATUS.WAITING) {
+        return false;
+      }
+      tx.update(ticketRef, { status: TICKET_STATUS.CANCELLED, cancelReason: 'left-queue', updatedAt: new Date() });
+      return true;
+    });
+  }
+}
+
+const matchmakingService = new MatchmakingService();
+
+module.exports = {
+  MatchmakingService,
+  matchmakingService,
+  TICKET_STATUS
+};
@@ -171,6 +171,171 @@ class NotificationService {
 
     return await this.sendToUsers(userIds, notification, data);
   }
+
+  /**
+   * Send challenge status change notification
+   * @param {Object} challenge - Challenge data (including id)
+   * @param {Array} userIds - Array of participant user IDs
+   * @param {string} from - Previous status
+   * @param {string} to - New status
+   */
+  async sendChallengeStatusNotification(challenge, userIds, from, to) {
+    const messages = {
+      'ready-pending': 'All opponents accepted. Mark yourself ready to start!',
+      active: 'Everyone is ready. The challenge has started!',
+      'scorecard-pending': 'A scorecard was submitted. Submit yours before the timer runs out.',
+      'scorecard-conflict': 'Scorecards don\'t match. Upload proof to settle the result.',
+      'ai-verification-pending': 'Proof was submitted for verification. Submit yours before the timer runs out.',
+      'ai-conflict': 'Verification results conflict. An admin will review the challenge.',
+      completed: 'The challenge is complete. Check the result!',
+      cancelled: 'The challenge was cancelled and stakes were refunded.'
+    };
+
+    // Expired invites and ready checks are cancelled by the scheduler
+    const expired = {
+      pending: 'The challenge invite expired without an answer. Stakes were refunded.',
+      'ready-pending': 'Not everyone marked ready in time, so the challenge expired. Stakes were refunded.'
+    };
+
+    // Back to active mid-series means the next game is up
+    const nextGame = to === 'active' && from !== 'ready-pending' && challenge.series;
+
+    let body = messages[to] || `Challenge status changed to ${to}`;
+    if (nextGame) {
+      body = `Game ${challenge.series.currentGame - 1} went to ${challenge.series.games?.slice(-1)[0]?.winner}. Game ${challenge.series.currentGame} is up next!`;
+    } else if (to === 'cancelled' && challenge.expiredAt && expired[from]) {
+      body = expired[from];
+    }
+
+    const notification = {
+      title: `🎮 ${challenge.game || 'Challenge'} update`,
+      body,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      click_action: 'CHALLENGE_STATUS'
+    };
+
+    const data = {
+      type: 'challenge_status',
+      challengeId: challenge.id,
+      fromStatus: from || '',
+      status: to
+    };
+
+    return await this.sendToUsers(userIds, notification, data);
+  }
+
+  /**
+   * Send team invite notification (rostered members confirm and pay their share)
+   * @param {Object} challenge - Challenge data (including id)
+   * @param {Array} userIds - Array of member user IDs still to confirm
+   * @param {Object} team - Team roster
+   */
+  async sendTeamInviteNotification(challenge, userIds, team) {
+    const notification = {
+      title: `👥 Team challenge invite`,
+      body: `${team.captainUsername} added you to ${team.name} for a ${challenge.game || 'challenge'} match. Confirm to pay your share of the stake.`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      click_action: 'TEAM_INVITE'
+    };
+
+    const data = {
+      type: 'team_invite',
+      challengeId: challenge.id,
+      teamName: team.name,
+      captain: team.captainUsername
+    };
+
+    return await this.sendToUsers(userIds, notification, data);
+  }
+
+  /**
+   * Send scheduled challenge notification (start time proposals and reminders)
+   * @param {Object} challenge - Challenge data (including id and schedule)
+   * @param {Array} userIds - Array of user IDs
+   * @param {string} kind - 'proposed' | 'agreed' | 'upcoming' | 'check-in'
+   */
+  async sendScheduleNotification(challenge, userIds, kind) {
+    const startsAt = challenge.schedule?.startsAt?.toDate ? challenge.schedule.startsAt.toDate() : new Date(challenge.schedule?.startsAt);
+    const when = startsAt.toISOString();
+    const messages = {
+      proposed: `${challenge.schedule?.proposedBy} proposed a start time of ${when}. Accept it or suggest another.`,
+      agreed: `Everyone agreed to start at ${when}.`,
+      upcoming: `Your ${challenge.game || 'challenge'} match starts in an hour (${when}).`,
+      'check-in': `Check-in is open. Check in before ${when} or you forfeit the match.`
+    };
+
+    const notification = {
+      title: `⏰ ${challenge.game || 'Challenge'} schedule`,
+      body: messages[kind] || `Scheduled start: ${when}`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      click_action: 'CHALLENGE_SCHEDULE'
+    };
+
+    const data = {
+      type: 'challenge_schedule',
+      challengeId: challenge.id,
+      kind,
+      startsAt: when
+    };
+
+    return await this.sendToUsers(userIds, notification, data);
+  }
+
+  /**
+   * Send rematch notification (a new challenge from a player you just played)
+   * @param {Object} challenge - The rematch challenge (including id and rematch link)
+   * @param {Array} userIds - Array of opponent user IDs
+   * @param {string} fromUsername - Who asked for the rematch
+   */
+  async sendRematchNotification(challenge, userIds, fromUsername) {
+    const notification = {
+      title: `🔁 Rematch request`,
+      body: `${fromUsername} wants a rematch at ${challenge.game || 'your last game'} for $${challenge.stake}${challenge.rematch?.stakeDoubled ? ' (double the stake)' : ''}.`,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      click_action: 'REMATCH'
+    };
+
+    const data = {
+      type: 'rematch',
+      challengeId: challenge.id,
+      previousChallengeId: challenge.rematch?.previousId || '',
+      from: fromUsername
+    };
+
+    return await this.sendToUsers(userIds, notification, data);
+  }
+
+  /**
+   * Send chat message notification to the other players in a thread
+   * @param {Object} thread - { threadId, type, challengeId | tournamentId + matchId, title }
+   * @param {Array} userIds - Array of user IDs
+   * @param {string} fromUsername - Who wrote the message
+   * @param {string} text - Message text (shortened for the notification)
+   */
+  async sendChatNotification(thread, userIds, fromUsername, text) {
+    const notification = {
+      title: `💬 ${fromUsername} (${thread.title})`,
+      body: text.length > 120 ? `${text.slice(0, 117)}...` : text,
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      click_action: 'CHAT'
+    };
+
+    const data = {
+      type: 'chat_message',
+      threadId: thread.threadId,
+      challengeId: thread.challengeId || '',
+      tournamentId: thread.tournamentId || '',
+      matchId: thread.matchId || '',
+      from: fromUsername
+    };
+
+    return await this.sendToUsers(userIds, notification, data);
+  }
 }
 
 module.exports = new NotificationService();
@@ -0,0 +1,97 @@
+const { firestore } = require('../config/firebase');
+const { statsService } = require('./statsService');
+const UserService = require('./userService');
+
+const userService = new UserService();
+
+const SEARCH_PREFIX_LENGTH = 20;
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 25;
+
+class ProfileService {
+  // Per-game ratings without bookkeeping fields
+  publicRatings(ratings = {}) {
+    return Object.fromEntries(Object.entries(ratings).map(([game, r]) => [
+      game,
+      { rating: r.rating, games: r.games || 0, wins: r.wins || 0, losses: r.losses || 0, peak: r.peak ?? r.rating }
+    ]));
+  }
+
+  // What anyone may see about a player; email, real name, wallet, tokens and the like stay private
+  toPublicProfile(user) {
+    return {
+      uid: user.uid,
+      username: user.username,
+      profilePicture: user.profilePicture || '',
+      country: user.country || '',
+      bio: user.bio || '',
+      platforms: (user.platforms || []).map(p => ({ platform: p.platform, onlineUserId: p.onlineUserId })),
+      ratings: this.publicRatings(user.ratings),
+      memberSince: user.createdAt || null
+    };
+  }
+
+  // Short card used in search results
+  toSearchResult(user) {
+    const ratings = Object.values(user.ratings || {}).map(r => r.rating).filter(r => typeof r === 'number');
+    return {
+      uid: user.uid,
+      username: user.username,
+      profilePicture: user.profilePicture || '',
+      country: user.country || '',
+      platforms: (user.platforms || []).map(p => ({ platform: p.platform, onlineUserId: p.onlineUserId })),
+      bestRating: ratings.length > 0 ? Math.max(...ratings) : null
+    };
+  }
+
+  // Public profile with the player's record, or null if there's no such player
+  async getPublicProfile(username) {
+    const user = await userService.getUserByUsername(username);
+    if (!user || user.isActive === false) return null;
+
+    const stats = await statsService.getStats(user.uid);
+    return {
+      ...this.toPublicProfile(user),
+      stats: {
+        played: stats.played,
+        wins: stats.wins,
+        losses: stats.losses,
+        winRate: stats.winRate,
+        currentStreak: stats.currentStreak,
+        longestWinStreak: stats.longestWinStreak,
+        lastPlayedAt: stats.lastPlayedAt
+      }
+    };
+  }
+
+  /**
+   * Find players whose username or a platform ID starts with the query (case-insensitive).
+   * Relies on users.searchKeys, which userService keeps up to date.
+   */
+  async search(query, { limit = DEFAULT_SEARCH_LIMIT, excludeUid = null } = {}) {
+    const prefix = String(query || '').trim().toLowerCase().slice(0, SEARCH_PREFIX_LENGTH);
+    if (!prefix) return [];
+    const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+    const snapshot = await firestore.collection('users')
+      .where('searchKeys', 'array-contains', prefix)
+      .limit(size + 1)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ uid: doc.id, ...doc.data() }))
+      .filter(user => user.uid !== excludeUid && user.isActive !== false)
+      // Username matches before platform ID matches, then alphabetical
+      .sort((a, b) => (Number(!String(a.username).toLowerCase().startsWith(prefix)) - Number(!String(b.username).toLowerCase().startsWith(prefix))) ||
+        String(a.username).localeCompare(String(b.username)))
+      .slice(0, size)
+      .map(user => this.toSearchResult(user));
+  }
+}
+
+const profileService = new ProfileService();
+
+module.exports = {
+  ProfileService,
+  profileService
+};
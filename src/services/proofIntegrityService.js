@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { firestore } = require('../config/firebase');
+
+// Every proof image gets a fingerprint in proof_fingerprints: an exact hash (SHA-256 of the bytes)
+// and a perceptual hash (dHash) that survives re-encoding, resizing and small edits. New proofs are
+// checked against earlier ones and their metadata, and anything suspicious is flagged for admins.
+// Fingerprints are only recorded (save/saveAll) once the proof they belong to has been accepted.
+
+const FINGERPRINTS_COLLECTION = 'proof_fingerprints';
+
+const FLAGS = {
+  REUSED: 'reused', // the exact file was submitted for another challenge
+  SIMILAR: 'similar', // a near-identical image was submitted for another challenge
+  SHARED: 'shared', // the other player submitted the same file for this challenge
+  EDITING_SOFTWARE: 'editing-software',
+  TAKEN_BEFORE_MATCH: 'taken-before-match',
+  FUTURE_TIMESTAMP: 'future-timestamp',
+  UNREADABLE: 'unreadable',
+  LOW_DETAIL: 'low-detail'
+};
+
+// High-severity flags hold the proof for admin review; the others are only recorded
+const SEVERITY = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+const REVIEW_STATUS = {
+  PENDING: 'pending',
+  CLEARED: 'cleared',
+  CONFIRMED: 'confirmed'
+};
+
+// dHash of a 9x8 greyscale thumbnail: 64 bits, compared by Hamming distance
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+// Split into 8 bands of 8 bits; hashes within SIMILAR_DISTANCE always share a band,
+// so Firestore can find candidates with array-contains-any
+const HASH_BANDS = 8;
+const SIMILAR_DISTANCE = 6;
+// A thumbnail flatter than this (standard deviation of its grey levels) hashes to noise or all zeros,
+// and unrelated near-blank screens would match each other
+const MIN_DETAIL_STDEV = 4;
+// Near-identical candidates are looked for among the most recent proofs sharing a band
+const SIMILAR_CANDIDATES = 200;
+
+// Screenshots carry no timezone unless the device wrote one, so allow a day's worth of offsets then
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const UNKNOWN_TIMEZONE_SKEW_MS = 14 * 60 * 60 * 1000;
+
+const EDITING_SOFTWARE = /photoshop|gimp|snapseed|picsart|lightroom|pixelmator|canva|affinity|paint\.net|facetune|fotor|befunky|photopea|krita/i;
+
+const toMillis = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  if (value.toMillis) return value.toMillis();
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+};
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+const hashBands = (hash) => {
+  const size = hash.length / HASH_BANDS;
+  return Array.from({ length: HASH_BANDS }, (_, index) => `${index}:${hash.slice(index * size, (index + 1) * size)}`);
+};
+
+// "+02:00" -> minutes east of UTC
+const parseOffset = (offset) => {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(String(offset || '').trim());
+  if (!match) return null;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+};
+
+class ProofIntegrityService {
+  constructor() {
+    this.collection = FINGERPRINTS_COLLECTION;
+  }
+
+  // dHash as 16 hex digits, or null when the image has too little detail to compare
+  async perceptualHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .removeAlpha()
+      .greyscale()
+      .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+    const variance = pixels.reduce((sum, value) => sum + (value - mean) ** 2, 0) / pixels.length;
+    if (Math.sqrt(variance) < MIN_DETAIL_STDEV) return null;
+
+    let bits = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+      for (let x = 0; x < HASH_WIDTH; x++) {
+        const offset = y * (HASH_WIDTH + 1) + x;
+        bits += pixels[offset] < pixels[offset + 1] ? '1' : '0';
+      }
+    }
+    return BigInt(`0b${bits}`).toString(16).padStart((HASH_WIDTH * HASH_HEIGHT) / 4, '0');
+  }
+
+  /**
+   * Capture time and editing software from EXIF (JPEG) or text chunks (PNG).
+   * capturedAt is in ms; timezoneKnown is false when the device didn't record an offset.
+   */
+  readMetadata(metadata) {
+    const result = { capturedAt: null, timezoneKnown: false, software: null, device: null, hasExif: Boolean(metadata.exif) };
+
+    if (metadata.exif) {
+      try {
+        const exif = exifReader(metadata.exif);
+        const taken = exif.Photo?.DateTimeOriginal || exif.Photo?.DateTimeDigitized || exif.Image?.DateTime || null;
+        if (taken instanceof Date && !Number.isNaN(taken.getTime())) {
+          // EXIF times are local wall-clock times, read as if they were UTC
+          const offset = parseOffset(exif.Photo?.OffsetTimeOriginal || exif.Photo?.OffsetTime);
+          result.capturedAt = taken.getTime() - (offset || 0) * 60 * 1000;
+          result.timezoneKnown = offset !== null;
+        }
+        result.software = exif.Image?.Software || null;
+        const device = [exif.Image?.Make, exif.Image?.Model].filter(Boolean).join(' ');
+        result.device = device || null;
+      } catch (error) {
+        console.error('⚠️ Failed to read EXIF from proof image:', error.message);
+      }
+    }
+
+    for (const comment of metadata.comments || []) {
+      const keyword = String(comment.keyword || '').toLowerCase();
+      if (keyword === 'software' && !result.software) {
+        result.software = comment.text;
+      }
+      if (keyword === 'creation time' && result.capturedAt === null) {
+        const ms = toMillis(comment.text);
+        if (ms !== null) {
+          result.capturedAt = ms;
+          // Only ISO strings with a zone say when exactly the image was made
+          result.timezoneKnown = /(z|[+-]\d{2}:?\d{2})$/i.test(comment.text.trim());
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Exact and perceptual hashes plus metadata for an uploaded image (multer file).
+   * Images sharp can't decode still get an exact hash.
+   */
+  async fingerprint(file) {
+    const buffer = Buffer.from(file.buffer);
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    try {
+      const image = sharp(buffer);
+      const metadata = await image.metadata();
+      const dHash = await this.perceptualHash(buffer);
+      return {
+        sha256,
+        dHash,
+        dHashBands: dHash ? hashBands(dHash) : [],
+        width: metadata.width || null,
+        height: metadata.height || null,
+        format: metadata.format || null,
+        metadata: this.readMetadata(metadata),
+        readable: true
+      };
+    } catch (error) {
+      console.error('⚠️ Failed to decode proof image:', error.message);
+      return {
+        sha256,
+        dHash: null,
+        dHashBands: [],
+        width: null,
+        height: null,
+        format: null,
+        metadata: { capturedAt: null, timezoneKnown: false, software: null, device: null, hasExif: false },
+        readable: false
+      };
+    }
+  }
+
+  // When the match started: startedAt, else when it went active, else when it was created
+  matchStartedAt(challengeData) {
+    if (!challengeData) return null;
+    const started = toMillis(challengeData.startedAt);
+    if (started) return started;
+    const activated = (challengeData.statusHistory || []).find(entry => entry.to === 'active');
+    return toMillis(activated?.at) || toMillis(challengeData.createdAt);
+  }
+
+  // Earlier proofs with the same bytes or a perceptual hash within SIMILAR_DISTANCE
+  async findMatches(print) {
+    const exact = await firestore.collection(this.collection).where('sha256', '==', print.sha256).limit(50).get();
+    const exactMatches = exact.docs.map(doc => ({ id: doc.id, ...doc.data(), distance: 0 }));
+
+    let similarMatches = [];
+    if (print.dHash) {
+      // Needs a composite index on (dHashBands array-contains, createdAt desc)
+      const candidates = await firestore.collection(this.collection)
+        .where('dHashBands', 'array-contains-any', print.dHashBands)
+        .orderBy('createdAt', 'desc')
+        .limit(SIMILAR_CANDIDATES)
+        .get();
+      similarMatches = candidates.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(match => match.sha256 !== print.sha256 && match.dHash)
+        .map(match => ({ ...match, distance: hammingDistance(print.dHash, match.dHash) }))
+        .filter(match => match.distance <= SIMILAR_DISTANCE);
+    }
+
+    return { exactMatches, similarMatches };
+  }
+
+  /**
+   * Fingerprint one proof image and check it against earlier proofs and its metadata.
+   * Nothing is written: pass the result to save() once the proof has been accepted.
+   * @param {Object} file - multer file
+   * @param {Object} options
+   * @param {string} options.challengeId
+   * @param {Object} [options.challengeData] - loaded when not given, for the match start time
+   * @param {Object} options.user - { uid, username } of the uploader
+   * @param {string} options.context - which endpoint received the upload
+   * @returns {Object} { id, sha256, dHash, flags, suspicious, metadata, record }
+   */
+  async inspect(file, { challengeId, challengeData = null, user, context }) {
+    const print = await this.fingerprint(file);
+    const flags = [];
+    const summarize = (match) => ({
+      fingerprintId: match.id,
+      challengeId: match.challengeId || null,
+      uploadedBy: match.uploadedBy?.username || null,
+      submittedAt: match.createdAt || null,
+      distance: match.distance
+    });
+
+    const { exactMatches, similarMatches } = await this.findMatches(print);
+    // Re-sending your own screenshot for the same challenge isn't a problem
+    const others = (matches) => matches.filter(match => match.challengeId !== challengeId || match.uploadedBy?.uid !== user.uid);
+
+    const reused = others(exactMatches).filter(match => match.challengeId !== challengeId);
+    if (reused.length > 0) {
+      flags.push({
+        code: FLAGS.REUSED,
+        severity: SEVERITY.HIGH,
+        message: `The same image was already submitted as proof for ${reused.length === 1 ? 'another challenge' : `${reused.length} other challenges`}`,
+        matches: reused.slice(0, 10).map(summarize)
+      });
+    }
+
+    const shared = others(exactMatches).filter(match => match.challengeId === challengeId);
+    if (shared.length > 0) {
+      flags.push({
+        code: FLAGS.SHARED,
+        severity: SEVERITY.LOW,
+        message: 'The other player submitted the same image for this challenge',
+        matches: shared.slice(0, 10).map(summarize)
+      });
+    }
+
+    const similar = others(similarMatches).filter(match => match.challengeId !== challengeId);
+    if (similar.length > 0) {
+      flags.push({
+        code: FLAGS.SIMILAR,
+        severity: SEVERITY.MEDIUM,
+        message: 'A near-identical image (re-saved, cropped or edited) was submitted for another challenge',
+        matches: similar.sort((a, b) => a.distance - b.distance).slice(0, 10).map(summarize)
+      });
+    }
+
+    if (!print.readable) {
+      flags.push({ code: FLAGS.UNREADABLE, severity: SEVERITY.LOW, message: 'The image could not be decoded, so only exact copies can be detected' });
+    } else if (!print.dHash) {
+      flags.push({ code: FLAGS.LOW_DETAIL, severity: SEVERITY.LOW, message: 'The image has too little detail to compare, so only exact copies can be detected' });
+    }
+
+    const { capturedAt, timezoneKnown, software } = print.metadata;
+    if (software && EDITING_SOFTWARE.test(software)) {
+      flags.push({ code: FLAGS.EDITING_SOFTWARE, severity: SEVERITY.HIGH, message: `The image was saved by editing software (${software})` });
+    }
+
+    if (capturedAt !== null) {
+      let challenge = challengeData;
+      if (!challenge && challengeId) {
+        const challengeDoc = await firestore.collection('challenges').doc(String(challengeId)).get();
+        challenge = challengeDoc.exists ? challengeDoc.data() : null;
+      }
+      const skew = timezoneKnown ? CLOCK_SKEW_MS : UNKNOWN_TIMEZONE_SKEW_MS;
+      const startedAt = this.matchStartedAt(challenge);
+
+      if (startedAt && capturedAt < startedAt - skew) {
+        flags.push({
+          code: FLAGS.TAKEN_BEFORE_MATCH,
+          severity: SEVERITY.HIGH,
+          message: `The image was taken ${new Date(capturedAt).toISOString()}, before the match started (${new Date(startedAt).toISOString()})`
+        });
+      }
+      if (capturedAt > Date.now() + skew) {
+        flags.push({
+          code: FLAGS.FUTURE_TIMESTAMP,
+          severity: SEVERITY.MEDIUM,
+          message: `The image claims to be taken in the future (${new Date(capturedAt).toISOString()})`
+        });
+      }
+    }
+
+    const suspicious = flags.some(flag => flag.severity === SEVERITY.HIGH);
+    const flagged = flags.some(flag => flag.severity !== SEVERITY.LOW);
+    const record = {
+      sha256: print.sha256,
+      dHash: print.dHash,
+      dHashBands: print.dHashBands,
+      width: print.width,
+      height: print.height,
+      format: print.format,
+      metadata: print.metadata,
+      challengeId: challengeId ? String(challengeId) : null,
+      context,
+      uploadedBy: { uid: user.uid, username: user.username || null },
+      flags,
+      flagged,
+      suspicious,
+      reviewStatus: flagged ? REVIEW_STATUS.PENDING : null,
+      createdAt: Date.now()
+    };
+
+    return {
+      id: firestore.collection(this.collection).doc().id,
+      sha256: print.sha256,
+      dHash: print.dHash,
+      metadata: print.metadata,
+      flags,
+      flagged,
+      suspicious,
+      record
+    };
+  }
+
+  // Record an inspected image so later proofs are checked against it
+  async save(inspection) {
+    await firestore.collection(this.collection).doc(inspection.id).set(inspection.record);
+    if (inspection.flagged) {
+      console.warn('🚩 Proof image flagged:', {
+        id: inspection.id,
+        challengeId: inspection.record.challengeId,
+        uploadedBy: inspection.record.uploadedBy.username,
+        flags: inspection.flags.map(flag => flag.code)
+      });
+    }
+  }
+
+  // Inspect several images of one submission; the submission is suspicious if any image is
+  async inspectAll(files, options) {
+    const images = [];
+    for (const file of files) {
+      images.push(await this.inspect(file, options));
+    }
+    const reasons = images.flatMap((image, index) =>
+      image.flags.filter(flag => flag.severity === SEVERITY.HIGH).map(flag => `image ${index + 1}: ${flag.message}`)
+    );
+    return {
+      images,
+      flagged: images.some(image => image.flagged),
+      suspicious: reasons.length > 0,
+      reasons
+    };
+  }
+
+  async saveAll(inspection) {
+    for (const image of inspection.images) {
+      await this.save(image);
+    }
+  }
+
+  async listFlagged({ status = REVIEW_STATUS.PENDING, limit = 100 } = {}) {
+    let query = firestore.collection(this.collection).where('flagged', '==', true);
+    if (status) {
+      query = query.where('reviewStatus', '==', status);
+    }
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }
+
+  // Admin decision on a flagged proof: cleared (false alarm) or confirmed (tampered or reused)
+  async review(fingerprintId, { status, reviewedBy, notes = '' }) {
+    if (![REVIEW_STATUS.CLEARED, REVIEW_STATUS.CONFIRMED].includes(status)) {
+      throw createError(`status must be ${REVIEW_STATUS.CLEARED} or ${REVIEW_STATUS.CONFIRMED}`, 'INVALID_REVIEW_STATUS');
+    }
+
+    const ref = firestore.collection(this.collection).doc(fingerprintId);
+    const doc = await ref.get();
+    if (!doc.exists || !doc.data().flagged) {
+      throw createError('Flagged proof not found', 'PROOF_FLAG_NOT_FOUND');
+    }
+
+    const updates = {
+      reviewStatus: status,
+      reviewedBy: { uid: reviewedBy.uid, username: reviewedBy.username },
+      reviewNotes: notes,
+      reviewedAt: Date.now()
+    };
+    await ref.update(updates);
+    return { id: fingerprintId, ...doc.data(), ...updates };
+  }
+}
+
+const proofIntegrityService = new ProofIntegrityService();
+
+module.exports = {
+  ProofIntegrityService,
+  proofIntegrityService,
+  FLAGS,
+  SEVERITY,
+  REVIEW_STATUS,
+  hammingDistance
+};
@@ -0,0 +1,316 @@
+const { firestore } = require('../config/firebase');
+const { teamService, TEAM_SIDES } = require('./teamService');
+
+const RESULTS_COLLECTION = 'rating_results';
+const HISTORY_COLLECTION = 'rating_history';
+
+const DEFAULT_RATING = 1500;
+const RATING_FLOOR = 100;
+// New players move faster until their rating settles
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 48;
+const PROVISIONAL_GAMES = 10;
+
+// Tournaments don't record a game title; their matches are rated under this key
+const TOURNAMENT_GAME = 'Tournament';
+
+const RESULT_SOURCES = {
+  CHALLENGE: 'challenge',
+  TOURNAMENT_MATCH: 'tournament-match'
+};
+
+const emptyRating = () => ({
+  rating: DEFAULT_RATING,
+  games: 0,
+  wins: 0,
+  losses: 0,
+  peak: DEFAULT_RATING,
+  updatedAt: null
+});
+
+class RatingService {
+  // Chance that a player rated `rating` beats one rated `opponentRating`
+  expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  kFactor(record) {
+    return record.games < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+  }
+
+  // A user's rating record for a game (defaults for players who haven't played it)
+  ratingFor(userData, game) {
+    return { ...emptyRating(), ...(userData?.ratings?.[game] || {}) };
+  }
+
+  async getRating(uid, game) {
+    const userDoc = await firestore.collection('users').doc(uid).get();
+    return this.ratingFor(userDoc.exists ? userDoc.data() : null, game).rating;
+  }
+
+  // All of a user's per-game ratings
+  async getRatings(uid) {
+    const userDoc = await firestore.collection('users').doc(uid).get();
+    return userDoc.exists ? (userDoc.data().ratings || {}) : {};
+  }
+
+  // Most recent rating changes for a user, newest first
+  async getHistory(uid, { game = null, limit = 20 } = {}) {
+    let query = firestore.collection(HISTORY_COLLECTION).where('uid', '==', uid);
+    if (game) query = query.where('game', '==', game);
+    const snapshot = await query.orderBy('at', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  resultRef(source, sourceId) {
+    return firestore.collection(RESULTS_COLLECTION).doc(`${source}_${sourceId}`);
+  }
+
+  /**
+   * Rate a decided game. Each result is stored once per source, so recording the same result
+   * again is a no-op; recording a different winner (an admin overturning a result) reverses the
+   * earlier rating change before applying the new one.
+   * @param {Object} result
+   * @param {string} result.source - one of RESULT_SOURCES
+   * @param {string} result.sourceId - challenge id, or `${tournamentId}_${matchId}`
+   * @param {string} result.game
+   * @param {Array} result.winners - [{ uid, username }]
+   * @param {Array} result.losers - [{ uid, username }]
+   * @returns {Object|null} { game, changes: { uid: { before, after, delta } } } or null if nothing changed
+   */
+  async recordResult({ source, sourceId, game, winners, losers }) {
+    if (!game || winners.length === 0 || losers.length === 0) return null;
+
+    const resultRef = this.resultRef(source, sourceId);
+    const winnerUids = winners.map(p => p.uid).sort();
+
+    const changes = await firestore.runTransaction(async (tx) => {
+      const resultDoc = await tx.get(resultRef);
+      const previous = resultDoc.exists ? resultDoc.data() : null;
+      if (previous && !previous.reversed && previous.game === game &&
+        JSON.stringify([...previous.winners].sort()) === JSON.stringify(winnerUids)) {
+        return null;
+      }
+
+      const players = [...winners, ...losers];
+      const previousUids = previous && !previous.reversed ? Object.keys(previous.changes || {}) : [];
+      const uids = [...new Set([...players.map(p => p.uid), ...previousUids])];
+      const userRefs = uids.map(uid => firestore.collection('users').doc(uid));
+      const userDocs = await tx.getAll(...userRefs);
+      const ratings = {};
+      userDocs.forEach((doc, i) => { ratings[uids[i]] = doc.exists ? { ...(doc.data().ratings || {}) } : {}; });
+
+      const now = new Date();
+      const history = [];
+      if (previousUids.length > 0) {
+        this.reverse(previous, ratings, history, now);
+      }
+
+      const records = Object.fromEntries(players.map(p => [p.uid, { ...emptyRating(), ...(ratings[p.uid][game] || {}) }]));
+      const average = (side) => side.reduce((sum, p) => sum + records[p.uid].rating, 0) / side.length;
+      const winnerRating = average(winners);
+      const loserRating = average(losers);
+      const expected = this.expectedScore(winnerRating, loserRating);
+
+      const applied = {};
+      for (const [side, score, sideExpected, opponentRating] of [
+        [winners, 1, expected, loserRating],
+        [losers, 0, 1 - expected, winnerRating]
+      ]) {
+        for (const player of side) {
+          const record = records[player.uid];
+          const delta = Math.round(this.kFactor(record) * (score - sideExpected));
+          const after = Math.max(RATING_FLOOR, record.rating + delta);
+          ratings[player.uid][game] = {
+            rating: after,
+            games: record.games + 1,
+            wins: record.wins + score,
+            losses: record.losses + (1 - score),
+            peak: Math.max(record.peak, after),
+            updatedAt: now
+          };
+          applied[player.uid] = { username: player.username || null, before: record.rating, after, delta: after - record.rating };
+          history.push({
+            uid: player.uid,
+            username: player.username || null,
+            game,
+            source,
+            sourceId,
+            result: score === 1 ? 'win' : 'loss',
+            opponentRating: Math.round(opponentRating),
+            before: record.rating,
+            after,
+            delta: after - record.rating,
+            at: now
+          });
+        }
+      }
+
+      userRefs.forEach((ref, i) => tx.update(ref, { ratings: ratings[uids[i]] }));
+      for (const entry of history) {
+        tx.set(firestore.collection(HISTORY_COLLECTION).doc(), entry);
+      }
+      tx.set(resultRef, {
+        source,
+        sourceId,
+        game,
+        winners: winnerUids,
+        losers: losers.map(p => p.uid),
+        changes: applied,
+        reversed: false,
+        createdAt: previous?.createdAt || now,
+        updatedAt: now
+      });
+      return applied;
+    });
+
+    if (changes) {
+      console.log('📈 Ratings updated:', { source, sourceId, game, changes });
+    }
+    return changes ? { game, changes } : null;
+  }
+
+  // Undo a stored result's rating change in place (ratings is uid -> ratings map)
+  reverse(previous, ratings, history, now) {
+    for (const [uid, change] of Object.entries(previous.changes || {})) {
+      const record = { ...emptyRating(), ...(ratings[uid][previous.game] || {}) };
+      const won = previous.winners.includes(uid);
+      ratings[uid][previous.game] = {
+        ...record,
+        rating: Math.max(RATING_FLOOR, record.rating - change.delta),
+        games: Math.max(0, record.games - 1),
+        wins: Math.max(0, record.wins - (won ? 1 : 0)),
+        losses: Math.max(0, record.losses - (won ? 0 : 1)),
+        updatedAt: now
+      };
+      history.push({
+        uid,
+        username: change.username || null,
+        game: previous.game,
+        source: previous.source,
+        sourceId: previous.sourceId,
+        result: 'reversed',
+        before: record.rating,
+        after: ratings[uid][previous.game].rating,
+        delta: ratings[uid][previous.game].rating - record.rating,
+        at: now
+      });
+    }
+  }
+
+  // Take back the rating change for a result that no longer stands (e.g. a completed challenge an admin cancelled)
+  async reverseResult(source, sourceId) {
+    const resultRef = this.resultRef(source, sourceId);
+    const reversed = await firestore.runTransaction(async (tx) => {
+      const resultDoc = await tx.get(resultRef);
+      if (!resultDoc.exists || resultDoc.data().reversed) return false;
+      const previous = resultDoc.data();
+
+      const uids = Object.keys(previous.changes || {});
+      const userRefs = uids.map(uid => firestore.collection('users').doc(uid));
+      const userDocs = await tx.getAll(...userRefs);
+      const ratings = {};
+      userDocs.forEach((doc, i) => { ratings[uids[i]] = doc.exists ? { ...(doc.data().ratings || {}) } : {}; });
+
+      const now = new Date();
+      const history = [];
+      this.reverse(previous, ratings, history, now);
+
+      userRefs.forEach((ref, i) => tx.update(ref, { ratings: ratings[uids[i]] }));
+      for (const entry of history) {
+        tx.set(firestore.collection(HISTORY_COLLECTION).doc(), entry);
+      }
+      tx.update(resultRef, { reversed: true, updatedAt: now });
+      return true;
+    });
+
+    if (reversed) {
+      console.log('↩️ Rating change reversed:', { source, sourceId });
+    }
+    return reversed;
+  }
+
+  // Players on each side of a challenge: team rosters, or the challenger against the opponents who accepted
+  challengeSides(challengeData) {
+    if (teamService.isTeamChallenge(challengeData)) {
+      return TEAM_SIDES.map(side => (challengeData.teams[side]?.members || [])
+        .map(m => ({ uid: m.uid, username: m.username })));
+    }
+    const opponents = (challengeData.opponents || [])
+      .filter(opp => opp.uid && (!opp.status || opp.status === 'accepted'))
+      .map(opp => ({ uid: opp.uid, username: opp.username }));
+    return [[{ uid: challengeData.challenger?.uid, username: challengeData.challenger?.username }], opponents];
+  }
+
+  // Rate a completed challenge from its escrow outcome. Refunds aren't rated (and undo any earlier rating).
+  async recordChallengeResult(challenge, outcome) {
+    if (outcome?.type !== 'winner' || !outcome.winnerUid) {
+      await this.reverseResult(RESULT_SOURCES.CHALLENGE, challenge.id);
+      return null;
+    }
+    const sides = this.challengeSides(challenge);
+    const winners = sides.find(side => side.some(p => p.uid === outcome.winnerUid));
+    if (!winners) return null;
+    const losers = sides.find(side => side !== winners) || [];
+
+    return this.recordResult({
+      source: RESULT_SOURCES.CHALLENGE,
+      sourceId: challenge.id,
+      game: challenge.game,
+      winners,
+      losers: losers.filter(p => p.uid)
+    });
+  }
+
+  // Rate a completed tournament bracket match
+  async recordMatchResult(tournamentId, tournament, match) {
+    if (match?.status !== 'completed' || !match.winner) return null;
+    const players = [match.player1, match.player2];
+    const winner = players.find(p => p?.uid === match.winner);
+    const loser = players.find(p => p?.uid && p.uid !== match.winner);
+    if (!winner || !loser) return null;
+
+    return this.recordResult({
+      source: RESULT_SOURCES.TOURNAMENT_MATCH,
+      sourceId: `${tournamentId}_${match.id}`,
+      game: tournament.game || TOURNAMENT_GAME,
+      winners: [{ uid: winner.uid, username: winner.username }],
+      losers: [{ uid: loser.uid, username: loser.username }]
+    });
+  }
+
+  /**
+   * Order tournament entrants by rating for the bracket. Seeds are placed so the top seeds
+   * can only meet in the late rounds (1 v 8, 4 v 5, 2 v 7, 3 v 6 for eight players).
+   * @returns {Array} participants with rating and seed, in bracket order
+   */
+  async seedParticipants(participants, game = TOURNAMENT_GAME) {
+    const rated = await Promise.all(participants.map(async (participant) => ({
+      ...participant,
+      rating: await this.getRating(participant.uid, game)
+    })));
+
+    // Highest rating first; earlier sign-ups win ties
+    const ranked = rated
+      .map((participant, index) => ({ participant, index }))
+      .sort((a, b) => (b.participant.rating - a.participant.rating) || (a.index - b.index))
+      .map(({ participant }, index) => ({ ...participant, seed: index + 1 }));
+
+    let order = [1];
+    while (order.length < ranked.length) {
+      const size = order.length * 2;
+      order = order.flatMap(seed => [seed, size + 1 - seed]);
+    }
+    return order.filter(seed => seed <= ranked.length).map(seed => ranked[seed - 1]);
+  }
+}
+
+const ratingService = new RatingService();
+
+module.exports = {
+  RatingService,
+  ratingService,
+  RESULT_SOURCES,
+  DEFAULT_RATING,
+  TOURNAMENT_GAME
+};
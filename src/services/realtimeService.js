@@ -0,0 +1,216 @@
+// Server-Sent Events hub. Clients subscribe to channels (one per challenge or tournament)
+// and get pushed events instead of polling the status endpoints.
+// Subscriptions live in this process's memory, so every instance only reaches its own clients.
+
+const EVENTS = {
+  CHALLENGE_STATUS: 'challenge.status',
+  PLAYER_READY: 'challenge.ready',
+  SCORECARD_SUBMITTED: 'challenge.scorecard',
+  TIMER_STARTED: 'timer.started',
+  TIMER_TICK: 'timer.tick',
+  BRACKET_UPDATED: 'tournament.bracket',
+  MATCH_UPDATED: 'tournament.match'
+};
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+const TIMER_TICK_MS = (Number(process.env.REALTIME_TICK_SECONDS) || 5) * 1000;
+// Browsers wait this long before reconnecting a dropped stream
+const RETRY_MS = 3000;
+
+const toMillis = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  return value.toMillis ? value.toMillis() : new Date(value).getTime();
+};
+
+class RealtimeService {
+  constructor() {
+    this.channels = new Map(); // channel -> Set of clients
+    this.timers = new Map(); // channel -> Map of timer name -> { endsAt, ...details }
+    this.nextClientId = 1;
+    this.heartbeat = null;
+    this.ticker = null;
+  }
+
+  challengeChannel(challengeId) {
+    return `challenge:${challengeId}`;
+  }
+
+  tournamentChannel(tournamentId) {
+    return `tournament:${tournamentId}`;
+  }
+
+  /**
+   * Turn a response into an event stream subscribed to the given channels.
+   * The subscription ends when the client disconnects.
+   * @param {Object} req - Express request (used to detect the disconnect)
+   * @param {Object} res - Express response
+   * @param {Array} channels - channel names
+   * @param {Object} user - { uid, username } for logging
+   * @returns {Object|null} the client, or null if it disconnected before the stream opened
+   */
+  subscribe(req, res, channels, user) {
+    // Callers await lookups first; a client that left meanwhile already fired 'close' and never would again
+    if (req.destroyed || res.destroyed || res.writableEnded) {
+      console.log('📡 Stream not opened, client already disconnected:', { user: user.username, channels });
+      return null;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { id: this.nextClientId++, res, channels, uid: user.uid };
+    for (const channel of channels) {
+      if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+      this.channels.get(channel).add(client);
+    }
+    console.log('📡 Stream opened:', { client: client.id, user: user.username, channels });
+
+    this.send(client, 'connected', { channels });
+    // Timers already running are sent straight away so the client can show a countdown
+    for (const channel of channels) {
+      for (const timer of this.activeTimers(channel)) {
+        this.send(client, EVENTS.TIMER_TICK, timer);
+      }
+    }
+
+    req.on('close', () => this.unsubscribe(client));
+    this.startLoops();
+    return client;
+  }
+
+  unsubscribe(client) {
+    for (const channel of client.channels) {
+      const clients = this.channels.get(channel);
+      if (!clients) continue;
+      clients.delete(client);
+      if (clients.size === 0) this.channels.delete(channel);
+    }
+    console.log('📡 Stream closed:', { client: client.id });
+    if (this.channels.size === 0) this.stopLoops();
+  }
+
+  send(client, event, data) {
+    try {
+      client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      console.error('⚠️ Failed to write to stream:', error.message);
+    }
+  }
+
+  /**
+   * Push an event to everyone subscribed to a channel. Never throws; a missed push
+   * only means the client catches up on its next request.
+   */
+  publish(channel, event, data) {
+    const clients = this.channels.get(channel);
+    if (!clients || clients.size === 0) return 0;
+    const payload = { ...data, at: new Date().toISOString() };
+    for (const client of clients) {
+      this.send(client, event, payload);
+    }
+    return clients.size;
+  }
+
+  publishChallenge(challengeId, event, data = {}) {
+    return this.publish(this.challengeChannel(challengeId), event, { challengeId, ...data });
+  }
+
+  publishTournament(tournamentId, event, data = {}) {
+    return this.publish(this.tournamentChannel(tournamentId), event, { tournamentId, ...data });
+  }
+
+  /**
+   * Remember a running timer so subscribers get ticks until it ends.
+   * Starting a timer with the same name again moves it.
+   * @param {string} channel
+   * @param {string} name - e.g. 'scorecard', 'ai-verification'
+   * @param {number|Date} endsAt
+   * @param {Object} [details] - extra fields sent with every tick (e.g. matchId)
+   */
+  startTimer(channel, name, endsAt, details = {}) {
+    const endsAtMs = toMillis(endsAt);
+    if (!endsAtMs || endsAtMs <= Date.now()) return;
+    // Ticks only run while someone is connected, so drop timers that ran out unwatched here
+    this.pruneTimers();
+    if (!this.timers.has(channel)) this.timers.set(channel, new Map());
+    this.timers.get(channel).set(name, { ...details, endsAt: endsAtMs });
+    this.publish(channel, EVENTS.TIMER_STARTED, this.timerState(name, this.timers.get(channel).get(name)));
+  }
+
+  // Stop one timer, or every timer on the channel when no name is given
+  stopTimer(channel, name = null) {
+    const timers = this.timers.get(channel);
+    if (!timers) return;
+    if (name) timers.delete(name);
+    if (!name || timers.size === 0) this.timers.delete(channel);
+  }
+
+  pruneTimers(now = Date.now()) {
+    for (const [channel, timers] of [...this.timers]) {
+      for (const [name, timer] of [...timers]) {
+        if (timer.endsAt <= now) this.stopTimer(channel, name);
+      }
+    }
+  }
+
+  timerState(name, timer) {
+    const timeRemaining = Math.max(0, timer.endsAt - Date.now());
+    return { ...timer, timer: name, timeRemaining, timerExpired: timeRemaining === 0 };
+  }
+
+  activeTimers(channel) {
+    return [...(this.timers.get(channel) || new Map()).entries()].map(([name, timer]) => this.timerState(name, timer));
+  }
+
+  // One tick for every running timer; expired timers send a last tick and are dropped
+  tick() {
+    for (const [channel, timers] of this.timers) {
+      for (const [name, timer] of [...timers]) {
+        const state = this.timerState(name, timer);
+        this.publish(channel, EVENTS.TIMER_TICK, state);
+        if (state.timerExpired) this.stopTimer(channel, name);
+      }
+    }
+  }
+
+  startLoops() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      const clients = new Set([...this.channels.values()].flatMap(set => [...set]));
+      for (const client of clients) {
+        try {
+          client.res.write(': ping\n\n');
+        } catch (error) {
+          // The close handler cleans the client up
+        }
+      }
+    }, HEARTBEAT_MS);
+    this.ticker = setInterval(() => this.tick(), TIMER_TICK_MS);
+    // Open streams shouldn't keep the process alive on shutdown
+    this.heartbeat.unref();
+    this.ticker.unref();
+  }
+
+  stopLoops() {
+    clearInterval(this.heartbeat);
+    clearInterval(this.ticker);
+    this.heartbeat = null;
+    this.ticker = null;
+  }
+}
+
+const realtimeService = new RealtimeService();
+
+module.exports = {
+  RealtimeService,
+  realtimeService,
+  EVENTS
+};
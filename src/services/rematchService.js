@@ -0,0 +1,278 @@
+const { firestore } = require('../config/firebase');
+const { escrowService } = require('./escrowService');
+const { feePolicyService } = require('./feePolicyService');
+const { challengeStateMachine, CHALLENGE_STATUS, ACTORS } = require('./challengeStateMachine');
+const { seriesService } = require('./seriesService');
+const { teamService, TEAM_SIDES } = require('./teamService');
+const { ratingService } = require('./ratingService');
+const { friendService } = require('./friendService');
+const { timerService } = require('./timerService');
+const { WalletService } = require('./walletService');
+const notificationService = require('./notificationService');
+
+const walletService = new WalletService();
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class RematchService {
+  // Everyone who played in a challenge: the challenger and the opponents who accepted
+  participants(challengeData) {
+    return [
+      { uid: challengeData.challenger.uid, username: challengeData.challenger.username, platformUsernames: challengeData.challengerPlatformUsernames || {} },
+      ...(challengeData.opponents || [])
+        .filter(opp => opp.status === 'accepted' && opp.uid)
+        .map(opp => ({ uid: opp.uid, username: opp.username, platformUsernames: opp.accepterPlatformUsernames || opp.platformUsernames || {} }))
+    ];
+  }
+
+  /**
+   * Who the rematch is addressed to and, for team challenges, the requester's roster.
+   * In a team challenge only a captain can ask; the other captain is the opponent and
+   * rebuilds their own roster when they accept, as with any team challenge.
+   */
+  async planSides(challengeData, user, requiredAmount) {
+    if (!teamService.isTeamChallenge(challengeData)) {
+      const players = this.participants(challengeData);
+      const self = players.find(p => p.uid === user.uid);
+      if (!self) {
+        throw createError('Only players from this challenge can ask for a rematch', 'NOT_PARTICIPANT');
+      }
+      return { self, opponents: players.filter(p => p.uid !== user.uid), team: null };
+    }
+
+    const membership = teamService.findMember(challengeData, user.uid);
+    if (!membership) {
+      throw createError('Only players from this challenge can ask for a rematch', 'NOT_PARTICIPANT');
+    }
+    if (membership.team.captainUid !== user.uid) {
+      throw createError('Only a team captain can ask for a rematch', 'NOT_CAPTAIN');
+    }
+
+    const otherTeam = challengeData.teams[TEAM_SIDES.find(side => side !== membership.side)];
+    const players = this.participants(challengeData);
+    const { team, errors } = await teamService.buildTeam(
+      {
+        name: membership.team.name,
+        members: membership.team.members.map(m => m.username),
+        shares: membership.team.shareMode === 'custom'
+          ? Object.fromEntries(membership.team.members.map(m => [m.username, m.share]))
+          : null
+      },
+      { uid: user.uid, username: user.username },
+      requiredAmount,
+      [otherTeam.captainUid]
+    );
+    if (errors.length > 0) {
+      const error = createError('The previous team can no longer play together', 'INVALID_TEAM');
+      error.errors = errors;
+      throw error;
+    }
+
+    return {
+      self: players.find(p => p.uid === user.uid) || { uid: user.uid, username: user.username, platformUsernames: {} },
+      opponents: [players.find(p => p.uid === otherTeam.captainUid) ||
+        { uid: otherTeam.captainUid, username: otherTeam.captainUsername, platformUsernames: {} }],
+      team
+    };
+  }
+
+  /**
+   * Create a new private challenge from a completed one: same game, platform, format, stake
+   * (optionally doubled) and platform usernames, addressed to the previous opponent(s).
+   * Challenges linked this way share a rematch chain rooted at the first one.
+   * @param {string} challengeId - the completed challenge
+   * @param {Object} user - { uid, username } of the player asking for the rematch
+   * @param {Object} [options] - { doubleStake } (only `true` doubles the stake)
+   * @returns {Object} the new challenge
+   */
+  async createRematch(challengeId, user, options = {}) {
+    const doubleStake = options.doubleStake === true;
+    const previousRef = firestore.collection('challenges').doc(challengeId);
+    const previousDoc = await previousRef.get();
+    if (!previousDoc.exists) {
+      throw createError('Challenge not found', 'CHALLENGE_NOT_FOUND');
+    }
+    const previous = { id: previousDoc.id, ...previousDoc.data() };
+    if (previous.status !== CHALLENGE_STATUS.COMPLETED) {
+      throw createError('Only completed challenges can be rematched', 'NOT_COMPLETED');
+    }
+
+    const stake = Math.round((Number(previous.stake) || 0) * (doubleStake ? 2 : 1) * 100) / 100;
+    const feePolicy = await feePolicyService.resolvePolicy(previous.game);
+    const sideAmount = feePolicyService.computeStakeContribution(stake, feePolicy);
+    const { self, opponents, team } = await this.planSides(previous, user, sideAmount);
+    if (opponents.length === 0) {
+      throw createError('This challenge has no opponent to rematch', 'NOT_PARTICIPANT');
+    }
+
+    const blockedUids = await friendService.findBlocked(user.uid, opponents.map(o => o.uid));
+    if (blockedUids.length > 0) {
+      throw createError(`You can't challenge ${opponents.filter(o => blockedUids.includes(o.uid)).map(o => o.username).join(', ')}`, 'USER_BLOCKED');
+    }
+
+    const requiredAmount = team ? team.members[0].amount : sideAmount;
+    const balance = await walletService.getWalletBalance(user.uid);
+    if (balance < requiredAmount) {
+      throw createError(`Insufficient funds. Required: $${requiredAmount.toFixed(2)}, Available: $${balance.toFixed(2)}`, 'INSUFFICIENT_FUNDS');
+    }
+    const format = previous.format || 'single';
+    const now = new Date();
+    const rootId = previous.rematch?.rootId || previous.id;
+
+    const challengeData = {
+      challenger: { uid: user.uid, username: user.username },
+      // Opponents keep the platform usernames they used last time unless they send new ones when accepting
+      opponents: opponents.map(opponent => ({
+        username: opponent.username,
+        status: 'pending',
+        responseAt: null,
+        platformUsernames: opponent.platformUsernames
+      })),
+      game: previous.game,
+      stake,
+      platform: previous.platform,
+      label: previous.label || '',
+      isPublic: false,
+      challengerPlatformUsernames: self.platformUsernames,
+      challengerRating: await ratingService.getRating(user.uid, previous.game),
+      format,
+      series: seriesService.initialSeries(format),
+      teams: team ? { challenger: team, opponent: null } : null,
+      // Link back through the chain of rematches; number 1 is the original challenge
+      rematch: {
+        rootId,
+        previousId: previous.id,
+        number: (previous.rematch?.number || 1) + 1,
+        stakeDoubled: doubleStake
+      },
+      ...challengeStateMachine.initialState(CHALLENGE_STATUS.PENDING, { actor: ACTORS.CHALLENGER, by: user, reason: 'rematch' }),
+      expiresAt: timerService.expiryFor(CHALLENGE_STATUS.PENDING),
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      winner: null,
+      loser: null,
+      proofRequired: true,
+      proofSubmitted: false,
+      proofImages: [],
+      proofDescription: '',
+      proofSubmittedAt: null,
+      verificationStatus: 'pending',
+      verificationNotes: '',
+      type: 'outgoing',
+      fundsDeducted: true,
+      challengerDeduction: requiredAmount,
+      feePolicy
+    };
+
+    // One live rematch per challenge; a cancelled (declined) rematch can be asked for again
+    const challengeRef = firestore.collection('challenges').doc();
+    await firestore.runTransaction(async (tx) => {
+      const latest = await tx.get(previousRef);
+      const existingId = latest.data().rematchId;
+      if (existingId) {
+        const existing = await tx.get(firestore.collection('challenges').doc(existingId));
+        if (existing.exists && existing.data().status !== CHALLENGE_STATUS.CANCELLED) {
+          const error = createError('A rematch has already been created for this challenge', 'REMATCH_EXISTS');
+          error.rematchId = existingId;
+          throw error;
+        }
+      }
+      tx.set(challengeRef, challengeData);
+      tx.update(previousRef, { rematchId: challengeRef.id, updatedAt: now });
+    });
+
+    try {
+      await escrowService.contribute(challengeRef.id, {
+        uid: user.uid,
+        username: user.username,
+        amount: requiredAmount,
+        role: 'challenger',
+        description: 'Rematch stake'
+      });
+    } catch (escrowError) {
+      // Nothing was deducted; drop the rematch and free the previous challenge for another try
+      await challengeRef.delete();
+      await previousRef.update({ rematchId: null, updatedAt: new Date() });
+      throw escrowError;
+    }
+
+    try {
+      await timerService.scheduleChallengeExpiry(challengeRef.id, CHALLENGE_STATUS.PENDING, challengeData.expiresAt);
+    } catch (error) {
+      // Picked up by scheduleMissingTimers on the next start
+      console.error('❌ Failed to schedule rematch expiry:', error);
+    }
+
+    console.log('🔁 Rematch created:', { challengeId: challengeRef.id, previousId: previous.id, by: user.username, stake, doubled: doubleStake });
+
+    const rematch = { id: challengeRef.id, ...challengeData };
+    try {
+      await notificationService.sendRematchNotification(rematch, opponents.map(o => o.uid), user.username);
+      if (team) {
+        const pendingUids = team.members.filter(m => !m.confirmed).map(m => m.uid);
+        if (pendingUids.length > 0) {
+          await notificationService.sendTeamInviteNotification(rematch, pendingUids, team);
+        }
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to send rematch notification:', error.message);
+    }
+
+    return rematch;
+  }
+
+  /**
+   * Every challenge in a rematch chain, oldest first, with a running tally of wins.
+   * @param {string} challengeId - any challenge in the chain
+   * @returns {Object|null} { rootId, challenges, wins } or null if the challenge doesn't exist
+   */
+  async getHistory(challengeId) {
+    const challengeDoc = await firestore.collection('challenges').doc(challengeId).get();
+    if (!challengeDoc.exists) return null;
+    const rootId = challengeDoc.data().rematch?.rootId || challengeDoc.id;
+
+    const [rootDoc, rematchSnap] = await Promise.all([
+      firestore.collection('challenges').doc(rootId).get(),
+      firestore.collection('challenges').where('rematch.rootId', '==', rootId).get()
+    ]);
+    const docs = [...(rootDoc.exists ? [rootDoc] : []), ...rematchSnap.docs];
+
+    const challenges = docs
+      .map(doc => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          number: data.rematch?.number || 1,
+          previousId: data.rematch?.previousId || null,
+          status: data.status,
+          stake: data.stake,
+          stakeDoubled: Boolean(data.rematch?.stakeDoubled),
+          challenger: data.challenger?.username || null,
+          winner: data.status === CHALLENGE_STATUS.COMPLETED ? data.winner || null : null,
+          createdAt: data.createdAt,
+          completedAt: data.completedAt || null
+        };
+      })
+      .sort((a, b) => a.number - b.number);
+
+    const wins = {};
+    for (const challenge of challenges) {
+      if (challenge.winner) wins[challenge.winner] = (wins[challenge.winner] || 0) + 1;
+    }
+
+    return { rootId, challenges, wins };
+  }
+}
+
+const rematchService = new RematchService();
+
+module.exports = {
+  RematchService,
+  rematchService
+};
@@ -0,0 +1,277 @@
+const os = require('os');
+const crypto = require('crypto');
+const { firestore } = require('../config/firebase');
+
+const JOBS_COLLECTION = 'scheduled_jobs';
+
+// Job lifecycle: pending -> running (leased by one instance) -> completed | failed; cancelled jobs never run
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_MS) || 5000;
+// A job whose lease runs out (instance crashed mid-run) is picked up again by any instance
+const LEASE_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : new Date(value).getTime());
+
+class SchedulerService {
+  constructor() {
+    this.collection = JOBS_COLLECTION;
+    this.handlers = new Map();
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Handlers must be idempotent: a job can run twice if its lease expires mid-run
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Schedule a job. Jobs with a `key` are unique, so callers never create duplicates:
+   * - no job yet: created
+   * - still pending: its run time (and payload) move
+   * - running: left alone; the new run is queued behind it (`next`) unless it is the same run
+   * - completed or failed at the same run time: that timer already fired, nothing to do
+   * - finished at another time, or cancelled: armed again as a new pending job
+   * @param {Object} job
+   * @param {string} job.type - handler name
+   * @param {Date|number} job.runAt - when the job is due
+   * @param {Object} [job.payload] - handler input
+   * @param {string} [job.key] - deterministic job id
+   * @param {number|null} [job.maxAttempts] - attempts before the job fails; null retries until it succeeds
+   */
+  async schedule({ type, runAt, payload = {}, key = null, maxAttempts = MAX_ATTEMPTS }) {
+    if (!firestore) {
+      console.warn('⚠️ Job not scheduled: Firestore not available', { type, key });
+      return null;
+    }
+
+    const jobRef = key ? firestore.collection(this.collection).doc(key) : firestore.collection(this.collection).doc();
+    const { job, action } = await firestore.runTransaction(async (tx) => {
+      const snap = key ? await tx.get(jobRef) : null;
+      return this.stage(tx, jobRef, snap, { type, runAt, payload, maxAttempts });
+    });
+
+    console.log(`🗓️ Job ${action}:`, { id: job.id, type, runAt: job.runAt });
+    return job;
+  }
+
+  /**
+   * Write a job inside the caller's transaction (see schedule() for the rules).
+   * `snap` is the job document, read by the caller before any of its writes.
+   * @returns {Object} { job, action: 'scheduled' | 'moved' | 'queued' | 'kept' }
+   */
+  stage(tx, jobRef, snap, { type, runAt, payload = {}, maxAttempts = MAX_ATTEMPTS }) {
+    const now = new Date();
+    const runAtDate = new Date(toMillis(runAt));
+    const existing = snap?.exists ? snap.data() : null;
+
+    if (existing?.status === JOB_STATUS.PENDING) {
+      const changes = { type, payload, runAt: runAtDate, maxAttempts, updatedAt: now };
+      tx.update(jobRef, changes);
+      return { job: { ...existing, ...changes }, action: 'moved' };
+    }
+
+    const sameRun = existing && toMillis(existing.runAt) === runAtDate.getTime();
+    if (existing?.status === JOB_STATUS.RUNNING) {
+      if (sameRun) return { job: existing, action: 'kept' };
+      const next = { type, payload, runAt: runAtDate, maxAttempts };
+      tx.update(jobRef, { next, updatedAt: now });
+      return { job: { ...existing, next }, action: 'queued' };
+    }
+    if (sameRun && [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED].includes(existing.status)) {
+      return { job: existing, action: 'kept' };
+    }
+
+    const job = {
+      id: jobRef.id,
+      type,
+      payload,
+      runAt: runAtDate,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      lastError: null,
+      next: null,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    tx.set(jobRef, job);
+    return { job, action: 'scheduled' };
+  }
+
+  // The job stored under a key, or null
+  async getJob(key) {
+    if (!firestore) return null;
+    const snap = await firestore.collection(this.collection).doc(key).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  async cancel(key) {
+    if (!firestore) return;
+    const jobRef = firestore.collection(this.collection).doc(key);
+    await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(jobRef);
+      if (!snap.exists || snap.data().status !== JOB_STATUS.PENDING) return;
+      tx.update(jobRef, { status: JOB_STATUS.CANCELLED, updatedAt: new Date() });
+    });
+  }
+
+  // Take the lease on a job; returns the job if this instance should run it
+  async claim(jobRef) {
+    return firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(jobRef);
+      if (!snap.exists) return null;
+
+      const job = snap.data();
+      const now = Date.now();
+      const due = job.status === JOB_STATUS.PENDING && toMillis(job.runAt) <= now;
+      const leaseExpired = job.status === JOB_STATUS.RUNNING && toMillis(job.leaseExpiresAt) <= now;
+      if (!due && !leaseExpired) return null;
+
+      const lease = {
+        status: JOB_STATUS.RUNNING,
+        attempts: (job.attempts || 0) + 1,
+        leaseOwner: this.instanceId,
+        leaseExpiresAt: new Date(now + LEASE_MS),
+        updatedAt: new Date(now)
+      };
+      tx.update(jobRef, lease);
+      return { ...job, ...lease };
+    });
+  }
+
+  // Fields that arm a job again for the run queued behind it while it was running
+  rearm(next, now) {
+    return {
+      type: next.type,
+      payload: next.payload || {},
+      runAt: next.runAt,
+      maxAttempts: next.maxAttempts === undefined ? MAX_ATTEMPTS : next.maxAttempts,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      next: null,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      updatedAt: now
+    };
+  }
+
+  // Record how a run ended; a run queued with schedule() meanwhile becomes the next pending job
+  async finish(jobRef, changes) {
+    return firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(jobRef);
+      if (!snap.exists) return null;
+      const now = new Date();
+      const { next } = snap.data();
+      const settled = next && changes.status !== JOB_STATUS.PENDING
+        ? { ...changes, ...this.rearm(next, now) }
+        : { ...changes, leaseOwner: null, leaseExpiresAt: null, updatedAt: now };
+      tx.update(jobRef, settled);
+      return settled;
+    });
+  }
+
+  async runJob(jobRef, job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+      const result = await handler(job.payload || {}, job);
+      await this.finish(jobRef, {
+        status: JOB_STATUS.COMPLETED,
+        result: result === undefined ? null : result,
+        completedAt: new Date()
+      });
+      console.log('✅ Job completed:', { id: job.id, type: job.type });
+    } catch (error) {
+      // Jobs scheduled before maxAttempts existed use the default; null means retry until it succeeds
+      const maxAttempts = job.maxAttempts === undefined ? MAX_ATTEMPTS : job.maxAttempts;
+      const failed = maxAttempts !== null && job.attempts >= maxAttempts;
+      // Back off 30s, 1m, 2m, 4m, ... up to an hour between attempts
+      const retryAt = new Date(Date.now() + Math.min(30 * 1000 * Math.pow(2, job.attempts - 1), MAX_BACKOFF_MS));
+      await this.finish(jobRef, {
+        status: failed ? JOB_STATUS.FAILED : JOB_STATUS.PENDING,
+        runAt: failed ? job.runAt : retryAt,
+        lastError: error.message
+      });
+      console.error(`❌ Job ${failed ? 'failed' : 'will be retried'}:`, { id: job.id, type: job.type, attempts: job.attempts, error: error.message });
+    }
+  }
+
+  // Run every due job once. Returns the number of jobs this instance ran.
+  async tick() {
+    if (!firestore || this.ticking) return 0;
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+      const jobs = firestore.collection(this.collection);
+      // Needs composite indexes on (status, runAt) and (status, leaseExpiresAt)
+      const [due, stale] = await Promise.all([
+        jobs.where('status', '==', JOB_STATUS.PENDING).where('runAt', '<=', now).orderBy('runAt').limit(BATCH_SIZE).get(),
+        jobs.where('status', '==', JOB_STATUS.RUNNING).where('leaseExpiresAt', '<=', now).limit(BATCH_SIZE).get()
+      ]);
+
+      let ran = 0;
+      for (const doc of [...due.docs, ...stale.docs]) {
+        const job = await this.claim(doc.ref);
+        if (!job) continue; // another instance got there first
+        await this.runJob(doc.ref, job);
+        ran++;
+      }
+      return ran;
+    } catch (error) {
+      console.error('❌ Scheduler tick failed:', error);
+      return 0;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    if (!firestore) {
+      console.warn('⚠️ Scheduler not started: Firestore not available');
+      return;
+    }
+    if (String(process.env.SCHEDULER_ENABLED).toLowerCase() === 'false') {
+      console.log('⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`🗓️ Scheduler started (${this.instanceId}, every ${POLL_INTERVAL_MS}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const schedulerService = new SchedulerService();
+
+module.exports = {
+  SchedulerService,
+  schedulerService,
+  JOB_STATUS
+};
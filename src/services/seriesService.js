@@ -0,0 +1,170 @@
+const { firestore } = require('../config/firebase');
+const { challengeStateMachine, CHALLENGE_STATUS } = require('./challengeStateMachine');
+
+// Number of games in each challenge format
+const SERIES_FORMATS = {
+  single: 1,
+  'best-of-3': 3,
+  'best-of-5': 5
+};
+
+const DEFAULT_FORMAT = 'single';
+
+// Fields that belong to the game being played; cleared when a series moves on to its next game
+const PER_GAME_FIELDS = {
+  scorecards: [],
+  scorecardTimerStarted: null,
+  scorecardTimerEnd: null,
+  conflictDetectedAt: null,
+  proofImages: [],
+  proofDescription: '',
+  proofSubmitted: false,
+  proofSubmittedAt: null,
+  aiResult: null,
+  aiVerificationResults: [],
+  aiVerificationTimerEnd: null,
+  aiConflictDetectedAt: null,
+  aiVerification: false,
+  aiVerificationResult: null,
+  autoForfeit: false,
+  forfeitedUsers: [],
+  forfeitReason: null,
+  disputeStatus: null,
+  adminResolution: null
+};
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class SeriesService {
+  isValidFormat(format) {
+    return Object.prototype.hasOwnProperty.call(SERIES_FORMATS, format);
+  }
+
+  // Series state for a new challenge; null for single-game challenges
+  initialSeries(format = DEFAULT_FORMAT) {
+    const bestOf = SERIES_FORMATS[format];
+    if (!bestOf || bestOf === 1) return null;
+    return {
+      bestOf,
+      winsNeeded: Math.floor(bestOf / 2) + 1,
+      currentGame: 1,
+      wins: {},
+      games: [],
+      winner: null
+    };
+  }
+
+  isSeries(challengeData) {
+    return Boolean(challengeData?.series && challengeData.series.bestOf > 1);
+  }
+
+  // Login username of the participant with this uid
+  async participantUsername(challengeData, uid) {
+    if (challengeData.challenger?.uid === uid) return challengeData.challenger.username;
+    const opponent = (challengeData.opponents || []).find(opp => opp.uid === uid);
+    if (opponent) return opponent.username;
+    const userDoc = await firestore.collection('users').doc(uid).get();
+    const username = userDoc.exists ? userDoc.data().username : null;
+    const isParticipant = username && (challengeData.opponents || []).some(opp => opp.username === username);
+    return isParticipant ? username : null;
+  }
+
+  /**
+   * Record the result of the game being played.
+   * Single-game challenges complete straight away. In a series the challenge only completes
+   * (and escrow is only settled) once a side clinches; otherwise it goes back to active
+   * with the per-game fields cleared so the next game gets its own scorecards and proof.
+   * @param {string} challengeId
+   * @param {Object} challengeData - challenge as read by the caller
+   * @param {Object} options - transition options (actor, by, reason, from, updates, settleOptions)
+   * @param {string} options.winnerUid - user id of the game winner
+   * @returns {Object} transition result plus { seriesOver, series }
+   */
+  async completeGame(challengeId, challengeData, { winnerUid = null, updates = {}, ...options }) {
+    // Completing without a winner would leave the pot in escrow; callers send such games to review instead
+    if (!winnerUid) {
+      throw createError('Could not determine which participant won this game', 'GAME_WINNER_UNKNOWN');
+    }
+    const outcome = { type: 'winner', winnerUid };
+
+    if (!this.isSeries(challengeData)) {
+      const result = await challengeStateMachine.transition(challengeId, CHALLENGE_STATUS.COMPLETED, { ...options, updates, outcome });
+      return { ...result, seriesOver: true, series: null };
+    }
+
+    const winnerUsername = await this.participantUsername(challengeData, winnerUid);
+    if (!winnerUsername) {
+      throw createError('Could not determine which participant won this game', 'GAME_WINNER_UNKNOWN');
+    }
+
+    const series = challengeData.series;
+    const wins = { ...series.wins, [winnerUsername]: (series.wins?.[winnerUsername] || 0) + 1 };
+    const seriesOver = wins[winnerUsername] >= series.winsNeeded;
+
+    // Keep what decided this game with the series record
+    const played = { ...challengeData, ...updates };
+    const evidence = {};
+    for (const field of Object.keys(PER_GAME_FIELDS)) {
+      if (played[field] !== undefined) evidence[field] = played[field];
+    }
+    const game = {
+      number: series.currentGame,
+      winner: winnerUsername,
+      winnerUid,
+      reportedWinner: updates.winner || null,
+      reason: options.reason || null,
+      decidedAt: new Date(),
+      ...evidence
+    };
+
+    const nextSeries = {
+      ...series,
+      wins,
+      games: [...(series.games || []), game],
+      currentGame: seriesOver ? series.currentGame : series.currentGame + 1,
+      winner: seriesOver ? winnerUsername : null
+    };
+
+    // The `from` guard the callers pass makes sure a game can't be counted twice
+    if (seriesOver) {
+      const result = await challengeStateMachine.transition(challengeId, CHALLENGE_STATUS.COMPLETED, {
+        ...options,
+        reason: `${options.reason || 'game decided'} (series won ${this.scoreline(nextSeries, winnerUsername)})`,
+        updates: { ...updates, winner: winnerUsername, series: nextSeries },
+        outcome
+      });
+      console.log('🏁 Series won:', { challengeId, winner: winnerUsername, wins });
+      return { ...result, seriesOver: true, series: nextSeries };
+    }
+
+    const result = await challengeStateMachine.transition(challengeId, CHALLENGE_STATUS.ACTIVE, {
+      ...options,
+      reason: `game ${game.number} won by ${winnerUsername}`,
+      updates: { ...PER_GAME_FIELDS, series: nextSeries }
+    });
+    console.log('🎮 Series game decided:', { challengeId, game: game.number, winner: winnerUsername, wins });
+    return { ...result, seriesOver: false, series: nextSeries };
+  }
+
+  // "2-1" from the winner's point of view
+  scoreline(series, username) {
+    const own = series.wins?.[username] || 0;
+    const others = Object.entries(series.wins || {})
+      .filter(([name]) => name !== username)
+      .reduce((max, [, count]) => Math.max(max, count), 0);
+    return `${own}-${others}`;
+  }
+}
+
+const seriesService = new SeriesService();
+
+module.exports = {
+  SeriesService,
+  seriesService,
+  SERIES_FORMATS,
+  DEFAULT_FORMAT
+};
@@ -0,0 +1,156 @@
+const { firestore } = require('../config/firebase');
+const { RESULTS_COLLECTION } = require('./leaderboardService');
+
+// Stats are computed from at most this many of a player's most recent matches
+const STATS_MATCH_LIMIT = 1000;
+const HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const HEAD_TO_HEAD_LIMIT = 20;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+class StatsService {
+  // A player's decided matches (challenges and tournament matches), newest first.
+  // These are the per-result records kept for the leaderboards, so reversed results drop out.
+  historyQuery(uid, game = null) {
+    let query = firestore.collection(RESULTS_COLLECTION)
+      .where('participantUids', 'array-contains', uid)
+      .where('isMatch', '==', true)
+      .where('reversed', '==', false);
+    if (game) query = query.where('game', '==', game);
+    return query.orderBy('at', 'desc');
+  }
+
+  // One stored result from this player's point of view
+  toMatch(doc, uid) {
+    const data = doc.data();
+    const self = data.players.find(p => p.uid === uid) || {};
+    const won = self.wins > 0;
+    const sameSide = (p) => (p.wins > 0) === won;
+
+    return {
+      id: doc.id,
+      source: data.source,
+      sourceId: data.sourceId,
+      game: data.game,
+      result: won ? 'win' : 'loss',
+      earnings: self.earnings || 0,
+      opponents: data.players.filter(p => !sameSide(p)).map(p => ({ uid: p.uid, username: p.username })),
+      teammates: data.players.filter(p => sameSide(p) && p.uid !== uid).map(p => ({ uid: p.uid, username: p.username })),
+      ...(data.details || {}),
+      disputed: Boolean(data.details?.disputed),
+      playedAt: toDate(data.at).toISOString()
+    };
+  }
+
+  /**
+   * Paginated match history.
+   * @param {string} uid
+   * @param {Object} options - { limit, cursor (id of the last match on the previous page), game }
+   * @returns {Object} { matches, nextCursor }
+   */
+  async getHistory(uid, { limit = HISTORY_PAGE_SIZE, cursor = null, game = null } = {}) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+    let query = this.historyQuery(uid, game);
+
+    if (cursor) {
+      const cursorDoc = await firestore.collection(RESULTS_COLLECTION).doc(cursor).get();
+      if (!cursorDoc.exists) {
+        const error = new Error('Invalid history cursor');
+        error.code = 'INVALID_CURSOR';
+        throw error;
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.limit(size + 1).get();
+    const docs = snapshot.docs.slice(0, size);
+    return {
+      matches: docs.map(doc => this.toMatch(doc, uid)),
+      nextCursor: snapshot.docs.length > size ? docs[docs.length - 1].id : null
+    };
+  }
+
+  /**
+   * Win/loss record, streaks, per-game breakdown, average stake, head-to-head records and
+   * dispute rate for a player.
+   * @param {string} uid
+   * @param {Object} [options] - { opponent: username to single out in head-to-head }
+   */
+  async getStats(uid, { opponent = null } = {}) {
+    const snapshot = await this.historyQuery(uid).limit(STATS_MATCH_LIMIT).get();
+    const matches = snapshot.docs.map(doc => this.toMatch(doc, uid));
+
+    const wins = matches.filter(m => m.result === 'win').length;
+    const losses = matches.length - wins;
+
+    // Streaks: matches are newest first, so the current streak is the leading run
+    let currentStreak = null;
+    let longestWinStreak = 0;
+    let longestLossStreak = 0;
+    let run = 0;
+    matches.forEach((match, i) => {
+      run = i > 0 && matches[i - 1].result === match.result ? run + 1 : 1;
+      if (match.result === 'win') longestWinStreak = Math.max(longestWinStreak, run);
+      else longestLossStreak = Math.max(longestLossStreak, run);
+      if (run === i + 1) currentStreak = { type: match.result, count: run };
+    });
+
+    const byGame = {};
+    for (const match of matches) {
+      const game = byGame[match.game] || (byGame[match.game] = { played: 0, wins: 0, losses: 0, earnings: 0 });
+      game.played += 1;
+      game[match.result === 'win' ? 'wins' : 'losses'] += 1;
+      game.earnings = Math.round((game.earnings + match.earnings) * 100) / 100;
+    }
+    for (const game of Object.values(byGame)) {
+      game.winRate = percent(game.wins, game.played);
+    }
+
+    const headToHeadMap = new Map();
+    for (const match of matches) {
+      for (const rival of match.opponents) {
+        const record = headToHeadMap.get(rival.uid) || { uid: rival.uid, username: rival.username, played: 0, wins: 0, losses: 0 };
+        record.played += 1;
+        record[match.result === 'win' ? 'wins' : 'losses'] += 1;
+        headToHeadMap.set(rival.uid, record);
+      }
+    }
+    const headToHead = [...headToHeadMap.values()].sort((a, b) => b.played - a.played);
+
+    const staked = matches.filter(m => m.stake > 0);
+    const disputed = matches.filter(m => m.disputed).length;
+    const earnings = Math.round(matches.reduce((sum, m) => sum + m.earnings, 0) * 100) / 100;
+
+    return {
+      played: matches.length,
+      wins,
+      losses,
+      winRate: percent(wins, matches.length),
+      currentStreak,
+      longestWinStreak,
+      longestLossStreak,
+      earnings,
+      averageStake: staked.length > 0 ? Math.round((staked.reduce((sum, m) => sum + m.stake, 0) / staked.length) * 100) / 100 : 0,
+      disputed,
+      disputeRate: percent(disputed, matches.length),
+      byGame,
+      headToHead: headToHead.slice(0, HEAD_TO_HEAD_LIMIT),
+      against: opponent
+        ? headToHead.find(r => String(r.username).toLowerCase() === String(opponent).toLowerCase()) ||
+          { username: opponent, played: 0, wins: 0, losses: 0 }
+        : undefined,
+      lastPlayedAt: matches[0]?.playedAt || null,
+      // Stats cover the most recent STATS_MATCH_LIMIT matches
+      truncated: snapshot.docs.length >= STATS_MATCH_LIMIT
+    };
+  }
+}
+
+const statsService = new StatsService();
+
+module.exports = {
+  StatsService,
+  statsService
+};
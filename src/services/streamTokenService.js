@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { firestore } = require('../config/firebase');
+
+const STREAM_TOKENS_COLLECTION = 'stream_tokens';
+
+// EventSource can't send an Authorization header, so live streams are opened with a short-lived,
+// single-use token in the URL instead of the API token. Only its hash is stored; Firestore's TTL
+// policy on `expiresAt` deletes tokens that were never used.
+const TOKEN_TTL_MS = 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : new Date(value).getTime());
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class StreamTokenService {
+  constructor() {
+    this.collection = STREAM_TOKENS_COLLECTION;
+  }
+
+  // Issue a token for the authenticated user; it opens one stream within TOKEN_TTL_MS
+  async issue(user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const expiresAt = new Date(now + TOKEN_TTL_MS);
+
+    await firestore.collection(this.collection).doc(sha256(token)).set({
+      user: {
+        uid: user.uid,
+        username: user.username || null,
+        email: user.email || null,
+        isAdmin: Boolean(user.isAdmin),
+        role: user.role || 'user'
+      },
+      createdAt: new Date(now),
+      expiresAt
+    });
+
+    return { token, expiresAt };
+  }
+
+  // Use a token up and return the user it was issued to
+  async consume(token) {
+    const tokenRef = firestore.collection(this.collection).doc(sha256(token));
+
+    return firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(tokenRef);
+      if (!snap.exists) {
+        throw createError('Invalid or already used stream token', 'INVALID_STREAM_TOKEN');
+      }
+
+      const record = snap.data();
+      if (toMillis(record.expiresAt) <= Date.now()) {
+        throw createError('Stream token has expired', 'INVALID_STREAM_TOKEN');
+      }
+      tx.delete(tokenRef);
+      return record.user;
+    });
+  }
+}
+
+const streamTokenService = new StreamTokenService();
+
+module.exports = {
+  StreamTokenService,
+  streamTokenService,
+  TOKEN_TTL_MS
+};
@@ -0,0 +1,162 @@
+const { roundAmount } = require('./ledgerService');
+const UserService = require('./userService');
+
+const userService = new UserService();
+
+const MIN_TEAM_SIZE = 2;
+const MAX_TEAM_SIZE = 10;
+const TEAM_SIDES = ['challenger', 'opponent'];
+
+class TeamService {
+  isTeamChallenge(challengeData) {
+    return Boolean(challengeData?.teams?.challenger);
+  }
+
+  /**
+   * Validate a team roster and split the side's stake across its members.
+   * The captain is always on the team and pays their share up front; everyone else
+   * confirms (and pays) their own share later.
+   * @param {Object} input - { name, members: [usernames], shares: { username: percent } }
+   * @param {Object} captain - { uid, username }
+   * @param {number} sideAmount - what the whole side escrows
+   * @param {Array} excludeUids - users already on the other team
+   * @returns {Object} { team, errors }
+   */
+  async buildTeam(input, captain, sideAmount, excludeUids = []) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || !Array.isArray(input.members)) {
+      return { team: null, errors: ['team must be an object with a members array of usernames'] };
+    }
+
+    const usernames = [captain.username, ...input.members.filter(name => name !== captain.username)];
+    if (new Set(usernames).size !== usernames.length) {
+      errors.push('Team members must be unique');
+    }
+    if (usernames.length < MIN_TEAM_SIZE || usernames.length > MAX_TEAM_SIZE) {
+      errors.push(`Teams must have between ${MIN_TEAM_SIZE} and ${MAX_TEAM_SIZE} members including the captain`);
+    }
+
+    const shares = input.shares || null;
+    if (shares !== null) {
+      const total = usernames.reduce((sum, name) => sum + (Number(shares[name]) || 0), 0);
+      const invalid = usernames.filter(name => !(Number(shares[name]) > 0));
+      if (invalid.length > 0) {
+        errors.push(`Every member needs a positive share: ${invalid.join(', ')}`);
+      } else if (Math.abs(total - 100) > 0.01) {
+        errors.push('Team shares must add up to 100');
+      }
+    }
+    if (errors.length > 0) return { team: null, errors };
+
+    const members = [];
+    for (const username of usernames) {
+      const user = username === captain.username ? captain : await userService.getUserByUsername(username);
+      if (!user) {
+        errors.push(`User ${username} not found`);
+        continue;
+      }
+      if (excludeUids.includes(user.uid)) {
+        errors.push(`${username} is already on the other team`);
+        continue;
+      }
+      const share = shares ? Number(shares[username]) : 100 / usernames.length;
+      members.push({
+        uid: user.uid,
+        username,
+        share: Math.round(share * 100) / 100,
+        amount: roundAmount(sideAmount * share / 100),
+        captain: username === captain.username,
+        confirmed: username === captain.username,
+        confirmedAt: username === captain.username ? new Date() : null
+      });
+    }
+    if (errors.length > 0) return { team: null, errors };
+
+    // Rounding leftovers go to the captain so the side always escrows the full amount
+    const allocated = roundAmount(members.reduce((sum, m) => sum + m.amount, 0));
+    members[0].amount = roundAmount(members[0].amount + sideAmount - allocated);
+
+    return {
+      team: {
+        name: (typeof input.name === 'string' && input.name.trim()) || `${captain.username}'s team`,
+        captainUid: captain.uid,
+        captainUsername: captain.username,
+        shareMode: shares ? 'custom' : 'equal',
+        members
+      },
+      errors: []
+    };
+  }
+
+  // { side, team, member } for a user on either roster, or null
+  findMember(challengeData, uid) {
+    for (const side of TEAM_SIDES) {
+      const team = challengeData?.teams?.[side];
+      const member = team?.members?.find(m => m.uid === uid);
+      if (member) return { side, team, member };
+    }
+    return null;
+  }
+
+  // Captain of the team whose name (or captain username) matches a reported winner
+  captainForName(challengeData, name) {
+    const target = String(name || '').trim().toLowerCase();
+    for (const side of TEAM_SIDES) {
+      const team = challengeData?.teams?.[side];
+      if (!team) continue;
+      if ([team.name, team.captainUsername].some(n => String(n || '').trim().toLowerCase() === target)) {
+        return { uid: team.captainUid, username: team.captainUsername };
+      }
+    }
+    return null;
+  }
+
+  // Rostered members who haven't escrowed their share yet
+  pendingMembers(challengeData) {
+    return TEAM_SIDES.flatMap(side => (challengeData?.teams?.[side]?.members || [])
+      .filter(m => !m.confirmed)
+      .map(m => ({ side, uid: m.uid, username: m.username, amount: m.amount })));
+  }
+
+  // Team rosters with one member marked as having paid their share
+  withConfirmedMember(teams, side, uid) {
+    return {
+      ...teams,
+      [side]: {
+        ...teams[side],
+        members: teams[side].members.map(m => (m.uid === uid ? { ...m, confirmed: true, confirmedAt: new Date() } : m))
+      }
+    };
+  }
+
+  /**
+   * How a reward is paid out. Single-player challenges pay the winner; in a team challenge
+   * the winner's whole side is paid in proportion to what each member escrowed.
+   * @returns {Array} [{ uid, amount }]
+   */
+  splitReward(challengeData, winnerUid, contributions, rewardAmount) {
+    const found = this.findMember(challengeData, winnerUid);
+    if (!found) return [{ uid: winnerUid, amount: rewardAmount }];
+
+    const memberUids = found.team.members.map(m => m.uid);
+    const paid = contributions.filter(c => memberUids.includes(c.uid) && c.amount > 0);
+    const totalPaid = paid.reduce((sum, c) => sum + c.amount, 0);
+    if (totalPaid <= 0) return [{ uid: winnerUid, amount: rewardAmount }];
+
+    const payouts = paid.map(c => ({ uid: c.uid, amount: roundAmount(rewardAmount * c.amount / totalPaid) }));
+    // Rounding leftovers go to the captain (or whoever reported the win)
+    const leftover = roundAmount(rewardAmount - payouts.reduce((sum, p) => sum + p.amount, 0));
+    const captainPayout = payouts.find(p => p.uid === found.team.captainUid) || payouts.find(p => p.uid === winnerUid) || payouts[0];
+    captainPayout.amount = roundAmount(captainPayout.amount + leftover);
+
+    return payouts.filter(p => p.amount > 0);
+  }
+}
+
+const teamService = new TeamService();
+
+module.exports = {
+  TeamService,
+  teamService,
+  TEAM_SIDES
+};
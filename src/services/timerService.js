@@ -0,0 +1,455 @@
+const { firestore } = require('../config/firebase');
+const { schedulerService, JOB_STATUS } = require('./schedulerService');
+const { challengeStateMachine, CHALLENGE_STATUS, ACTORS } = require('./challengeStateMachine');
+const { seriesService } = require('./seriesService');
+const { realtimeService, EVENTS: REALTIME_EVENTS } = require('./realtimeService');
+const UserService = require('./userService');
+
+const userService = new UserService();
+
+const JOB_TYPES = {
+  CHALLENGE_SCORECARD: 'challenge.scorecard-timer',
+  CHALLENGE_AI_VERIFICATION: 'challenge.ai-verification-timer',
+  MATCH_SCORECARD: 'tournament.match-scorecard-timer',
+  MATCH_AI_VERIFICATION: 'tournament.match-ai-timer',
+  CHALLENGE_EXPIRY: 'challenge.expiry'
+};
+
+// One job per timer; scheduling the same timer again moves that job
+const JOB_KEYS = {
+  challengeScorecard: (challengeId) => `challenge_${challengeId}_scorecard`,
+  challengeAi: (challengeId) => `challenge_${challengeId}_ai_verification`,
+  challengeExpiry: (challengeId) => `challenge_${challengeId}_expiry`,
+  matchScorecard: (tournamentId, matchId) => `tournament_${tournamentId}_${matchId}_scorecard`,
+  matchAi: (tournamentId, matchId) => `tournament_${tournamentId}_${matchId}_ai`
+};
+
+// Both challenge timers run 5 minutes from the first submission
+const TIMER_DURATION_MS = 5 * 60 * 1000;
+
+// How long an invite can go unanswered, and how long everyone has to mark ready once all accepted
+const EXPIRY_MS = {
+  [CHALLENGE_STATUS.PENDING]: (Number(process.env.CHALLENGE_INVITE_EXPIRY_HOURS) || 24) * 60 * 60 * 1000,
+  [CHALLENGE_STATUS.READY_PENDING]: (Number(process.env.CHALLENGE_READY_EXPIRY_MINUTES) || 30) * 60 * 1000
+};
+
+const EXPIRY_REASONS = {
+  [CHALLENGE_STATUS.PENDING]: 'invite expired',
+  [CHALLENGE_STATUS.READY_PENDING]: 'ready check expired'
+};
+
+const toMillis = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  return value.toMillis ? value.toMillis() : new Date(value).getTime();
+};
+
+class TimerService {
+  // User id of a challenge participant by login username
+  async participantUid(challengeData, username) {
+    if (!username) return null;
+    if (challengeData.challenger?.username === username) return challengeData.challenger.uid;
+    const opponent = (challengeData.opponents || []).find(opp => opp.username === username);
+    if (!opponent) return null;
+    if (opponent.uid) return opponent.uid;
+    try {
+      const profile = await userService.getUserByUsername(username);
+      return profile?.uid || null;
+    } catch (error) {
+      console.error('Error resolving participant uid:', error);
+      return null;
+    }
+  }
+
+  async scheduleChallengeScorecardTimer(challengeId, endsAt) {
+    realtimeService.startTimer(realtimeService.challengeChannel(challengeId), 'scorecard', endsAt);
+    return schedulerService.schedule({
+      type: JOB_TYPES.CHALLENGE_SCORECARD,
+      key: JOB_KEYS.challengeScorecard(challengeId),
+      runAt: endsAt,
+      payload: { challengeId }
+    });
+  }
+
+  async scheduleChallengeAiTimer(challengeId, endsAt) {
+    realtimeService.startTimer(realtimeService.challengeChannel(challengeId), 'ai-verification', endsAt);
+    return schedulerService.schedule({
+      type: JOB_TYPES.CHALLENGE_AI_VERIFICATION,
+      key: JOB_KEYS.challengeAi(challengeId),
+      runAt: endsAt,
+      payload: { challengeId }
+    });
+  }
+
+  async scheduleMatchScorecardTimer(tournamentId, matchId, endsAt) {
+    realtimeService.startTimer(realtimeService.tournamentChannel(tournamentId), `${matchId}.scorecard`, endsAt, { matchId });
+    return schedulerService.schedule({
+      type: JOB_TYPES.MATCH_SCORECARD,
+      key: JOB_KEYS.matchScorecard(tournamentId, matchId),
+      runAt: endsAt,
+      payload: { tournamentId, matchId }
+    });
+  }
+
+  async scheduleMatchAiTimer(tournamentId, matchId, endsAt) {
+    realtimeService.startTimer(realtimeService.tournamentChannel(tournamentId), `${matchId}.ai-verification`, endsAt, { matchId });
+    return schedulerService.schedule({
+      type: JOB_TYPES.MATCH_AI_VERIFICATION,
+      key: JOB_KEYS.matchAi(tournamentId, matchId),
+      runAt: endsAt,
+      payload: { tournamentId, matchId }
+    });
+  }
+
+  // When a challenge entering this status (pending or ready-pending) expires
+  expiryFor(status, from = Date.now()) {
+    return new Date(toMillis(from) + EXPIRY_MS[status]);
+  }
+
+  // One expiry job per challenge; moving from pending to ready-pending reschedules it
+  async scheduleChallengeExpiry(challengeId, status, expiresAt) {
+    return schedulerService.schedule({
+      type: JOB_TYPES.CHALLENGE_EXPIRY,
+      key: JOB_KEYS.challengeExpiry(challengeId),
+      runAt: expiresAt,
+      payload: { challengeId, status }
+    });
+  }
+
+  /**
+   * Cancel a challenge that sat in pending or ready-pending past its expiresAt.
+   * Cancelling refunds every escrowed stake and notifies everyone, including invited
+   * opponents who never answered. The decision is made on the challenge as it is when the
+   * transaction commits, so a last-second accept, ready or check-in is never overridden:
+   * a ready check where everyone turns out to be ready starts the challenge instead.
+   */
+  async expireChallenge(challengeId, status) {
+    let result = null;
+
+    try {
+      await challengeStateMachine.apply(challengeId, async (challengeData) => {
+        if (challengeData.status !== status) {
+          result = { expired: false, reason: 'status-changed' };
+          return null;
+        }
+        const expiresAt = toMillis(challengeData.expiresAt);
+        if (!expiresAt) {
+          result = { expired: false, reason: 'no-expiry' };
+          return null;
+        }
+        if (expiresAt > Date.now()) {
+          result = { expired: false, reason: 'not-due', expiresAt };
+          return null;
+        }
+
+        if (status === CHALLENGE_STATUS.READY_PENDING && this.everyoneReady(challengeData)) {
+          result = { expired: false, reason: 'all-ready', status: CHALLENGE_STATUS.ACTIVE };
+          return {
+            to: CHALLENGE_STATUS.ACTIVE,
+            reason: 'all participants ready',
+            updates: { gameStartedAt: new Date(), expiresAt: null }
+          };
+        }
+
+        // A scheduled match where only one side checked in is forfeited to the side that showed up
+        if (status === CHALLENGE_STATUS.READY_PENDING && challengeData.schedule) {
+          const noShow = await this.noShowForfeit(challengeData);
+          if (noShow) {
+            result = noShow.result;
+            return noShow.decision;
+          }
+        }
+
+        // Invited opponents only get a uid on the challenge once they answer
+        const notify = await Promise.all((challengeData.opponents || [])
+          .filter(opp => !opp.uid)
+          .map(opp => this.participantUid(challengeData, opp.username)));
+
+        result = { expired: true, status };
+        return {
+          to: CHALLENGE_STATUS.CANCELLED,
+          reason: EXPIRY_REASONS[status],
+          updates: { expiredAt: new Date(), cancelReason: EXPIRY_REASONS[status] },
+          notify: notify.filter(Boolean),
+          settleOptions: { description: 'Challenge expired refund', reason: 'expired' }
+        };
+      }, { actor: ACTORS.SYSTEM, from: [status] });
+    } catch (error) {
+      if (error.code === 'CHALLENGE_NOT_FOUND') return { expired: false, reason: 'not-found' };
+      throw error;
+    }
+
+    if (result.expired && result.winner) {
+      console.log('⏰ No-show forfeit:', { challengeId, winner: result.winner, noShows: result.forfeitedUsers });
+    } else if (result.expired) {
+      console.log('⏰ Challenge expired:', { challengeId, status });
+    } else if (result.reason === 'all-ready') {
+      console.log('✅ Everyone was ready at expiry, challenge started:', { challengeId });
+    }
+    return result;
+  }
+
+  everyoneReady(challengeData) {
+    return challengeData.challenger?.ready === true && (challengeData.opponents || []).every(opp => opp.ready === true);
+  }
+
+  /**
+   * No-show forfeit at the end of a scheduled challenge's check-in window. If the challenger
+   * checked in they win; otherwise the first opponent to check in wins. Returns null when
+   * nobody checked in, so the challenge is cancelled and refunded instead.
+   * @returns {Object|null} { decision, result } for expireChallenge
+   */
+  async noShowForfeit(challengeData) {
+    const checkedIn = (challengeData.opponents || [])
+      .filter(opp => opp.ready)
+      .sort((a, b) => toMillis(a.readyAt) - toMillis(b.readyAt));
+    const winner = challengeData.challenger.ready ? challengeData.challenger : checkedIn[0];
+    if (!winner) return null;
+
+    const allParticipants = [challengeData.challenger, ...(challengeData.opponents || [])];
+    const noShows = allParticipants.filter(p => !p.ready).map(p => p.username);
+    const winnerUid = winner.uid || await this.participantUid(challengeData, winner.username);
+
+    return {
+      decision: {
+        to: CHALLENGE_STATUS.COMPLETED,
+        reason: 'no-show',
+        updates: {
+          winner: winner.username,
+          completedAt: new Date(),
+          autoForfeit: true,
+          forfeitedUsers: noShows,
+          forfeitReason: 'Did not check in before the scheduled start'
+        },
+        outcome: { type: 'winner', winnerUid },
+        settleOptions: {
+          description: `Challenge reward for ${challengeData.game} (no-show forfeit)`,
+          feeDescription: `Admin fee from challenge ${challengeData.game} (no-show forfeit)`
+        }
+      },
+      result: { expired: true, status: CHALLENGE_STATUS.READY_PENDING, winner: winner.username, forfeitedUsers: noShows }
+    };
+  }
+
+  // Decide the game for the participants who submitted before the timer ran out (first submitter wins).
+  // In a series the forfeit only costs the current game.
+  async forfeitChallenge(challengeId, { expectedStatus, submittedUsernames, reason, updates, description }) {
+    const challengeDoc = await firestore.collection('challenges').doc(challengeId).get();
+    const challengeData = challengeDoc.data();
+    const allParticipants = [challengeData.challenger.username, ...(challengeData.opponents || []).map(opp => opp.username)];
+    const notSubmitted = allParticipants.filter(username => !submittedUsernames.includes(username));
+
+    if (notSubmitted.length === 0 || submittedUsernames.length === 0) {
+      return { expired: false, reason: 'nothing-to-forfeit' };
+    }
+
+    const winner = submittedUsernames[0];
+    const winnerUserId = await this.participantUid(challengeData, winner);
+
+    try {
+      await seriesService.completeGame(challengeId, challengeData, {
+        actor: ACTORS.SYSTEM,
+        reason,
+        from: [expectedStatus],
+        updates: { winner, completedAt: new Date(), autoForfeit: true, forfeitedUsers: notSubmitted, ...updates },
+        winnerUid: winnerUserId,
+        settleOptions: {
+          description: `Challenge reward for ${challengeData.game} (${description})`,
+          feeDescription: `Admin fee from challenge ${challengeData.game} (${description})`
+        }
+      });
+    } catch (error) {
+      // Someone submitted (or an admin stepped in) between our read and the transition
+      if (error.code === 'INVALID_TRANSITION') return { expired: false, reason: 'status-changed' };
+      throw error;
+    }
+
+    console.log('⏰ Timer expired, auto-forfeited users:', { challengeId, notSubmitted, winner });
+    return { expired: true, winner, forfeitedUsers: notSubmitted };
+  }
+
+  // Scorecard timer: whoever submitted a scorecard wins if the other side didn't in time
+  async expireChallengeScorecardTimer(challengeId) {
+    const challengeDoc = await firestore.collection('challenges').doc(challengeId).get();
+    if (!challengeDoc.exists) return { expired: false, reason: 'not-found' };
+
+    const challengeData = challengeDoc.data();
+    if (challengeData.status !== CHALLENGE_STATUS.SCORECARD_PENDING) {
+      return { expired: false, reason: 'not-pending' };
+    }
+
+    const timerEnd = toMillis(challengeData.scorecardTimerEnd) ||
+      (challengeData.scorecardTimerStarted ? toMillis(challengeData.scorecardTimerStarted) + TIMER_DURATION_MS : null);
+    if (!timerEnd) return { expired: false, reason: 'no-timer' };
+    if (timerEnd > Date.now()) return { expired: false, reason: 'not-due', timerEnd };
+
+    return this.forfeitChallenge(challengeId, {
+      expectedStatus: CHALLENGE_STATUS.SCORECARD_PENDING,
+      submittedUsernames: (challengeData.scorecards || []).map(sc => sc.submittedBy),
+      reason: 'scorecard timer expired',
+      updates: {},
+      description: 'scorecard auto-forfeit'
+    });
+  }
+
+  // AI verification timer: the participant who uploaded proof wins if the other side didn't in time
+  async expireChallengeAiTimer(challengeId) {
+    const challengeDoc = await firestore.collection('challenges').doc(challengeId).get();
+    if (!challengeDoc.exists) return { expired: false, reason: 'not-found' };
+
+    const challengeData = challengeDoc.data();
+    if (challengeData.status !== CHALLENGE_STATUS.AI_VERIFICATION_PENDING) {
+      return { expired: false, reason: 'not-pending' };
+    }
+
+    const timerEnd = toMillis(challengeData.aiVerificationTimerEnd);
+    if (!timerEnd) return { expired: false, reason: 'no-timer' };
+    if (timerEnd > Date.now()) return { expired: false, reason: 'not-due', timerEnd };
+
+    return this.forfeitChallenge(challengeId, {
+      expectedStatus: CHALLENGE_STATUS.AI_VERIFICATION_PENDING,
+      submittedUsernames: (challengeData.aiVerificationResults || []).map(ai => ai.submittedBy),
+      reason: 'AI verification timer expired',
+      updates: { aiVerification: true, forfeitReason: 'AI verification timer expired' },
+      description: 'AI Verification Auto-Forfeit'
+    });
+  }
+
+  // Expire a tournament match timer if the match is still waiting on it
+  async expireMatchTimer(tournamentId, matchId, { timerField, waitingStatus, expiredStatus }) {
+    const tournamentRef = firestore.collection('tournaments').doc(tournamentId);
+
+    const result = await firestore.runTransaction(async (tx) => {
+      const tournamentDoc = await tx.get(tournamentRef);
+      if (!tournamentDoc.exists) return { expired: false, reason: 'not-found' };
+
+      const tournament = tournamentDoc.data();
+      const match = (tournament.bracket || []).find(m => m.id === matchId);
+      if (!match || !match[timerField] || match[timerField].expired) return { expired: false, reason: 'no-timer' };
+      if (match.status !== waitingStatus) return { expired: false, reason: 'not-pending' };
+      if (toMillis(match[timerField].endTime) > Date.now()) return { expired: false, reason: 'not-due' };
+
+      tx.update(tournamentRef, {
+        bracket: tournament.bracket.map(m => (m.id === matchId
+          ? { ...m, status: expiredStatus, [timerField]: { ...m[timerField], expired: true } }
+          : m)),
+        updatedAt: new Date()
+      });
+
+      console.log(`⏰ ${timerField} expired for match ${matchId}`);
+      return { expired: true, status: expiredStatus };
+    });
+
+    if (result.expired) {
+      realtimeService.publishTournament(tournamentId, REALTIME_EVENTS.MATCH_UPDATED, { matchId, status: result.status, reason: `${timerField} expired` });
+    }
+    return result;
+  }
+
+  async expireMatchScorecardTimer(tournamentId, matchId) {
+    return this.expireMatchTimer(tournamentId, matchId, {
+      timerField: 'scorecardTimer',
+      waitingStatus: 'scorecard_waiting',
+      expiredStatus: 'scorecard_timeout'
+    });
+  }
+
+  async expireMatchAiTimer(tournamentId, matchId) {
+    return this.expireMatchTimer(tournamentId, matchId, {
+      timerField: 'aiTimer',
+      waitingStatus: 'ai_verification_waiting',
+      expiredStatus: 'ai_verification'
+    });
+  }
+
+  registerJobs() {
+    schedulerService.registerHandler(JOB_TYPES.CHALLENGE_SCORECARD, ({ challengeId }) => this.expireChallengeScorecardTimer(challengeId));
+    schedulerService.registerHandler(JOB_TYPES.CHALLENGE_AI_VERIFICATION, ({ challengeId }) => this.expireChallengeAiTimer(challengeId));
+    schedulerService.registerHandler(JOB_TYPES.MATCH_SCORECARD, ({ tournamentId, matchId }) => this.expireMatchScorecardTimer(tournamentId, matchId));
+    schedulerService.registerHandler(JOB_TYPES.MATCH_AI_VERIFICATION, ({ tournamentId, matchId }) => this.expireMatchAiTimer(tournamentId, matchId));
+    schedulerService.registerHandler(JOB_TYPES.CHALLENGE_EXPIRY, ({ challengeId, status }) => this.expireChallenge(challengeId, status));
+  }
+
+  // Whether this timer already has its job: one still waiting or running, or one that already fired at this time
+  async hasJob(key, runAt) {
+    const job = await schedulerService.getJob(key);
+    if (!job) return false;
+    if ([JOB_STATUS.PENDING, JOB_STATUS.RUNNING].includes(job.status)) return true;
+    return toMillis(job.runAt) === toMillis(runAt);
+  }
+
+  // Timers started before the scheduler existed (or while it was down) have no job yet
+  async scheduleMissingTimers() {
+    if (!firestore) return 0;
+    let scheduled = 0;
+
+    const [scorecardPending, aiPending] = await Promise.all([
+      firestore.collection('challenges').where('status', '==', CHALLENGE_STATUS.SCORECARD_PENDING).get(),
+      firestore.collection('challenges').where('status', '==', CHALLENGE_STATUS.AI_VERIFICATION_PENDING).get()
+    ]);
+
+    for (const doc of scorecardPending.docs) {
+      const data = doc.data();
+      const endsAt = toMillis(data.scorecardTimerEnd) ||
+        (data.scorecardTimerStarted ? toMillis(data.scorecardTimerStarted) + TIMER_DURATION_MS : null);
+      if (!endsAt || await this.hasJob(JOB_KEYS.challengeScorecard(doc.id), endsAt)) continue;
+      await this.scheduleChallengeScorecardTimer(doc.id, endsAt);
+      scheduled++;
+    }
+    for (const doc of aiPending.docs) {
+      const endsAt = toMillis(doc.data().aiVerificationTimerEnd);
+      if (!endsAt || await this.hasJob(JOB_KEYS.challengeAi(doc.id), endsAt)) continue;
+      await this.scheduleChallengeAiTimer(doc.id, endsAt);
+      scheduled++;
+    }
+
+    // Invites and ready checks from before expiry existed get one, counted from when they entered the status
+    for (const status of [CHALLENGE_STATUS.PENDING, CHALLENGE_STATUS.READY_PENDING]) {
+      const snapshot = await firestore.collection('challenges').where('status', '==', status).get();
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        if (data.isPublic) continue;
+        let expiresAt = toMillis(data.expiresAt);
+        if (!expiresAt) {
+          const enteredAt = [...(data.statusHistory || [])].reverse().find(entry => entry.to === status)?.at || data.createdAt;
+          expiresAt = this.expiryFor(status, enteredAt || Date.now());
+          await doc.ref.update({ expiresAt });
+        }
+        if (await this.hasJob(JOB_KEYS.challengeExpiry(doc.id), expiresAt)) continue;
+        await this.scheduleChallengeExpiry(doc.id, status, expiresAt);
+        scheduled++;
+      }
+    }
+
+    const tournaments = await firestore.collection('tournaments').where('status', '==', 'in_progress').get();
+    for (const doc of tournaments.docs) {
+      for (const match of doc.data().bracket || []) {
+        if (match.status === 'scorecard_waiting' && match.scorecardTimer && !match.scorecardTimer.expired &&
+          !await this.hasJob(JOB_KEYS.matchScorecard(doc.id, match.id), match.scorecardTimer.endTime)) {
+          await this.scheduleMatchScorecardTimer(doc.id, match.id, toMillis(match.scorecardTimer.endTime));
+          scheduled++;
+        }
+        if (match.status === 'ai_verification_waiting' && match.aiTimer && !match.aiTimer.expired &&
+          !await this.hasJob(JOB_KEYS.matchAi(doc.id, match.id), match.aiTimer.endTime)) {
+          await this.scheduleMatchAiTimer(doc.id, match.id, toMillis(match.aiTimer.endTime));
+          scheduled++;
+        }
+      }
+    }
+
+    if (scheduled > 0) {
+      console.log(`🗓️ Scheduled ${scheduled} timers that had no job yet`);
+    }
+    return scheduled;
+  }
+}
+
+const timerService = new TimerService();
+
+module.exports = {
+  TimerService,
+  timerService,
+  JOB_TYPES,
+  TIMER_DURATION_MS,
+  EXPIRY_MS
+};
@@ -0,0 +1,69 @@
+const multer = require('multer');
+const { storage } = require('../config/firebase');
+
+// Signed read URLs last about a year, same as profile images and proofs
+const SIGNED_URL_TTL_MS = 1000 * 60 * 60 * 24 * 365;
+
+class UploadService {
+  // In-memory multer for image uploads; files go straight to Firebase Storage
+  imageUpload({ maxFileSize = 10 * 1024 * 1024 } = {}) {
+    return multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxFileSize },
+      fileFilter: (req, file, cb) => {
+        if (file.mimetype && file.mimetype.startsWith('image/')) return cb(null, true);
+        return cb(new Error('Only image files are allowed'));
+      }
+    });
+  }
+
+  isAvailable() {
+    return Boolean(storage);
+  }
+
+  /**
+   * Save an uploaded file under folder/uid/contextId and return a signed URL for it.
+   * @param {Object} file - multer file (buffer, originalname, mimetype, size)
+   * @param {Object} options - { folder, uid, contextId, type, index, metadata }
+   * @returns {Object} { url, path, originalName, contentType, size }
+   */
+  async uploadFile(file, { folder, uid, contextId, type, index = 0, metadata = {} }) {
+    if (!storage) {
+      throw new Error('File storage service not available');
+    }
+
+    const ext = (file.originalname || '').split('.').pop();
+    const safeExt = ext && ext !== file.originalname ? `.${ext}` : '';
+    const path = `${folder}/${uid}/${contextId}/${Date.now()}_${index}${safeExt}`;
+    const fileRef = storage.bucket().file(path);
+
+    await fileRef.save(file.buffer, {
+      metadata: {
+        contentType: file.mimetype,
+        metadata: {
+          uploadedBy: uid,
+          originalName: file.originalname,
+          type,
+          ...metadata,
+          uploadedAt: new Date().toISOString()
+        }
+      }
+    });
+    const [url] = await fileRef.getSignedUrl({ action: 'read', expires: Date.now() + SIGNED_URL_TTL_MS });
+
+    return {
+      url,
+      path,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size
+    };
+  }
+}
+
+const uploadService = new UploadService();
+
+module.exports = {
+  UploadService,
+  uploadService
+};
@@ -4,6 +4,9 @@ const bcrypt = require('bcryptjs');
 // In-memory storage for development (replace with Firebase later)
 const users = new Map();
 
+// Longest prefix stored for player search
+const SEARCH_PREFIX_LENGTH = 20;
+
 class UserService {
   constructor() {
     // Initialize with a test user for development
@@ -19,6 +22,21 @@ class UserService {
     }
   }
 
+  // Lowercase prefixes of the username and platform IDs, so player search can use array-contains
+  buildSearchKeys(user) {
+    const terms = [user.username, ...(user.platforms || []).map(p => p?.onlineUserId)]
+      .filter(term => typeof term === 'string' && term.trim())
+      .map(term => term.trim().toLowerCase().slice(0, SEARCH_PREFIX_LENGTH));
+
+    const keys = new Set();
+    for (const term of terms) {
+      for (let i = 1; i <= term.length; i++) {
+        keys.add(term.slice(0, i));
+      }
+    }
+    return [...keys];
+  }
+
   async initializeTestUser() {
     const hashedPassword = await bcrypt.hash('password123', 12);
     users.set('test@example.com', {
@@ -94,6 +112,7 @@ class UserService {
         email,
         username,
         platforms: platforms || [], // Now expects array of {platform, onlineUserId} objects
+        searchKeys: this.buildSearchKeys({ username, platforms }),
         firstName: firstName || '',
         lastName: lastName || '',
         country: country || '',
@@ -413,6 +432,11 @@ class UserService {
         updatedAt: new Date().toISOString()
       };
 
+      // Keep player search in step with a new username or platform IDs
+      if (updates.username !== undefined || updates.platforms !== undefined) {
+        updateData.searchKeys = this.buildSearchKeys({ ...userToUpdate, ...updates });
+      }
+
       // Handle profile image updates
       if (updates.profilePicture) {
         console.log('📸 Profile image update detected:', updates.profilePicture);
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Every provider implements analyzeImage({ systemPrompt, prompt, imageUrl, maxTokens }) and
+// resolves to the parsed JSON object the prompt asked for. imageUrl may be a data: URL.
+
+const PROVIDERS = {
+  OPENAI: 'openai',
+  STUB: 'stub',
+  FIXTURE: 'fixture'
+};
+
+// Parse a model's JSON reply, tolerating text around the object
+const parseJsonReply = (content) => {
+  try {
+    return JSON.parse(content);
+  } catch (parseError) {
+    const jsonMatch = (content || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('AI response does not contain valid JSON');
+    try {
+      return JSON.parse(jsonMatch[0]);
+    } catch (secondParseError) {
+      throw new Error('AI response could not be parsed as valid JSON');
+    }
+  }
+};
+
+class OpenAIVisionProvider {
+  constructor({ apiKey = process.env.OPENAI_API_KEY, model = process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini' } = {}) {
+    this.name = PROVIDERS.OPENAI;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  // Created on first use so the server starts without a key
+  getClient() {
+    if (!this.apiKey) {
+      throw new Error('OpenAI API key not configured');
+    }
+    if (!this.client) {
+      const OpenAI = require('openai');
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async analyzeImage({ systemPrompt, prompt, imageUrl, maxTokens = 800 }) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: imageUrl } }
+          ]
+        }
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: maxTokens
+    });
+    return parseJsonReply(response.choices[0].message.content);
+  }
+}
+
+// Offline provider: never calls out and never decides a match, so every result goes to review
+class StubVisionProvider {
+  constructor() {
+    this.name = PROVIDERS.STUB;
+    this.model = 'stub';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async analyzeImage() {
+    return {
+      detectedUsernames: [],
+      winner: null,
+      score: null,
+      players: [],
+      gameType: null,
+      confidence: 0,
+      verificationResult: 'needs_review',
+      reasoning: 'Offline vision provider: the image was not analyzed.',
+      evidenceQuality: 'low',
+      suggestions: []
+    };
+  }
+}
+
+/**
+ * Deterministic provider for tests and local runs. Replies come from a JSON file
+ * (VISION_FIXTURES) shaped { "default": {...}, "images": { "<key>": {...} } } or from setFixture().
+ * The key is the image URL, or "sha256:<hex of the image bytes>" for data: URLs.
+ */
+class FixtureVisionProvider {
+  constructor({ fixturesPath = process.env.VISION_FIXTURES } = {}) {
+    this.name = PROVIDERS.FIXTURE;
+    this.model = 'fixture';
+    this.fixtures = { default: null, images: {} };
+    if (fixturesPath) {
+      const loaded = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+      this.fixtures = { default: loaded.default || null, images: loaded.images || {} };
+    }
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  keyFor(imageUrl) {
+    const dataUrl = /^data:[^;]*;base64,(.*)$/s.exec(imageUrl || '');
+    if (!dataUrl) return imageUrl;
+    return `sha256:${crypto.createHash('sha256').update(Buffer.from(dataUrl[1], 'base64')).digest('hex')}`;
+  }
+
+  setFixture(key, reply) {
+    if (key === 'default') this.fixtures.default = reply;
+    else this.fixtures.images[key] = reply;
+  }
+
+  async analyzeImage({ imageUrl }) {
+    const reply = this.fixtures.images[this.keyFor(imageUrl)] || this.fixtures.default;
+    if (!reply) {
+      throw new Error(`No vision fixture for ${this.keyFor(imageUrl)}`);
+    }
+    // Copies, so callers can't change the fixture by editing the result
+    return JSON.parse(JSON.stringify(reply));
+  }
+}
+
+/**
+ * Provider selected by VISION_PROVIDER (openai | stub | fixture).
+ * Without it, OpenAI is used when OPENAI_API_KEY is set and the offline stub otherwise.
+ */
+const createVisionProvider = (name = process.env.VISION_PROVIDER) => {
+  const selected = (name || (process.env.OPENAI_API_KEY ? PROVIDERS.OPENAI : PROVIDERS.STUB)).toLowerCase();
+  if (selected === PROVIDERS.OPENAI) return new OpenAIVisionProvider();
+  if (selected === PROVIDERS.STUB) return new StubVisionProvider();
+  if (selected === PROVIDERS.FIXTURE) return new FixtureVisionProvider();
+  throw new Error(`Unknown VISION_PROVIDER "${name}" (expected ${Object.values(PROVIDERS).join(', ')})`);
+};
+
+module.exports = {
+  OpenAIVisionProvider,
+  StubVisionProvider,
+  FixtureVisionProvider,
+  createVisionProvider,
+  parseJsonReply,
+  PROVIDERS
+};
@@ -1,4 +1,16 @@
 const { firestore } = require('../config/firebase');
+const {
+  ledgerService,
+  ACCOUNTS,
+  roundAmount,
+  userAccount,
+  challengeEscrowAccount,
+  tournamentEscrowAccount
+} = require('./ledgerService');
+const { escrowService } = require('./escrowService');
+
+// Starting balance credited the first time a wallet is read
+const STARTING_BALANCE = 1000;
 
 class WalletService {
   // Get user wallet balance from user document
@@ -29,58 +41,39 @@ class WalletService {
     }
   }
 
+  // Pick the transactions-collection record written for a user out of a ledger posting
+  userRecord(posting, userId) {
+    return posting.records.find(record => record.userId === userId) || null;
+  }
+
   // Add funds to wallet (manual for now, easy to extend for Stripe/PayPal)
   async addFunds(userId, amount, description = 'Manual deposit', metadata = {}) {
     try {
-      const userRef = firestore.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
-      
-      const userData = userDoc.data();
-      const currentBalance = userData.wallet || 0;
-      const newBalance = currentBalance + amount;
-      
-      // Update user wallet balance
-      await userRef.update({
-        wallet: newBalance,
-        updatedAt: new Date()
-      });
-      
-      // Create transaction record
-      const transaction = {
-        walletId: userId,
-        userId,
-        username: userData.username,
-        type: 'deposit',
+      const posting = await ledgerService.post([{
+        from: ACCOUNTS.EXTERNAL_DEPOSITS,
+        to: userAccount(userId),
         amount,
+        type: 'deposit',
         description,
-        status: 'completed',
         reference: `deposit_${Date.now()}`,
-        metadata: metadata, // Include Stripe metadata
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      // Store transaction in separate transactions collection and get the auto-generated ID
-      const transactionRef = await firestore.collection('transactions').add(transaction);
-      const transactionId = transactionRef.id;
-      
-      console.log('✅ Transaction stored in transactions collection:', {
-        transactionId: transactionId,
+        metadata // Include Stripe metadata
+      }]);
+
+      const transaction = this.userRecord(posting, userId);
+      const newBalance = posting.balances[userAccount(userId)];
+
+      console.log('✅ Deposit posted to ledger:', {
+        transactionId: transaction.id,
         userId,
         amount,
         type: transaction.type
       });
-      
+
       // Return transaction with new balance info
       return {
         ...transaction,
-        id: transactionId,
-        newBalance: newBalance,
-        previousBalance: currentBalance
+        newBalance,
+        previousBalance: roundAmount(newBalance - transaction.amount)
       };
     } catch (error) {
       console.error('Error adding funds:', error);
@@ -88,61 +81,29 @@ class WalletService {
     }
   }
 
-  // Deduct funds from wallet (for challenge participation)
+  // Deduct funds from wallet into the challenge escrow account (for challenge participation)
   async deductFunds(userId, amount, challengeId, description = 'Challenge participation fee') {
     try {
-      const userRef = firestore.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
-      
-      const userData = userDoc.data();
-      const currentBalance = userData.wallet || 0;
-      
-      if (currentBalance < amount) {
-        throw new Error('Insufficient funds');
-      }
-      
-      const newBalance = currentBalance - amount;
-      
-      // Update user wallet balance
-      await userRef.update({
-        wallet: newBalance,
-        updatedAt: new Date()
-      });
-      
-      // Create transaction record
-      const transaction = {
-        walletId: userId,
-        userId,
-        username: userData.username,
+      const posting = await ledgerService.post([{
+        from: userAccount(userId),
+        to: challengeEscrowAccount(challengeId),
+        amount,
         type: 'challenge_deduction',
-        amount: -amount, // Negative amount for deduction
         description,
-        status: 'completed',
         reference: challengeId,
-        metadata: { challengeId },
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      // Store transaction in separate transactions collection and get the auto-generated ID
-      const transactionRef = await firestore.collection('transactions').add(transaction);
-      const transactionId = transactionRef.id;
-      
-      console.log('✅ Deduction transaction stored in transactions collection:', {
-        transactionId: transactionId,
+        metadata: { challengeId }
+      }]);
+
+      const transaction = this.userRecord(posting, userId);
+
+      console.log('✅ Deduction posted to ledger:', {
+        transactionId: transaction.id,
         userId,
         amount,
         type: transaction.type
       });
-      
-      return {
-        ...transaction,
-        id: transactionId
-      };
+
+      return transaction;
     } catch (error) {
       console.error('Error deducting funds:', error);
       throw error;
@@ -152,52 +113,26 @@ class WalletService {
   // Award challenge reward to winner
   async awardReward(userId, amount, challengeId, description = 'Challenge reward') {
     try {
-      const userRef = firestore.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
-      
-      const userData = userDoc.data();
-      const currentBalance = userData.wallet || 0;
-      const newBalance = currentBalance + amount;
-      
-      // Update user wallet balance
-      await userRef.update({
-        wallet: newBalance,
-        updatedAt: new Date()
-      });
-      
-      // Create transaction record
-      const transaction = {
-        userId,
-        username: userData.username,
-        type: 'challenge_reward',
+      const posting = await ledgerService.post([{
+        from: challengeEscrowAccount(challengeId),
+        to: userAccount(userId),
         amount,
+        type: 'challenge_reward',
         description,
-        status: 'completed',
         reference: challengeId,
-        metadata: { challengeId },
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      // Store transaction in separate transactions collection and get the auto-generated ID
-      const transactionRef = await firestore.collection('transactions').add(transaction);
-      const transactionId = transactionRef.id;
-      
-      console.log('✅ Reward transaction stored in transactions collection:', {
-        transactionId: transactionId,
+        metadata: { challengeId }
+      }]);
+
+      const transaction = this.userRecord(posting, userId);
+
+      console.log('✅ Reward posted to ledger:', {
+        transactionId: transaction.id,
         userId,
         amount,
         type: transaction.type
       });
-      
-      return {
-        ...transaction,
-        id: transactionId
-      };
+
+      return transaction;
     } catch (error) {
       console.error('Error awarding reward:', error);
       throw error;
@@ -207,31 +142,21 @@ class WalletService {
   // Revoke a previously awarded reward (admin dispute reversal)
   async revokeReward(userId, amount, challengeId, description = 'Admin dispute reversal') {
     try {
-      const userRef = firestore.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      if (!userDoc.exists) throw new Error('User not found');
-      const userData = userDoc.data();
-      const currentBalance = userData.wallet || 0;
-      const newBalance = currentBalance - amount;
-      await userRef.update({ wallet: newBalance, updatedAt: new Date() });
-
-      const transaction = {
-        userId,
-        username: userData.username,
+      const posting = await ledgerService.post([{
+        from: userAccount(userId),
+        to: challengeEscrowAccount(challengeId),
+        amount,
         type: 'admin_adjustment',
-        amount: -amount, // negative to reverse
         description,
-        status: 'completed',
         reference: challengeId,
         metadata: { challengeId, reversal: true },
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
+        // The winner may already have spent the reward; the reversal still has to land
+        allowOverdraft: true
+      }]);
 
-      const transactionRef = await firestore.collection('transactions').add(transaction);
-      const transactionId = transactionRef.id;
-      console.log('✅ Reward reversal stored:', { transactionId, userId, amount });
-      return { ...transaction, id: transactionId };
+      const transaction = this.userRecord(posting, userId);
+      console.log('✅ Reward reversal posted to ledger:', { transactionId: transaction.id, userId, amount });
+      return transaction;
     } catch (error) {
       console.error('Error revoking reward:', error);
       throw error;
@@ -241,46 +166,26 @@ class WalletService {
   // Refund stake back to a user's wallet (used for draws/refunds)
   async refundStake(userId, amount, challengeId, description = 'Challenge refund') {
     try {
-      const userRef = firestore.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
-      
-      const userData = userDoc.data();
-      const currentBalance = userData.wallet || 0;
-      const newBalance = currentBalance + amount;
-      
-      await userRef.update({
-        wallet: newBalance,
-        updatedAt: new Date()
-      });
-      
-      const transaction = {
-        userId,
-        username: userData.username,
-        type: 'refund',
+      const posting = await ledgerService.post([{
+        from: challengeEscrowAccount(challengeId),
+        to: userAccount(userId),
         amount,
+        type: 'refund',
         description,
-        status: 'completed',
         reference: challengeId,
-        metadata: { challengeId },
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      const transactionRef = await firestore.collection('transactions').add(transaction);
-      const transactionId = transactionRef.id;
-      
-      console.log('✅ Refund transaction stored in transactions collection:', {
-        transactionId,
+        metadata: { challengeId }
+      }]);
+
+      const transaction = this.userRecord(posting, userId);
+
+      console.log('✅ Refund posted to ledger:', {
+        transactionId: transaction.id,
         userId,
         amount,
         type: transaction.type
       });
-      
-      return { ...transaction, id: transactionId };
+
+      return transaction;
     } catch (error) {
       console.error('Error refunding stake:', error);
       throw error;
@@ -290,59 +195,20 @@ class WalletService {
   // Add admin fee to admin wallet
   async addAdminFee(amount, challengeId, description = 'Challenge admin fee') {
     try {
-      const adminWalletRef = firestore.collection('admin_wallets').doc('main');
-      const adminWalletDoc = await adminWalletRef.get();
-      
-      let adminWallet;
-      
-      if (adminWalletDoc.exists) {
-        adminWallet = adminWalletDoc.data();
-        const newBalance = adminWallet.balance + amount;
-        const newTotalFees = adminWallet.totalFees + amount;
-        
-        await adminWalletRef.update({
-          balance: newBalance,
-          totalFees: newTotalFees,
-          updatedAt: new Date()
-        });
-      } else {
-        // Create admin wallet if it doesn't exist
-        adminWallet = {
-          id: 'main',
-          balance: amount,
-          currency: 'USD',
-          totalFees: amount,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-        
-        await adminWalletRef.set(adminWallet);
-      }
-      
-      // Create transaction record for admin fee
-      const transaction = {
-        walletId: 'admin',
-        userId: 'admin',
-        username: 'Admin',
-        type: 'admin_fee',
+      const posting = await ledgerService.post([{
+        from: challengeEscrowAccount(challengeId),
+        to: ACCOUNTS.PLATFORM_FEES,
         amount,
+        type: 'admin_fee',
         description,
-        status: 'completed',
         reference: challengeId,
-        metadata: { challengeId },
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      // Store transaction in separate transactions collection and get the auto-generated ID
-      const transactionRef = await firestore.collection('transactions').add(transaction);
-      const transactionId = transactionRef.id;
-      
-      console.log('✅ Admin fee transaction stored in transactions collection:', {
-        transactionId: transactionId,
+        metadata: { challengeId }
+      }]);
+
+      console.log('✅ Admin fee posted to ledger:', {
+        postingId: posting.postingId,
         challengeId,
-        amount,
-        type: transaction.type
+        amount
       });
     } catch (error) {
       console.error('Error adding admin fee:', error);
@@ -462,7 +328,7 @@ class WalletService {
           acc.totalDeposits += Math.abs(transaction.amount);
         } else if (transaction.type === 'withdrawal') {
           acc.totalWithdrawals += Math.abs(transaction.amount);
-        } else if (transaction.type === 'challenge_reward') {
+        } else if (transaction.type === 'challenge_reward' || transaction.type === 'tournament_reward') {
           acc.totalRewards += Math.abs(transaction.amount);
         } else if (transaction.type === 'challenge_deduction') {
           acc.totalDeductions += Math.abs(transaction.amount);
@@ -508,12 +374,9 @@ class WalletService {
       // Initialize wallet if it doesn't exist
       if (!('wallet' in userData)) {
         console.log('💰 Initializing wallet for user:', userId);
-        await userRef.update({
-          wallet: 1000, // Give new users $1000 starting balance
-          updatedAt: new Date()
-        });
-        console.log('✅ Wallet initialized with $1000');
-        return 1000;
+        const balance = await this.initializeWallet(userId);
+        console.log(`✅ Wallet initialized with $${balance}`);
+        return balance;
       }
       
       const balance = userData.wallet || 0;
@@ -526,19 +389,39 @@ class WalletService {
     }
   }
 
-  // Process challenge completion and distribute rewards
+  // Credit the starting balance exactly once, even if the wallet is read concurrently
+  async initializeWallet(userId) {
+    const legs = [{
+      from: ACCOUNTS.EXTERNAL_OPENING,
+      to: userAccount(userId),
+      amount: STARTING_BALANCE,
+      type: 'signup_bonus',
+      description: 'Starting wallet balance',
+      reference: `signup_${userId}`
+    }];
+
+    return firestore.runTransaction(async (tx) => {
+      const accounts = await ledgerService.loadAccounts(tx, legs);
+      const account = accounts.get(userAccount(userId));
+      if ('wallet' in account.data) {
+        return account.balance;
+      }
+      const posting = ledgerService.stage(tx, accounts, legs);
+      return posting.balances[userAccount(userId)];
+    });
+  }
+
+  // Pay a challenge winner out of the challenge escrow. The payout is sized from what was
+  // escrowed; totalStake is only logged for callers that still pass it.
   async processChallengeCompletion(challengeId, winnerId, totalStake) {
     try {
-      const adminFee = totalStake * 0.05; // 5% admin fee
-      const winnerReward = totalStake * 0.95; // 95% to winner
-      
-      // Award reward to winner
-      await this.awardReward(winnerId, winnerReward, challengeId, 'Challenge victory reward');
-      
-      // Add admin fee
-      await this.addAdminFee(adminFee, challengeId, 'Challenge admin fee');
+      const result = await escrowService.releaseToWinner(challengeId, winnerId, {
+        description: 'Challenge victory reward',
+        feeDescription: 'Challenge admin fee'
+      });
       
-      console.log(`✅ Challenge ${challengeId} completed. Winner: ${winnerId}, Reward: $${winnerReward}, Admin Fee: $${adminFee}`);
+      console.log(`✅ Challenge ${challengeId} completed. Winner: ${winnerId}, Reward: $${result.rewardAmount}, Admin Fee: $${result.adminFee} (requested stake: $${totalStake})`);
+      return result;
     } catch (error) {
       console.error('Error processing challenge completion:', error);
       throw error;
@@ -548,52 +431,28 @@ class WalletService {
   // Process withdrawal - handles multi-gateway wallet scenario
   async processWithdrawal(userId, amount, description = 'Withdrawal', preferredPayoutMethod = 'paypal') {
     try {
-      const userRef = firestore.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
-      
-      const userData = userDoc.data();
-      const currentBalance = userData.wallet || 0;
-      
-      if (currentBalance < amount) {
-        throw new Error('Insufficient funds');
-      }
-      
-      const newBalance = currentBalance - amount;
-      
-      // Update user wallet balance
-      await userRef.update({
-        wallet: newBalance,
-        updatedAt: new Date()
-      });
-      
-      // Create withdrawal transaction record
-      const transaction = {
-        walletId: userId,
-        userId,
-        username: userData.username,
+      const withdrawalId = `wd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      // Move the funds out of the wallet into payout clearing until the payout settles
+      const posting = await ledgerService.post([{
+        from: userAccount(userId),
+        to: ACCOUNTS.PAYOUT_CLEARING,
+        amount,
         type: 'withdrawal',
-        amount: -amount, // Negative amount for withdrawal
         description,
         status: 'pending', // Will be updated when payout is processed
         reference: `withdrawal_${Date.now()}`,
-        metadata: { 
+        metadata: {
           payoutMethod: preferredPayoutMethod,
-          withdrawalId: `wd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        },
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      
-      // Store transaction in separate transactions collection and get the auto-generated ID
-      const transactionRef = await firestore.collection('transactions').add(transaction);
-      const transactionId = transactionRef.id;
+          withdrawalId
+        }
+      }]);
+
+      const transaction = this.userRecord(posting, userId);
+      const newBalance = posting.balances[userAccount(userId)];
       
-      console.log('✅ Withdrawal transaction stored:', {
-        transactionId: transactionId,
+      console.log('✅ Withdrawal moved to payout clearing:', {
+        transactionId: transaction.id,
         userId,
         amount,
         payoutMethod: preferredPayoutMethod,
@@ -604,34 +463,24 @@ class WalletService {
       // 1. Check your platform's available balances across PayPal, Stripe, bank accounts
       // 2. Decide which source to use for the payout
       // 3. Initiate the actual payout to the user
-      // 4. Update the transaction status to 'completed' when payout succeeds
+      // 4. Settle the clearing account when the payout succeeds
       
       // For now, we'll simulate the payout process
       const payoutResult = await this.simulatePayout(amount, preferredPayoutMethod);
       
-      // Update transaction status based on payout result
+      // Settle clearing and update transaction status based on payout result
       if (payoutResult.success) {
-        await firestore.collection('transactions').doc(transactionId).update({
-          status: 'completed',
-          metadata: {
-            ...transaction.metadata,
-            payoutId: payoutResult.payoutId,
-            completedAt: new Date()
-          }
-        });
-        
+        await this.settleWithdrawal(transaction, payoutResult);
         console.log('✅ Withdrawal completed successfully:', payoutResult);
       } else {
-        // If payout fails, we could potentially refund the user's wallet
-        // For now, we'll keep the transaction as pending
+        // Funds stay in payout clearing so the withdrawal can be retried or refunded
         console.log('⚠️ Payout failed, transaction remains pending:', payoutResult);
       }
       
       return {
         ...transaction,
-        id: transactionId,
         newBalance,
-        previousBalance: currentBalance,
+        previousBalance: roundAmount(newBalance + amount),
         payoutResult
       };
     } catch (error) {
@@ -639,6 +488,78 @@ class WalletService {
       throw error;
     }
   }
+
+  // Release a pending withdrawal from payout clearing once the provider confirms the payout
+  async settleWithdrawal(transaction, payoutResult) {
+    const transactionRef = firestore.collection('transactions').doc(transaction.id);
+    const legs = [{
+      from: ACCOUNTS.PAYOUT_CLEARING,
+      to: ACCOUNTS.EXTERNAL_PAYOUTS,
+      amount: Math.abs(transaction.amount),
+      type: 'payout_settlement',
+      description: `Payout settled for ${transaction.metadata?.withdrawalId || transaction.id}`,
+      reference: transaction.id,
+      metadata: { payoutId: payoutResult.payoutId || null, userId: transaction.userId }
+    }];
+
+    await firestore.runTransaction(async (tx) => {
+      const accounts = await ledgerService.loadAccounts(tx, legs);
+      const transactionDoc = await tx.get(transactionRef);
+      if (!transactionDoc.exists || transactionDoc.data().status === 'completed') {
+        return;
+      }
+      ledgerService.stage(tx, accounts, legs);
+      tx.update(transactionRef, {
+        status: 'completed',
+        metadata: {
+          ...transaction.metadata,
+          payoutId: payoutResult.payoutId,
+          completedAt: new Date()
+        },
+        updatedAt: new Date()
+      });
+    });
+  }
+
+  // Record a payout that the provider has already completed (e.g. direct PayPal payouts)
+  async recordExternalPayout(userId, amount, description = 'Withdrawal', metadata = {}) {
+    try {
+      const withdrawalId = `wd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const posting = await ledgerService.post([
+        {
+          from: userAccount(userId),
+          to: ACCOUNTS.PAYOUT_CLEARING,
+          amount,
+          type: 'withdrawal',
+          description,
+          reference: `withdrawal_${Date.now()}`,
+          metadata: { withdrawalId, ...metadata },
+          insufficientFundsMessage: 'Insufficient funds in user wallet'
+        },
+        {
+          from: ACCOUNTS.PAYOUT_CLEARING,
+          to: ACCOUNTS.EXTERNAL_PAYOUTS,
+          amount,
+          type: 'payout_settlement',
+          description: `Payout settled for ${withdrawalId}`,
+          reference: withdrawalId,
+          metadata: { userId, ...metadata }
+        }
+      ]);
+
+      const transaction = this.userRecord(posting, userId);
+      const newBalance = posting.balances[userAccount(userId)];
+
+      return {
+        ...transaction,
+        newBalance,
+        previousBalance: roundAmount(newBalance + amount)
+      };
+    } catch (error) {
+      console.error('Error recording external payout:', error);
+      throw error;
+    }
+  }
   
   // Simulate payout process (replace with real PayPal/Stripe payout logic)
   async simulatePayout(amount, payoutMethod) {
@@ -684,44 +605,24 @@ class WalletService {
     }
   }
 
-  // Process tournament entry fee deduction
+  // Process tournament entry fee deduction into the tournament escrow account
   async processTournamentEntry(userId, entryFee, tournamentId) {
     try {
       console.log(`💰 Processing tournament entry fee: ${entryFee} for user ${userId}`);
       
-      const userRef = firestore.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
-      
-      const userData = userDoc.data();
-      const currentBalance = userData.wallet || 0;
-      
-      if (currentBalance < entryFee) {
-        throw new Error('Insufficient funds for tournament entry');
-      }
-      
-      const newBalance = currentBalance - entryFee;
-      
-      // Update user wallet
-      await userRef.update({
-        wallet: newBalance,
-        updatedAt: new Date()
-      });
-      
-      // Create transaction record
-      await firestore.collection('transactions').add({
-        userId,
-        type: 'tournament_entry',
+      const posting = await ledgerService.post([{
+        from: userAccount(userId),
+        to: tournamentEscrowAccount(tournamentId),
         amount: entryFee,
-        balance: newBalance,
+        type: 'tournament_entry',
         description: `Tournament entry fee - Tournament ${tournamentId}`,
-        status: 'completed',
-        createdAt: new Date(),
-        tournamentId
-      });
+        reference: tournamentId,
+        metadata: { tournamentId },
+        extraFields: { tournamentId },
+        insufficientFundsMessage: 'Insufficient funds for tournament entry'
+      }]);
+
+      const newBalance = posting.balances[userAccount(userId)];
       
       console.log(`✅ Tournament entry fee processed: ${entryFee} deducted from user ${userId}`);
       
@@ -747,11 +648,35 @@ class WalletService {
       
       console.log(`💰 Prize distribution: Total=${totalPrize}, Winner=${winnerReward}, Admin=${adminReward}`);
       
-      // Award winner
-      await this.awardReward(winnerId, winnerReward, `Tournament ${tournamentId} winner prize`);
-      
-      // Award admin
-      await this.addAdminFee(adminReward, `Tournament ${tournamentId} admin fee`);
+      // Winner prize and admin fee leave the tournament escrow in one posting
+      const escrow = tournamentEscrowAccount(tournamentId);
+      const legs = [];
+      if (winnerReward > 0) {
+        legs.push({
+          from: escrow,
+          to: userAccount(winnerId),
+          amount: winnerReward,
+          type: 'tournament_reward',
+          description: `Tournament ${tournamentId} winner prize`,
+          reference: tournamentId,
+          metadata: { tournamentId },
+          extraFields: { tournamentId }
+        });
+      }
+      if (adminReward > 0) {
+        legs.push({
+          from: escrow,
+          to: ACCOUNTS.PLATFORM_FEES,
+          amount: adminReward,
+          type: 'admin_fee',
+          description: `Tournament ${tournamentId} admin fee`,
+          reference: tournamentId,
+          metadata: { tournamentId }
+        });
+      }
+      if (legs.length > 0) {
+        await ledgerService.post(legs);
+      }
       
       // Create tournament completion record
       await firestore.collection('tournamentRewards').add({
@@ -778,39 +703,23 @@ class WalletService {
     }
   }
 
-  // Refund tournament entry fee
+  // Refund tournament entry fee out of the tournament escrow account
   async refundTournamentEntry(userId, entryFee, tournamentId) {
     try {
       console.log(`💸 Refunding tournament entry fee: ${entryFee} to user ${userId}`);
       
-      const userRef = firestore.collection('users').doc(userId);
-      const userDoc = await userRef.get();
-      
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
-      
-      const userData = userDoc.data();
-      const currentBalance = userData.wallet || 0;
-      const newBalance = currentBalance + entryFee;
-      
-      // Update user wallet
-      await userRef.update({
-        wallet: newBalance,
-        updatedAt: new Date()
-      });
-      
-      // Create transaction record
-      await firestore.collection('transactions').add({
-        userId,
-        type: 'tournament_refund',
+      const posting = await ledgerService.post([{
+        from: tournamentEscrowAccount(tournamentId),
+        to: userAccount(userId),
         amount: entryFee,
-        balance: newBalance,
+        type: 'tournament_refund',
         description: `Tournament entry refund - Tournament ${tournamentId}`,
-        status: 'completed',
-        createdAt: new Date(),
-        tournamentId
-      });
+        reference: tournamentId,
+        metadata: { tournamentId },
+        extraFields: { tournamentId }
+      }]);
+
+      const newBalance = posting.balances[userAccount(userId)];
       
       console.log(`✅ Tournament entry refunded: ${entryFee} added to user ${userId}`);
       
@@ -824,6 +733,11 @@ class WalletService {
       throw error;
     }
   }
+
+  // Check that cached balances match the ledger
+  async reconcileLedger(options = {}) {
+    return ledgerService.reconcile(options);
+  }
 }
 
 const walletService = new WalletService();
@@ -837,5 +751,6 @@ module.exports = {
   processWithdrawal: walletService.processWithdrawal.bind(walletService),
   processTournamentEntry: walletService.processTournamentEntry.bind(walletService),
   processTournamentReward: walletService.processTournamentReward.bind(walletService),
-  refundTournamentEntry: walletService.refundTournamentEntry.bind(walletService)
+  refundTournamentEntry: walletService.refundTournamentEntry.bind(walletService),
+  reconcileLedger: walletService.reconcileLedger.bind(walletService)
 };
@@ -0,0 +1,306 @@
+const { firestore } = require('../config/firebase');
+const { challengeStateMachine, CHALLENGE_STATUS, ACTORS } = require('./challengeStateMachine');
+const { escrowService } = require('./escrowService');
+const { gameProfileService, DEFAULT_PROFILE, SCORING } = require('./gameProfileService');
+
+const REPAIRS_COLLECTION = 'winner_repairs';
+
+// proposed -> applied | rejected
+const REPAIR_STATUS = {
+  PROPOSED: 'proposed',
+  APPLIED: 'applied',
+  REJECTED: 'rejected'
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const createError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class WinnerRepairService {
+  constructor() {
+    this.collection = REPAIRS_COLLECTION;
+  }
+
+  // Parse AI `players` entries ("Name: 3") in the game's units. Names may contain ':' so split on
+  // the last one, except for times, which contain colons themselves.
+  // Returns { name: score } or null if the entries aren't two clean scores.
+  parseScores(players, profile = DEFAULT_PROFILE) {
+    if (!Array.isArray(players) || players.length !== 2) return null;
+
+    const scores = {};
+    for (const entry of players) {
+      const text = String(entry || '');
+      const separator = profile.scoring === SCORING.TIME ? text.indexOf(':') : text.lastIndexOf(':');
+      if (separator <= 0) return null;
+      const name = text.slice(0, separator).trim();
+      const score = gameProfileService.parseValue(text.slice(separator + 1), profile);
+      if (!name || score === null || name in scores) return null;
+      scores[name] = score;
+    }
+    return scores;
+  }
+
+  // Participant (login username + uid) whose username or platform username matches a name from a screenshot
+  matchParticipant(challengeData, name) {
+    const target = normalize(name);
+    if (!target) return null;
+
+    const challengerNames = [challengeData.challenger?.username, ...Object.values(challengeData.challengerPlatformUsernames || {})];
+    if (challengerNames.some(n => normalize(n) === target)) {
+      return { username: challengeData.challenger.username, uid: challengeData.challenger.uid || null };
+    }
+
+    for (const opp of challengeData.opponents || []) {
+      const names = [opp.username, ...Object.values(opp.accepterPlatformUsernames || opp.platformUsernames || {})];
+      if (names.some(n => normalize(n) === target)) {
+        return { username: opp.username, uid: opp.uid || null };
+      }
+    }
+    return null;
+  }
+
+  // Work out the fix for one challenge without changing anything
+  async propose(challengeId, challengeData) {
+    const proposal = {
+      challengeId,
+      game: challengeData.game || null,
+      challengeStatus: challengeData.status,
+      currentWinner: challengeData.winner || null,
+      proposedWinner: null,
+      proposedWinnerUid: null,
+      matchedName: null,
+      scores: [],
+      fixable: false,
+      reason: null
+    };
+
+    const results = [...(challengeData.aiVerificationResults || []), ...(challengeData.aiResult ? [challengeData.aiResult] : [])];
+    const profile = await gameProfileService.getGameProfile(challengeData.game);
+    const parsed = results.map(result => this.parseScores(result.players, profile)).filter(Boolean);
+    proposal.scores = parsed;
+
+    if (parsed.length === 0) {
+      proposal.reason = 'No AI result with two parseable scores';
+      return proposal;
+    }
+
+    // Every parseable AI result has to point at the same winner
+    const leaders = new Set();
+    for (const scores of parsed) {
+      const [[nameA, scoreA], [nameB, scoreB]] = Object.entries(scores);
+      const comparison = gameProfileService.compare(scoreA, scoreB, profile);
+      if (comparison === 0) {
+        proposal.reason = `Scores are tied (${nameA} ${scoreA} - ${scoreB} ${nameB})`;
+        return proposal;
+      }
+      leaders.add(normalize(comparison > 0 ? nameA : nameB));
+    }
+    if (leaders.size > 1) {
+      proposal.reason = 'AI results disagree on the winner';
+      return proposal;
+    }
+
+    const [leader] = leaders;
+    const leaderName = Object.keys(parsed[0]).find(name => normalize(name) === leader);
+    const participant = this.matchParticipant(challengeData, leaderName);
+    proposal.matchedName = leaderName;
+
+    if (!participant) {
+      proposal.reason = `"${leaderName}" does not match any participant's username or platform username`;
+      return proposal;
+    }
+
+    if (!participant.uid) {
+      const snapshot = await firestore.collection('users').where('username', '==', participant.username).limit(1).get();
+      participant.uid = snapshot.empty ? null : snapshot.docs[0].id;
+    }
+    if (!participant.uid) {
+      proposal.reason = `No user account found for ${participant.username}`;
+      return proposal;
+    }
+
+    proposal.proposedWinner = participant.username;
+    proposal.proposedWinnerUid = participant.uid;
+    proposal.fixable = true;
+    proposal.reason = `${leaderName} has the winning score (${profile.scoring} wins) in ${parsed.length} AI result(s)`;
+    return proposal;
+  }
+
+  /**
+   * Find challenges stuck with an "Unknown" winner and propose fixes.
+   * With dryRun (default) nothing is written; otherwise proposals are stored for approval.
+   */
+  async scan({ dryRun = true, limit = 100, requestedBy = null } = {}) {
+    const snapshot = await firestore.collection('challenges')
+      .where('winner', '==', 'Unknown')
+      .limit(limit)
+      .get();
+
+    const proposals = [];
+    for (const doc of snapshot.docs) {
+      proposals.push(await this.propose(doc.id, doc.data()));
+    }
+
+    if (!dryRun) {
+      const now = new Date();
+      for (const proposal of proposals) {
+        const repairRef = firestore.collection(this.collection).doc(proposal.challengeId);
+        await firestore.runTransaction(async (tx) => {
+          const existing = await tx.get(repairRef);
+          // Decided repairs are part of the audit trail; never overwrite them
+          if (existing.exists && existing.data().status !== REPAIR_STATUS.PROPOSED) return;
+          const history = existing.exists ? existing.data().history || [] : [];
+          tx.set(repairRef, {
+            ...proposal,
+            status: REPAIR_STATUS.PROPOSED,
+            proposedAt: now,
+            proposedBy: requestedBy,
+            history: [...history, { action: 'proposed', by: requestedBy, at: now, reason: proposal.reason }],
+            updatedAt: now
+          });
+        });
+      }
+    }
+
+    console.log(`🔧 Winner repair scan (${dryRun ? 'dry run' : 'recorded'}):`, {
+      found: proposals.length,
+      fixable: proposals.filter(p => p.fixable).length
+    });
+
+    return {
+      dryRun,
+      found: proposals.length,
+      fixable: proposals.filter(p => p.fixable).length,
+      proposals
+    };
+  }
+
+  async listRepairs({ status = null, limit = 100 } = {}) {
+    let query = firestore.collection(this.collection);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  async getProposedRepair(challengeId) {
+    const repairRef = firestore.collection(this.collection).doc(challengeId);
+    const repairDoc = await repairRef.get();
+    if (!repairDoc.exists) {
+      throw createError('No repair proposal for this challenge; run a scan first', 'REPAIR_NOT_FOUND');
+    }
+    const repair = repairDoc.data();
+    if (repair.status !== REPAIR_STATUS.PROPOSED) {
+      throw createError(`Repair was already ${repair.status}`, 'REPAIR_ALREADY_DECIDED');
+    }
+    return { repairRef, repair };
+  }
+
+  // Apply one approved fix: set the winner, complete the challenge and release its escrow
+  async approve(challengeId, { approvedBy, reason = null }) {
+    const { repairRef, repair } = await this.getProposedRepair(challengeId);
+    if (!repair.fixable) {
+      throw createError(`Repair has no winner to apply: ${repair.reason}`, 'REPAIR_NOT_FIXABLE');
+    }
+
+    const challengeDoc = await firestore.collection('challenges').doc(challengeId).get();
+    if (!challengeDoc.exists) {
+      throw createError('Challenge not found', 'CHALLENGE_NOT_FOUND');
+    }
+    const challengeData = challengeDoc.data();
+
+    // The challenge may have changed since the scan; only apply what the admin actually reviewed
+    const current = await this.propose(challengeId, challengeData);
+    if (!current.fixable || current.proposedWinnerUid !== repair.proposedWinnerUid) {
+      throw createError('Challenge changed since the proposal was made; run the scan again', 'REPAIR_STALE');
+    }
+
+    const approvalReason = reason || repair.reason;
+    const { effects } = await challengeStateMachine.transition(challengeId, CHALLENGE_STATUS.COMPLETED, {
+      actor: ACTORS.ADMIN,
+      by: approvedBy,
+      reason: `winner repair: ${approvalReason}`,
+      updates: {
+        winner: current.proposedWinner,
+        completedAt: challengeData.completedAt || new Date(),
+        winnerRepair: {
+          previousWinner: challengeData.winner || null,
+          matchedName: current.matchedName,
+          approvedBy: approvedBy?.username || null,
+          approvedAt: new Date(),
+          reason: approvalReason
+        }
+      },
+      outcome: { type: 'winner', winnerUid: current.proposedWinnerUid },
+      // Anything already paid out for this challenge is reversed first
+      settleOptions: {
+        allowReversal: true,
+        reason: `winner-repair:${challengeId}`,
+        description: `Challenge reward for ${challengeData.game} (winner repair)`,
+        feeDescription: `Admin fee from challenge ${challengeData.game} (winner repair)`
+      }
+    });
+
+    const now = new Date();
+    const by = approvedBy ? { uid: approvedBy.uid || null, username: approvedBy.username || null } : null;
+    const applied = {
+      status: REPAIR_STATUS.APPLIED,
+      previousStatus: challengeData.status,
+      previousWinner: challengeData.winner || null,
+      appliedWinner: current.proposedWinner,
+      appliedWinnerUid: current.proposedWinnerUid,
+      settlement: effects.settlement || null,
+      decidedBy: by,
+      decidedAt: now,
+      history: [...(repair.history || []), { action: 'applied', by, at: now, reason: approvalReason }],
+      updatedAt: now
+    };
+    await repairRef.update(applied);
+
+    console.log('🔧 Winner repair applied:', { challengeId, winner: current.proposedWinner, by: by?.username });
+    return { ...repair, ...applied };
+  }
+
+  async reject(challengeId, { rejectedBy, reason = null }) {
+    const { repairRef, repair } = await this.getProposedRepair(challengeId);
+
+    const now = new Date();
+    const by = rejectedBy ? { uid: rejectedBy.uid || null, username: rejectedBy.username || null } : null;
+    const rejected = {
+      status: REPAIR_STATUS.REJECTED,
+      decidedBy: by,
+      decidedAt: now,
+      rejectionReason: reason,
+      history: [...(repair.history || []), { action: 'rejected', by, at: now, reason }],
+      updatedAt: now
+    };
+    await repairRef.update(rejected);
+
+    console.log('🔧 Winner repair rejected:', { challengeId, by: by?.username, reason });
+    return { ...repair, ...rejected };
+  }
+
+  // Escrow state is shown next to each proposal so admins can see what approving will move
+  async withEscrow(proposals) {
+    return Promise.all(proposals.map(async (proposal) => {
+      const escrow = await escrowService.getEscrow(proposal.challengeId);
+      return {
+        ...proposal,
+        escrow: escrow ? { status: escrow.status, available: escrow.available, settlement: escrow.settlement || null } : null
+      };
+    }));
+  }
+}
+
+const winnerRepairService = new WinnerRepairService();
+
+module.exports = {
+  WinnerRepairService,
+  winnerRepairService,
+  REPAIR_STATUS
+};